@@ -1,16 +1,58 @@
 import { useEffect, useState, useCallback, createContext, useContext, useRef } from 'react';
 import { AppProvider, useApp } from './context/AppContext';
-import { Clock, ShoppingBag, Layout, History, Loader2 } from 'lucide-react';
+import { TimerSessionProvider } from './context/TimerSessionContext';
+import { Clock, ShoppingBag, Layout, History, CalendarClock, Award, Loader2 } from 'lucide-react';
 import Timer from './components/Timer';
 import ComponentShop from './components/ComponentShop';
 import InfrastructureCanvas from './components/InfrastructureCanvas';
 import SessionHistory from './components/SessionHistory';
 import KiroMascot from './components/KiroMascot';
 import CreditDisplay from './components/CreditDisplay';
+import LevelDisplay from './components/LevelDisplay';
+import SessionReflection from './components/SessionReflection';
+import DayPlanner from './components/DayPlanner';
+import CommandPalette from './components/CommandPalette';
+import BadgeGallery from './components/BadgeGallery';
 import { useFocusCoach } from './hooks/useAgents';
 import { getOrCreateUserId } from './utils/userId';
 import { loadStateFromCloud, saveStateToCloud } from './api/cloudState';
 import { buildCloudState, applyCloudState, isValidCloudState } from './utils/cloudState';
+import { loadCycleSettings, saveCycleSettings } from './utils/cycleSettings';
+import { saveSessionCheckpoint, clearSessionCheckpoint } from './utils/sessionCheckpoint';
+import { TAB_ID } from './utils/tabSync';
+import { TIMER_EVENTS, subscribeTimerEvent, publishTimerEvent } from './utils/timerEvents';
+import { playChime } from './utils/audioChimes';
+import { AMBIENT_COMPLETION_FADE, playAmbient, stopAmbient } from './utils/ambientSound';
+import { isBreakPhase } from './utils/timerLogic';
+import { showTimerNotification } from './utils/notifications';
+import { loadAlertSettings, saveAlertSettings } from './utils/alertSettings';
+import { loadSessionSettings, saveSessionSettings } from './utils/sessionSettings';
+import { getDueBlocks, claimBlockPrompt } from './utils/dayPlan';
+import { formatDuration, formatTime, formatDate, calculateStreak, getDayKey } from './utils/sessionHistory';
+import { planFreezeUse, shouldEarnStreakFreeze } from './utils/streakProtection';
+import {
+  buildAchievementContext,
+  findNewAchievements,
+  claimAchievementAnnouncement
+} from './utils/achievements';
+import { getWishlistSummary, claimWishlistAnnouncement } from './utils/wishlist';
+import {
+  getPlanBlockDueMessage,
+  getStreakFreezeUsedMessage,
+  getStreakFreezeEarnedMessage,
+  getAchievementUnlockedMessage,
+  getAchievementsUnlockedMessage,
+  getWishlistAffordableMessage
+} from './agents/kiroDialogue';
+
+// How often a running session is re-checkpointed when nothing else changes
+const CHECKPOINT_INTERVAL = 10000;
+
+// How often the day plan is checked for due blocks
+const PLAN_CHECK_INTERVAL = 30000;
+
+// How often to check whether the day has rolled over (streak re-check)
+const STREAK_CHECK_INTERVAL = 60000;
 
 // Cloud State Context for sharing save function across components
 const CloudStateContext = createContext(null);
@@ -31,17 +73,20 @@ function Navigation() {
   
   const navItems = [
     { id: 'timer', label: 'Timer', icon: Clock },
+    { id: 'plan', label: 'Plan', icon: CalendarClock },
     { id: 'shop', label: 'Shop', icon: ShoppingBag },
     { id: 'canvas', label: 'Canvas', icon: Layout },
     { id: 'history', label: 'History', icon: History },
+    { id: 'badges', label: 'Badges', icon: Award },
   ];
   
   return (
     <nav className="flex justify-center gap-2 p-4">
-      {navItems.map(({ id, label, icon: Icon }) => (
+      {navItems.map(({ id, label, icon: Icon }, index) => (
         <button
           key={id}
           onClick={() => actions.setActiveView(id)}
+          title={`${label} (${index + 1})`}
           className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-smooth ${
             activeView === id
               ? 'bg-kiro-purple text-kiro-bg'
@@ -56,14 +101,15 @@ function Navigation() {
   );
 }
 
-// Credit display in header with animated counter
+// Level and credit display in header with animated counter
 function CreditHeader() {
   const { state } = useApp();
-  const { credits } = state.userProgress;
+  const { userProgress, architecture } = state;
   
   return (
-    <div className="flex items-center justify-end p-4">
-      <CreditDisplay credits={credits} />
+    <div className="flex items-center justify-end gap-3 p-4">
+      <LevelDisplay userProgress={userProgress} architecture={architecture} />
+      <CreditDisplay credits={userProgress.credits} />
     </div>
   );
 }
@@ -154,11 +200,356 @@ function ReEngagementChecker() {
   return null;
 }
 
+// Device-local cycle mode preferences (Requirements 21.7)
+function CyclePreferences() {
+  const { state, actions } = useApp();
+  const { enabled, settings } = state.cycleState;
+  const isFirstRunRef = useRef(true);
+  
+  // Restore saved preferences on mount
+  useEffect(() => {
+    const saved = loadCycleSettings();
+    if (saved) {
+      actions.setCycleEnabled(saved.enabled);
+      actions.updateCycleSettings(saved.settings);
+    }
+  }, []); // Empty deps - only run once on mount
+  
+  // Persist every change (skipping the defaults rendered before the restore)
+  useEffect(() => {
+    if (isFirstRunRef.current) {
+      isFirstRunRef.current = false;
+      return;
+    }
+    saveCycleSettings({ enabled, settings });
+  }, [enabled, settings]);
+  
+  return null;
+}
+
+// Checkpoint the running session locally so a reload can restore it (Requirements 22.1, 22.5)
+// Only the tab that owns the session writes the checkpoint (Requirements 23.1)
+function SessionCheckpointer() {
+  const { state } = useApp();
+  const { timerState, cycleState } = state;
+  const ownsSession = timerState.isActive && timerState.ownerTabId === TAB_ID;
+  const stateRef = useRef({ timerState, cycleState });
+  const wasOwnedRef = useRef(false);
+  
+  useEffect(() => {
+    stateRef.current = { timerState, cycleState };
+    
+    if (ownsSession) {
+      saveSessionCheckpoint(timerState, cycleState);
+    } else if (wasOwnedRef.current && !timerState.isActive) {
+      // Only clear on a real stop so a pending checkpoint survives until it is recovered
+      clearSessionCheckpoint();
+    }
+    wasOwnedRef.current = ownsSession;
+  }, [timerState, cycleState, ownsSession]);
+  
+  // Heartbeat keeps savedAt fresh even while paused
+  useEffect(() => {
+    if (!ownsSession) return;
+    
+    const interval = setInterval(() => {
+      saveSessionCheckpoint(stateRef.current.timerState, stateRef.current.cycleState);
+    }, CHECKPOINT_INTERVAL);
+    
+    return () => clearInterval(interval);
+  }, [ownsSession]);
+  
+  return null;
+}
+
+// Device-local session preferences such as flow mode (Requirements 29.5)
+function SessionPreferences() {
+  const { state, actions } = useApp();
+  const { sessionSettings } = state;
+  const isFirstRunRef = useRef(true);
+  
+  // Restore saved preferences on mount
+  useEffect(() => {
+    const saved = loadSessionSettings();
+    if (saved) {
+      actions.updateSessionSettings(saved);
+    }
+  }, []); // Empty deps - only run once on mount
+  
+  // Persist every change (skipping the defaults rendered before the restore)
+  useEffect(() => {
+    if (isFirstRunRef.current) {
+      isFirstRunRef.current = false;
+      return;
+    }
+    saveSessionSettings(sessionSettings);
+  }, [sessionSettings]);
+  
+  return null;
+}
+
+// Notifications and chimes for timer milestones (Requirements 25.1, 25.2, 25.3, 25.5)
+function TimerAlerts() {
+  const { state, actions } = useApp();
+  const { alertSettings } = state;
+  const settingsRef = useRef(alertSettings);
+  const isFirstRunRef = useRef(true);
+  
+  // Restore saved preferences on mount
+  useEffect(() => {
+    const saved = loadAlertSettings();
+    if (saved) {
+      actions.updateAlertSettings(saved);
+    }
+  }, []); // Empty deps - only run once on mount
+  
+  // Persist every change (skipping the defaults rendered before the restore)
+  useEffect(() => {
+    settingsRef.current = alertSettings;
+    if (isFirstRunRef.current) {
+      isFirstRunRef.current = false;
+      return;
+    }
+    saveAlertSettings(alertSettings);
+  }, [alertSettings]);
+  
+  useEffect(() => {
+    const unsubscribers = Object.values(TIMER_EVENTS).map((event) =>
+      subscribeTimerEvent(event, (payload) => {
+        const settings = settingsRef.current;
+        playChime(event, settings.volumes[event]);
+        if (settings.notificationsEnabled) {
+          showTimerNotification(event, payload);
+        }
+      })
+    );
+    
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, []);
+  
+  return null;
+}
+
+// Ambient soundscape follows the focus timer in the tab that owns it (Requirements 34.2)
+function AmbientSoundscape() {
+  const { state } = useApp();
+  const { timerState, sessionSettings } = state;
+  const { ambientSound, ambientVolume } = sessionSettings;
+  const shouldPlay = timerState.isActive
+    && !timerState.isPaused
+    && !isBreakPhase(timerState.phase)
+    && timerState.ownerTabId === TAB_ID;
+  
+  // Starting, resuming or changing the sound plays it; pausing or stopping silences it
+  useEffect(() => {
+    if (shouldPlay) {
+      playAmbient(ambientSound, ambientVolume);
+    } else {
+      stopAmbient();
+    }
+  }, [shouldPlay, ambientSound, ambientVolume]);
+  
+  // A completed session fades out gently instead of cutting off
+  useEffect(() => {
+    const unsubscribe = subscribeTimerEvent(TIMER_EVENTS.SESSION_COMPLETE, () => {
+      stopAmbient(AMBIENT_COMPLETION_FADE);
+    });
+    
+    return () => {
+      unsubscribe();
+      stopAmbient();
+    };
+  }, []);
+  
+  return null;
+}
+
+// Prompt when a day plan block is due (Requirements 32.2)
+// Waits while a focus session runs so the prompt never interrupts one
+function PlanReminder() {
+  const { state, actions } = useApp();
+  const stateRef = useRef(state);
+  
+  useEffect(() => {
+    stateRef.current = state;
+  }, [state]);
+  
+  useEffect(() => {
+    const checkPlan = () => {
+      const { userProgress, timerState } = stateRef.current;
+      if (timerState.isActive) return;
+      
+      const [block] = getDueBlocks(userProgress.plannedBlocks, userProgress.sessionHistory)
+        .filter(b => claimBlockPrompt(b.id));
+      if (!block) return;
+      
+      actions.setKiroEmotion('encouraging');
+      actions.setKiroMessage({
+        text: getPlanBlockDueMessage(formatTime(block.startAt), formatDuration(block.duration), block.task),
+        timestamp: Date.now(),
+        duration: 8000
+      });
+      publishTimerEvent(TIMER_EVENTS.PLAN_BLOCK_DUE, { task: block.task, duration: block.duration });
+    };
+    
+    checkPlan();
+    const interval = setInterval(checkPlan, PLAN_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [actions.setKiroEmotion, actions.setKiroMessage]);
+  
+  return null;
+}
+
+// Keep the streak current: freezes cover missed days, milestones earn freezes (Requirements 37.1, 37.2)
+function StreakKeeper() {
+  const { state, actions } = useApp();
+  const { triggerCloudSave } = useCloudState();
+  const { sessionHistory, currentStreak, streakFreezes, streakFreezeTimes, frozenDays, restDays } = state.userProgress;
+  const [today, setToday] = useState(() => getDayKey(Date.now()));
+  
+  useEffect(() => {
+    const interval = setInterval(() => setToday(getDayKey(Date.now())), STREAK_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+  
+  useEffect(() => {
+    const freezeDays = planFreezeUse(sessionHistory, { restDays, frozenDays, freezeTimes: streakFreezeTimes });
+    if (freezeDays.length > 0) {
+      // The streak itself is updated on the next pass, once the days are frozen
+      actions.consumeStreakFreezes(freezeDays);
+      const streak = calculateStreak(sessionHistory, { restDays, frozenDays: [...frozenDays, ...freezeDays] });
+      const daysText = freezeDays
+        .map(day => formatDate(new Date(`${day}T00:00`).getTime()))
+        .reverse()
+        .join(' and ');
+      actions.setKiroEmotion('encouraging');
+      actions.setKiroMessage({
+        text: getStreakFreezeUsedMessage(daysText, streak, streakFreezes - freezeDays.length),
+        timestamp: Date.now(),
+        duration: 7000
+      });
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+      return;
+    }
+    
+    const streak = calculateStreak(sessionHistory, { restDays, frozenDays });
+    if (streak === currentStreak) return;
+    
+    actions.updateStreak(streak);
+    if (shouldEarnStreakFreeze(currentStreak, streak, streakFreezes)) {
+      actions.addStreakFreezes(1);
+      actions.setKiroEmotion('celebrating');
+      actions.setKiroMessage({
+        text: getStreakFreezeEarnedMessage(streak),
+        timestamp: Date.now(),
+        duration: 6000
+      });
+    }
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  }, [
+    today,
+    sessionHistory,
+    currentStreak,
+    streakFreezes,
+    streakFreezeTimes,
+    frozenDays,
+    restDays,
+    actions.consumeStreakFreezes,
+    actions.updateStreak,
+    actions.addStreakFreezes,
+    actions.setKiroEmotion,
+    actions.setKiroMessage,
+    triggerCloudSave
+  ]);
+  
+  return null;
+}
+
+// Unlocks achievements as progress changes and celebrates them (Requirements 39.2, 39.3)
+function AchievementTracker() {
+  const { state, actions } = useApp();
+  const { triggerCloudSave } = useCloudState();
+  const { userProgress, architecture } = state;
+  
+  useEffect(() => {
+    const unlocked = findNewAchievements(
+      buildAchievementContext(userProgress, architecture),
+      userProgress.achievements
+    );
+    if (unlocked.length === 0) return;
+    
+    actions.unlockAchievements(unlocked.map(a => a.id));
+    
+    // Another open tab may already have announced these
+    const toAnnounce = unlocked.filter(a => claimAchievementAnnouncement(a.id));
+    if (toAnnounce.length > 0) {
+      actions.setKiroEmotion('celebrating');
+      actions.setKiroMessage({
+        text: toAnnounce.length === 1
+          ? getAchievementUnlockedMessage(toAnnounce[0])
+          : getAchievementsUnlockedMessage(toAnnounce.length),
+        timestamp: Date.now(),
+        duration: 6000
+      });
+    }
+    
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  }, [
+    userProgress,
+    architecture,
+    actions.unlockAchievements,
+    actions.setKiroEmotion,
+    actions.setKiroMessage,
+    triggerCloudSave
+  ]);
+  
+  return null;
+}
+
+// Announce wishlist items the balance has just reached (Requirements 45.3)
+function WishlistWatcher() {
+  const { state, actions } = useApp();
+  const { userProgress } = state;
+  const affordableRef = useRef(null);
+  
+  useEffect(() => {
+    const { items } = getWishlistSummary(userProgress.wishlist, userProgress);
+    const previous = affordableRef.current;
+    affordableRef.current = new Map(items.map(item => [item.id, item.affordable]));
+    
+    // The first pass, and items pinned since the last one, only record what's already affordable
+    if (!previous) return;
+    const reached = items.find(
+      item => item.affordable && previous.get(item.id) === false && claimWishlistAnnouncement(item)
+    );
+    if (!reached) return;
+    
+    actions.setKiroEmotion('celebrating');
+    actions.setKiroMessage({
+      text: getWishlistAffordableMessage(reached.label, reached.cost),
+      timestamp: Date.now(),
+      duration: 6000
+    });
+  }, [userProgress, actions.setKiroEmotion, actions.setKiroMessage]);
+  
+  return null;
+}
+
 // View components
 function TimerView() {
   return <Timer />;
 }
 
+function PlanView() {
+  return <DayPlanner />;
+}
+
 function ShopView() {
   return <ComponentShop />;
 }
@@ -171,6 +562,10 @@ function HistoryView() {
   return <SessionHistory />;
 }
 
+function BadgesView() {
+  return <BadgeGallery />;
+}
+
 // Main content area that switches between views
 function MainContent() {
   const { state } = useApp();
@@ -178,9 +573,11 @@ function MainContent() {
   
   const views = {
     timer: TimerView,
+    plan: PlanView,
     shop: ShopView,
     canvas: CanvasView,
     history: HistoryView,
+    badges: BadgesView,
   };
   
   const ViewComponent = views[activeView] || TimerView;
@@ -221,33 +618,54 @@ function AppLayoutWithCloudState() {
 
   return (
     <CloudStateContext.Provider value={{ triggerCloudSave, isLoading }}>
-      <div className="h-screen bg-kiro-bg flex flex-col overflow-hidden">
-        {/* Re-engagement checker (invisible) */}
-        <ReEngagementChecker />
-        
-        {/* Header with credits */}
-        <header className="border-b border-kiro-purple/20 flex-shrink-0">
-          <div className="max-w-6xl mx-auto flex justify-between items-center px-4">
-            <div className="py-3">
-              <h1 className="text-xl font-bold text-kiro-purple">Nimbus</h1>
+      <TimerSessionProvider>
+        <div className="h-screen bg-kiro-bg flex flex-col overflow-hidden">
+          {/* Re-engagement checker (invisible) */}
+          <ReEngagementChecker />
+          
+          {/* Cycle mode preferences (invisible) */}
+          <CyclePreferences />
+          
+          {/* Session checkpointer (invisible) */}
+          <SessionCheckpointer />
+          
+          {/* Timer notifications and chimes (invisible) */}
+          <TimerAlerts />
+          <SessionPreferences />
+          <SessionReflection />
+          <PlanReminder />
+          <StreakKeeper />
+          <AchievementTracker />
+          <WishlistWatcher />
+          <AmbientSoundscape />
+          
+          {/* Header with credits */}
+          <header className="border-b border-kiro-purple/20 flex-shrink-0">
+            <div className="max-w-6xl mx-auto flex justify-between items-center px-4">
+              <div className="py-3">
+                <h1 className="text-xl font-bold text-kiro-purple">Nimbus</h1>
+              </div>
+              <div className="flex items-center gap-2">
+                <CommandPalette />
+                <CreditHeader />
+              </div>
             </div>
-            <CreditHeader />
+          </header>
+          
+          {/* Navigation */}
+          <div className="flex-shrink-0">
+            <Navigation />
           </div>
-        </header>
-        
-        {/* Navigation */}
-        <div className="flex-shrink-0">
-          <Navigation />
+          
+          {/* Main content area - fills remaining space */}
+          <main className="flex-1 max-w-6xl mx-auto w-full overflow-auto">
+            <MainContent />
+          </main>
+          
+          {/* Kiro mascot (fixed position) */}
+          <KiroMascotWrapper />
         </div>
-        
-        {/* Main content area - fills remaining space */}
-        <main className="flex-1 max-w-6xl mx-auto w-full overflow-auto">
-          <MainContent />
-        </main>
-        
-        {/* Kiro mascot (fixed position) */}
-        <KiroMascotWrapper />
-      </div>
+      </TimerSessionProvider>
     </CloudStateContext.Provider>
   );
 }
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  buildAchievementContext,
+  getAchievementProgress,
+  findNewAchievements
+} from '../utils/achievements';
+import { ACHIEVEMENTS } from '../data/achievements';
+
+const counterKeys = ['sessionsCompleted', 'focusSeconds', 'longestSessionSeconds', 'streak', 'ownedComponents', 'upgrades'];
+
+const contextArb = fc.record({
+  sessionsCompleted: fc.integer({ min: 0, max: 500 }),
+  focusSeconds: fc.integer({ min: 0, max: 500 * 3600 }),
+  longestSessionSeconds: fc.integer({ min: 0, max: 4 * 3600 }),
+  streak: fc.integer({ min: 0, max: 400 }),
+  ownedComponents: fc.integer({ min: 0, max: 30 }),
+  upgrades: fc.integer({ min: 0, max: 60 })
+}).map(counters => ({ ...counters, placedComponents: [], connections: [] }));
+
+const sessionArb = fc.record({
+  id: fc.uuid(),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  duration: fc.integer({ min: 0, max: 4 * 3600 }),
+  completed: fc.boolean()
+});
+
+describe('achievements', () => {
+  // **Feature: nimbus, Property 95: Achievement Progress Cap**
+  // **Validates: Requirements 39.1, 39.4**
+  it('caps progress at the target', () => {
+    fc.assert(
+      fc.property(contextArb, fc.constantFrom(...ACHIEVEMENTS), (context, achievement) => {
+        const { current, target, complete } = getAchievementProgress(achievement, context);
+        expect(current).toBeGreaterThanOrEqual(0);
+        expect(current).toBeLessThanOrEqual(target);
+        expect(complete).toBe(current === target);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 96: Achievement Monotonicity**
+  // **Validates: Requirements 39.2**
+  it('is monotonic in every progress counter', () => {
+    fc.assert(
+      fc.property(contextArb, contextArb, (a, b) => {
+        const lower = { ...a };
+        const higher = { ...a };
+        counterKeys.forEach(key => {
+          lower[key] = Math.min(a[key], b[key]);
+          higher[key] = Math.max(a[key], b[key]);
+        });
+
+        ACHIEVEMENTS.forEach(achievement => {
+          if (getAchievementProgress(achievement, lower).complete) {
+            expect(getAchievementProgress(achievement, higher).complete).toBe(true);
+          }
+        });
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 97: New Achievement Detection**
+  // **Validates: Requirements 39.2**
+  it('reports exactly the met achievements not yet unlocked', () => {
+    fc.assert(
+      fc.property(contextArb, fc.subarray(ACHIEVEMENTS.map(a => a.id)), (context, unlockedIds) => {
+        const unlocked = unlockedIds.map(id => ({ id, unlockedAt: 0 }));
+        const found = findNewAchievements(context, unlocked).map(a => a.id);
+        const expected = ACHIEVEMENTS
+          .filter(a => !unlockedIds.includes(a.id) && getAchievementProgress(a, context).complete)
+          .map(a => a.id);
+        expect(found).toEqual(expected);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 98: Archived Session Counting**
+  // **Validates: Requirements 39.1, 39.5**
+  it('counts archived sessions like the ones still in history', () => {
+    fc.assert(
+      fc.property(fc.array(sessionArb, { maxLength: 40 }), fc.nat(), (sessions, cut) => {
+        const split = cut % (sessions.length + 1);
+        const trimmed = sessions.slice(0, split);
+        const full = buildAchievementContext({ sessionHistory: sessions }, null);
+        const archived = buildAchievementContext({
+          sessionHistory: sessions.slice(split),
+          archivedSessionsCompleted: trimmed.filter(s => s.completed).length,
+          archivedFocusSeconds: trimmed.reduce((sum, s) => sum + s.duration, 0)
+        }, null);
+
+        expect(archived.sessionsCompleted).toBe(full.sessionsCompleted);
+        expect(archived.focusSeconds).toBe(full.focusSeconds);
+      })
+    );
+  });
+});
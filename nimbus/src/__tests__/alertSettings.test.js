@@ -0,0 +1,40 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { DEFAULT_ALERT_SETTINGS, loadAlertSettings, saveAlertSettings } from '../utils/alertSettings';
+import { TIMER_EVENTS } from '../utils/timerEvents';
+
+const volumesArb = fc.record(
+  Object.fromEntries(Object.values(TIMER_EVENTS).map(event => [event, fc.double({ min: 0, max: 1, noNaN: true })])),
+  { requiredKeys: [] }
+);
+
+describe('alert settings', () => {
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // **Feature: nimbus, Property 51: Alert Settings Round-Trip**
+  // **Validates: Requirements 25.2, 25.5**
+  it('restores saved volumes over the defaults and keeps notifications opt-in', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.boolean(), fc.string(), fc.constant(undefined)), volumesArb, (notificationsEnabled, volumes) => {
+        expect(DEFAULT_ALERT_SETTINGS.notificationsEnabled).toBe(false);
+
+        saveAlertSettings({ notificationsEnabled, volumes });
+        const loaded = loadAlertSettings();
+
+        expect(loaded.notificationsEnabled).toBe(notificationsEnabled === true);
+        expect(loaded.volumes).toEqual({ ...DEFAULT_ALERT_SETTINGS.volumes, ...volumes });
+      })
+    );
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { AMBIENT_SOUNDS, DEFAULT_AMBIENT_VOLUME, clampAmbientVolume, isValidAmbientSound } from '../utils/ambientSound';
+
+describe('ambient sound', () => {
+  // **Feature: nimbus, Property 76: Ambient Volume Clamping**
+  // **Validates: Requirements 34.1**
+  it('clamps any volume into 0..1 and falls back to the default for non-numbers', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(
+          fc.double({ noNaN: true }),
+          fc.double({ min: 0, max: 1, noNaN: true }).map(String),
+          fc.constantFrom(NaN, 'loud', undefined, {})
+        ),
+        (volume) => {
+          const clamped = clampAmbientVolume(volume);
+          const parsed = Number(volume);
+
+          expect(clamped).toBeGreaterThanOrEqual(0);
+          expect(clamped).toBeLessThanOrEqual(1);
+          if (Number.isNaN(parsed)) {
+            expect(clamped).toBe(DEFAULT_AMBIENT_VOLUME);
+          } else {
+            expect(clamped).toBe(Math.max(0, Math.min(1, parsed)));
+          }
+          expect(clampAmbientVolume(clamped)).toBe(clamped);
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 77: Ambient Sound Validation**
+  // **Validates: Requirements 34.1**
+  it('accepts only the known soundscapes', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.constantFrom(...Object.values(AMBIENT_SOUNDS)), fc.string(), fc.constant(null)), (sound) => {
+        expect(isValidAmbientSound(sound)).toBe(Object.values(AMBIENT_SOUNDS).includes(sound));
+      })
+    );
+  });
+});
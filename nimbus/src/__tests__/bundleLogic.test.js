@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  getBundleComponents,
+  getBundlePrice,
+  canPurchaseBundle,
+  planBundlePlacement,
+  applyBundlePurchase
+} from '../utils/bundleLogic';
+import { createLedgerEntry, LEDGER_ENTRY_TYPES } from '../utils/creditLedger';
+import { getOwnedCount } from '../utils/ownedComponents';
+import { findAvailablePosition, generateComponentId, isValidPlacement } from '../utils/canvasLogic';
+import { isValidConnection } from '../utils/connectionRules';
+import { getComponentById, COMPONENTS_CATALOG } from '../data/components';
+import { BUNDLES } from '../data/bundles';
+
+// Level high enough for every catalog section
+const MAX_LEVEL = 10;
+
+const bundleArb = fc.constantFrom(...BUNDLES);
+
+const ownedArb = fc.dictionary(
+  fc.constantFrom(...COMPONENTS_CATALOG.map(c => c.id)),
+  fc.integer({ min: 1, max: 3 })
+);
+
+// A canvas filled front to back like auto-placement does, with some components removed
+const canvasArb = fc.array(
+  fc.record({ type: fc.constantFrom(...COMPONENTS_CATALOG.map(c => c.id)), keep: fc.boolean() }),
+  { maxLength: 60 }
+).map(entries => entries.reduce((placed, { type }) => {
+  const position = findAvailablePosition(placed);
+  return position ? [...placed, { id: generateComponentId(type, placed), type, position, tier: 1 }] : placed;
+}, []).filter((_, i) => entries[i]?.keep !== false));
+
+describe('starter-kit bundles', () => {
+  // **Feature: nimbus, Property 116: Bundle Discount**
+  // **Validates: Requirements 44.1**
+  it('prices bundles at or below the full price', () => {
+    fc.assert(
+      fc.property(bundleArb, ownedArb, (bundle, owned) => {
+        const { fullPrice, price, savings } = getBundlePrice(bundle, owned);
+        expect(price).toBeGreaterThanOrEqual(0);
+        expect(price).toBeLessThanOrEqual(fullPrice);
+        expect(savings).toBe(fullPrice - price);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 117: Bundle Affordability**
+  // **Validates: Requirements 44.2**
+  it('requires the bundle price in credits', () => {
+    fc.assert(
+      fc.property(bundleArb, ownedArb, fc.integer({ min: 0, max: 5000 }), (bundle, owned, credits) => {
+        const result = canPurchaseBundle(bundle, credits, owned, MAX_LEVEL);
+        if (credits < getBundlePrice(bundle, owned).price) {
+          expect(result.canPurchase).toBe(false);
+        }
+        if (result.canPurchase) {
+          getBundleComponents(bundle).forEach(component => {
+            expect(owned[component.id] || 0).toBeLessThan(component.maxInstances || 1);
+          });
+        }
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 118: Bundle Placement**
+  // **Validates: Requirements 44.3**
+  it('places bundle components without overlapping the canvas', () => {
+    fc.assert(
+      fc.property(bundleArb, canvasArb, (bundle, canvas) => {
+        const { instances } = planBundlePlacement(bundle, canvas, 0);
+        const placed = [...canvas];
+        instances.forEach(instance => {
+          expect(isValidPlacement(instance.position, placed)).toBe(true);
+          expect(placed.some(p => p.id === instance.id)).toBe(false);
+          placed.push(instance);
+        });
+        expect(instances.length).toBeLessThanOrEqual(getBundleComponents(bundle).length);
+        if (canvas.length === 0) {
+          expect(instances).toHaveLength(getBundleComponents(bundle).length);
+        }
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 119: Bundle Wiring**
+  // **Validates: Requirements 44.3**
+  it('wires bundle components only along valid connections', () => {
+    fc.assert(
+      fc.property(bundleArb, canvasArb, fc.integer({ min: 0, max: 2 ** 40 }), (bundle, canvas, now) => {
+        const { instances, connections } = planBundlePlacement(bundle, canvas, now);
+        const byId = Object.fromEntries(instances.map(instance => [instance.id, instance]));
+        connections.forEach(conn => {
+          expect(byId[conn.from]).toBeDefined();
+          expect(byId[conn.to]).toBeDefined();
+          expect(isValidConnection(
+            getComponentById(byId[conn.from].type.toLowerCase()),
+            getComponentById(byId[conn.to].type.toLowerCase())
+          )).toBe(true);
+          expect(conn.createdAt).toBe(now);
+        });
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 120: Bundle Purchase Grants Every Component**
+  // **Validates: Requirements 36.1, 44.3**
+  it('owns every bundle component even when only some fit on the canvas', () => {
+    fc.assert(
+      fc.property(bundleArb, ownedArb, canvasArb, fc.integer({ min: 0, max: 5000 }), (bundle, owned, canvas, credits) => {
+        const componentIds = getBundleComponents(bundle).map(component => component.id);
+        const { price } = getBundlePrice(bundle, owned);
+        const { instances, connections } = planBundlePlacement(bundle, canvas, 0);
+        const entry = createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, amount: -price, reason: 'Bought a kit' });
+        const state = {
+          userProgress: { credits, creditLedger: [], ownedComponents: owned, lastPlacedAt: {}, mostConnections: 0, builtPatterns: [] },
+          architecture: { placedComponents: canvas, connections: [] }
+        };
+        const purchased = applyBundlePurchase(state, { componentIds, instances, connections, amount: price, entry });
+        
+        // A rejected spend grants nothing
+        if (price > credits) {
+          expect(purchased).toBeNull();
+          return;
+        }
+        expect(purchased.userProgress.credits).toBe(credits - price);
+        expect(purchased.userProgress.creditLedger).toHaveLength(1);
+        componentIds.forEach(id => {
+          expect(getOwnedCount(id, purchased.userProgress.ownedComponents)).toBe(getOwnedCount(id, owned) + 1);
+        });
+        expect(purchased.architecture.placedComponents).toEqual([...canvas, ...instances]);
+        expect(purchased.architecture.connections).toEqual(connections);
+      })
+    );
+  });
+});
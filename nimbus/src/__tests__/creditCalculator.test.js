@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { calculateBaseCredits, calculateTotalCredits, evaluateCreditRules } from '../utils/creditCalculator';
+import { getCreditRuleset } from '../data/creditRules';
+import { MAX_OVERTIME } from '../utils/timerLogic';
+import { STRICT_POLICIES, getCompletionBonusMultiplier } from '../utils/strictMode';
+
+/**
+ * Session pricing as it was before credit rulesets (version 1).
+ * Kept here as the reference the declarative rules must reproduce.
+ */
+function legacyTotalCredits({ duration, completed, pauseCount, overtime = 0, awayTime = 0, strictPolicy = null }, streak) {
+  const baseOf = (seconds) => (seconds <= 0 ? 0 : Math.floor(seconds / 90));
+
+  if (!completed) {
+    return Math.floor(baseOf(duration) * 0.5);
+  }
+
+  const base = baseOf(duration);
+  const penalizedAwayTime = strictPolicy === STRICT_POLICIES.REDUCE_BONUS ? awayTime : 0;
+  const completion = pauseCount === 0
+    ? Math.floor(base * 0.2 * getCompletionBonusMultiplier(penalizedAwayTime, duration + overtime))
+    : 0;
+  const streakBonus = streak > 0 ? Math.floor(base * Math.min(streak * 0.05, 0.5)) : 0;
+  const longSession = duration >= 3600 ? Math.floor(base * 0.1) : 0;
+  const overtimeBonus = overtime > 0 ? Math.floor(baseOf(overtime) * 1.25) : 0;
+
+  return base + completion + streakBonus + longSession + overtimeBonus;
+}
+
+const rulesetSessionArb = fc.record({
+  duration: fc.integer({ min: 0, max: 4 * 3600 }),
+  completed: fc.boolean(),
+  pauseCount: fc.integer({ min: 0, max: 5 }),
+  overtime: fc.integer({ min: 0, max: 3600 }),
+  awayTime: fc.integer({ min: 0, max: 3600 }),
+  strictPolicy: fc.constantFrom(null, ...Object.values(STRICT_POLICIES))
+});
+
+const streakArb = fc.integer({ min: 0, max: 30 });
+
+const sessionArb = fc.record({
+  duration: fc.integer({ min: 5, max: 120 }).map(m => m * 60),
+  completed: fc.boolean(),
+  pauseCount: fc.nat({ max: 5 }),
+  overtime: fc.nat({ max: MAX_OVERTIME })
+});
+
+describe('overtime credits', () => {
+  // **Feature: nimbus, Property 63: Overtime Credit Bonus**
+  // **Validates: Requirements 29.2**
+  it('pays overtime at the base rate plus 25% on top of the planned-duration credits', () => {
+    fc.assert(
+      fc.property(sessionArb, fc.nat({ max: 30 }), (session, streak) => {
+        const credits = calculateTotalCredits(session, streak);
+        const planned = calculateTotalCredits({ ...session, overtime: 0 }, streak);
+
+        if (!session.completed) {
+          expect(credits).toEqual(planned);
+          return;
+        }
+        expect(credits.overtime).toBe(Math.floor(calculateBaseCredits(session.overtime) * 1.25));
+        expect(credits.total).toBe(planned.total + credits.overtime);
+        ['base', 'completion', 'streak', 'longSession', 'partial'].forEach(line => {
+          expect(credits[line]).toBe(planned[line]);
+        });
+      })
+    );
+  });
+});
+
+describe('credit rulesets', () => {
+  // **Feature: nimbus, Property 79: Ruleset Version 1 Compatibility**
+  // **Validates: Requirements 35.1, 35.3**
+  it('prices version 1 sessions like the original formulas', () => {
+    fc.assert(
+      fc.property(rulesetSessionArb, streakArb, (session, streak) => {
+        const result = calculateTotalCredits(session, streak, 1);
+        expect(result.total).toBe(legacyTotalCredits(session, streak));
+        expect(result.taper).toBe(0);
+        expect(result.rulesVersion).toBe(1);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 80: Credit Breakdown Totals**
+  // **Validates: Requirements 35.2**
+  it('adds the breakdown lines up to the total', () => {
+    fc.assert(
+      fc.property(rulesetSessionArb, streakArb, fc.constantFrom(1, 2), fc.integer({ min: 0, max: 12 * 3600 }),
+        (session, streak, version, focusedToday) => {
+          const result = calculateTotalCredits({ ...session, focusedToday }, streak, version);
+          const sum = result.breakdown.reduce((total, line) => total + line.credits, 0);
+          expect(sum).toBe(result.total);
+        })
+    );
+  });
+
+  // **Feature: nimbus, Property 81: Non-Negative Rule Results**
+  // **Validates: Requirements 35.1**
+  it('never produces negative rule results', () => {
+    fc.assert(
+      fc.property(rulesetSessionArb, streakArb, fc.constantFrom(1, 2), (session, streak, version) => {
+        const ruleset = getCreditRuleset(version);
+        const { results } = evaluateCreditRules(
+          session.completed ? ruleset.completed : ruleset.abandoned,
+          { ...session, streak }
+        );
+        Object.values(results).forEach(credits => expect(credits).toBeGreaterThanOrEqual(0));
+      })
+    );
+  });
+});
+
+describe('daily taper (ruleset version 2)', () => {
+  // **Feature: nimbus, Property 92: Taper Bounds**
+  // **Validates: Requirements 38.1, 38.4**
+  it('keeps totals between zero and the version 1 total', () => {
+    fc.assert(
+      fc.property(sessionArb, streakArb, fc.integer({ min: 0, max: 12 * 3600 }), (session, streak, focusedToday) => {
+        const tapered = calculateTotalCredits({ ...session, focusedToday }, streak, 2);
+        const untapered = calculateTotalCredits(session, streak, 1);
+        expect(tapered.taper).toBeGreaterThanOrEqual(0);
+        expect(tapered.total).toBeGreaterThanOrEqual(0);
+        expect(tapered.total).toBeLessThanOrEqual(untapered.total);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 93: Taper Monotonicity**
+  // **Validates: Requirements 38.1**
+  it('is monotonic in the time already focused that day', () => {
+    fc.assert(
+      fc.property(
+        sessionArb,
+        streakArb,
+        fc.integer({ min: 0, max: 12 * 3600 }),
+        fc.integer({ min: 0, max: 12 * 3600 }),
+        (session, streak, a, b) => {
+          const earlier = calculateTotalCredits({ ...session, focusedToday: Math.min(a, b) }, streak, 2);
+          const later = calculateTotalCredits({ ...session, focusedToday: Math.max(a, b) }, streak, 2);
+          expect(later.total).toBeLessThanOrEqual(earlier.total);
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 94: Full-Rate Tier**
+  // **Validates: Requirements 38.1**
+  it('leaves sessions within the full-rate tier untouched', () => {
+    fc.assert(
+      fc.property(sessionArb, streakArb, fc.integer({ min: 0, max: 4 * 3600 }), (session, streak, focusedToday) => {
+        fc.pre(focusedToday + session.duration + session.overtime <= 4 * 3600);
+        const tapered = calculateTotalCredits({ ...session, focusedToday }, streak, 2);
+        expect(tapered.taper).toBe(0);
+        expect(tapered.total).toBe(calculateTotalCredits(session, streak, 1).total);
+      })
+    );
+  });
+});
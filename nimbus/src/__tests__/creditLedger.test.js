@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  LEDGER_ENTRY_TYPES,
+  createLedgerEntry,
+  deriveBalance,
+  reconcileLedger,
+  importLedger,
+  applySpend,
+  compactLedger
+} from '../utils/creditLedger';
+import { applyCloudState } from '../utils/cloudState';
+
+const entryArb = fc.record({
+  type: fc.constantFrom(...Object.values(LEDGER_ENTRY_TYPES)),
+  amount: fc.integer({ min: -500, max: 500 }),
+  reason: fc.string(),
+  timestamp: fc.integer({ min: 0, max: 2 ** 42 })
+}).map(options => createLedgerEntry(options));
+
+const ledgerArb = fc.array(entryArb, { maxLength: 60 });
+
+// Cloud loads go through importState; capture what would be imported
+function loadFromCloud(cloudState) {
+  let imported = null;
+  applyCloudState(cloudState, { importState: (data) => { imported = data; } });
+  return imported.userProgress;
+}
+
+describe('credit ledger', () => {
+  // **Feature: nimbus, Property 82: Ledger Reconciliation**
+  // **Validates: Requirements 36.2, 36.3**
+  it('reconciles a balance derived from the ledger', () => {
+    fc.assert(
+      fc.property(ledgerArb, (ledger) => {
+        const check = reconcileLedger(ledger, deriveBalance(ledger));
+        expect(check.ok).toBe(true);
+        expect(check.difference).toBe(0);
+      })
+    );
+  });
+  
+  // **Feature: nimbus, Property 83: Ledger Compaction**
+  // **Validates: Requirements 36.5**
+  it('keeps the balance when compacting', () => {
+    fc.assert(
+      fc.property(ledgerArb, fc.integer({ min: 1, max: 30 }), (ledger, limit) => {
+        const compacted = compactLedger(ledger, limit);
+        expect(deriveBalance(compacted)).toBe(deriveBalance(ledger));
+        expect(compacted.length).toBeLessThanOrEqual(limit);
+      })
+    );
+  });
+  
+  // **Feature: nimbus, Property 84: Imported Ledger Reconciliation**
+  // **Validates: Requirements 36.2, 36.3**
+  it('matches the imported credits after an import with or without a ledger', () => {
+    fc.assert(
+      fc.property(ledgerArb, fc.option(ledgerArb), fc.integer({ min: 0, max: 100000 }), (current, imported, credits) => {
+        const ledger = importLedger(current, { credits, creditLedger: imported }, 'Imported data');
+        expect(reconcileLedger(ledger, credits).ok).toBe(true);
+        
+        // A reconciling ledger is kept as-is; otherwise exactly one import entry corrects it
+        const source = imported ?? current;
+        const added = ledger.slice(source.length);
+        expect(ledger.slice(0, source.length)).toEqual(source);
+        expect(added.length).toBe(deriveBalance(source) === credits ? 0 : 1);
+        added.forEach(entry => expect(entry.type).toBe(LEDGER_ENTRY_TYPES.IMPORT));
+      })
+    );
+  });
+  
+  // **Feature: nimbus, Property 85: Cloud Ledger Restore**
+  // **Validates: Requirements 36.2, 36.5**
+  it('restores cloud ledgers all-or-nothing', () => {
+    fc.assert(
+      fc.property(ledgerArb, fc.boolean(), (ledger, corrupt) => {
+        const credits = deriveBalance(ledger);
+        const stored = corrupt ? [...ledger, { id: 'broken', amount: 'lots' }] : ledger;
+        const restored = loadFromCloud({ credits, creditLedger: stored, sessionHistory: [] }).creditLedger;
+        
+        if (corrupt) {
+          expect(restored).toHaveLength(1);
+          expect(restored[0].type).toBe(LEDGER_ENTRY_TYPES.IMPORT);
+        } else {
+          expect(restored).toEqual(ledger);
+        }
+        expect(deriveBalance(restored)).toBe(credits);
+      })
+    );
+  });
+  
+  // **Feature: nimbus, Property 86: Purchase Spending**
+  // **Validates: Requirements 36.1**
+  it('debits an affordable spend with one ledger entry and rejects the rest whole', () => {
+    fc.assert(
+      fc.property(ledgerArb, fc.integer({ min: 0, max: 5000 }), (ledger, amount) => {
+        const userProgress = { credits: deriveBalance(ledger), creditLedger: ledger, ownedComponents: [] };
+        const entry = createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, amount: -amount, reason: 'Bought a server' });
+        const spent = applySpend(userProgress, amount, entry);
+        
+        if (amount > userProgress.credits) {
+          expect(spent).toBeNull();
+          return;
+        }
+        expect(spent.credits).toBe(userProgress.credits - amount);
+        expect(spent.creditLedger).toEqual([...ledger, { ...entry, amount: -amount }]);
+        expect(spent.ownedComponents).toBe(userProgress.ownedComponents);
+        expect(reconcileLedger(spent.creditLedger, spent.credits).ok).toBe(true);
+      })
+    );
+  });
+});
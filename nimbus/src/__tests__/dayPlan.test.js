@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  PLAN_RETENTION_DAYS,
+  BLOCK_STATUS,
+  createPlannedBlock,
+  isValidPlannedBlock,
+  addPlannedBlock,
+  getBlockStatus,
+  getDueBlocks,
+  summarizePlanByDate
+} from '../utils/dayPlan';
+import { MIN_PRESET_MINUTES, MAX_PRESET_MINUTES } from '../utils/presetLogic';
+
+const NOW = 1_700_000_000_000;
+const DAY = 86400000;
+const BLOCK_IDS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+const blockArb = fc.record({
+  startAt: fc.integer({ min: NOW - 20 * DAY, max: NOW + 3 * DAY }),
+  duration: fc.integer({ min: MIN_PRESET_MINUTES, max: MAX_PRESET_MINUTES }).map(m => m * 60)
+});
+
+// A plan with distinct block ids, and sessions some of which were started from its blocks
+const planArb = fc.tuple(
+  fc.uniqueArray(fc.constantFrom(...BLOCK_IDS), { maxLength: BLOCK_IDS.length }),
+  fc.array(blockArb, { minLength: BLOCK_IDS.length, maxLength: BLOCK_IDS.length }),
+  fc.array(
+    fc.record({
+      startTime: fc.integer({ min: NOW - 20 * DAY, max: NOW }),
+      duration: fc.integer({ min: 0, max: 7200 }),
+      completed: fc.boolean(),
+      type: fc.constantFrom(undefined, 'break'),
+      plannedBlockId: fc.option(fc.constantFrom(...BLOCK_IDS), { nil: undefined })
+    }),
+    { maxLength: 12 }
+  )
+).map(([ids, blocks, sessions]) => ({
+  blocks: ids.map((id, i) => ({ ...blocks[i], id, presetId: null, task: null, project: null })),
+  sessions
+}));
+
+describe('day plan', () => {
+  // **Feature: nimbus, Property 71: Planned Block Creation**
+  // **Validates: Requirements 32.1**
+  it('creates valid blocks and keeps the plan sorted without expired blocks', () => {
+    fc.assert(
+      fc.property(planArb, blockArb, fc.double({ min: -3600, max: 20000, noNaN: true }), ({ blocks }, { startAt }, duration) => {
+        const block = createPlannedBlock({ startAt, duration });
+        expect(isValidPlannedBlock(block)).toBe(true);
+        expect(block.duration % 60).toBe(0);
+
+        const plan = addPlannedBlock(blocks, block, NOW);
+        const cutoff = NOW - PLAN_RETENTION_DAYS * DAY;
+        plan.forEach((b, i) => {
+          expect(b.startAt).toBeGreaterThanOrEqual(cutoff);
+          if (i > 0) expect(b.startAt).toBeGreaterThanOrEqual(plan[i - 1].startAt);
+        });
+        expect(plan.length).toBe([...blocks, block].filter(b => b.startAt >= cutoff).length);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 72: Due Blocks**
+  // **Validates: Requirements 32.2**
+  it('reports as due exactly the unstarted blocks whose time window contains now', () => {
+    fc.assert(
+      fc.property(planArb, ({ blocks, sessions }) => {
+        const started = new Set(sessions.filter(s => s.type !== 'break').map(s => s.plannedBlockId));
+        const expected = blocks.filter(block => !started.has(block.id)
+          && block.startAt <= NOW
+          && NOW < block.startAt + block.duration * 1000);
+
+        expect(getDueBlocks(blocks, sessions, NOW)).toEqual(expected);
+        blocks.forEach(block => {
+          const status = getBlockStatus(block, sessions, NOW);
+          expect(Object.values(BLOCK_STATUS)).toContain(status);
+          if (started.has(block.id)) {
+            expect([BLOCK_STATUS.DONE, BLOCK_STATUS.PARTIAL]).toContain(status);
+          }
+        });
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 73: Planned Versus Actual**
+  // **Validates: Requirements 32.4**
+  it('totals every block up to today once with the focus time of its sessions', () => {
+    fc.assert(
+      fc.property(planArb, ({ blocks, sessions }) => {
+        const summary = Object.values(summarizePlanByDate(blocks, sessions, NOW));
+        const today = new Date(NOW);
+        const tomorrowStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+        const counted = blocks.filter(block => block.startAt < tomorrowStart);
+        const sum = (key) => summary.reduce((total, group) => total + group[key], 0);
+
+        expect(sum('planned')).toBe(counted.length);
+        expect(sum('plannedTime')).toBe(counted.reduce((total, block) => total + block.duration, 0));
+        expect(sum('actualTime')).toBe(sessions
+          .filter(s => s.type !== 'break' && counted.some(block => block.id === s.plannedBlockId))
+          .reduce((total, s) => total + s.duration, 0));
+        expect(sum('completed')).toBe(counted
+          .filter(block => sessions.some(s => s.type !== 'break' && s.completed && s.plannedBlockId === block.id))
+          .length);
+        summary.forEach(group => expect(group.completed).toBeLessThanOrEqual(group.planned));
+      })
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  INTERRUPTION_REASONS,
+  UNSPECIFIED_REASON,
+  createInterruption,
+  isValidInterruption,
+  summarizeInterruptions
+} from '../utils/interruptionLog';
+
+const reasonIds = INTERRUPTION_REASONS.map(r => r.id);
+
+const interruptionArb = fc.record({
+  id: fc.uuid(),
+  timestamp: fc.integer({ min: 0, max: 2 ** 42 }),
+  reason: fc.option(fc.constantFrom(...reasonIds, 'lunch'), { nil: null })
+});
+
+const sessionArb = fc.record({
+  id: fc.uuid(),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  duration: fc.integer({ min: 0, max: 7200 }),
+  completed: fc.boolean(),
+  type: fc.constantFrom(undefined, 'break'),
+  interruptions: fc.option(fc.array(interruptionArb, { maxLength: 6 }), { nil: undefined })
+});
+
+describe('interruption log', () => {
+  // **Feature: nimbus, Property 59: Interruption Entry Creation**
+  // **Validates: Requirements 28.1**
+  it('creates valid entries that keep known reasons and drop unknown ones', () => {
+    fc.assert(
+      fc.property(fc.option(fc.string(), { nil: null }), fc.integer({ min: 0, max: 2 ** 42 }), (reason, now) => {
+        const interruption = createInterruption(reason, now);
+        expect(isValidInterruption(interruption)).toBe(true);
+        expect(interruption.timestamp).toBe(now);
+        expect(interruption.reason).toBe(reasonIds.includes(reason) ? reason : null);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 60: Interruption Summary**
+  // **Validates: Requirements 28.4**
+  it('counts every focus-session interruption once, by reason', () => {
+    fc.assert(
+      fc.property(fc.array(sessionArb, { maxLength: 20 }), (sessions) => {
+        const summary = summarizeInterruptions(sessions);
+        const focusSessions = sessions.filter(s => s.type !== 'break');
+        const logged = focusSessions.flatMap(s => s.interruptions || []);
+
+        expect(summary.total).toBe(logged.length);
+        expect(Object.values(summary.byReason).reduce((sum, n) => sum + n, 0)).toBe(summary.total);
+        reasonIds.forEach(id => {
+          expect(summary.byReason[id]).toBe(logged.filter(i => i.reason === id).length);
+        });
+        expect(summary.byReason[UNSPECIFIED_REASON])
+          .toBe(logged.filter(i => !reasonIds.includes(i.reason)).length);
+        expect(summary.sessionsInterrupted)
+          .toBe(focusSessions.filter(s => (s.interruptions || []).length > 0).length);
+
+        if (summary.total === 0) {
+          expect(summary.topReason).toBeNull();
+        } else {
+          expect(summary.byReason[summary.topReason]).toBe(Math.max(...Object.values(summary.byReason)));
+          expect(summary.averagePerSession).toBe(Math.round((summary.total / focusSessions.length) * 10) / 10);
+        }
+      })
+    );
+  });
+});
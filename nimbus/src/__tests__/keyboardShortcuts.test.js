@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { searchCommands, canHandleShortcut, isCommandPaletteShortcut } from '../utils/keyboardShortcuts';
+
+const wordArb = fc.constantFrom('start', 'pause', 'timer', 'buy', 'server', 'shop', 'view', 'load', 'Balancer');
+
+const commandsArb = fc.array(
+  fc.record({
+    title: fc.array(wordArb, { minLength: 1, maxLength: 3 }).map(words => words.join(' ')),
+    group: fc.constantFrom('Timer', 'Navigation', 'Shop'),
+    keywords: fc.option(fc.array(wordArb, { maxLength: 2 }), { nil: undefined })
+  }),
+  { maxLength: 15 }
+).map(commands => commands.map((command, i) => ({ ...command, id: `command-${i}` })));
+
+const queryArb = fc.oneof(
+  fc.array(fc.oneof(wordArb, fc.constantFrom('ti', 'SER', 'zzz')), { maxLength: 3 }).map(words => words.join(' ')),
+  fc.constantFrom('', '   ')
+);
+
+describe('command palette search', () => {
+  // **Feature: nimbus, Property 74: Command Search**
+  // **Validates: Requirements 33.2, 33.3**
+  it('keeps exactly the commands matching every query word, title-prefix matches first', () => {
+    fc.assert(
+      fc.property(commandsArb, queryArb, (commands, query) => {
+        const results = searchCommands(commands, query);
+        const normalized = query.trim().toLowerCase();
+        if (!normalized) {
+          expect(results).toBe(commands);
+          return;
+        }
+
+        const words = normalized.split(/\s+/);
+        const matches = (command) => {
+          const haystack = [command.title, command.group, ...(command.keywords || [])].join(' ').toLowerCase();
+          return words.every(word => haystack.includes(word));
+        };
+        expect([...results].sort((a, b) => a.id.localeCompare(b.id)))
+          .toEqual(commands.filter(matches).sort((a, b) => a.id.localeCompare(b.id)));
+
+        const firstOther = results.findIndex(c => !c.title.toLowerCase().startsWith(normalized));
+        if (firstOther !== -1) {
+          results.slice(firstOther).forEach(c => expect(c.title.toLowerCase().startsWith(normalized)).toBe(false));
+        }
+      })
+    );
+  });
+});
+
+describe('single-key shortcuts', () => {
+  let dialogOpen;
+
+  beforeEach(() => {
+    dialogOpen = false;
+    vi.stubGlobal('HTMLElement', class HTMLElement {});
+    vi.stubGlobal('document', { querySelector: () => (dialogOpen ? {} : null) });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const element = (tagName, isContentEditable = false) =>
+    Object.assign(new globalThis.HTMLElement(), { tagName, isContentEditable });
+
+  // **Feature: nimbus, Property 75: Shortcut Guard**
+  // **Validates: Requirements 33.4**
+  it('ignores single-key shortcuts while typing, in a dialog, with modifiers or on repeat', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(' ', 'x', 'c', '1', 'k', 'K'),
+        fc.record({ ctrlKey: fc.boolean(), metaKey: fc.boolean(), altKey: fc.boolean(), repeat: fc.boolean() }),
+        fc.constantFrom('BODY', 'DIV', 'BUTTON', 'INPUT', 'TEXTAREA', 'SELECT', 'EDITABLE'),
+        fc.boolean(),
+        (key, flags, tag, inDialog) => {
+          dialogOpen = inDialog;
+          const target = tag === 'EDITABLE' ? element('DIV', true) : element(tag);
+          const e = { key, target, ...flags };
+
+          const typing = ['INPUT', 'TEXTAREA', 'SELECT', 'EDITABLE'].includes(tag);
+          const modified = flags.ctrlKey || flags.metaKey || flags.altKey || flags.repeat;
+          const spaceOnButton = key === ' ' && tag === 'BUTTON';
+          expect(canHandleShortcut(e)).toBe(!typing && !inDialog && !modified && !spaceOnButton);
+
+          expect(isCommandPaletteShortcut(e))
+            .toBe((flags.ctrlKey || flags.metaKey) && !flags.altKey && key.toLowerCase() === 'k');
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { calculateXp, recordCanvasProgress, getLevelInfo } from '../utils/levels';
+import { COMPONENTS_CATALOG } from '../data/components';
+import { LEVELS } from '../data/levels';
+
+const architectureArb = fc.record({
+  placedComponents: fc.subarray(COMPONENTS_CATALOG.map(c => c.id)).map(ids =>
+    ids.map((id, i) => ({ id: `${id}-${i}`, type: id, position: { x: i, y: 0 }, tier: 1 }))
+  ),
+  connections: fc.array(fc.record({ from: fc.string(), to: fc.string(), type: fc.constant('network') }), { maxLength: 20 })
+});
+
+const sessionArb = fc.record({
+  id: fc.uuid(),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  duration: fc.integer({ min: 0, max: 4 * 3600 }),
+  completed: fc.boolean()
+});
+
+const emptyProgress = { sessionHistory: [], archivedFocusSeconds: 0, mostConnections: 0, builtPatterns: [] };
+
+describe('player levels', () => {
+  // **Feature: nimbus, Property 104: Canvas XP Never Drops**
+  // **Validates: Requirements 41.1, 41.4**
+  it('never lowers XP as the canvas changes', () => {
+    fc.assert(
+      fc.property(fc.array(architectureArb, { minLength: 1, maxLength: 8 }), (canvases) => {
+        let progress = emptyProgress;
+        let previousXp = 0;
+        canvases.forEach(architecture => {
+          const xp = calculateXp(progress, architecture).total;
+          expect(xp).toBeGreaterThanOrEqual(previousXp);
+          progress = recordCanvasProgress(progress, architecture);
+          previousXp = xp;
+        });
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 105: Focus XP Monotonicity**
+  // **Validates: Requirements 41.1**
+  it('never lowers XP when sessions are added', () => {
+    fc.assert(
+      fc.property(fc.array(sessionArb, { maxLength: 20 }), fc.array(sessionArb, { maxLength: 5 }), architectureArb,
+        (sessions, more, architecture) => {
+          const before = calculateXp({ ...emptyProgress, sessionHistory: sessions }, architecture);
+          const after = calculateXp({ ...emptyProgress, sessionHistory: [...sessions, ...more] }, architecture);
+          expect(after.total).toBeGreaterThanOrEqual(before.total);
+        })
+    );
+  });
+
+  // **Feature: nimbus, Property 106: Level Mapping**
+  // **Validates: Requirements 41.1, 41.3**
+  it('maps XP to a non-decreasing level', () => {
+    fc.assert(
+      fc.property(fc.nat({ max: 10000 }), fc.nat({ max: 10000 }), (a, b) => {
+        const lower = getLevelInfo(Math.min(a, b));
+        const higher = getLevelInfo(Math.max(a, b));
+        expect(higher.level).toBeGreaterThanOrEqual(lower.level);
+        [lower, higher].forEach(info => {
+          expect(info.progress).toBeGreaterThanOrEqual(0);
+          expect(info.progress).toBeLessThanOrEqual(1);
+          expect(info.level).toBeGreaterThanOrEqual(LEVELS[0].level);
+          expect(info.level).toBeLessThanOrEqual(LEVELS[LEVELS.length - 1].level);
+        });
+      })
+    );
+  });
+});
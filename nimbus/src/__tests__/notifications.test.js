@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { getTimerNotification } from '../utils/notifications';
+import { TIMER_EVENTS } from '../utils/timerEvents';
+
+describe('timer notifications', () => {
+  // **Feature: nimbus, Property 50: Notification Content**
+  // **Validates: Requirements 25.2**
+  it('has a title and body for every milestone and nothing for other events', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(fc.constantFrom(...Object.values(TIMER_EVENTS)), fc.string()),
+        fc.nat({ max: 1000 }),
+        (event, creditsEarned) => {
+          const notification = getTimerNotification(event, { creditsEarned });
+          if (!Object.values(TIMER_EVENTS).includes(event)) {
+            expect(notification).toBeNull();
+            return;
+          }
+          expect(notification.title.length).toBeGreaterThan(0);
+          expect(notification.body.length).toBeGreaterThan(0);
+          if (event === TIMER_EVENTS.SESSION_COMPLETE && creditsEarned > 0) {
+            expect(notification.body).toContain(String(creditsEarned));
+          }
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  DEFAULT_PRESETS,
+  MIN_PRESET_MINUTES,
+  MAX_PRESET_MINUTES,
+  MAX_BREAK_MINUTES,
+  MAX_ROUTINE_REPEATS,
+  isValidPreset,
+  createPreset,
+  renamePreset,
+  deletePreset,
+  movePreset,
+  createRoutine,
+  isValidRoutine,
+  getRoutineDuration,
+  getNextRoutineStep
+} from '../utils/presetLogic';
+import { TIMER_PHASES } from '../utils/timerLogic';
+
+const minutesArb = fc.double({ min: -500, max: 500, noNaN: true });
+
+const presetsArb = fc.array(
+  fc.tuple(fc.string(), fc.integer({ min: MIN_PRESET_MINUTES, max: MAX_PRESET_MINUTES })),
+  { maxLength: 8 }
+).map(entries => [...DEFAULT_PRESETS, ...entries.map(([label, minutes]) => createPreset(label, minutes))]);
+
+describe('duration presets', () => {
+  // **Feature: nimbus, Property 52: Preset Editing Bounds**
+  // **Validates: Requirements 26.1**
+  it('creates, renames and deletes presets within bounds', () => {
+    fc.assert(
+      fc.property(presetsArb, fc.string(), minutesArb, fc.string(), (presets, label, minutes, newLabel) => {
+        const preset = createPreset(label, minutes);
+        expect(isValidPreset(preset)).toBe(true);
+        expect(preset.label.length).toBeGreaterThan(0);
+
+        const target = presets[presets.length - 1];
+        const renamed = renamePreset(presets, target.id, newLabel);
+        expect(renamed.find(p => p.id === target.id).label).toBe(newLabel.trim() || target.label);
+        expect(renamed.every(isValidPreset)).toBe(true);
+
+        const remaining = deletePreset(presets, target.id);
+        expect(remaining).toEqual(presets.filter(p => p.id !== target.id));
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 53: Preset Reordering**
+  // **Validates: Requirements 26.1**
+  it('reorders presets without losing any and can move them back', () => {
+    fc.assert(
+      fc.property(presetsArb, fc.nat(), fc.constantFrom(-1, 1), (presets, pick, direction) => {
+        const target = presets[pick % presets.length];
+        const moved = movePreset(presets, target.id, direction);
+        expect([...moved].sort((a, b) => a.id.localeCompare(b.id)))
+          .toEqual([...presets].sort((a, b) => a.id.localeCompare(b.id)));
+
+        if (moved !== presets) {
+          expect(movePreset(moved, target.id, -direction)).toEqual(presets);
+        }
+      })
+    );
+  });
+});
+
+describe('saved routines', () => {
+  // **Feature: nimbus, Property 54: Routine Construction**
+  // **Validates: Requirements 26.2, 26.3**
+  it('builds valid routines that run every step once and then end', () => {
+    fc.assert(
+      fc.property(fc.string(), minutesArb, minutesArb, minutesArb, minutesArb, (name, focus, rest, repeats, finalRest) => {
+        const routine = createRoutine(name, focus, rest, repeats, finalRest);
+        expect(isValidRoutine(routine)).toBe(true);
+
+        const focusSteps = routine.steps.filter(step => step.phase === TIMER_PHASES.FOCUS);
+        expect(focusSteps.length).toBe(Math.max(1, Math.min(MAX_ROUTINE_REPEATS, Math.round(repeats))));
+        expect(getRoutineDuration(routine)).toBe(routine.steps.reduce((sum, step) => sum + step.duration, 0));
+
+        // Walking the routine visits each step in order and stops after the last
+        const visited = [routine.steps[0]];
+        for (let i = 0; getNextRoutineStep(routine, i); i++) {
+          visited.push(getNextRoutineStep(routine, i));
+        }
+        expect(visited).toEqual(routine.steps);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 55: Routine Step Validation**
+  // **Validates: Requirements 26.2, 26.4**
+  it('rejects routines with steps or rounds the editor cannot make', () => {
+    const badStepArb = fc.oneof(
+      fc.record({
+        phase: fc.constant(TIMER_PHASES.FOCUS),
+        duration: fc.oneof(
+          fc.integer({ min: -3600, max: MIN_PRESET_MINUTES * 60 - 1 }),
+          fc.integer({ min: MAX_PRESET_MINUTES * 60 + 1, max: 10 ** 7 })
+        )
+      }),
+      fc.record({
+        phase: fc.constantFrom(TIMER_PHASES.SHORT_BREAK, TIMER_PHASES.LONG_BREAK),
+        duration: fc.oneof(
+          fc.integer({ min: -3600, max: 0 }),
+          fc.integer({ min: MAX_BREAK_MINUTES * 60 + 1, max: 10 ** 7 })
+        )
+      }),
+      fc.record({ phase: fc.string(), duration: fc.constant(1500) }),
+      fc.record({ phase: fc.constant(TIMER_PHASES.FOCUS), duration: fc.constantFrom(NaN, Infinity) })
+    );
+
+    fc.assert(
+      fc.property(minutesArb, minutesArb, minutesArb, badStepArb, fc.nat(), (focus, rest, repeats, badStep, at) => {
+        const routine = createRoutine('Routine', focus, rest, repeats);
+        const steps = [...routine.steps];
+        steps.splice(1 + (at % steps.length), 0, badStep);
+        expect(isValidRoutine({ ...routine, steps })).toBe(false);
+
+        const tooLong = Array.from({ length: MAX_ROUTINE_REPEATS + 1 }, () => routine.steps[0]);
+        expect(isValidRoutine({ ...routine, steps: tooLong })).toBe(false);
+      })
+    );
+  });
+});
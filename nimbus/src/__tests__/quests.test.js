@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { getQuestsForPeriod, getQuestProgress, getPeriodStart, getPeriodEnd } from '../utils/quests';
+import { QUEST_POOL, QUEST_PERIODS, QUESTS_PER_PERIOD } from '../data/quests';
+
+const userIdArb = fc.uuid();
+const periodArb = fc.constantFrom(...Object.values(QUEST_PERIODS));
+const nowArb = fc.integer({ min: 0, max: 3650 * 24 }).map(hours => new Date(2024, 0, 1, hours));
+
+const cacheLayer = QUEST_POOL.find(q => q.id === 'cache-layer');
+
+// A cache-layer quest running over [start, end)
+function cacheQuest(start, end) {
+  return { ...cacheLayer, instanceId: 'daily-test-cache-layer', start, end };
+}
+
+function stateWith(placedComponents, connections) {
+  return {
+    userProgress: { sessionHistory: [], creditLedger: [], claimedQuests: [] },
+    architecture: { placedComponents, connections }
+  };
+}
+
+const canvas = [
+  { id: 'ec2-1', type: 'ec2', position: { x: 0, y: 0 }, tier: 3 },
+  { id: 'elasticache-1', type: 'elasticache', position: { x: 1, y: 0 }, tier: 1 },
+  { id: 'rds-1', type: 'rds', position: { x: 2, y: 0 }, tier: 2 }
+];
+
+describe('quest selection', () => {
+  // **Feature: nimbus, Property 99: Quest Selection Determinism**
+  // **Validates: Requirements 40.1**
+  it('picks the same quests anywhere in a period', () => {
+    fc.assert(
+      fc.property(userIdArb, periodArb, nowArb, fc.double({ min: 0, max: 1, noNaN: true }), (userId, period, now, fraction) => {
+        const start = getPeriodStart(period, now).getTime();
+        const end = getPeriodEnd(period, now).getTime();
+        const other = new Date(start + Math.floor(fraction * (end - start - 1)));
+        expect(getQuestsForPeriod(userId, period, other)).toEqual(getQuestsForPeriod(userId, period, now));
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 100: Quest Pool Draw**
+  // **Validates: Requirements 40.1**
+  it('draws distinct quests from the period pool', () => {
+    fc.assert(
+      fc.property(userIdArb, periodArb, nowArb, (userId, period, now) => {
+        const quests = getQuestsForPeriod(userId, period, now);
+        const pool = QUEST_POOL.filter(q => q.period === period);
+        expect(quests).toHaveLength(Math.min(QUESTS_PER_PERIOD[period], pool.length));
+        expect(new Set(quests.map(q => q.id)).size).toBe(quests.length);
+        quests.forEach(quest => {
+          expect(quest.period).toBe(period);
+          expect(quest.start).toBeLessThanOrEqual(now.getTime());
+          expect(quest.end).toBeGreaterThan(now.getTime());
+        });
+      })
+    );
+  });
+});
+
+describe('canvas quests', () => {
+  // **Feature: nimbus, Property 101: Period Wiring Completes Path Quests**
+  // **Validates: Requirements 40.2**
+  it('counts connections made in the period between existing components', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 2 ** 40 }), fc.integer({ min: 1, max: 10 ** 8 }), (start, length) => {
+        const quest = cacheQuest(start, start + length);
+        const connections = [
+          { from: 'ec2-1', to: 'elasticache-1', type: 'network', createdAt: start },
+          { from: 'elasticache-1', to: 'rds-1', type: 'network', createdAt: start + length - 1 }
+        ];
+        expect(getQuestProgress(quest, stateWith(canvas, connections)).complete).toBe(true);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 102: Out-of-Period Wiring Ignored**
+  // **Validates: Requirements 40.2**
+  it('ignores connections made outside the period', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 10 ** 8, max: 2 ** 40 }),
+        fc.integer({ min: 1, max: 10 ** 8 }),
+        fc.boolean(),
+        fc.option(fc.integer({ min: 1, max: 10 ** 8 }), { nil: undefined }),
+        (start, length, firstOutside, offset) => {
+          const quest = cacheQuest(start, start + length);
+          const outside = offset === undefined ? undefined : (firstOutside ? start - offset : start + length + offset - 1);
+          const connections = [
+            { from: 'ec2-1', to: 'elasticache-1', type: 'network', createdAt: firstOutside ? outside : start },
+            { from: 'elasticache-1', to: 'rds-1', type: 'network', createdAt: firstOutside ? start : outside }
+          ];
+          expect(getQuestProgress(quest, stateWith(canvas, connections)).complete).toBe(false);
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 103: Cache Layer Path**
+  // **Validates: Requirements 40.2**
+  it('needs the cache between compute and the database', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 2 ** 40 }), (start) => {
+        const quest = cacheQuest(start, start + 1000);
+        const connections = [
+          { from: 'ec2-1', to: 'elasticache-1', type: 'network', createdAt: start },
+          { from: 'ec2-1', to: 'rds-1', type: 'network', createdAt: start }
+        ];
+        const progress = getQuestProgress(quest, stateWith(canvas, connections));
+        expect(progress.complete).toBe(false);
+        expect(progress.current).toBe(2);
+      })
+    );
+  });
+});
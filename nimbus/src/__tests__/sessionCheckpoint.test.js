@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  saveSessionCheckpoint,
+  loadSessionCheckpoint,
+  clearSessionCheckpoint
+} from '../utils/sessionCheckpoint';
+import { TIMER_PHASES, DEFAULT_CYCLE_SETTINGS } from '../utils/timerLogic';
+
+const CHECKPOINT_KEY = 'nimbus-active-session';
+
+const timerStateArb = fc.record({
+  isActive: fc.constant(true),
+  isPaused: fc.boolean(),
+  timeRemaining: fc.nat({ max: 7200 }),
+  totalDuration: fc.integer({ min: 300, max: 7200 }),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  pauseCount: fc.nat({ max: 10 }),
+  pausedAt: fc.constant(null),
+  totalPausedTime: fc.nat({ max: 3600 * 1000 }),
+  phase: fc.constantFrom(...Object.values(TIMER_PHASES))
+});
+
+const cycleStateArb = fc.record({
+  enabled: fc.boolean(),
+  focusDuration: fc.integer({ min: 300, max: 7200 }),
+  completedRounds: fc.nat({ max: 20 }),
+  settings: fc.constant(DEFAULT_CYCLE_SETTINGS)
+});
+
+describe('session checkpoints', () => {
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // **Feature: nimbus, Property 43: Checkpoint Round-Trip and Validation**
+  // **Validates: Requirements 22.1, 22.5**
+  it('loads back what was saved and rejects malformed checkpoints', () => {
+    fc.assert(
+      fc.property(
+        timerStateArb,
+        cycleStateArb,
+        fc.constantFrom('isActive', 'startTime', 'totalDuration', 'timeRemaining', 'savedAt'),
+        fc.oneof(fc.constant(undefined), fc.constant(null), fc.string(), fc.constant(false)),
+        (timerState, cycleState, broken, badValue) => {
+          saveSessionCheckpoint(timerState, cycleState);
+          const loaded = loadSessionCheckpoint();
+          expect(loaded.timerState).toEqual(timerState);
+          expect(loaded.cycleState).toEqual(cycleState);
+          expect(typeof loaded.savedAt).toBe('number');
+
+          // Break one required field at a time
+          const checkpoint = JSON.parse(localStorage.getItem(CHECKPOINT_KEY));
+          if (broken === 'savedAt') {
+            checkpoint.savedAt = badValue;
+          } else {
+            checkpoint.timerState[broken] = badValue;
+          }
+          localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoint));
+          expect(loadSessionCheckpoint()).toBeNull();
+
+          localStorage.setItem(CHECKPOINT_KEY, '{not json');
+          expect(loadSessionCheckpoint()).toBeNull();
+
+          clearSessionCheckpoint();
+          expect(loadSessionCheckpoint()).toBeNull();
+        }
+      )
+    );
+  });
+});
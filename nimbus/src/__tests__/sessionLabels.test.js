@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  MAX_LABEL_LENGTH,
+  UNTAGGED_PROJECT,
+  normalizeLabel,
+  getLabelSuggestions,
+  filterSessionsByLabel
+} from '../utils/sessionLabels';
+
+const labelArb = fc.option(fc.constantFrom('Write spec', 'write SPEC', 'Review', 'Nimbus', 'nimbus', 'Ops', 'Fix bug'), { nil: null });
+
+const sessionArb = fc.record({
+  id: fc.uuid(),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  duration: fc.integer({ min: 0, max: 7200 }),
+  completed: fc.boolean(),
+  type: fc.constantFrom(undefined, 'break'),
+  task: labelArb,
+  project: labelArb
+});
+
+describe('session labels', () => {
+  // **Feature: nimbus, Property 56: Label Normalization**
+  // **Validates: Requirements 27.1**
+  it('normalizes labels idempotently to trimmed, single-spaced, bounded text', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.string({ maxLength: 100 }), fc.stringOf(fc.constantFrom(' ', '\t', '\n', 'a', 'B'))), (raw) => {
+        const label = normalizeLabel(raw);
+        if (raw.trim() === '') {
+          expect(label).toBeNull();
+          return;
+        }
+        expect(label.length).toBeGreaterThan(0);
+        expect(label.length).toBeLessThanOrEqual(MAX_LABEL_LENGTH);
+        expect(label).not.toMatch(/^\s|\s\s/);
+        expect(normalizeLabel(label)).toBe(label.trim() || null);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 57: Label Suggestions**
+  // **Validates: Requirements 27.2**
+  it('suggests distinct matching labels, most recently used first', () => {
+    fc.assert(
+      fc.property(
+        fc.array(sessionArb, { maxLength: 30 }),
+        fc.constantFrom('task', 'project'),
+        fc.constantFrom('', 'w', 'NIM', 'o', 'zzz'),
+        fc.integer({ min: 1, max: 10 }),
+        (sessions, field, query, limit) => {
+          const suggestions = getLabelSuggestions(sessions, field, query, limit);
+          const keys = suggestions.map(s => s.toLowerCase());
+
+          expect(suggestions.length).toBeLessThanOrEqual(limit);
+          expect(new Set(keys).size).toBe(keys.length);
+          keys.forEach(key => expect(key).toContain(query.toLowerCase()));
+
+          // Each suggestion is its most recent spelling, in order of last use
+          const lastUsed = (key) => Math.max(...sessions
+            .filter(s => s[field]?.toLowerCase() === key)
+            .map(s => s.startTime));
+          keys.forEach((key, i) => {
+            if (i > 0) expect(lastUsed(key)).toBeLessThanOrEqual(lastUsed(keys[i - 1]));
+          });
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 58: Label Filtering**
+  // **Validates: Requirements 27.4**
+  it('keeps exactly the focus sessions matching the project and task filters', () => {
+    fc.assert(
+      fc.property(
+        fc.array(sessionArb, { maxLength: 30 }),
+        fc.constantFrom(null, UNTAGGED_PROJECT, 'nimbus', 'Ops'),
+        fc.constantFrom('', ' spec ', 'REV'),
+        (sessions, project, task) => {
+          const filtered = filterSessionsByLabel(sessions, { project, task });
+          if (!project && !task.trim()) {
+            expect(filtered).toBe(sessions);
+            return;
+          }
+
+          const matches = (session) => session.type !== 'break'
+            && (project === UNTAGGED_PROJECT
+              ? !session.project
+              : !project || session.project?.toLowerCase() === project.toLowerCase())
+            && (!task.trim() || !!session.task?.toLowerCase().includes(task.trim().toLowerCase()));
+          expect(filtered).toEqual(sessions.filter(matches));
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  MIN_FOCUS_RATING,
+  MAX_FOCUS_RATING,
+  MAX_ACCOMPLISHED_LENGTH,
+  MAX_NOTES_LENGTH,
+  createReflection,
+  isValidReflection,
+  getRecentRatings
+} from '../utils/sessionReflection';
+
+const ratingArb = fc.oneof(
+  fc.double({ min: -10, max: 10, noNaN: true }),
+  fc.integer({ min: MIN_FOCUS_RATING, max: MAX_FOCUS_RATING }).map(String),
+  fc.constantFrom(null, undefined, NaN, 'great')
+);
+
+const sessionArb = fc.record({
+  id: fc.uuid(),
+  startTime: fc.integer({ min: 0, max: 2 ** 42 }),
+  duration: fc.integer({ min: 0, max: 7200 }),
+  completed: fc.boolean(),
+  type: fc.constantFrom(undefined, 'break'),
+  reflection: fc.option(
+    fc.record({
+      rating: fc.integer({ min: 0, max: MAX_FOCUS_RATING + 1 }),
+      accomplished: fc.string(),
+      notes: fc.string()
+    }),
+    { nil: undefined }
+  )
+});
+
+describe('session reflection', () => {
+  // **Feature: nimbus, Property 65: Reflection Creation**
+  // **Validates: Requirements 30.1**
+  it('creates a valid, bounded reflection exactly when the rating rounds into 1-5', () => {
+    fc.assert(
+      fc.property(ratingArb, fc.string({ maxLength: 400 }), fc.string({ maxLength: 1500 }), (rating, accomplished, notes) => {
+        const reflection = createReflection({ rating, accomplished, notes }, 1000);
+        const score = Math.round(Number(rating));
+        if (!(score >= MIN_FOCUS_RATING && score <= MAX_FOCUS_RATING)) {
+          expect(reflection).toBeNull();
+          return;
+        }
+
+        expect(isValidReflection(reflection)).toBe(true);
+        expect(reflection.rating).toBe(score);
+        expect(reflection.accomplished).toBe(accomplished.trim().slice(0, MAX_ACCOMPLISHED_LENGTH));
+        expect(reflection.notes).toBe(notes.trim().slice(0, MAX_NOTES_LENGTH));
+        expect(reflection.reflectedAt).toBe(1000);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 66: Recent Focus Ratings**
+  // **Validates: Requirements 30.4**
+  it('returns the latest valid focus-session ratings, oldest first', () => {
+    fc.assert(
+      fc.property(fc.array(sessionArb, { maxLength: 20 }), fc.integer({ min: 1, max: 10 }), (sessions, limit) => {
+        const ratings = getRecentRatings(sessions, limit);
+        const rated = sessions
+          .filter(s => s.type !== 'break' && isValidReflection(s.reflection))
+          .sort((a, b) => a.startTime - b.startTime);
+
+        expect(ratings).toHaveLength(Math.min(limit, rated.length));
+        expect(ratings).toEqual(rated.slice(rated.length - ratings.length).map(s => s.reflection.rating));
+      })
+    );
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { DEFAULT_SESSION_SETTINGS, loadSessionSettings, saveSessionSettings } from '../utils/sessionSettings';
+import {
+  STRICT_POLICIES,
+  MIN_AWAY_THRESHOLD_MINUTES,
+  MAX_AWAY_THRESHOLD_MINUTES,
+  getStrictSessionRules
+} from '../utils/strictMode';
+import { AMBIENT_SOUNDS, clampAmbientVolume } from '../utils/ambientSound';
+
+describe('session settings', () => {
+  beforeEach(() => {
+    const store = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // **Feature: nimbus, Property 64: Session Settings Round-Trip**
+  // **Validates: Requirements 29.5**
+  it('remembers flow mode only when it was switched on', () => {
+    expect(loadSessionSettings()).toBeNull();
+    fc.assert(
+      fc.property(fc.oneof(fc.boolean(), fc.string(), fc.constant(undefined)), (flowMode) => {
+        saveSessionSettings({ flowMode });
+        expect(loadSessionSettings().flowMode).toBe(flowMode === true);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 70: Strict Settings Round-Trip**
+  // **Validates: Requirements 31.1, 31.5**
+  it('restores a known policy and a whole-minute threshold within bounds', () => {
+    fc.assert(
+      fc.property(
+        fc.boolean(),
+        fc.oneof(fc.constantFrom(...Object.values(STRICT_POLICIES)), fc.string()),
+        fc.oneof(fc.double({ min: -100, max: 100, noNaN: true }), fc.constantFrom(undefined, 'ten')),
+        (strictMode, strictPolicy, awayThresholdMinutes) => {
+          saveSessionSettings({ ...DEFAULT_SESSION_SETTINGS, strictMode, strictPolicy, awayThresholdMinutes });
+          const loaded = loadSessionSettings();
+
+          expect(loaded.strictMode).toBe(strictMode);
+          expect(loaded.strictPolicy)
+            .toBe(Object.values(STRICT_POLICIES).includes(strictPolicy) ? strictPolicy : STRICT_POLICIES.WARN);
+          expect(Number.isInteger(loaded.awayThresholdMinutes)).toBe(true);
+          expect(loaded.awayThresholdMinutes).toBeGreaterThanOrEqual(MIN_AWAY_THRESHOLD_MINUTES);
+          expect(loaded.awayThresholdMinutes).toBeLessThanOrEqual(MAX_AWAY_THRESHOLD_MINUTES);
+
+          const rules = getStrictSessionRules(loaded);
+          if (!strictMode) {
+            expect(rules).toBeNull();
+          } else {
+            expect(rules).toEqual({ policy: loaded.strictPolicy, awayThreshold: loaded.awayThresholdMinutes * 60 });
+          }
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 78: Ambient Settings Round-Trip**
+  // **Validates: Requirements 34.4**
+  it('restores a known soundscape and a volume within 0..1', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(fc.constantFrom(...Object.values(AMBIENT_SOUNDS)), fc.string()),
+        fc.oneof(fc.double({ min: -5, max: 5, noNaN: true }), fc.constantFrom(undefined, null, 'max')),
+        (ambientSound, ambientVolume) => {
+          saveSessionSettings({ ...DEFAULT_SESSION_SETTINGS, ambientSound, ambientVolume });
+          const loaded = loadSessionSettings();
+
+          expect(loaded.ambientSound)
+            .toBe(Object.values(AMBIENT_SOUNDS).includes(ambientSound) ? ambientSound : AMBIENT_SOUNDS.OFF);
+          expect(loaded.ambientVolume).toBe(clampAmbientVolume(ambientVolume ?? DEFAULT_SESSION_SETTINGS.ambientVolume));
+          expect(loaded.ambientVolume).toBeGreaterThanOrEqual(0);
+          expect(loaded.ambientVolume).toBeLessThanOrEqual(1);
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  calculateSellBack,
+  getInstanceCost,
+  getMaxInstances,
+  processPurchase
+} from '../utils/shopLogic';
+import { createLedgerEntry, LEDGER_ENTRY_TYPES } from '../utils/creditLedger';
+import { normalizeOwnedComponents, changeOwnedCount, getOwnedCount, getOwnedIds } from '../utils/ownedComponents';
+import { applyCloudState } from '../utils/cloudState';
+import { importData, CURRENT_VERSION } from '../utils/storageHelpers';
+import { COMPONENTS_CATALOG } from '../data/components';
+import { SELL_BACK_RULES } from '../data/shopRules';
+
+const componentArb = fc.constantFrom(...COMPONENTS_CATALOG);
+const legacyOwnedArb = fc.array(fc.constantFrom(...COMPONENTS_CATALOG.map(c => c.id)), { maxLength: 30 });
+
+function placedInstances(component, count, tier = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${component.id}-${i}`,
+    type: component.id,
+    position: { x: i, y: 0 },
+    tier
+  }));
+}
+
+// A sale of the last of `owned` units, bought at `boughtAt`
+const saleArb = fc.record({
+  component: componentArb,
+  owned: fc.integer({ min: 1, max: 5 }),
+  placed: fc.integer({ min: 0, max: 5 }),
+  tier: fc.integer({ min: 1, max: 4 }),
+  boughtAt: fc.integer({ min: 0, max: 2 ** 40 }),
+  elapsed: fc.integer({ min: 0, max: 2 * SELL_BACK_RULES.fullRefundWindowMs }),
+  inBundle: fc.boolean(),
+  placedSince: fc.option(fc.integer({ min: 0, max: 2 * SELL_BACK_RULES.fullRefundWindowMs }), { nil: null })
+}).map(sale => ({ ...sale, placed: Math.min(sale.placed, sale.owned) }));
+
+function sellBack({ component, owned, placed, tier, boughtAt, elapsed, inBundle, placedSince }) {
+  const unitCost = getInstanceCost(component, owned - 1);
+  const purchase = createLedgerEntry({
+    type: LEDGER_ENTRY_TYPES.SPEND,
+    amount: -unitCost,
+    reason: 'Bought',
+    ref: inBundle ? { bundleId: 'kit', componentIds: [component.id] } : { componentId: component.id },
+    timestamp: boughtAt
+  });
+  const progress = {
+    ownedComponents: { [component.id]: owned },
+    placedComponents: placedInstances(component, placed, tier),
+    creditLedger: [purchase],
+    lastPlacedAt: placedSince === null ? {} : { [component.id]: boughtAt + placedSince }
+  };
+  return { unitCost, result: calculateSellBack(component, progress, boughtAt + elapsed) };
+}
+
+describe('selling components back', () => {
+  // **Feature: nimbus, Property 107: Full Refund Window**
+  // **Validates: Requirements 42.1**
+  it('limits the full refund to undoing a purchase', () => {
+    fc.assert(
+      fc.property(saleArb, (sale) => {
+        const { unitCost, result } = sellBack(sale);
+        const onCanvas = sale.placed === sale.owned;
+        const expected = !onCanvas
+          && !sale.inBundle
+          && sale.placedSince === null
+          && sale.elapsed <= SELL_BACK_RULES.fullRefundWindowMs;
+
+        expect(result.fullRefund).toBe(expected);
+        expect(result.refund).toBe(expected
+          ? unitCost
+          : Math.floor((unitCost + result.upgradeSpend) * SELL_BACK_RULES.refundShare));
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 108: Placement Ends the Full Refund**
+  // **Validates: Requirements 42.1**
+  it('never fully refunds a unit placed after the purchase', () => {
+    fc.assert(
+      fc.property(saleArb, (sale) => {
+        fc.pre(sale.placedSince !== null);
+        expect(sellBack({ ...sale, placed: 0 }).result.fullRefund).toBe(false);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 109: Sale Removes Uncovered Instances**
+  // **Validates: Requirements 42.1, 42.3**
+  it('removes the placed instances beyond the units still owned', () => {
+    fc.assert(
+      fc.property(saleArb, (sale) => {
+        const { result } = sellBack(sale);
+        const expected = placedInstances(sale.component, sale.placed).slice(sale.owned - 1).map(p => p.id);
+        expect(result.removedInstanceIds).toEqual(expected);
+        expect(result.refund).toBeLessThanOrEqual(getInstanceCost(sale.component, sale.owned - 1) + result.upgradeSpend);
+      })
+    );
+  });
+});
+
+// Level high enough for every catalog section
+const MAX_LEVEL = 10;
+
+describe('component instances', () => {
+  // **Feature: nimbus, Property 110: Instance Pricing**
+  // **Validates: Requirements 43.2**
+  it('prices each extra instance higher', () => {
+    fc.assert(
+      fc.property(componentArb, fc.integer({ min: 0, max: 10 }), (component, index) => {
+        expect(getInstanceCost(component, 0)).toBe(component.cost);
+        expect(getInstanceCost(component, index + 1)).toBeGreaterThan(getInstanceCost(component, index));
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 111: Instance Limit**
+  // **Validates: Requirements 43.1, 43.2**
+  it('never buys past the instance limit', () => {
+    fc.assert(
+      fc.property(componentArb, fc.integer({ min: 1, max: 12 }), (component, attempts) => {
+        // Prerequisites owned and credits to spare
+        let owned = Object.fromEntries((component.prerequisites || []).map(id => [id, 1]));
+        let bought = 0;
+        for (let i = 0; i < attempts; i++) {
+          const result = processPurchase(component, 10 ** 6, owned, MAX_LEVEL);
+          if (result.success) {
+            expect(result.creditsSpent).toBe(getInstanceCost(component, bought));
+            owned = result.newOwnedComponents;
+            bought++;
+          }
+        }
+        expect(bought).toBe(Math.min(attempts, getMaxInstances(component)));
+        expect(getOwnedCount(component.id, owned)).toBe(bought);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 112: Legacy Owned List Normalization**
+  // **Validates: Requirements 43.3**
+  it('normalizes legacy owned lists into counts', () => {
+    fc.assert(
+      fc.property(legacyOwnedArb, (ids) => {
+        const counts = normalizeOwnedComponents(ids);
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        expect(total).toBe(ids.length);
+        expect(normalizeOwnedComponents(counts)).toEqual(counts);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 113: Owned Count Round-Trip**
+  // **Validates: Requirements 43.3**
+  it('round-trips owned count changes', () => {
+    fc.assert(
+      fc.property(
+        fc.dictionary(fc.constantFrom(...COMPONENTS_CATALOG.map(c => c.id)), fc.integer({ min: 1, max: 5 })),
+        componentArb,
+        fc.integer({ min: 1, max: 5 }),
+        (owned, component, change) => {
+          const added = changeOwnedCount(owned, component.id, change);
+          expect(getOwnedCount(component.id, added)).toBe(getOwnedCount(component.id, owned) + change);
+          expect(changeOwnedCount(added, component.id, -change)).toEqual(owned);
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 114: Legacy Owned List Lookup**
+  // **Validates: Requirements 43.3**
+  it('reads legacy owned lists and non-object input like their counts', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(legacyOwnedArb, fc.constantFrom(null, undefined, 3, 'ec2')),
+        componentArb,
+        (owned, component) => {
+          const counts = normalizeOwnedComponents(owned);
+          expect(getOwnedCount(component.id, owned)).toBe(getOwnedCount(component.id, counts));
+          expect(getOwnedIds(owned)).toEqual(getOwnedIds(counts));
+          expect(changeOwnedCount(owned, component.id, 1)).toEqual(changeOwnedCount(counts, component.id, 1));
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 115: Legacy Owned List Restore**
+  // **Validates: Requirements 43.3**
+  it('restores legacy owned lists from cloud saves and backups as counts', () => {
+    fc.assert(
+      fc.property(legacyOwnedArb, (ids) => {
+        let restored = null;
+        applyCloudState(
+          { credits: 0, creditLedger: [], sessionHistory: [], ownedComponents: ids },
+          { importState: (data) => { restored = data.userProgress.ownedComponents; } }
+        );
+        expect(restored).toEqual(normalizeOwnedComponents(ids));
+
+        const imported = importData(JSON.stringify({
+          version: CURRENT_VERSION,
+          userProgress: { credits: 0, ownedComponents: ids, sessionHistory: [] }
+        }));
+        expect(imported.success).toBe(true);
+        expect(imported.data.userProgress.ownedComponents).toEqual(normalizeOwnedComponents(ids));
+      })
+    );
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  findMissedDays,
+  planFreezeUse,
+  normalizeFreezeTimes,
+  toggleRestDay,
+  isValidRestDays,
+  MAX_STREAK_FREEZES
+} from '../utils/streakProtection';
+import { getDayKey } from '../utils/sessionHistory';
+
+// Noon on a day, so shifting by whole days never crosses midnight
+const nowArb = fc.integer({ min: 0, max: 3650 }).map(offset => new Date(2024, 0, 1 + offset, 12));
+
+// Noon, `daysAgo` days before `now`
+function daysBefore(now, daysAgo) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() - daysAgo, 12);
+}
+
+function completedSessionAt(date) {
+  return { id: `s-${date.getTime()}`, startTime: date.getTime(), duration: 1500, completed: true };
+}
+
+describe('streak freezes', () => {
+  // **Feature: nimbus, Property 87: Freeze Timing**
+  // **Validates: Requirements 37.2**
+  it('does not cover missed days with freezes acquired after they ended', () => {
+    fc.assert(
+      fc.property(nowArb, fc.integer({ min: 2, max: 10 }), fc.integer({ min: 1, max: MAX_STREAK_FREEZES }),
+        (now, lastActive, freezes) => {
+          const sessions = [completedSessionAt(daysBefore(now, lastActive))];
+          const freezeTimes = Array(freezes).fill(now.getTime());
+          expect(planFreezeUse(sessions, { freezeTimes }, now)).toEqual([]);
+        })
+    );
+  });
+
+  // **Feature: nimbus, Property 88: Whole-Gap Freeze Coverage**
+  // **Validates: Requirements 37.2**
+  it('covers the whole gap or nothing with freezes held in time', () => {
+    fc.assert(
+      fc.property(nowArb, fc.integer({ min: 1, max: 6 }), fc.integer({ min: 0, max: MAX_STREAK_FREEZES }),
+        (now, gap, freezes) => {
+          const lastActive = daysBefore(now, gap + 1);
+          const sessions = [completedSessionAt(lastActive)];
+          const freezeTimes = Array(freezes).fill(lastActive.getTime());
+          const missed = findMissedDays(sessions, {}, now);
+          const planned = planFreezeUse(sessions, { freezeTimes }, now);
+
+          expect(missed).toHaveLength(gap);
+          expect(planned).toEqual(gap <= freezes ? missed : []);
+        })
+    );
+  });
+
+  // **Feature: nimbus, Property 89: Protected Days Never Missed**
+  // **Validates: Requirements 37.3**
+  it('never reports rest days or frozen days as missed', () => {
+    fc.assert(
+      fc.property(
+        nowArb,
+        fc.integer({ min: 1, max: 14 }),
+        fc.uniqueArray(fc.integer({ min: 0, max: 6 }), { maxLength: 6 }),
+        fc.uniqueArray(fc.integer({ min: 1, max: 14 }), { maxLength: 5 }),
+        (now, gap, restDays, frozenOffsets) => {
+          const sessions = [completedSessionAt(daysBefore(now, gap + 1))];
+          const frozenDays = frozenOffsets.map(offset => getDayKey(daysBefore(now, offset)));
+          const missed = findMissedDays(sessions, { restDays, frozenDays }, now);
+
+          missed.forEach(key => {
+            expect(frozenDays).not.toContain(key);
+            expect(restDays).not.toContain(new Date(`${key}T12:00`).getDay());
+          });
+        })
+    );
+  });
+
+  // **Feature: nimbus, Property 90: Freeze Time Normalization**
+  // **Validates: Requirements 37.1, 37.2**
+  it('normalizes freeze times to one sorted time per freeze', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 2 ** 42 }),
+        fc.option(fc.array(fc.oneof(fc.integer({ min: 0, max: 2 ** 42 }), fc.string(), fc.constant(NaN)))),
+        fc.integer({ min: 0, max: MAX_STREAK_FREEZES }),
+        (now, stored, count) => {
+          // Stored times are acquisitions, so they are never after now
+          const times = stored?.map(t => (typeof t === 'number' ? Math.min(t, now) : t)) ?? stored;
+          const normalized = normalizeFreezeTimes(times, count, now);
+          expect(normalized).toHaveLength(count);
+          normalized.forEach(t => expect(Number.isFinite(t)).toBe(true));
+          expect(normalized).toEqual([...normalized].sort((a, b) => a - b));
+        })
+    );
+  });
+});
+
+describe('rest days', () => {
+  // **Feature: nimbus, Property 91: Rest Day Selection**
+  // **Validates: Requirements 37.3**
+  it('keeps the rest day list valid', () => {
+    fc.assert(
+      fc.property(fc.array(fc.integer({ min: 0, max: 6 }), { maxLength: 20 }), (toggles) => {
+        const restDays = toggles.reduce(toggleRestDay, []);
+        expect(isValidRestDays(restDays)).toBe(true);
+      })
+    );
+  });
+});
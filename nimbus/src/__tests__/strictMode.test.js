@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  STRICT_POLICIES,
+  BONUS_FORFEIT_AWAY_SHARE,
+  getAwaySeconds,
+  shouldAutoAbandon,
+  getCompletionBonusMultiplier,
+  endAwayStint
+} from '../utils/strictMode';
+
+const NOW = 1_700_000_000_000;
+
+// Timer state with some away time recorded and possibly a stint in progress
+const awayStateArb = fc.record({
+  awayTime: fc.option(fc.double({ min: 0, max: 3600, noNaN: true }), { nil: undefined }),
+  awaySince: fc.option(fc.integer({ min: NOW - 3600 * 1000, max: NOW }), { nil: null })
+});
+
+describe('strict mode', () => {
+  // **Feature: nimbus, Property 67: Away Time Tracking**
+  // **Validates: Requirements 31.1**
+  it('counts recorded and in-progress away time, growing only while away', () => {
+    fc.assert(
+      fc.property(awayStateArb, fc.nat({ max: 3600 * 1000 }), (state, later) => {
+        const away = getAwaySeconds(state, NOW);
+        const ongoing = state.awaySince ? (NOW - state.awaySince) / 1000 : 0;
+        expect(away).toBe(Math.floor((state.awayTime || 0) + ongoing));
+
+        const afterwards = getAwaySeconds(state, NOW + later);
+        if (state.awaySince) {
+          expect(afterwards).toBeGreaterThanOrEqual(away);
+        } else {
+          expect(afterwards).toBe(away);
+        }
+
+        // Closing the stint keeps the total and stops it growing
+        const closed = { ...state, ...endAwayStint(state, NOW) };
+        expect(closed.awaySince).toBeNull();
+        expect(getAwaySeconds(closed, NOW + later)).toBe(away);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 68: Auto-Abandon Threshold**
+  // **Validates: Requirements 31.4**
+  it('abandons only under the abandon policy once away time reaches the threshold', () => {
+    fc.assert(
+      fc.property(
+        awayStateArb,
+        fc.option(fc.constantFrom(...Object.values(STRICT_POLICIES)), { nil: null }),
+        fc.integer({ min: 1, max: 30 }).map(m => m * 60),
+        (state, policy, awayThreshold) => {
+          const strict = policy ? { policy, awayThreshold } : null;
+          const abandon = shouldAutoAbandon({ ...state, strict }, NOW);
+          expect(abandon).toBe(
+            policy === STRICT_POLICIES.AUTO_ABANDON && getAwaySeconds(state, NOW) >= awayThreshold
+          );
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 69: Completion Bonus Reduction**
+  // **Validates: Requirements 31.3**
+  it('shrinks the completion bonus with time away and forfeits it at 10% of the session', () => {
+    fc.assert(
+      fc.property(
+        fc.double({ min: 0, max: 7200, noNaN: true }),
+        fc.double({ min: 0, max: 7200, noNaN: true }),
+        fc.integer({ min: 60, max: 7200 }),
+        (awayA, awayB, duration) => {
+          const [less, more] = awayA <= awayB ? [awayA, awayB] : [awayB, awayA];
+          const multiplier = getCompletionBonusMultiplier(less, duration);
+
+          expect(multiplier).toBeGreaterThanOrEqual(0);
+          expect(multiplier).toBeLessThanOrEqual(1);
+          expect(getCompletionBonusMultiplier(more, duration)).toBeLessThanOrEqual(multiplier);
+          expect(getCompletionBonusMultiplier(0, duration)).toBe(1);
+          if (less >= duration * BONUS_FORFEIT_AWAY_SHARE) {
+            expect(multiplier).toBe(0);
+          }
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  TAB_ID,
+  TAB_MESSAGES,
+  openTabChannel,
+  requestTabOwnership,
+  isTabOwnershipHeld
+} from '../utils/tabSync';
+
+// In-memory BroadcastChannel: delivers every posted message to the other open channels
+function installBroadcastChannel() {
+  const channels = new Set();
+  class FakeBroadcastChannel {
+    constructor() {
+      this.onmessage = null;
+      channels.add(this);
+    }
+    postMessage(data) {
+      channels.forEach(channel => {
+        if (channel !== this) channel.onmessage?.({ data });
+      });
+    }
+    close() {
+      channels.delete(this);
+    }
+  }
+  vi.stubGlobal('BroadcastChannel', FakeBroadcastChannel);
+  return FakeBroadcastChannel;
+}
+
+// In-memory Web Locks: one holder per name, queued waiters granted in order
+function installLocks() {
+  let holder = null;
+  const waiters = [];
+
+  function grant(callback, resolve) {
+    holder = {};
+    Promise.resolve(callback(holder)).then((result) => {
+      holder = null;
+      resolve(result);
+      const next = waiters.shift();
+      if (next) grant(next.callback, next.resolve);
+    });
+  }
+
+  vi.stubGlobal('navigator', {
+    locks: {
+      request: (name, options, callback) => new Promise((resolve, reject) => {
+        if (!holder) {
+          grant(callback, resolve);
+        } else if (options.ifAvailable) {
+          Promise.resolve(callback(null)).then(resolve);
+        } else {
+          const waiter = { callback, resolve };
+          waiters.push(waiter);
+          options.signal?.addEventListener('abort', () => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new DOMException('Aborted', 'AbortError'));
+          });
+        }
+      }),
+      query: async () => ({ held: holder ? [{ name: 'nimbus-timer-owner' }] : [], pending: [] })
+    }
+  });
+}
+
+const messageArb = fc.record({
+  type: fc.option(fc.constantFrom(...Object.values(TAB_MESSAGES)), { nil: undefined }),
+  payload: fc.jsonValue(),
+  fromSelf: fc.boolean()
+});
+
+describe('cross-tab coordination', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // **Feature: nimbus, Property 44: Tab Channel Delivery**
+  // **Validates: Requirements 23.2, 23.3**
+  it('delivers typed messages from other tabs, in order, and never a tab its own', () => {
+    fc.assert(
+      fc.property(fc.array(messageArb, { maxLength: 20 }), (messages) => {
+        const FakeBroadcastChannel = installBroadcastChannel();
+        const received = [];
+        const channel = openTabChannel((type, payload) => received.push({ type, payload }));
+        const other = new FakeBroadcastChannel();
+
+        messages.forEach(({ type, payload, fromSelf }) => {
+          other.postMessage({ type, payload, senderId: fromSelf ? TAB_ID : 'other-tab' });
+        });
+        channel.close();
+
+        expect(received).toEqual(
+          messages.filter(m => m.type && !m.fromSelf).map(({ type, payload }) => ({ type, payload }))
+        );
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 45: Single Session Owner**
+  // **Validates: Requirements 23.1, 23.4**
+  it('grants ownership to one tab at a time and hands it to the next waiting tab', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 5 }), fc.integer({ min: 1, max: 5 }), async (starters, waiters) => {
+        installLocks();
+        expect(await isTabOwnershipHeld()).toBe(false);
+
+        // Several tabs try to start a session at once - only the first may own it
+        const attempts = await Promise.all(Array.from({ length: starters }, () => requestTabOwnership()));
+        const owners = attempts.filter(Boolean);
+        expect(owners).toHaveLength(1);
+        expect(attempts[0]).toBe(owners[0]);
+        expect(await isTabOwnershipHeld()).toBe(true);
+
+        // Mirroring tabs queue up and take over one by one as each owner goes away
+        const order = [];
+        const queued = Array.from({ length: waiters }, (_, i) =>
+          requestTabOwnership({ wait: true }).then(release => {
+            order.push(i);
+            return release;
+          })
+        );
+        let release = owners[0];
+        for (let i = 0; i < waiters; i++) {
+          release();
+          release = await queued[i];
+          expect(order).toEqual(Array.from({ length: i + 1 }, (_, j) => j));
+        }
+        release();
+        await Promise.resolve();
+        expect(await isTabOwnershipHeld()).toBe(false);
+      })
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { createTimerClock } from '../utils/timerClock';
+import { getEndTimestamp } from '../utils/timerLogic';
+
+const NOW = 1_700_000_000_000;
+
+// Runs on the main-thread fallback: there is no Worker in the test environment
+function startClock(endOffset) {
+  const ticks = [];
+  const onComplete = vi.fn();
+  const clock = createTimerClock({ onTick: (seconds) => ticks.push(seconds), onComplete });
+  clock.start(NOW + endOffset);
+  return { clock, ticks, onComplete };
+}
+
+describe('timer clock', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // **Feature: nimbus, Property 46: Wall-Clock Completion**
+  // **Validates: Requirements 24.1, 24.2, 24.3**
+  it('completes once at the end time with ticks counting down to zero', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 10 * 60 * 1000 }), (endOffset) => {
+        vi.setSystemTime(NOW);
+        const { clock, ticks, onComplete } = startClock(endOffset);
+
+        if (endOffset > 0) {
+          vi.advanceTimersByTime(endOffset - 1);
+          expect(onComplete).not.toHaveBeenCalled();
+        }
+        vi.advanceTimersByTime(endOffset > 0 ? 1 : 0);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+
+        // Nothing fires after completion
+        vi.advanceTimersByTime(5000);
+        expect(onComplete).toHaveBeenCalledTimes(1);
+        expect(ticks[ticks.length - 1]).toBe(0);
+        ticks.forEach((seconds, i) => {
+          expect(seconds).toBeGreaterThanOrEqual(0);
+          if (i > 0) expect(seconds).toBeLessThanOrEqual(ticks[i - 1]);
+        });
+        clock.terminate();
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 47: Completion Alarm Rescheduling**
+  // **Validates: Requirements 24.4**
+  it('only fires the latest alarm and never one that was stopped', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1000, max: 10 * 60 * 1000 }),
+        fc.integer({ min: 1000, max: 10 * 60 * 1000 }),
+        fc.boolean(),
+        (firstOffset, secondOffset, stopInstead) => {
+          vi.setSystemTime(NOW);
+          const { clock, onComplete } = startClock(firstOffset);
+
+          if (stopInstead) {
+            clock.stop();
+            vi.advanceTimersByTime(firstOffset + 5000);
+            expect(onComplete).not.toHaveBeenCalled();
+            return;
+          }
+
+          // Resuming after a pause reschedules to the new end time
+          clock.start(NOW + secondOffset);
+          vi.advanceTimersByTime(secondOffset - 1);
+          expect(onComplete).not.toHaveBeenCalled();
+          vi.advanceTimersByTime(Math.max(1, firstOffset - secondOffset + 5000));
+          expect(onComplete).toHaveBeenCalledTimes(1);
+          clock.terminate();
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 48: End Timestamp Calculation**
+  // **Validates: Requirements 24.1**
+  it('ends a running timer after its duration plus paused time', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 2 ** 42 }),
+        fc.integer({ min: 60, max: 7200 }),
+        fc.nat({ max: 3600 * 1000 }),
+        fc.boolean(),
+        fc.boolean(),
+        (startTime, totalDuration, totalPausedTime, isActive, isPaused) => {
+          const end = getEndTimestamp({ isActive, isPaused, startTime, totalDuration, totalPausedTime });
+          if (!isActive || isPaused) {
+            expect(end).toBeNull();
+          } else {
+            expect(end).toBe(startTime + totalPausedTime + totalDuration * 1000);
+          }
+        }
+      )
+    );
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import fc from 'fast-check';
+import { TIMER_EVENTS, subscribeTimerEvent, publishTimerEvent } from '../utils/timerEvents';
+
+const eventArb = fc.constantFrom(...Object.values(TIMER_EVENTS));
+
+describe('timer events', () => {
+  // **Feature: nimbus, Property 49: Timer Event Fan-Out**
+  // **Validates: Requirements 25.1**
+  it('delivers each event to every current subscriber of that event only', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.record({ event: eventArb, throws: fc.boolean(), unsubscribed: fc.boolean() }), { maxLength: 8 }),
+        eventArb,
+        fc.jsonValue(),
+        (subscriptions, published, payload) => {
+          const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+          const handlers = subscriptions.map(({ event, throws, unsubscribed }) => {
+            const handler = vi.fn(() => {
+              if (throws) throw new Error('subscriber failed');
+            });
+            const unsubscribe = subscribeTimerEvent(event, handler);
+            if (unsubscribed) unsubscribe();
+            return { handler, unsubscribe };
+          });
+
+          publishTimerEvent(published, payload);
+
+          subscriptions.forEach(({ event, unsubscribed }, i) => {
+            const { handler } = handlers[i];
+            if (event === published && !unsubscribed) {
+              expect(handler).toHaveBeenCalledTimes(1);
+              expect(handler).toHaveBeenCalledWith(payload);
+            } else {
+              expect(handler).not.toHaveBeenCalled();
+            }
+          });
+
+          handlers.forEach(({ unsubscribe }) => unsubscribe());
+          warn.mockRestore();
+        }
+      )
+    );
+  });
+});
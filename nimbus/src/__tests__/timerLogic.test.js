@@ -0,0 +1,271 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fc from 'fast-check';
+import {
+  getNextCyclePhase,
+  clampCycleSettings,
+  isBreakPhase,
+  TIMER_PHASES,
+  MAX_BREAK_MINUTES,
+  MAX_CYCLE_ROUNDS,
+  recoverTimer,
+  getOvertime,
+  MAX_RECOVERY_GAP,
+  MAX_OVERTIME
+} from '../utils/timerLogic';
+
+const cycleSettingsArb = fc.record({
+  shortBreakDuration: fc.integer({ min: 1, max: MAX_BREAK_MINUTES }).map(m => m * 60),
+  longBreakDuration: fc.integer({ min: 1, max: MAX_BREAK_MINUTES }).map(m => m * 60),
+  roundsBeforeLongBreak: fc.integer({ min: 1, max: MAX_CYCLE_ROUNDS })
+});
+
+const focusDurationArb = fc.integer({ min: 5, max: 120 }).map(m => m * 60);
+
+describe('pomodoro cycles', () => {
+  // **Feature: nimbus, Property 36: Cycle Phase Sequencing**
+  // **Validates: Requirements 21.1, 21.2**
+  it('follows focus with a break and every break with focus', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...Object.values(TIMER_PHASES)),
+        fc.integer({ min: 1, max: 100 }),
+        cycleSettingsArb,
+        focusDurationArb,
+        (finished, completedRounds, settings, focusDuration) => {
+          const next = getNextCyclePhase(finished, completedRounds, settings, focusDuration);
+
+          if (isBreakPhase(finished)) {
+            expect(next).toEqual({ phase: TIMER_PHASES.FOCUS, duration: focusDuration });
+          } else if (completedRounds % settings.roundsBeforeLongBreak === 0) {
+            expect(next).toEqual({ phase: TIMER_PHASES.LONG_BREAK, duration: settings.longBreakDuration });
+          } else {
+            expect(next).toEqual({ phase: TIMER_PHASES.SHORT_BREAK, duration: settings.shortBreakDuration });
+          }
+        }
+      )
+    );
+  });
+
+  // **Feature: nimbus, Property 37: Long Break Round Counting**
+  // **Validates: Requirements 21.1, 21.4**
+  it('takes one long break per completed set of rounds', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 40 }), cycleSettingsArb, focusDurationArb, (focusRounds, settings, focusDuration) => {
+        // Run the cycle from its first focus round, counting rounds like the timer does
+        let phase = TIMER_PHASES.FOCUS;
+        let completedRounds = 0;
+        const breaks = [];
+        while (completedRounds < focusRounds) {
+          if (phase === TIMER_PHASES.FOCUS) completedRounds++;
+          else breaks.push(phase);
+          phase = getNextCyclePhase(phase, completedRounds, settings, focusDuration).phase;
+        }
+        breaks.push(phase);
+
+        const longBreaks = breaks.filter(p => p === TIMER_PHASES.LONG_BREAK).length;
+        expect(breaks).toHaveLength(focusRounds);
+        expect(longBreaks).toBe(Math.floor(focusRounds / settings.roundsBeforeLongBreak));
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 38: Cycle Settings Clamping**
+  // **Validates: Requirements 21.3, 21.7**
+  it('clamps cycle settings into the allowed ranges', () => {
+    fc.assert(
+      fc.property(
+        fc.record({
+          shortBreakDuration: fc.oneof(fc.integer({ min: -600, max: 10 ** 5 }), fc.constant(undefined), fc.constant(NaN)),
+          longBreakDuration: fc.oneof(fc.integer({ min: -600, max: 10 ** 5 }), fc.constant(undefined), fc.constant(NaN)),
+          roundsBeforeLongBreak: fc.oneof(fc.integer({ min: -5, max: 100 }), fc.constant(undefined), fc.constant(NaN))
+        }),
+        cycleSettingsArb,
+        (raw, valid) => {
+          const clamped = clampCycleSettings(raw);
+          [clamped.shortBreakDuration, clamped.longBreakDuration].forEach(duration => {
+            expect(duration % 60).toBe(0);
+            expect(duration).toBeGreaterThanOrEqual(60);
+            expect(duration).toBeLessThanOrEqual(MAX_BREAK_MINUTES * 60);
+          });
+          expect(clamped.roundsBeforeLongBreak).toBeGreaterThanOrEqual(1);
+          expect(clamped.roundsBeforeLongBreak).toBeLessThanOrEqual(MAX_CYCLE_ROUNDS);
+          expect(clampCycleSettings(clamped)).toEqual(clamped);
+          expect(clampCycleSettings(valid)).toEqual(valid);
+        }
+      )
+    );
+  });
+});
+
+// A running session checkpointed `focusedSeconds` into its focus time
+const checkpointArb = fc.record({
+  startTime: fc.integer({ min: 10 ** 12, max: 2 * 10 ** 12 }),
+  totalDuration: fc.integer({ min: 5, max: 120 }).map(m => m * 60),
+  totalPausedTime: fc.integer({ min: 0, max: 3600 * 1000 }),
+  focusedSeconds: fc.nat({ max: 7200 })
+}).map(({ startTime, totalDuration, totalPausedTime, focusedSeconds }) => {
+  const focused = Math.min(focusedSeconds, totalDuration);
+  return {
+    timerState: {
+      isActive: true,
+      isPaused: false,
+      timeRemaining: totalDuration - focused,
+      totalDuration,
+      startTime,
+      pauseCount: 0,
+      pausedAt: null,
+      totalPausedTime,
+      phase: TIMER_PHASES.FOCUS
+    },
+    savedAt: startTime + totalPausedTime + focused * 1000
+  };
+});
+
+// Focus seconds a checkpointed session has run by `now`
+function focusedBy({ timerState }, now) {
+  return (now - timerState.startTime - timerState.totalPausedTime) / 1000;
+}
+
+describe('session recovery', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  function recoverAt(checkpoint, now) {
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+    return recoverTimer(checkpoint.timerState, checkpoint.savedAt, now);
+  }
+
+  // **Feature: nimbus, Property 39: Unfinished Session Recovery**
+  // **Validates: Requirements 22.2**
+  it('resumes a session that has not ended, fast-forwarded to now', () => {
+    fc.assert(
+      fc.property(checkpointArb, fc.nat({ max: 7200 * 1000 }), (checkpoint, closedMs) => {
+        const now = checkpoint.savedAt + closedMs;
+        const left = checkpoint.timerState.totalDuration - focusedBy(checkpoint, now);
+        fc.pre(left >= 3);
+
+        const { outcome, state } = recoverAt(checkpoint, now);
+        expect(outcome).toBe('resume');
+        expect(Math.abs(state.timeRemaining - left)).toBeLessThanOrEqual(2);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 40: Ended Session Recovery Within the Gap**
+  // **Validates: Requirements 22.3**
+  it('completes a session that ended at most 15 minutes after the last checkpoint', () => {
+    fc.assert(
+      fc.property(checkpointArb, fc.nat({ max: MAX_RECOVERY_GAP }), (checkpoint, closedMs) => {
+        const now = checkpoint.savedAt + closedMs;
+        fc.pre(focusedBy(checkpoint, now) >= checkpoint.timerState.totalDuration + 3);
+
+        const { outcome, state } = recoverAt(checkpoint, now);
+        expect(outcome).toBe('complete');
+        expect(state.timeRemaining).toBe(0);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 41: Ended Session Abandonment After the Gap**
+  // **Validates: Requirements 22.4**
+  it('abandons a session closed longer than 15 minutes at its last checkpoint', () => {
+    fc.assert(
+      fc.property(checkpointArb, fc.integer({ min: MAX_RECOVERY_GAP + 1, max: 30 * 24 * 3600 * 1000 }), (checkpoint, closedMs) => {
+        const now = checkpoint.savedAt + closedMs;
+        fc.pre(focusedBy(checkpoint, now) >= checkpoint.timerState.totalDuration + 3);
+
+        const { outcome, state } = recoverAt(checkpoint, now);
+        expect(outcome).toBe('abandon');
+        // Only the time focused up to the checkpoint counts
+        expect(state.timeRemaining).toBe(checkpoint.timerState.timeRemaining);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 42: Paused Session Recovery**
+  // **Validates: Requirements 22.2**
+  it('resumes a paused session with the time it had left when paused', () => {
+    fc.assert(
+      fc.property(checkpointArb, fc.nat({ max: 30 * 24 * 3600 * 1000 }), (checkpoint, closedMs) => {
+        fc.pre(checkpoint.timerState.timeRemaining > 0);
+        const paused = {
+          ...checkpoint,
+          timerState: { ...checkpoint.timerState, isPaused: true, pauseCount: 1, pausedAt: checkpoint.savedAt }
+        };
+
+        const { outcome, state } = recoverAt(paused, paused.savedAt + closedMs);
+        expect(outcome).toBe('resume');
+        expect(state.isPaused).toBe(true);
+        expect(state.timeRemaining).toBe(paused.timerState.timeRemaining);
+      })
+    );
+  });
+
+  // A flow-mode focus session checkpointed up to the overtime cap, in overtime once past zero
+  const flowCheckpointArb = fc.record({
+    startTime: fc.integer({ min: 10 ** 12, max: 2 * 10 ** 12 }),
+    totalDuration: fc.integer({ min: 5, max: 120 }).map(m => m * 60),
+    totalPausedTime: fc.integer({ min: 0, max: 3600 * 1000 }),
+    focusedSeconds: fc.nat({ max: 7200 + MAX_OVERTIME })
+  }).map(({ startTime, totalDuration, totalPausedTime, focusedSeconds }) => {
+    const focused = Math.min(focusedSeconds, totalDuration + MAX_OVERTIME);
+    return {
+      timerState: {
+        isActive: true,
+        isPaused: false,
+        timeRemaining: totalDuration - focused,
+        totalDuration,
+        startTime,
+        pauseCount: 0,
+        pausedAt: null,
+        totalPausedTime,
+        phase: TIMER_PHASES.FOCUS,
+        flowMode: true,
+        overtime: focused > totalDuration
+      },
+      savedAt: startTime + totalPausedTime + focused * 1000
+    };
+  });
+
+  // **Feature: nimbus, Property 61: Flow Overtime Recovery Within the Gap**
+  // **Validates: Requirements 29.1, 29.4**
+  it('resumes a flow session in overtime, or finalizes it once overtime hits the cap', () => {
+    fc.assert(
+      fc.property(flowCheckpointArb, fc.nat({ max: MAX_RECOVERY_GAP }), (checkpoint, closedMs) => {
+        const now = checkpoint.savedAt + closedMs;
+        const { totalDuration } = checkpoint.timerState;
+        fc.pre(focusedBy(checkpoint, now) >= totalDuration + 3);
+
+        const { outcome, state } = recoverAt(checkpoint, now);
+        expect(state.overtime).toBe(true);
+        expect(state.timeRemaining).toBeGreaterThanOrEqual(-MAX_OVERTIME);
+        expect(outcome).toBe(getOvertime(state) < MAX_OVERTIME ? 'resume' : 'complete');
+        expect(Math.abs(getOvertime(state) - Math.min(MAX_OVERTIME, focusedBy(checkpoint, now) - totalDuration)))
+          .toBeLessThanOrEqual(3);
+      })
+    );
+  });
+
+  // **Feature: nimbus, Property 62: Flow Overtime Recovery After the Gap**
+  // **Validates: Requirements 29.4**
+  it('finalizes a flow session that was in overtime with the overtime reached at the checkpoint', () => {
+    fc.assert(
+      fc.property(flowCheckpointArb, fc.integer({ min: MAX_RECOVERY_GAP + 1, max: 30 * 24 * 3600 * 1000 }), (checkpoint, closedMs) => {
+        const now = checkpoint.savedAt + closedMs;
+        fc.pre(focusedBy(checkpoint, now) >= checkpoint.timerState.totalDuration + 3);
+
+        const { outcome, state } = recoverAt(checkpoint, now);
+        if (checkpoint.timerState.timeRemaining <= 0) {
+          expect(outcome).toBe('complete');
+          expect(state.overtime).toBe(true);
+          expect(state.timeRemaining).toBe(Math.max(-MAX_OVERTIME, checkpoint.timerState.timeRemaining));
+        } else {
+          expect(outcome).toBe('abandon');
+          expect(state.timeRemaining).toBe(checkpoint.timerState.timeRemaining);
+        }
+      })
+    );
+  });
+});
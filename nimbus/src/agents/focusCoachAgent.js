@@ -1,6 +1,6 @@
 /**
  * Focus Coach Agent - Provides personalized encouragement and feedback
- * Requirements: 7.1, 7.2, 7.3, 7.4, 7.5, 7.6, 11.4
+ * Requirements: 7.1, 7.2, 7.3, 7.4, 7.5, 7.6, 11.4, 30.4, 37.4
  * 
  * Modes:
  * - encouragement: Session start motivation
@@ -64,7 +64,7 @@ function detectGoalType(goal) {
 
 /**
  * Build the input context for Focus Coach
- * Requirements: 7.5, 7.6
+ * Requirements: 7.5, 7.6, 30.4, 37.4
  * 
  * @param {string} mode - 'encouragement' | 'analysis' | 'motivation' | 'supportive'
  * @param {Object} sessionData - User session data
@@ -79,7 +79,11 @@ export function buildFocusCoachInput(mode, sessionData, currentGoal = null) {
     streak = 0,
     totalSessions = 0,
     completionRate = 0,
-    daysSinceLastSession = 0
+    daysSinceLastSession = 0,
+    recentRatings = [],
+    streakFreezes = 0,
+    restDaysAway = 0,
+    frozenDaysAway = 0
   } = sessionData;
   
   return {
@@ -92,7 +96,11 @@ export function buildFocusCoachInput(mode, sessionData, currentGoal = null) {
       totalSessions,
       completionRate: Math.round(completionRate * 100) / 100,
       timeOfDay: getTimeOfDay(),
-      daysSinceLastSession
+      daysSinceLastSession,
+      recentRatings: recentRatings.slice(-5), // Last 5 self-rated sessions, oldest first
+      streakFreezes,
+      restDaysAway,
+      frozenDaysAway
     },
     currentGoal
   };
@@ -139,6 +147,17 @@ function formatUserPrompt(input) {
   
   if (mode === 'motivation') {
     prompt += `- Days since last session: ${sessionData.daysSinceLastSession}\n`;
+    // Planned rest and frozen days are not a lapse - the streak survived them
+    if (sessionData.restDaysAway > 0) {
+      prompt += `- Of those, ${sessionData.restDaysAway} were planned rest days (they don't break the streak)\n`;
+    }
+    if (sessionData.frozenDaysAway > 0) {
+      prompt += `- ${sessionData.frozenDaysAway} missed day(s) were covered by streak freezes\n`;
+    }
+    prompt += `- Streak freezes left: ${sessionData.streakFreezes}\n`;
+    if (sessionData.streak > 0) {
+      prompt += `\nTheir streak is still alive - mention it rather than treating the time away as a setback.\n`;
+    }
     if (currentGoal) {
       prompt += `\nWelcome them back and mention their goal. Remember to phrase it naturally!\n`;
     }
@@ -152,6 +171,12 @@ function formatUserPrompt(input) {
     }
   }
   
+  // Self-reported focus ratings from post-session reflections
+  if ((mode === 'encouragement' || mode === 'analysis') && sessionData.recentRatings.length > 0) {
+    prompt += `\nRecent focus ratings (1-5, oldest first): ${sessionData.recentRatings.join(', ')}\n`;
+    prompt += `Reference how their focus has felt lately if it's relevant.\n`;
+  }
+  
   if (sessionData.recentSessions.length > 0) {
     prompt += `\nRecent session history:\n`;
     sessionData.recentSessions.forEach((session, i) => {
@@ -189,10 +214,11 @@ export async function callFocusCoachAgent(input) {
  * 
  * @param {Object} response - The API response
  * @param {string} mode - The mode for fallback selection
+ * @param {Object} sessionData - Session data from buildFocusCoachInput (for the fallback)
  * @returns {Object} - Parsed response
  */
-export function parseFocusCoachResponse(response, mode) {
-  const fallback = getFocusCoachFallback(mode);
+export function parseFocusCoachResponse(response, mode, sessionData = {}) {
+  const fallback = getFocusCoachFallback(mode, sessionData);
   
   return parseAgentResponse(response, {
     message: fallback.message,
@@ -213,5 +239,5 @@ export function parseFocusCoachResponse(response, mode) {
 export async function getFocusCoachFeedback(mode, sessionData, currentGoal = null) {
   const input = buildFocusCoachInput(mode, sessionData, currentGoal);
   const response = await callFocusCoachAgent(input);
-  return parseFocusCoachResponse(response, mode);
+  return parseFocusCoachResponse(response, mode, input.sessionData);
 }
@@ -38,6 +38,13 @@ export const FOCUS_COACH_FALLBACKS = {
     "You returned! That takes courage. Ready for another focus adventure?"
   ],
   
+  // Motivation when rest days or freezes kept the streak alive (Requirements 37.4)
+  motivationStreakKept: [
+    "Welcome back! Your {streak}-day streak is still going - ready to add another day?",
+    "Good to see you! Time off didn't cost you anything - your {streak}-day streak is intact.",
+    "Rested and back! Your {streak}-day streak kept warm while you were away."
+  ],
+  
   supportive: [
     "Session ended early - that's okay! Sometimes we need to stop. Try a shorter session next time?",
     "No worries about stopping early. Rest is part of the process. You still earned partial credits!",
@@ -47,6 +54,164 @@ export const FOCUS_COACH_FALLBACKS = {
   ]
 };
 
+/**
+ * Cycle mode messages shown when a break ends and the next focus round begins
+ * Requirements: 21.2
+ */
+export const BREAK_OVER_MESSAGES = [
+  "Break's over! Let's dive back in for another focus round.",
+  "Refreshed? Time to focus again - you've got this!",
+  "Back to it! Another round of credits awaits.",
+  "Welcome back from your break! Let's keep the cycle going."
+];
+
+/**
+ * Messages shown when a session is restored after a reload or crash
+ * Requirements: 22.2
+ */
+export const SESSION_RESTORED_MESSAGES = [
+  "Phew, your session survived! Picking up right where you left off.",
+  "Welcome back! Your timer kept counting while the page was away.",
+  "Session restored - no focus time lost. Keep going!"
+];
+
+/**
+ * Messages shown when a session is already running in another tab
+ * Requirements: 23.1
+ */
+export const TAB_BUSY_MESSAGES = [
+  "A session is already running in another tab - I'm mirroring it here.",
+  "Looks like you're already focusing in another tab! One session at a time."
+];
+
+/**
+ * Messages shown when a saved routine finishes its last step
+ * Requirements: 26.3
+ */
+export const ROUTINE_COMPLETE_MESSAGES = [
+  "Routine complete! {name} is in the books - fantastic discipline.",
+  "You finished {name} from start to finish. That's how habits are built!",
+  "{name} done! Every round, every break. I'm impressed."
+];
+
+/**
+ * Messages shown when a flow-mode session rolls into overtime
+ * Requirements: 29.1
+ */
+export const FLOW_OVERTIME_MESSAGES = [
+  "Planned time's up, but you're in the zone - keep going! Hit Finish when you're done.",
+  "You're in flow! I'll keep counting - overtime earns a bonus.",
+  "Timer hit zero and you're still rolling. Nice! Stop whenever you're ready."
+];
+
+/**
+ * Messages shown when the user comes back to Nimbus during a strict session
+ * Requirements: 31.2
+ */
+export const STRICT_RETURN_MESSAGES = [
+  "Welcome back! You were away for {away}. Strict mode is keeping count.",
+  "Hey, you drifted off for {away}. Let's get back into it!",
+  "{away} away from your session. Eyes back on the prize!"
+];
+
+/**
+ * Messages shown when strict mode abandons a session for time away
+ * Requirements: 31.4
+ */
+export const STRICT_ABANDON_MESSAGES = [
+  "Strict mode ended this session after {away} away. Shake it off and start a fresh one!",
+  "You were away for {away}, so this session didn't count in full. Next one's yours!",
+  "Session abandoned after {away} away. Maybe try a shorter session?"
+];
+
+/**
+ * Messages shown when a day plan block is due
+ * Requirements: 32.2
+ */
+export const PLAN_BLOCK_DUE_MESSAGES = [
+  "It's {time} - time for your {duration} block: {task}. Start it from the Plan tab!",
+  "Your planned {duration} block is up: {task}. Ready when you are!",
+  "Plan check! {task} is scheduled now for {duration}. Let's go!"
+];
+
+/**
+ * Messages shown when streak freezes cover missed days
+ * Requirements: 37.2
+ */
+export const STREAK_FREEZE_USED_MESSAGES = [
+  "A streak freeze covered {days} - your {streak}-day streak is safe! {left} left.",
+  "Missed {days}? No problem, a freeze kept your {streak}-day streak alive. {left} left.",
+  "Phew! Your streak froze over {days} instead of breaking. {left} left."
+];
+
+/**
+ * Messages shown when a streak milestone earns a freeze
+ * Requirements: 37.1
+ */
+export const STREAK_FREEZE_EARNED_MESSAGES = [
+  "{streak}-day streak! You earned a streak freeze for a day you can't focus.",
+  "{streak} days in a row - here's a streak freeze to keep it safe!",
+  "Streak milestone: {streak} days! A freeze has been added to your stash."
+];
+
+/**
+ * Messages suggesting a stop when the day is deep into the daily credit taper
+ * Requirements: 38.3
+ */
+export const DAILY_TAPER_MESSAGES = [
+  "{focused} of focus today - impressive! Credits are tapering off now, so maybe call it a day and come back fresh tomorrow?",
+  "That's {focused} today. Your brain has earned a rest, and sessions earn much less from here. Tomorrow's full rate is waiting!",
+  "Marathon day: {focused} focused! Rest is part of the process - consider stopping here."
+];
+
+/**
+ * Messages for an unlocked achievement
+ * Requirements: 39.3
+ */
+export const ACHIEVEMENT_UNLOCKED_MESSAGES = [
+  "Achievement unlocked: {name}! {description} - done.",
+  "New badge: {name}! Nice work, keep them coming.",
+  "{name} unlocked! Check it out in your badge gallery."
+];
+
+/**
+ * Messages for several achievements unlocked at once
+ * Requirements: 39.3
+ */
+export const ACHIEVEMENTS_UNLOCKED_MESSAGES = [
+  "{count} achievements unlocked at once! Take a look in your badge gallery.",
+  "Wow, {count} new badges! Head to the badge gallery to see them all."
+];
+
+/**
+ * Messages for a bundle placed and wired on the canvas
+ * Requirements: 44.3
+ */
+export const BUNDLE_PURCHASED_MESSAGES = [
+  "{name} unpacked! Everything's on your canvas and already wired up.",
+  "Your {name} is live - placed, connected and ready to grow.",
+  "{name} deployed in one go! Check the canvas to see how the pieces connect."
+];
+
+/**
+ * Messages for a bundle that didn't fully fit on the canvas
+ * Requirements: 44.3
+ */
+export const BUNDLE_PARTLY_PLACED_MESSAGES = [
+  "{name} unpacked! Your canvas ran out of room, so the rest is waiting in your inventory.",
+  "Got your {name}! Free up some canvas space to place the remaining pieces."
+];
+
+/**
+ * Messages for a wishlist item the user can now afford
+ * Requirements: 45.3
+ */
+export const WISHLIST_AFFORDABLE_MESSAGES = [
+  "You can afford {name} now! That's {cost} credits you saved up - head to the shop.",
+  "Savings goal reached: {name} ({cost} credits) is within reach!",
+  "All that focus paid off - {name} is affordable. Treat your architecture!"
+];
+
 /**
  * Cloud Architect fallback explanations by component type
  * Requirements: 8.1, 8.2
@@ -190,6 +355,10 @@ export const ARCHITECTURE_PATTERNS = {
     components: ['loadbalancer', 'ec2', 'rds'],
     message: "Congratulations! You've built a 3-tier architecture - the industry standard for web apps!"
   },
+  'serverless-api': {
+    components: ['lambda', 'dynamodb'],
+    message: "A serverless API! No servers to patch, and it scales with every request."
+  },
   'full-stack': {
     components: ['ec2', 's3', 'rds', 'loadbalancer', 'cloudfront'],
     message: "Wow! You've built a complete cloud infrastructure. You're a true cloud architect!"
@@ -211,11 +380,17 @@ export const ERROR_RECOVERY_MESSAGES = [
 /**
  * Get a random fallback message for Focus Coach
  * @param {string} mode - 'encouragement' | 'analysis' | 'motivation' | 'supportive'
+ * @param {Object} sessionData - Session data the agent was given (optional)
  * @returns {Object} - Fallback response object
  */
-export function getFocusCoachFallback(mode) {
-  const messages = FOCUS_COACH_FALLBACKS[mode] || FOCUS_COACH_FALLBACKS.encouragement;
-  const message = messages[Math.floor(Math.random() * messages.length)];
+export function getFocusCoachFallback(mode, sessionData = {}) {
+  // A streak that survived the time away is worth mentioning on return
+  const streakKept = mode === 'motivation' && sessionData.streak > 0;
+  const messages = streakKept
+    ? FOCUS_COACH_FALLBACKS.motivationStreakKept
+    : FOCUS_COACH_FALLBACKS[mode] || FOCUS_COACH_FALLBACKS.encouragement;
+  const message = messages[Math.floor(Math.random() * messages.length)]
+    .replace('{streak}', sessionData.streak);
   
   return {
     message,
@@ -225,6 +400,174 @@ export function getFocusCoachFallback(mode) {
   };
 }
 
+/**
+ * Get a random break-over message for cycle mode
+ * @returns {string}
+ */
+export function getBreakOverMessage() {
+  return BREAK_OVER_MESSAGES[Math.floor(Math.random() * BREAK_OVER_MESSAGES.length)];
+}
+
+/**
+ * Get a message for a session restored after a reload
+ * @returns {string}
+ */
+export function getSessionRestoredMessage() {
+  return SESSION_RESTORED_MESSAGES[Math.floor(Math.random() * SESSION_RESTORED_MESSAGES.length)];
+}
+
+/**
+ * Get a message for a finished routine
+ * @param {string} routineName - Name of the routine
+ * @returns {string}
+ */
+export function getRoutineCompleteMessage(routineName) {
+  const template = ROUTINE_COMPLETE_MESSAGES[Math.floor(Math.random() * ROUTINE_COMPLETE_MESSAGES.length)];
+  return template.replace('{name}', routineName);
+}
+
+/**
+ * Get a message for rolling into flow-mode overtime
+ * @returns {string}
+ */
+export function getFlowOvertimeMessage() {
+  return FLOW_OVERTIME_MESSAGES[Math.floor(Math.random() * FLOW_OVERTIME_MESSAGES.length)];
+}
+
+/**
+ * Get a warning for returning during a strict session
+ * @param {string} awayText - Total time away, formatted
+ * @param {string} policy - Strict mode policy ('warn' | 'reduce' | 'abandon')
+ * @param {string|null} leftText - Away time left before auto-abandon, formatted
+ * @returns {string}
+ */
+export function getStrictReturnMessage(awayText, policy, leftText = null) {
+  const template = STRICT_RETURN_MESSAGES[Math.floor(Math.random() * STRICT_RETURN_MESSAGES.length)];
+  const message = template.replace('{away}', awayText);
+  
+  if (policy === 'reduce') {
+    return `${message} Time away is shrinking your completion bonus.`;
+  }
+  if (policy === 'abandon' && leftText) {
+    return `${message} ${leftText} more away and this session ends.`;
+  }
+  return message;
+}
+
+/**
+ * Get a message for a session abandoned by strict mode
+ * @param {string} awayText - Total time away, formatted
+ * @returns {string}
+ */
+export function getStrictAbandonMessage(awayText) {
+  const template = STRICT_ABANDON_MESSAGES[Math.floor(Math.random() * STRICT_ABANDON_MESSAGES.length)];
+  return template.replace('{away}', awayText);
+}
+
+/**
+ * Get a prompt for a due day plan block
+ * @param {string} timeText - Block start time, formatted
+ * @param {string} durationText - Block length, formatted
+ * @param {string|null} task - Task label, if any
+ * @returns {string}
+ */
+export function getPlanBlockDueMessage(timeText, durationText, task) {
+  const template = PLAN_BLOCK_DUE_MESSAGES[Math.floor(Math.random() * PLAN_BLOCK_DUE_MESSAGES.length)];
+  return template
+    .replace('{time}', timeText)
+    .replace('{duration}', durationText)
+    .replace('{task}', task || 'a focus session');
+}
+
+/**
+ * Get a message for freezes that covered missed days
+ * @param {string} daysText - The frozen days, formatted
+ * @param {number} streak - Streak the freezes kept alive
+ * @param {number} freezesLeft - Freezes still held
+ * @returns {string}
+ */
+export function getStreakFreezeUsedMessage(daysText, streak, freezesLeft) {
+  const template = STREAK_FREEZE_USED_MESSAGES[Math.floor(Math.random() * STREAK_FREEZE_USED_MESSAGES.length)];
+  return template
+    .replace('{days}', daysText)
+    .replace('{streak}', streak)
+    .replace('{left}', freezesLeft === 1 ? '1 freeze' : `${freezesLeft} freezes`);
+}
+
+/**
+ * Get a message for a freeze earned at a streak milestone
+ * @param {number} streak - Streak that earned the freeze
+ * @returns {string}
+ */
+export function getStreakFreezeEarnedMessage(streak) {
+  const template = STREAK_FREEZE_EARNED_MESSAGES[Math.floor(Math.random() * STREAK_FREEZE_EARNED_MESSAGES.length)];
+  return template.replace('{streak}', streak);
+}
+
+/**
+ * Get a message suggesting a stop on a marathon day
+ * @param {string} focusedText - Focus time today, formatted
+ * @returns {string}
+ */
+export function getDailyTaperMessage(focusedText) {
+  const template = DAILY_TAPER_MESSAGES[Math.floor(Math.random() * DAILY_TAPER_MESSAGES.length)];
+  return template.replace('{focused}', focusedText);
+}
+
+/**
+ * Get a message for an unlocked achievement
+ * @param {Object} achievement - Achievement from the catalog
+ * @returns {string}
+ */
+export function getAchievementUnlockedMessage(achievement) {
+  const template = ACHIEVEMENT_UNLOCKED_MESSAGES[Math.floor(Math.random() * ACHIEVEMENT_UNLOCKED_MESSAGES.length)];
+  return template
+    .replace('{name}', achievement.name)
+    .replace('{description}', achievement.description);
+}
+
+/**
+ * Get a message for several achievements unlocked at once
+ * @param {number} count - Number of achievements unlocked
+ * @returns {string}
+ */
+export function getAchievementsUnlockedMessage(count) {
+  const template = ACHIEVEMENTS_UNLOCKED_MESSAGES[Math.floor(Math.random() * ACHIEVEMENTS_UNLOCKED_MESSAGES.length)];
+  return template.replace('{count}', count);
+}
+
+/**
+ * Get a message for a purchased bundle
+ * @param {Object} bundle - Bundle from data/bundles
+ * @param {boolean} fullyPlaced - Whether every component fit on the canvas
+ * @returns {string}
+ */
+export function getBundlePurchasedMessage(bundle, fullyPlaced) {
+  const messages = fullyPlaced ? BUNDLE_PURCHASED_MESSAGES : BUNDLE_PARTLY_PLACED_MESSAGES;
+  return messages[Math.floor(Math.random() * messages.length)].replace('{name}', bundle.name);
+}
+
+/**
+ * Get a message for a wishlist item that became affordable
+ * @param {string} name - Item label (component or upgrade tier)
+ * @param {number} cost - Item price in credits
+ * @returns {string}
+ */
+export function getWishlistAffordableMessage(name, cost) {
+  const template = WISHLIST_AFFORDABLE_MESSAGES[Math.floor(Math.random() * WISHLIST_AFFORDABLE_MESSAGES.length)];
+  return template
+    .replace('{name}', name)
+    .replace('{cost}', cost);
+}
+
+/**
+ * Get a message for starting while another tab owns the session
+ * @returns {string}
+ */
+export function getTabBusyMessage() {
+  return TAB_BUSY_MESSAGES[Math.floor(Math.random() * TAB_BUSY_MESSAGES.length)];
+}
+
 /**
  * Get a fallback explanation for Architect Agent
  * @param {string} componentType - The component type (ec2, s3, rds, etc.)
@@ -263,7 +606,7 @@ export function detectArchitecturePattern(ownedComponents) {
   const owned = new Set(ownedComponents.map(c => c.toLowerCase()));
   
   // Check patterns from most complex to simplest
-  const patternOrder = ['full-stack', 'three-tier', 'scalable-web-app', 'basic-web-app', 'static-website', 'web-server'];
+  const patternOrder = ['full-stack', 'three-tier', 'scalable-web-app', 'basic-web-app', 'serverless-api', 'static-website', 'web-server'];
   
   for (const patternKey of patternOrder) {
     const pattern = ARCHITECTURE_PATTERNS[patternKey];
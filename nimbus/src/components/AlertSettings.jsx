@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Bell, BellOff, Volume2, VolumeX } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { TIMER_EVENTS } from '../utils/timerEvents';
+import { playChime } from '../utils/audioChimes';
+import {
+  supportsNotifications,
+  getNotificationPermission,
+  requestNotificationPermission
+} from '../utils/notifications';
+
+// Display labels for each timer event
+const EVENT_LABELS = {
+  [TIMER_EVENTS.SESSION_COMPLETE]: 'Session complete',
+  [TIMER_EVENTS.FINAL_MINUTE]: 'Final minute',
+  [TIMER_EVENTS.BREAK_OVER]: 'Break over',
+  [TIMER_EVENTS.OVERTIME_START]: 'Overtime started',
+  [TIMER_EVENTS.PLAN_BLOCK_DUE]: 'Planned block due',
+};
+
+/**
+ * AlertSettings Component
+ * 
+ * Preferences for timer milestone alerts:
+ * - Opt-in desktop notifications (asks for browser permission)
+ * - Per-event chime volume with a preview button
+ * 
+ * **Validates: Requirements 25.2, 25.3, 25.5**
+ */
+export default function AlertSettings() {
+  const { state, actions } = useApp();
+  const { alertSettings } = state;
+  const [permission, setPermission] = useState(getNotificationPermission());
+  
+  // Enabling asks for permission first; notifications stay off if it is refused
+  const handleToggleNotifications = async () => {
+    if (alertSettings.notificationsEnabled) {
+      actions.updateAlertSettings({ notificationsEnabled: false });
+      return;
+    }
+    
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === 'granted') {
+      actions.updateAlertSettings({ notificationsEnabled: true });
+    }
+  };
+  
+  const handleVolumeChange = (event, value) => {
+    actions.updateAlertSettings({ volumes: { [event]: value / 100 } });
+  };
+  
+  return (
+    <div className="space-y-5">
+      {/* Desktop notifications */}
+      <div>
+        <button
+          onClick={handleToggleNotifications}
+          disabled={!supportsNotifications() || permission === 'denied'}
+          className={`w-full flex items-center justify-between px-4 py-3 rounded-lg border transition-all duration-200
+            disabled:opacity-50 disabled:cursor-not-allowed ${
+            alertSettings.notificationsEnabled
+              ? 'bg-kiro-purple/20 border-kiro-purple text-white'
+              : 'bg-kiro-bg border-kiro-purple/30 text-gray-300 hover:border-kiro-purple'
+          }`}
+        >
+          <span className="flex items-center gap-2">
+            {alertSettings.notificationsEnabled ? <Bell size={18} /> : <BellOff size={18} />}
+            Desktop notifications
+          </span>
+          <span className="text-sm text-kiro-purple">
+            {alertSettings.notificationsEnabled ? 'On' : 'Off'}
+          </span>
+        </button>
+        {!supportsNotifications() && (
+          <p className="text-xs text-gray-500 mt-2">This browser doesn't support notifications.</p>
+        )}
+        {permission === 'denied' && (
+          <p className="text-xs text-kiro-warning mt-2">
+            Notifications are blocked for this site. Allow them in your browser settings to turn this on.
+          </p>
+        )}
+      </div>
+      
+      {/* Chime volume per event */}
+      <div className="space-y-3">
+        <h3 className="text-sm font-semibold text-kiro-purple">Chimes</h3>
+        {Object.entries(EVENT_LABELS).map(([event, label]) => {
+          const volume = Math.round((alertSettings.volumes[event] ?? 0) * 100);
+          return (
+            <div key={event} className="flex items-center gap-3">
+              <button
+                onClick={() => playChime(event, volume / 100)}
+                className="p-1.5 text-kiro-purple/70 hover:text-kiro-purple hover:bg-kiro-purple/10 rounded-lg transition-colors"
+                aria-label={`Preview ${label} chime`}
+              >
+                {volume > 0 ? <Volume2 size={16} /> : <VolumeX size={16} />}
+              </button>
+              <span className="w-32 text-sm text-gray-300">{label}</span>
+              <input
+                type="range"
+                min={0}
+                max={100}
+                value={volume}
+                onChange={(e) => handleVolumeChange(event, Number(e.target.value))}
+                className="flex-1 accent-kiro-purple"
+              />
+              <span className="w-10 text-right text-xs text-gray-500">{volume}%</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { Headphones } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { AMBIENT_SOUNDS, AMBIENT_SOUND_LABELS } from '../utils/ambientSound';
+
+/**
+ * AmbientControls Component
+ * 
+ * Picks the background soundscape for focus sessions and its volume.
+ * The choice is a session setting, so it is remembered on this device
+ * and can be changed while a session is running.
+ * 
+ * **Validates: Requirements 34.1, 34.4**
+ */
+export default function AmbientControls() {
+  const { state, actions } = useApp();
+  const { ambientSound, ambientVolume } = state.sessionSettings;
+  
+  return (
+    <div className="mt-4 flex items-center justify-center gap-2 text-xs text-kiro-purple/70">
+      <Headphones size={14} />
+      <select
+        value={ambientSound}
+        onChange={(e) => actions.updateSessionSettings({ ambientSound: e.target.value })}
+        className="px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white"
+        aria-label="Ambient sound"
+      >
+        {Object.values(AMBIENT_SOUNDS).map(sound => (
+          <option key={sound} value={sound}>{AMBIENT_SOUND_LABELS[sound]}</option>
+        ))}
+      </select>
+      {ambientSound !== AMBIENT_SOUNDS.OFF && (
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={ambientVolume}
+          onChange={(e) => actions.updateSessionSettings({ ambientVolume: Number(e.target.value) })}
+          className="w-24 accent-kiro-purple"
+          aria-label="Ambient volume"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import { useState, useEffect, useRef } from 'react';
+import { Command, Search, CornerDownLeft } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useTimerSession } from '../context/TimerSessionContext';
+import { useComponentPurchase } from '../hooks/useShop';
+import { COMPONENTS_CATALOG } from '../data/components';
+import { canPurchase, getPurchaseCost } from '../utils/shopLogic';
+import { getPlayerLevel } from '../utils/levels';
+import { isBreakPhase } from '../utils/timerLogic';
+import {
+  SHORTCUT_KEYS,
+  VIEW_SHORTCUTS,
+  canHandleShortcut,
+  isCommandPaletteShortcut,
+  getCommandPaletteLabel,
+  getShortcutLabel,
+  searchCommands
+} from '../utils/keyboardShortcuts';
+import Modal from './Modal';
+
+// Display names for the views reachable by number keys
+const VIEW_TITLES = {
+  timer: 'Timer',
+  plan: 'Plan',
+  shop: 'Shop',
+  canvas: 'Canvas',
+  history: 'History',
+  badges: 'Badges',
+};
+
+/**
+ * Build every command the palette can run.
+ * Each command: { id, title, group, keywords, key, hint, disabled, run }
+ * - key: single-key shortcut that runs it globally
+ * - disabled: reason text when it can't run right now
+ */
+function useCommands() {
+  const { state, actions } = useApp();
+  const { timerState, userProgress, sessionSettings, uiState } = state;
+  const { credits, ownedComponents, presets, routines } = userProgress;
+  const { level } = getPlayerLevel(state);
+  const { timerDraft, connectMode } = uiState;
+  const {
+    startSession,
+    startRoutine,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    skipBreak
+  } = useTimerSession();
+  const purchaseComponent = useComponentPurchase();
+  
+  const draftLabels = { task: timerDraft.task, project: timerDraft.project };
+  const busy = timerState.isActive ? 'A session is already running' : null;
+  
+  // Timer controls (Requirements 33.1)
+  const toggleTitle = !timerState.isActive
+    ? `Start ${Math.round(timerDraft.duration / 60)} min focus session`
+    : timerState.isPaused ? 'Resume session' : 'Pause session';
+  const timerCommands = [
+    {
+      id: 'timer-toggle',
+      title: toggleTitle,
+      group: 'Timer',
+      keywords: ['start', 'pause', 'resume', 'play'],
+      key: SHORTCUT_KEYS.TOGGLE_TIMER,
+      run: () => {
+        if (!timerState.isActive) {
+          startSession(timerDraft.duration, draftLabels);
+        } else if (timerState.isPaused) {
+          resumeSession();
+        } else {
+          pauseSession();
+        }
+      },
+    },
+    {
+      id: 'timer-stop',
+      title: timerState.overtime ? 'Finish session' : 'Stop session',
+      group: 'Timer',
+      keywords: ['stop', 'abandon', 'finish', 'end'],
+      key: SHORTCUT_KEYS.STOP_TIMER,
+      disabled: timerState.isActive ? null : 'No session running',
+      run: stopSession,
+    },
+    {
+      id: 'timer-skip-break',
+      title: 'Skip break',
+      group: 'Timer',
+      keywords: ['break', 'next'],
+      disabled: timerState.isActive && isBreakPhase(timerState.phase) ? null : 'Not on a break',
+      run: skipBreak,
+    },
+    ...presets.map(preset => ({
+      id: `preset-${preset.id}`,
+      title: `Start ${preset.label}`,
+      group: 'Presets',
+      keywords: ['start', 'preset', `${preset.seconds / 60} min`],
+      hint: `${preset.seconds / 60} min`,
+      disabled: busy,
+      run: () => startSession(preset.seconds, draftLabels),
+    })),
+    ...routines.map(routine => ({
+      id: `routine-${routine.id}`,
+      title: `Run ${routine.name}`,
+      group: 'Routines',
+      keywords: ['start', 'routine'],
+      disabled: busy,
+      run: () => startRoutine(routine, draftLabels),
+    })),
+  ];
+  
+  // Navigation (Requirements 33.1)
+  const viewCommands = VIEW_SHORTCUTS.map((view, index) => ({
+    id: `view-${view}`,
+    title: `Go to ${VIEW_TITLES[view]}`,
+    group: 'Navigation',
+    keywords: ['view', 'open', 'switch'],
+    key: String(index + 1),
+    run: () => actions.setActiveView(view),
+  }));
+  
+  const settingCommands = [
+    {
+      id: 'connect-mode',
+      title: connectMode ? 'Leave connect mode' : 'Enter connect mode',
+      group: 'Canvas',
+      keywords: ['connect', 'link', 'canvas'],
+      key: SHORTCUT_KEYS.CONNECT_MODE,
+      run: () => {
+        actions.setActiveView('canvas');
+        actions.setConnectMode(!connectMode);
+      },
+    },
+    {
+      id: 'flow-mode',
+      title: sessionSettings.flowMode ? 'Turn flow mode off' : 'Turn flow mode on',
+      group: 'Settings',
+      keywords: ['flow', 'overtime'],
+      run: () => actions.updateSessionSettings({ flowMode: !sessionSettings.flowMode }),
+    },
+    {
+      id: 'strict-mode',
+      title: sessionSettings.strictMode ? 'Turn strict mode off' : 'Turn strict mode on',
+      group: 'Settings',
+      keywords: ['strict', 'away', 'tab'],
+      run: () => actions.updateSessionSettings({ strictMode: !sessionSettings.strictMode }),
+    },
+  ];
+  
+  // Purchase any catalog component by name (Requirements 33.3)
+  const shopCommands = COMPONENTS_CATALOG.map(component => {
+    const check = canPurchase(component, credits, ownedComponents, level);
+    return {
+      id: `buy-${component.id}`,
+      title: `Buy ${component.name}`,
+      group: 'Shop',
+      keywords: ['buy', 'purchase', component.id, component.category],
+      hint: `${getPurchaseCost(component, ownedComponents)} credits`,
+      disabled: check.canPurchase ? null : check.message,
+      run: () => purchaseComponent(component),
+    };
+  });
+  
+  return [...timerCommands, ...viewCommands, ...settingCommands, ...shopCommands];
+}
+
+/**
+ * CommandPalette Component
+ *
+ * Keyboard layer for the whole app:
+ * - Global single-key shortcuts (Space start/pause/resume, X stop, 1-6 views, C connect mode)
+ * - Ctrl/Cmd+K opens a searchable palette that can run any command,
+ *   including buying a component by name
+ * Shortcuts are ignored while typing (e.g. in the goal input) or in a dialog.
+ *
+ * **Validates: Requirements 33.1, 33.2, 33.3, 33.4**
+ */
+export default function CommandPalette() {
+  const commands = useCommands();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const commandsRef = useRef(commands);
+  
+  useEffect(() => {
+    commandsRef.current = commands;
+  }, [commands]);
+  
+  const results = searchCommands(commands, query);
+  
+  const openPalette = () => {
+    setQuery('');
+    setActiveIndex(0);
+    setIsOpen(true);
+  };
+  
+  const closePalette = () => {
+    setIsOpen(false);
+  };
+  
+  const runCommand = (command) => {
+    if (!command || command.disabled) return;
+    setIsOpen(false);
+    command.run();
+  };
+  
+  // Global shortcuts - a single listener reads the latest commands from the ref
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isCommandPaletteShortcut(e)) {
+        e.preventDefault();
+        setQuery('');
+        setActiveIndex(0);
+        setIsOpen(open => !open);
+        return;
+      }
+      if (!canHandleShortcut(e)) return;
+      
+      const key = e.key.toLowerCase();
+      const command = commandsRef.current.find(c => c.key === key);
+      if (!command || command.disabled) return;
+      e.preventDefault();
+      command.run();
+    };
+    
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+  
+  // Focus the search box when the palette opens
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+  
+  const handleInputKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(results.length - 1, index + 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(0, index - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runCommand(results[activeIndex]);
+    }
+  };
+  
+  return (
+    <>
+      <button
+        onClick={openPalette}
+        className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm bg-kiro-bg border border-kiro-purple/30 text-kiro-purple/70 hover:border-kiro-purple hover:text-kiro-purple transition-colors"
+        title="Command palette"
+      >
+        <Command size={14} />
+        <span className="text-xs">{getCommandPaletteLabel()}</span>
+      </button>
+      
+      <Modal isOpen={isOpen} onClose={closePalette} title="Command palette" size="lg">
+        <div className="flex items-center gap-2 px-3 py-2 mb-3 bg-kiro-bg border border-kiro-purple/30 rounded-lg focus-within:border-kiro-purple">
+          <Search size={16} className="text-kiro-purple/70" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setActiveIndex(0);
+            }}
+            onKeyDown={handleInputKeyDown}
+            placeholder="Type a command, e.g. pause, shop, buy lambda..."
+            className="flex-1 bg-transparent text-white text-sm placeholder-gray-500 focus:outline-none"
+            aria-label="Search commands"
+          />
+        </div>
+        
+        <div className="max-h-80 overflow-auto space-y-1" role="listbox">
+          {results.length === 0 && (
+            <p className="text-center text-sm text-gray-500 py-6">No matching commands</p>
+          )}
+          {results.map((command, index) => (
+            <button
+              key={command.id}
+              onClick={() => runCommand(command)}
+              onMouseEnter={() => setActiveIndex(index)}
+              disabled={!!command.disabled}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left transition-colors disabled:cursor-not-allowed ${
+                index === activeIndex ? 'bg-kiro-purple/15' : 'hover:bg-kiro-purple/10'
+              }`}
+            >
+              <span className="w-20 text-xs text-gray-500 flex-shrink-0">{command.group}</span>
+              <span className="flex-1 min-w-0">
+                <span className={`block text-sm truncate ${command.disabled ? 'text-gray-500' : 'text-white'}`}>
+                  {command.title}
+                </span>
+                {command.disabled && (
+                  <span className="block text-xs text-gray-600 truncate">{command.disabled}</span>
+                )}
+              </span>
+              {command.hint && (
+                <span className="text-xs text-kiro-purple/70 flex-shrink-0">{command.hint}</span>
+              )}
+              {command.key && (
+                <kbd className="px-1.5 py-0.5 text-xs rounded border border-kiro-purple/30 text-kiro-purple/70 flex-shrink-0">
+                  {getShortcutLabel(command.key)}
+                </kbd>
+              )}
+              {index === activeIndex && !command.disabled && (
+                <CornerDownLeft size={14} className="text-kiro-purple/70 flex-shrink-0" />
+              )}
+            </button>
+          ))}
+        </div>
+      </Modal>
+    </>
+  );
+}
@@ -2,8 +2,10 @@ import {
   Server, Database, HardDrive, GitBranch, Globe, Lock, Check, Zap,
   MessageSquare, Bell, Workflow, Users, Shield, Activity, Sparkles
 } from 'lucide-react';
-import { getPurchaseState, isComponentOwned } from '../utils/shopLogic';
+import { getPurchaseState, isComponentOwned, getMaxInstances, getPurchaseCost } from '../utils/shopLogic';
+import { getOwnedCount } from '../utils/ownedComponents';
 import { CATEGORY_DISPLAY_NAMES } from '../utils/connectionRules';
+import { checkCategoryLevel } from '../utils/levels';
 
 /**
  * ComponentCard Component
@@ -11,7 +13,7 @@ import { CATEGORY_DISPLAY_NAMES } from '../utils/connectionRules';
  * Displays a single infrastructure component in the shop.
  * Shows AWS icon, name, description, cost, and purchase state.
  * 
- * **Validates: Requirements 4.1, 4.2, 4.3, 4.4, 16.1, 19.6**
+ * **Validates: Requirements 4.1, 4.2, 4.3, 4.4, 16.1, 19.6, 41.2**
  */
 
 // Fallback icon mapping for component types (if AWS icon fails)
@@ -56,12 +58,15 @@ export default function ComponentCard({
   component, 
   credits, 
   ownedComponents,
+  level,
   onPurchase,
   onMoreInfo,
   isRecommended = false
 }) {
-  const purchaseState = getPurchaseState(component, credits, ownedComponents);
+  const purchaseState = getPurchaseState(component, credits, ownedComponents, level);
+  const levelCheck = checkCategoryLevel(component, level);
   const isOwned = isComponentOwned(component.id, ownedComponents);
+  const cost = getPurchaseCost(component, ownedComponents);
   const IconComponent = ICON_MAP[component.icon] || Server;
 
   // Style configurations based on purchase state
@@ -125,7 +130,9 @@ export default function ComponentCard({
         <div className="absolute inset-0 flex items-center justify-center bg-kiro-bg/50 rounded-xl">
           <div className="text-center">
             <Lock size={24} className="mx-auto text-gray-500 mb-1" />
-            <p className="text-xs text-gray-500">Locked</p>
+            <p className="text-xs text-gray-500">
+              {levelCheck.met ? 'Locked' : `Level ${levelCheck.requiredLevel}`}
+            </p>
           </div>
         </div>
       )}
@@ -150,12 +157,18 @@ export default function ComponentCard({
         <span className={`font-bold ${
           purchaseState === 'insufficient' ? 'text-kiro-warning' : 'text-white'
         }`}>
-          {component.cost}
+          {cost}
         </span>
         <span className="text-gray-500 text-sm">credits</span>
         {purchaseState === 'insufficient' && (
           <span className="text-xs text-kiro-warning ml-1">
-            (need {component.cost - credits} more)
+            (need {cost - credits} more)
+          </span>
+        )}
+        {/* Instance count (Requirements 43.4) */}
+        {isOwned && (
+          <span className="ml-auto text-xs text-kiro-success">
+            owned {getOwnedCount(component.id, ownedComponents)}/{getMaxInstances(component)}
           </span>
         )}
       </div>
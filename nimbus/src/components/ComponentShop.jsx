@@ -1,15 +1,20 @@
 import { useState } from 'react';
 import { 
   Server, Database, HardDrive, GitBranch, Globe, Zap, Lock, ExternalLink,
-  MessageSquare, Bell, Workflow, Users, Shield, Activity, Sparkles, Loader2
+  MessageSquare, Bell, Workflow, Users, Shield, Activity, Sparkles, Loader2, Pin
 } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import { COMPONENTS_CATALOG, getComponentById } from '../data/components';
-import { canPurchase, processPurchase } from '../utils/shopLogic';
+import { canPurchase, canSell, calculateSellBack, getMaxInstances, getPurchaseCost } from '../utils/shopLogic';
+import { getOwnedCount } from '../utils/ownedComponents';
+import { WISHLIST_LIMIT } from '../utils/wishlist';
+import { getPlayerLevel } from '../utils/levels';
+import { UPGRADE_TIER_LEVELS } from '../data/levels';
 import ComponentCard from './ComponentCard';
+import StarterKits from './StarterKits';
+import Wishlist from './Wishlist';
 import Modal from './Modal';
-import { useArchitect } from '../hooks/useAgents';
-import { useCloudState } from '../App';
+import { useComponentPurchase, useComponentSale, useWishlistPin } from '../hooks/useShop';
 import { CATEGORY_DISPLAY_NAMES } from '../utils/connectionRules';
 import { callGoalAdviceAgent } from '../agents/architectAgent';
 
@@ -22,7 +27,7 @@ import { callGoalAdviceAgent } from '../agents/architectAgent';
  * - "More Info" modal with full description and real-world example
  * - Purchase flow with credit deduction
  * 
- * **Validates: Requirements 4.1, 4.2, 4.3, 4.4, 4.5, 4.6, 16.1**
+ * **Validates: Requirements 4.1, 4.2, 4.3, 4.4, 4.5, 4.6, 16.1, 41.2, 42.1, 42.2, 43.4, 44.1, 45.1**
  */
 
 // Icon mapping for modal display
@@ -44,20 +49,21 @@ const ICON_MAP = {
 export default function ComponentShop() {
   const { state, actions } = useApp();
   const { userProgress, goalState } = state;
-  const { credits, ownedComponents } = userProgress;
+  const { credits, ownedComponents, creditLedger, lastPlacedAt, wishlist } = userProgress;
+  const { level } = getPlayerLevel(state);
   
   const [selectedComponent, setSelectedComponent] = useState(null);
   const [showModal, setShowModal] = useState(false);
+  const [confirmingSale, setConfirmingSale] = useState(false);
   
   // Goal input state
   const [goalInput, setGoalInput] = useState('');
   const [isLoadingGoal, setIsLoadingGoal] = useState(false);
   
-  // Architect agent for purchase explanations
-  const { onPurchase: notifyArchitect } = useArchitect();
-  
-  // Cloud state for auto-save
-  const { triggerCloudSave } = useCloudState();
+  // Shared purchase flow (credits, Architect explanation, cloud save)
+  const purchaseComponent = useComponentPurchase();
+  const sellComponent = useComponentSale();
+  const togglePin = useWishlistPin();
 
   // Handle goal submission
   // **Validates: Requirements 19.1, 19.2, 19.3**
@@ -104,21 +110,7 @@ export default function ComponentShop() {
 
   // Handle purchase
   const handlePurchase = (component) => {
-    const result = processPurchase(component, credits, ownedComponents);
-    
-    if (result.success) {
-      actions.spendCredits(component.cost);
-      actions.addOwnedComponent(component.id);
-      
-      // Trigger Architect Agent to explain the component
-      notifyArchitect(component.id);
-      
-      // Auto-save to cloud after purchase (Requirements 13.7)
-      // Use setTimeout to ensure state is updated before saving
-      setTimeout(() => {
-        triggerCloudSave();
-      }, 100);
-    }
+    purchaseComponent(component);
   };
 
   // Handle more info click
@@ -131,6 +123,35 @@ export default function ComponentShop() {
   const handleCloseModal = () => {
     setShowModal(false);
     setSelectedComponent(null);
+    setConfirmingSale(false);
+  };
+
+  // Handle sell back - the first click asks for confirmation (Requirements 42.1)
+  const handleSell = (component) => {
+    if (!confirmingSale) {
+      setConfirmingSale(true);
+      return;
+    }
+    sellComponent(component);
+    handleCloseModal();
+  };
+
+  // Wishlist pin button for a component (tier null) or an upgrade tier (Requirements 45.1)
+  const renderPinButton = (componentId, tier = null) => {
+    const pinned = wishlist.some(item => item.componentId === componentId && item.tier === tier);
+    const full = !pinned && wishlist.length >= WISHLIST_LIMIT;
+    return (
+      <button
+        onClick={() => togglePin(componentId, tier)}
+        disabled={full}
+        title={pinned ? 'Remove from wishlist' : full ? `Wishlist is full (${WISHLIST_LIMIT} items)` : 'Pin to wishlist'}
+        className={`p-1 rounded transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+          pinned ? 'text-kiro-warning' : 'text-gray-500 hover:text-kiro-warning'
+        }`}
+      >
+        <Pin size={14} className={pinned ? 'fill-current' : ''} />
+      </button>
+    );
   };
 
   // Get prerequisite info for modal
@@ -141,12 +162,14 @@ export default function ComponentShop() {
     
     return component.prerequisites.map(prereqId => {
       const prereq = getComponentById(prereqId);
-      const owned = ownedComponents.includes(prereqId);
+      const owned = getOwnedCount(prereqId, ownedComponents) > 0;
       return { ...prereq, owned };
     });
   };
 
   const IconComponent = selectedComponent ? ICON_MAP[selectedComponent.icon] : Server;
+  const selectedOwnedCount = selectedComponent ? getOwnedCount(selectedComponent.id, ownedComponents) : 0;
+  const selectedMaxInstances = selectedComponent ? getMaxInstances(selectedComponent) : 1;
 
   return (
     <div className="flex-1 p-6 overflow-auto">
@@ -220,6 +243,12 @@ export default function ComponentShop() {
         )}
       </div>
 
+      {/* Savings goals */}
+      <Wishlist />
+
+      {/* Starter kit bundles */}
+      <StarterKits />
+
       {/* Component Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {COMPONENTS_CATALOG.map(component => (
@@ -228,6 +257,7 @@ export default function ComponentShop() {
             component={component}
             credits={credits}
             ownedComponents={ownedComponents}
+            level={level}
             onPurchase={handlePurchase}
             onMoreInfo={handleMoreInfo}
             isRecommended={goalState.recommendedServiceTypes?.includes(component.id)}
@@ -260,8 +290,16 @@ export default function ComponentShop() {
                 </div>
                 <div className="flex items-center gap-2">
                   <Zap size={18} className="text-kiro-warning" />
-                  <span className="font-bold text-white text-lg">{selectedComponent.cost}</span>
+                  <span className="font-bold text-white text-lg">
+                    {getPurchaseCost(selectedComponent, ownedComponents)}
+                  </span>
                   <span className="text-gray-500">credits</span>
+                  {selectedMaxInstances > 1 && (
+                    <span className="text-xs text-gray-500">
+                      • owned {selectedOwnedCount}/{selectedMaxInstances}
+                    </span>
+                  )}
+                  {selectedOwnedCount < selectedMaxInstances && renderPinButton(selectedComponent.id)}
                 </div>
               </div>
             </div>
@@ -349,18 +387,24 @@ export default function ComponentShop() {
                         : 'border-gray-600/30 bg-kiro-bg opacity-50'
                     }`}
                   >
-                    <div className="font-semibold text-white">{tier.name}</div>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-semibold text-white">{tier.name}</span>
+                      {index > 0 && renderPinButton(selectedComponent.id, tier.tier)}
+                    </div>
                     <div className="text-gray-500">{tier.cost} credits</div>
+                    {UPGRADE_TIER_LEVELS[tier.tier] && (
+                      <div className="text-kiro-purple/70">Level {UPGRADE_TIER_LEVELS[tier.tier]}</div>
+                    )}
                   </div>
                 ))}
               </div>
             </div>
 
-            {/* Purchase button in modal */}
-            {!ownedComponents.includes(selectedComponent.id) && (
+            {/* Purchase button in modal - until the instance limit is reached */}
+            {selectedOwnedCount < selectedMaxInstances && (
               <div className="pt-2 border-t border-gray-700">
                 {(() => {
-                  const purchaseCheck = canPurchase(selectedComponent, credits, ownedComponents);
+                  const purchaseCheck = canPurchase(selectedComponent, credits, ownedComponents, level);
                   return purchaseCheck.canPurchase ? (
                     <button
                       onClick={() => {
@@ -370,7 +414,7 @@ export default function ComponentShop() {
                       className="w-full py-3 bg-kiro-success hover:bg-kiro-success/80 
                                text-white font-medium rounded-lg transition-colors"
                     >
-                      Purchase for {selectedComponent.cost} credits
+                      {selectedOwnedCount > 0 ? 'Add another' : 'Purchase'} for {getPurchaseCost(selectedComponent, ownedComponents)} credits
                     </button>
                   ) : (
                     <div className="text-center text-gray-500 text-sm py-2">
@@ -381,12 +425,52 @@ export default function ComponentShop() {
               </div>
             )}
 
-            {/* Already owned message */}
-            {ownedComponents.includes(selectedComponent.id) && (
+            {/* Already owned message with sell back */}
+            {selectedOwnedCount > 0 && (
               <div className="pt-2 border-t border-gray-700">
                 <div className="text-center text-kiro-success text-sm py-2 flex items-center justify-center gap-2">
-                  <span>✓</span> You own this component
+                  <span>✓</span>
+                  {selectedMaxInstances > 1
+                    ? `You own ${selectedOwnedCount} of ${selectedMaxInstances}`
+                    : 'You own this component'}
                 </div>
+                {(() => {
+                  const saleCheck = canSell(selectedComponent.id, ownedComponents);
+                  if (!saleCheck.canSell) {
+                    return (
+                      <div className="text-center text-gray-500 text-xs">
+                        Can't sell - {saleCheck.message}
+                      </div>
+                    );
+                  }
+                  const sale = calculateSellBack(selectedComponent, {
+                    ownedComponents,
+                    placedComponents: state.architecture.placedComponents,
+                    creditLedger,
+                    lastPlacedAt
+                  });
+                  return (
+                    <div className="space-y-2">
+                      {confirmingSale && sale.removedInstanceIds.length > 0 && (
+                        <p className="text-center text-xs text-kiro-warning">
+                          This also removes it from your canvas, along with its connections
+                        </p>
+                      )}
+                      <button
+                        onClick={() => handleSell(selectedComponent)}
+                        className={`w-full py-2 text-sm rounded-lg transition-colors ${
+                          confirmingSale
+                            ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+                            : 'border border-gray-600/50 text-gray-400 hover:border-gray-500'
+                        }`}
+                      >
+                        {confirmingSale
+                          ? `Confirm: sell for ${sale.refund} credits`
+                          : `Sell back for ${sale.refund} credits${sale.fullRefund ? ' (full refund)' : ''}`}
+                      </button>
+                    </div>
+                  );
+                })()}
               </div>
             )}
           </div>
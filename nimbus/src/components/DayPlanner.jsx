@@ -0,0 +1,299 @@
+import { useState, useEffect } from 'react';
+import { CalendarClock, CalendarPlus, Play, Trash2, CheckCircle, XCircle, Clock, Tag } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useTimerSession } from '../context/TimerSessionContext';
+import { useCloudState } from '../App';
+import {
+  createPlannedBlock,
+  addPlannedBlock,
+  getBlockStatus,
+  canStartBlock,
+  getBlocksForDay,
+  summarizePlanByDate,
+  BLOCK_STATUS
+} from '../utils/dayPlan';
+import { MIN_PRESET_MINUTES, MAX_PRESET_MINUTES } from '../utils/presetLogic';
+import { formatDuration, formatTime } from '../utils/sessionHistory';
+import { MAX_LABEL_LENGTH } from '../utils/sessionLabels';
+import QuestBoard from './QuestBoard';
+
+const inputClass = 'px-2 py-1 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-sm focus:outline-none focus:border-kiro-purple';
+
+// How often block statuses (due, missed) are refreshed
+const REFRESH_INTERVAL = 30000;
+
+// Status chip styles
+const STATUS_STYLES = {
+  [BLOCK_STATUS.UPCOMING]: { label: 'Upcoming', className: 'text-kiro-purple/70', icon: Clock },
+  [BLOCK_STATUS.DUE]: { label: 'Due now', className: 'text-kiro-warning', icon: CalendarClock },
+  [BLOCK_STATUS.DONE]: { label: 'Done', className: 'text-kiro-success', icon: CheckCircle },
+  [BLOCK_STATUS.PARTIAL]: { label: 'Started', className: 'text-kiro-warning', icon: Clock },
+  [BLOCK_STATUS.MISSED]: { label: 'Missed', className: 'text-gray-500', icon: XCircle },
+};
+
+// Format a timestamp for <input type="date"> / <input type="time"> (local time)
+function toDateInput(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function toTimeInput(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Next half hour from now, as the default start time for a new block
+function getNextSlot(now) {
+  const slot = new Date(now);
+  slot.setMinutes(slot.getMinutes() < 30 ? 30 : 60, 0, 0);
+  return slot.getTime();
+}
+
+// Single planned block row
+function PlannedBlock({ block, status, presetLabel, canStart, onStart, onDelete }) {
+  const { label, className, icon: StatusIcon } = STATUS_STYLES[status];
+  
+  return (
+    <div className={`flex items-center gap-3 p-3 rounded-lg ${
+      status === BLOCK_STATUS.DUE ? 'bg-kiro-warning/10 border border-kiro-warning/30' : 'bg-kiro-bg'
+    }`}>
+      <div className="w-20 text-sm font-medium text-white">{formatTime(block.startAt)}</div>
+      
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="text-white truncate">{block.task || 'Focus block'}</span>
+          {block.project && (
+            <span className="flex items-center gap-1 px-1.5 py-0.5 text-xs rounded bg-kiro-purple/15 text-kiro-purple">
+              <Tag size={10} />
+              {block.project}
+            </span>
+          )}
+        </div>
+        <div className="text-xs text-gray-500">
+          {formatDuration(block.duration)}
+          {presetLabel && ` • ${presetLabel}`}
+        </div>
+      </div>
+      
+      <span className={`flex items-center gap-1 text-xs ${className}`}>
+        <StatusIcon size={14} />
+        {label}
+      </span>
+      
+      {canStart && (
+        <button
+          onClick={onStart}
+          className="flex items-center gap-1 px-3 py-1 bg-kiro-purple text-kiro-bg rounded text-sm hover:bg-kiro-purple/80 transition-colors"
+        >
+          <Play size={14} />
+          Start
+        </button>
+      )}
+      <button
+        onClick={onDelete}
+        className="p-1 text-kiro-purple/70 hover:text-red-400 hover:bg-kiro-purple/10 rounded transition-colors"
+        aria-label="Delete block"
+      >
+        <Trash2 size={16} />
+      </button>
+    </div>
+  );
+}
+
+/**
+ * DayPlanner Component
+ *
+ * Day plan of scheduled focus blocks:
+ * - Schedule a block with a start time, a preset (or custom length) and task/project labels
+ * - Blocks show upcoming / due / done / missed status and can be started from the plan
+ * - Planned versus actual focus for the selected day
+ * - Daily and weekly quests
+ * Changes are saved to the cloud.
+ *
+ * **Validates: Requirements 32.1, 32.3, 32.4, 40.3**
+ */
+export default function DayPlanner() {
+  const { state, actions } = useApp();
+  const { plannedBlocks, presets, sessionHistory } = state.userProgress;
+  const { isActive } = state.timerState;
+  const { startSession } = useTimerSession();
+  const { triggerCloudSave } = useCloudState();
+  
+  const [now, setNow] = useState(() => Date.now());
+  const [day, setDay] = useState(() => toDateInput(Date.now()));
+  const [time, setTime] = useState(() => toTimeInput(getNextSlot(Date.now())));
+  const [presetId, setPresetId] = useState(() => presets[0]?.id || '');
+  const [customMinutes, setCustomMinutes] = useState(25);
+  const [task, setTask] = useState('');
+  const [project, setProject] = useState('');
+  
+  // Keep due/missed statuses current while the plan is open
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+  
+  const savePlan = (nextBlocks) => {
+    actions.setPlannedBlocks(nextBlocks);
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  };
+  
+  const handleAddBlock = (e) => {
+    e.preventDefault();
+    const startAt = new Date(`${day}T${time}`).getTime();
+    if (Number.isNaN(startAt)) return;
+    
+    const preset = presets.find(p => p.id === presetId);
+    const block = createPlannedBlock({
+      startAt,
+      duration: preset ? preset.seconds : (Number(customMinutes) || MIN_PRESET_MINUTES) * 60,
+      presetId: preset ? preset.id : null,
+      labels: { task, project }
+    });
+    savePlan(addPlannedBlock(plannedBlocks, block));
+    setTask('');
+  };
+  
+  const handleStartBlock = (block) => {
+    startSession(block.duration, { task: block.task, project: block.project }, block.id);
+    actions.setActiveView('timer');
+  };
+  
+  const dayTimestamp = new Date(`${day}T00:00`).getTime();
+  const dayBlocks = getBlocksForDay(plannedBlocks, dayTimestamp);
+  const daySummary = Object.values(summarizePlanByDate(dayBlocks, sessionHistory, now))[0];
+  
+  return (
+    <div className="flex-1 p-6 overflow-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-white mb-1">Day Plan</h1>
+          <p className="text-gray-400">Schedule focus blocks and see how the day went</p>
+        </div>
+        <input
+          type="date"
+          value={day}
+          onChange={(e) => e.target.value && setDay(e.target.value)}
+          className={inputClass}
+          aria-label="Plan day"
+        />
+      </div>
+      
+      {/* Planned vs actual (Requirements 32.4) */}
+      {daySummary && (
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div className="bg-kiro-bg-light rounded-lg p-4 border border-kiro-purple/20">
+            <div className="text-sm text-gray-400">Blocks completed</div>
+            <div className="text-2xl font-bold text-kiro-purple">
+              {daySummary.completed}/{daySummary.planned}
+            </div>
+          </div>
+          <div className="bg-kiro-bg-light rounded-lg p-4 border border-kiro-purple/20">
+            <div className="text-sm text-gray-400">Focus time</div>
+            <div className="text-2xl font-bold text-kiro-purple">
+              {formatDuration(daySummary.actualTime)}
+            </div>
+            <div className="text-xs text-gray-500">of {formatDuration(daySummary.plannedTime)} planned</div>
+          </div>
+        </div>
+      )}
+      
+      {/* Blocks for the selected day */}
+      <div className="bg-kiro-bg-light rounded-xl border border-kiro-purple/20 p-4 mb-6">
+        {dayBlocks.length === 0 ? (
+          <p className="text-center text-sm text-gray-500 py-6">
+            Nothing planned for this day yet - schedule a block below.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {dayBlocks.map(block => (
+              <PlannedBlock
+                key={block.id}
+                block={block}
+                status={getBlockStatus(block, sessionHistory, now)}
+                presetLabel={presets.find(p => p.id === block.presetId)?.label}
+                canStart={!isActive && canStartBlock(block, sessionHistory, now)}
+                onStart={() => handleStartBlock(block)}
+                onDelete={() => savePlan(plannedBlocks.filter(b => b.id !== block.id))}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+      
+      {/* New block (Requirements 32.1) */}
+      <form onSubmit={handleAddBlock} className="bg-kiro-bg-light rounded-xl border border-kiro-purple/20 p-4 space-y-3">
+        <h3 className="text-sm font-semibold text-kiro-purple">Schedule a block</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="time"
+            value={time}
+            onChange={(e) => setTime(e.target.value)}
+            className={inputClass}
+            aria-label="Start time"
+            required
+          />
+          <select
+            value={presetId}
+            onChange={(e) => setPresetId(e.target.value)}
+            className={inputClass}
+            aria-label="Preset"
+          >
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>
+                {preset.label} ({preset.seconds / 60} min)
+              </option>
+            ))}
+            <option value="">Custom length</option>
+          </select>
+          {!presets.some(p => p.id === presetId) && (
+            <label className="flex items-center gap-1 text-xs text-gray-400">
+              <input
+                type="number"
+                min={MIN_PRESET_MINUTES}
+                max={MAX_PRESET_MINUTES}
+                value={customMinutes}
+                onChange={(e) => setCustomMinutes(e.target.value)}
+                className={`${inputClass} w-16 text-center`}
+                aria-label="Block minutes"
+              />
+              min
+            </label>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={task}
+            onChange={(e) => setTask(e.target.value)}
+            placeholder="Task"
+            maxLength={MAX_LABEL_LENGTH}
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <input
+            type="text"
+            value={project}
+            onChange={(e) => setProject(e.target.value)}
+            placeholder="Project"
+            maxLength={MAX_LABEL_LENGTH}
+            className={`${inputClass} w-36`}
+          />
+          <button
+            type="submit"
+            className="flex items-center gap-1 px-3 py-1 bg-kiro-purple text-kiro-bg rounded text-sm hover:bg-kiro-purple/80 transition-colors"
+          >
+            <CalendarPlus size={14} />
+            Add block
+          </button>
+        </div>
+      </form>
+      
+      <QuestBoard />
+    </div>
+  );
+}
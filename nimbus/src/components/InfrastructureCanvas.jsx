@@ -1,4 +1,4 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { 
   Server, Database, HardDrive, GitBranch, Globe, Trash2, Plus, ArrowUp, Zap, Link2, X,
   MessageSquare, Bell, Workflow, Users, Shield, Activity, ExternalLink
@@ -17,6 +17,8 @@ import {
   isCanvasEmpty
 } from '../utils/canvasLogic';
 import { isValidConnection, getConnectionHint } from '../utils/connectionRules';
+import { getPlayerLevel, checkUpgradeLevel } from '../utils/levels';
+import { getOwnedIds, getOwnedCount } from '../utils/ownedComponents';
 import Modal from './Modal';
 import { useCloudState } from '../App';
 
@@ -32,7 +34,7 @@ import { useCloudState } from '../App';
  * - Component click for info modal (remove option)
  * - Empty state message
  * 
- * **Validates: Requirements 5.1, 5.2, 5.3, 5.4, 5.5, 5.6, 16.1**
+ * **Validates: Requirements 5.1, 5.2, 5.3, 5.4, 5.5, 5.6, 16.1, 36.1, 41.2**
  */
 
 // Icon mapping
@@ -56,6 +58,7 @@ export default function InfrastructureCanvas() {
   const { architecture, userProgress } = state;
   const { placedComponents } = architecture;
   const { ownedComponents, credits } = userProgress;
+  const { level } = getPlayerLevel(state);
   
   const canvasRef = useRef(null);
   const [draggedComponent, setDraggedComponent] = useState(null);
@@ -65,10 +68,15 @@ export default function InfrastructureCanvas() {
   const [selectedComponent, setSelectedComponent] = useState(null);
   const [showModal, setShowModal] = useState(false);
   
-  // Connection mode state
-  const [connectMode, setConnectMode] = useState(false);
+  // Connection mode state (connect mode is shared with shortcuts and the command palette)
+  const { connectMode } = state.uiState;
   const [connectFrom, setConnectFrom] = useState(null); // First component selected for connection
   
+  // Entering or leaving connect mode always starts a fresh connection
+  useEffect(() => {
+    setConnectFrom(null);
+  }, [connectMode]);
+  
   // Architect agent for upgrade explanations and placement feedback
   const { onPurchase: notifyArchitect, onPlacement: notifyPlacement } = useArchitect();
   
@@ -76,19 +84,18 @@ export default function InfrastructureCanvas() {
   const { triggerCloudSave } = useCloudState();
 
   // Get unplaced owned components (available for placement)
+  // Each owned unit can be placed once (Requirements 43.3)
   const getUnplacedComponents = () => {
-    const placedIds = placedComponents.map(c => c.type.toLowerCase());
-    return ownedComponents
-      .filter(id => {
+    return getOwnedIds(ownedComponents)
+      .map(id => {
         // Count how many of this type are placed vs owned
         const placedCount = placedComponents.filter(
           p => p.type.toLowerCase() === id
         ).length;
-        // For now, allow one of each type (can be extended for multiples)
-        return placedCount === 0;
+        return { component: getComponentById(id), unplaced: getOwnedCount(id, ownedComponents) - placedCount };
       })
-      .map(id => getComponentById(id))
-      .filter(Boolean);
+      .filter(({ component, unplaced }) => component && unplaced > 0)
+      .map(({ component, unplaced }) => ({ ...component, unplaced }));
   };
 
   const unplacedComponents = getUnplacedComponents();
@@ -241,12 +248,15 @@ export default function InfrastructureCanvas() {
     
     const nextTier = upgradeTree[nextTierIndex];
     
-    // Check if user has enough credits
+    // Check if user has enough credits and the level for this tier
     if (credits < nextTier.cost) return;
+    if (!checkUpgradeLevel(nextTier.tier, level).met) return;
     
     // Deduct credits and upgrade
-    actions.spendCredits(nextTier.cost);
-    actions.upgradeComponent(selectedComponent.id, nextTier.tier);
+    actions.purchaseUpgrade(selectedComponent.id, nextTier.tier, nextTier.cost, {
+      reason: `Upgraded ${selectedComponent.data.name} to ${nextTier.name}`,
+      ref: { componentId: selectedComponent.data.id, instanceId: selectedComponent.id }
+    });
     
     // Update selected component state
     setSelectedComponent(prev => ({
@@ -284,8 +294,7 @@ export default function InfrastructureCanvas() {
 
   // Toggle connect mode
   const toggleConnectMode = () => {
-    setConnectMode(!connectMode);
-    setConnectFrom(null);
+    actions.setConnectMode(!connectMode);
   };
 
   // Handle component click in connect mode
@@ -341,7 +350,8 @@ export default function InfrastructureCanvas() {
       actions.addConnection({
         from: connectFrom.id,
         to: placed.id,
-        type: 'network'
+        type: 'network',
+        createdAt: Date.now()
       });
       
       // Show success message via Kiro with timed celebration
@@ -425,7 +435,7 @@ export default function InfrastructureCanvas() {
           
           {unplacedComponents.length === 0 ? (
             <p className="text-xs text-gray-500">
-              {ownedComponents.length === 0 
+              {getOwnedIds(ownedComponents).length === 0 
                 ? 'Complete focus sessions to earn credits and buy components!'
                 : 'All components placed on canvas'}
             </p>
@@ -446,6 +456,9 @@ export default function InfrastructureCanvas() {
                       <IconComponent size={16} />
                     </div>
                     <span className="text-sm text-white flex-1">{component.name}</span>
+                    {component.unplaced > 1 && (
+                      <span className="text-xs text-gray-500">×{component.unplaced}</span>
+                    )}
                     <button
                       onClick={() => handleQuickPlace(component)}
                       className="opacity-0 group-hover:opacity-100 p-1 text-kiro-success 
@@ -542,7 +555,7 @@ export default function InfrastructureCanvas() {
                   <Server size={32} className="text-kiro-purple/50" />
                 </div>
                 <p className="text-gray-500 text-sm">
-                  {ownedComponents.length === 0 
+                  {getOwnedIds(ownedComponents).length === 0 
                     ? 'Complete focus sessions to earn credits and buy components!'
                     : 'Drag components here to build your architecture'}
                 </p>
@@ -667,7 +680,8 @@ export default function InfrastructureCanvas() {
       >
         {selectedComponent && selectedComponent.data && (() => {
           const nextUpgrade = getNextUpgrade();
-          const canAffordUpgrade = nextUpgrade && credits >= nextUpgrade.cost;
+          const upgradeLevel = nextUpgrade && checkUpgradeLevel(nextUpgrade.tier, level);
+          const canAffordUpgrade = nextUpgrade && credits >= nextUpgrade.cost && upgradeLevel.met;
           const isMaxTier = !nextUpgrade;
           const IconComponent = ICON_MAP[selectedComponent.data.icon] || Server;
           
@@ -701,12 +715,15 @@ export default function InfrastructureCanvas() {
                     <Zap size={14} className="text-kiro-warning" />
                     <span className="text-sm font-bold text-white">{nextUpgrade.cost}</span>
                     <span className="text-xs text-gray-500">credits</span>
-                    {!canAffordUpgrade && (
+                    {credits < nextUpgrade.cost && (
                       <span className="text-xs text-kiro-warning ml-2">
                         (need {nextUpgrade.cost - credits} more)
                       </span>
                     )}
                   </div>
+                  {!upgradeLevel.met && (
+                    <p className="text-xs text-kiro-warning mt-1">{upgradeLevel.message}</p>
+                  )}
                 </div>
               )}
 
@@ -0,0 +1,93 @@
+import { useEffect, useState, useCallback } from 'react';
+import { Hand } from 'lucide-react';
+import { useTimerSession } from '../context/TimerSessionContext';
+import { INTERRUPTION_KEY, INTERRUPTION_REASONS } from '../utils/interruptionLog';
+import { canHandleShortcut } from '../utils/keyboardShortcuts';
+
+// How long the reason picker stays open after logging an interruption
+const REASON_PICKER_TIMEOUT = 8000;
+
+/**
+ * InterruptionLogger Component
+ * 
+ * Logs an interruption during a focus session with one key (I) or a click,
+ * without pausing the timer. After logging, a short-lived picker lets the
+ * user tag the reason (internal, external, meeting).
+ * 
+ * @param {Object} props
+ * @param {Array} props.interruptions - Interruptions logged in the running session
+ * 
+ * **Validates: Requirements 28.1**
+ */
+export default function InterruptionLogger({ interruptions }) {
+  const { logInterruption, setInterruptionReason } = useTimerSession();
+  const [pendingId, setPendingId] = useState(null);
+  
+  const handleLog = useCallback(() => {
+    const interruption = logInterruption();
+    if (interruption) {
+      setPendingId(interruption.id);
+    }
+  }, [logInterruption]);
+  
+  const handleReason = (reason) => {
+    setInterruptionReason(pendingId, reason);
+    setPendingId(null);
+  };
+  
+  // One-key logging, ignored while typing, with modifiers held or while a modal is open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key.toLowerCase() !== INTERRUPTION_KEY) return;
+      if (!canHandleShortcut(e)) return;
+      e.preventDefault();
+      handleLog();
+    };
+    
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [handleLog]);
+  
+  // Close the reason picker if the user doesn't pick one
+  useEffect(() => {
+    if (!pendingId) return;
+    const timeoutId = setTimeout(() => setPendingId(null), REASON_PICKER_TIMEOUT);
+    return () => clearTimeout(timeoutId);
+  }, [pendingId]);
+  
+  return (
+    <div className="flex flex-col items-center gap-2 mt-2">
+      <button
+        onClick={handleLog}
+        className="flex items-center gap-2 px-3 py-1 rounded-lg text-xs transition-all duration-200
+                 bg-kiro-bg border border-kiro-warning/30 text-kiro-warning hover:border-kiro-warning"
+        title="Log an interruption without pausing"
+      >
+        <Hand size={12} />
+        Interrupted
+        <kbd className="px-1 rounded bg-kiro-warning/20 font-mono">I</kbd>
+        {interruptions.length > 0 && (
+          <span className="opacity-70">({interruptions.length})</span>
+        )}
+      </button>
+      
+      {pendingId && (
+        <div className="flex items-center gap-2 text-xs text-gray-400">
+          <span>Why?</span>
+          {INTERRUPTION_REASONS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => handleReason(id)}
+              className="px-2 py-0.5 rounded-full border border-kiro-purple/30 text-kiro-purple
+                       hover:border-kiro-purple hover:bg-kiro-purple/10 transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
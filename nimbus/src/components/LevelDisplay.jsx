@@ -0,0 +1,43 @@
+/**
+ * LevelDisplay Component - Shows the player level next to the credits
+ * Requirements: 41.3
+ * 
+ * Features:
+ * - Level number and title
+ * - Progress bar toward the next level
+ * - XP breakdown (focus, connections, patterns) on hover
+ */
+
+import { Star } from 'lucide-react';
+import { calculateXp, getLevelInfo } from '../utils/levels';
+
+export default function LevelDisplay({ userProgress, architecture }) {
+  const xp = calculateXp(userProgress, architecture);
+  const info = getLevelInfo(xp.total);
+  
+  const tooltip = [
+    `${info.title} - ${xp.total.toLocaleString()} XP`,
+    info.nextLevelXp !== null
+      ? `${(info.nextLevelXp - xp.total).toLocaleString()} XP to level ${info.level + 1}`
+      : 'Top level reached',
+    `Focus ${xp.focus} · Connections ${xp.connections} · Patterns ${xp.patterns}`
+  ].join('\n');
+  
+  return (
+    <div
+      className="flex items-center gap-2 px-4 py-2 rounded-lg bg-kiro-bg-light border border-kiro-purple/30"
+      title={tooltip}
+    >
+      <Star className="w-5 h-5 text-kiro-purple" />
+      <div className="flex flex-col gap-1">
+        <span className="text-sm font-bold text-white leading-none">Level {info.level}</span>
+        <div className="w-20 h-1.5 bg-kiro-bg rounded-full overflow-hidden">
+          <div
+            className="h-full bg-kiro-purple rounded-full transition-all duration-500"
+            style={{ width: `${Math.round(info.progress * 100)}%` }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import { useState } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus, Check, ListOrdered } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useCloudState } from '../App';
+import {
+  createPreset,
+  renamePreset,
+  deletePreset,
+  movePreset,
+  createRoutine,
+  describeRoutine,
+  getRoutineDuration,
+  MIN_PRESET_MINUTES,
+  MAX_PRESET_MINUTES,
+  MAX_BREAK_MINUTES,
+  MAX_ROUTINE_REPEATS
+} from '../utils/presetLogic';
+import { formatDuration } from '../utils/sessionHistory';
+
+const inputClass = 'px-2 py-1 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-sm focus:outline-none focus:border-kiro-purple';
+const iconButtonClass = 'p-1 text-kiro-purple/70 hover:text-kiro-purple hover:bg-kiro-purple/10 rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed';
+
+/**
+ * PresetManager Component
+ * 
+ * Manages the user's duration presets and saved routines:
+ * - Create, rename (inline), reorder and delete presets
+ * - Create routines from a focus/break pattern (e.g. 50/10 x3, then 30 off)
+ * - Delete routines
+ * Changes are saved to the cloud.
+ * 
+ * **Validates: Requirements 26.1, 26.2, 26.4**
+ */
+export default function PresetManager() {
+  const { state, actions } = useApp();
+  const { presets, routines } = state.userProgress;
+  const { triggerCloudSave } = useCloudState();
+  
+  // New preset form
+  const [presetLabel, setPresetLabel] = useState('');
+  const [presetMinutes, setPresetMinutes] = useState(30);
+  
+  // New routine form
+  const [routineName, setRoutineName] = useState('');
+  const [focusMinutes, setFocusMinutes] = useState(50);
+  const [breakMinutes, setBreakMinutes] = useState(10);
+  const [repeats, setRepeats] = useState(3);
+  const [finalBreakMinutes, setFinalBreakMinutes] = useState(30);
+  
+  // Save to cloud after any library change (Requirements 26.4)
+  const savePresets = (nextPresets) => {
+    actions.setPresets(nextPresets);
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  };
+  
+  const saveRoutines = (nextRoutines) => {
+    actions.setRoutines(nextRoutines);
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  };
+  
+  const handleAddPreset = (e) => {
+    e.preventDefault();
+    savePresets([...presets, createPreset(presetLabel, Number(presetMinutes) || MIN_PRESET_MINUTES)]);
+    setPresetLabel('');
+  };
+  
+  const handleAddRoutine = (e) => {
+    e.preventDefault();
+    const routine = createRoutine(
+      routineName,
+      Number(focusMinutes) || MIN_PRESET_MINUTES,
+      Number(breakMinutes) || 0,
+      Number(repeats) || 1,
+      Number(finalBreakMinutes) || 0
+    );
+    saveRoutines([...routines, routine]);
+    setRoutineName('');
+  };
+  
+  return (
+    <div className="space-y-6">
+      {/* Presets */}
+      <div>
+        <h3 className="text-sm font-semibold text-kiro-purple mb-2">Presets</h3>
+        <div className="space-y-2 max-h-56 overflow-auto pr-1">
+          {presets.length === 0 && (
+            <p className="text-xs text-gray-500">No presets yet - add one below.</p>
+          )}
+          {presets.map((preset, index) => (
+            <div key={preset.id} className="flex items-center gap-2 p-2 bg-kiro-bg rounded-lg">
+              <input
+                type="text"
+                defaultValue={preset.label}
+                onBlur={(e) => {
+                  if (e.target.value.trim() !== preset.label) {
+                    savePresets(renamePreset(presets, preset.id, e.target.value));
+                  }
+                }}
+                className={`${inputClass} flex-1 min-w-0`}
+                aria-label="Preset name"
+              />
+              <span className="w-14 text-right text-sm text-gray-300">{preset.seconds / 60} min</span>
+              <button
+                onClick={() => savePresets(movePreset(presets, preset.id, -1))}
+                disabled={index === 0}
+                className={iconButtonClass}
+                aria-label="Move up"
+              >
+                <ChevronUp size={16} />
+              </button>
+              <button
+                onClick={() => savePresets(movePreset(presets, preset.id, 1))}
+                disabled={index === presets.length - 1}
+                className={iconButtonClass}
+                aria-label="Move down"
+              >
+                <ChevronDown size={16} />
+              </button>
+              <button
+                onClick={() => savePresets(deletePreset(presets, preset.id))}
+                className={`${iconButtonClass} hover:text-red-400`}
+                aria-label="Delete preset"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+        
+        <form onSubmit={handleAddPreset} className="flex items-center gap-2 mt-3">
+          <input
+            type="text"
+            value={presetLabel}
+            onChange={(e) => setPresetLabel(e.target.value)}
+            placeholder="Preset name"
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          <input
+            type="number"
+            min={MIN_PRESET_MINUTES}
+            max={MAX_PRESET_MINUTES}
+            value={presetMinutes}
+            onChange={(e) => setPresetMinutes(e.target.value)}
+            className={`${inputClass} w-16 text-center`}
+            aria-label="Preset minutes"
+          />
+          <span className="text-xs text-gray-500">min</span>
+          <button
+            type="submit"
+            className="flex items-center gap-1 px-3 py-1 bg-kiro-purple text-kiro-bg rounded text-sm hover:bg-kiro-purple/80 transition-colors"
+          >
+            <Plus size={14} />
+            Add
+          </button>
+        </form>
+      </div>
+      
+      {/* Routines */}
+      <div>
+        <h3 className="text-sm font-semibold text-kiro-purple mb-2">Routines</h3>
+        <div className="space-y-2 max-h-40 overflow-auto pr-1">
+          {routines.length === 0 && (
+            <p className="text-xs text-gray-500">Routines run several focus rounds and breaks back-to-back.</p>
+          )}
+          {routines.map((routine) => (
+            <div key={routine.id} className="flex items-center gap-2 p-2 bg-kiro-bg rounded-lg">
+              <ListOrdered size={16} className="text-kiro-purple/70" />
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-white truncate">{routine.name}</div>
+                <div className="text-xs text-gray-500">
+                  {describeRoutine(routine)} • {formatDuration(getRoutineDuration(routine))}
+                </div>
+              </div>
+              <button
+                onClick={() => saveRoutines(routines.filter(r => r.id !== routine.id))}
+                className={`${iconButtonClass} hover:text-red-400`}
+                aria-label="Delete routine"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+        
+        <form onSubmit={handleAddRoutine} className="mt-3 space-y-2">
+          <input
+            type="text"
+            value={routineName}
+            onChange={(e) => setRoutineName(e.target.value)}
+            placeholder="Routine name"
+            className={`${inputClass} w-full`}
+          />
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-400">
+            <input
+              type="number"
+              min={MIN_PRESET_MINUTES}
+              max={MAX_PRESET_MINUTES}
+              value={focusMinutes}
+              onChange={(e) => setFocusMinutes(e.target.value)}
+              className={`${inputClass} w-14 text-center`}
+              aria-label="Focus minutes"
+            />
+            <span>focus /</span>
+            <input
+              type="number"
+              min={0}
+              max={MAX_BREAK_MINUTES}
+              value={breakMinutes}
+              onChange={(e) => setBreakMinutes(e.target.value)}
+              className={`${inputClass} w-14 text-center`}
+              aria-label="Break minutes"
+            />
+            <span>break x</span>
+            <input
+              type="number"
+              min={1}
+              max={MAX_ROUTINE_REPEATS}
+              value={repeats}
+              onChange={(e) => setRepeats(e.target.value)}
+              className={`${inputClass} w-12 text-center`}
+              aria-label="Rounds"
+            />
+            <span>, then</span>
+            <input
+              type="number"
+              min={0}
+              max={MAX_BREAK_MINUTES}
+              value={finalBreakMinutes}
+              onChange={(e) => setFinalBreakMinutes(e.target.value)}
+              className={`${inputClass} w-14 text-center`}
+              aria-label="Final break minutes"
+            />
+            <span>off</span>
+            <button
+              type="submit"
+              className="ml-auto flex items-center gap-1 px-3 py-1 bg-kiro-purple text-kiro-bg rounded text-sm hover:bg-kiro-purple/80 transition-colors"
+            >
+              <Check size={14} />
+              Save routine
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
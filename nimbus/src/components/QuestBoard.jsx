@@ -0,0 +1,89 @@
+import { Target, Check, Coins } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useQuests } from '../hooks/useQuests';
+import { getQuestProgress } from '../utils/quests';
+
+// Single quest row with progress and a claim button
+function QuestRow({ quest, progress, claimed, onClaim }) {
+  const percent = Math.round((progress.current / progress.target) * 100);
+  
+  return (
+    <div className="flex items-center gap-3 p-3 bg-kiro-bg/60 rounded-lg">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className={`font-medium ${claimed ? 'text-gray-500' : 'text-white'}`}>{quest.title}</span>
+          <span className="text-xs text-gray-500">{progress.current}/{progress.target}</span>
+        </div>
+        <div className="text-xs text-gray-400 mb-1">{quest.description}</div>
+        <div className="h-1.5 bg-kiro-bg rounded-full overflow-hidden">
+          <div
+            className={`h-full rounded-full ${progress.complete ? 'bg-kiro-success' : 'bg-kiro-purple/60'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      </div>
+      
+      {claimed ? (
+        <span className="flex items-center gap-1 text-xs text-kiro-success">
+          <Check size={14} />
+          Claimed
+        </span>
+      ) : (
+        <button
+          onClick={onClaim}
+          disabled={!progress.complete}
+          title={progress.complete ? 'Claim reward' : 'Complete the quest to claim'}
+          className="flex items-center gap-1 px-3 py-1 text-sm rounded border border-kiro-purple/30 text-kiro-purple
+                   hover:border-kiro-purple disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          <Coins size={14} />
+          {quest.reward}
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * QuestBoard Component
+ * 
+ * Lists today's and this week's quests with progress toward each, and lets
+ * the user claim the credit reward of a completed quest.
+ * 
+ * **Validates: Requirements 40.2, 40.3**
+ */
+export default function QuestBoard() {
+  const { state } = useApp();
+  const { claimedQuests } = state.userProgress;
+  const { daily, weekly, claim } = useQuests();
+  
+  const sections = [
+    { title: 'Daily quests', quests: daily },
+    { title: 'Weekly quests', quests: weekly },
+  ];
+  
+  return (
+    <div className="bg-kiro-bg-light rounded-xl border border-kiro-purple/20 p-4 mt-6">
+      <h3 className="text-sm font-semibold text-kiro-purple flex items-center gap-2 mb-3">
+        <Target size={16} />
+        Quests
+      </h3>
+      <div className="grid md:grid-cols-2 gap-4">
+        {sections.map(({ title, quests }) => (
+          <div key={title} className="space-y-2">
+            <div className="text-xs uppercase tracking-wide text-gray-500">{title}</div>
+            {quests.map(quest => (
+              <QuestRow
+                key={quest.instanceId}
+                quest={quest}
+                progress={getQuestProgress(quest, state)}
+                claimed={claimedQuests.includes(quest.instanceId)}
+                onClaim={() => claim(quest)}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,22 +1,42 @@
 import { useState } from 'react';
 import { 
   CheckCircle, XCircle, Clock, Zap, TrendingUp, 
-  Download, Upload, Calendar, Flame, Target
+  Download, Upload, Calendar, Flame, Target, Coffee, Tag, Search, Hand, Star, CalendarClock,
+  Receipt, AlertTriangle
 } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import {
   groupSessionsByDate,
   calculateStatistics,
   formatDuration,
-  formatTime
+  formatTime,
+  formatDate,
+  isBreakSession
 } from '../utils/sessionHistory';
+import { getPhaseLabel } from '../utils/timerLogic';
+import {
+  filterSessionsByLabel,
+  getProjectTags,
+  UNTAGGED_PROJECT
+} from '../utils/sessionLabels';
 import {
   exportData,
   importData,
   downloadFile,
   generateExportFilename
 } from '../utils/storageHelpers';
+import {
+  summarizeInterruptions,
+  getInterruptionReasonLabel,
+  INTERRUPTION_REASONS,
+  UNSPECIFIED_REASON
+} from '../utils/interruptionLog';
+import { FOCUS_RATING_LABELS } from '../utils/sessionReflection';
+import { summarizePlanByDate } from '../utils/dayPlan';
+import { getSessionRulesVersion } from '../data/creditRules';
+import { reconcileLedger, summarizeLedger, LEDGER_ENTRY_LABELS } from '../utils/creditLedger';
 import { useCloudState } from '../App';
+import StreakProtection from './StreakProtection';
 
 /**
  * SessionHistory Component
@@ -27,12 +47,52 @@ import { useCloudState } from '../App';
  * - Completion status icons
  * - Summary statistics panel
  * - Export/Import buttons
+ * - Filtering by project tag and task name
+ * - Interruption summary by reason
+ * - Planned versus actual focus per date group
+ * - Credit transactions with a ledger reconciliation check
+ * - Streak freezes and rest days
  * 
- * **Validates: Requirements 6.1, 6.2, 6.3, 6.4, 6.5**
+ * **Validates: Requirements 6.1, 6.2, 6.3, 6.4, 6.5, 21.5, 27.4, 28.3, 28.4, 29.3, 30.3, 31.1, 32.4, 35.2, 36.3, 36.4, 37.3**
  */
 
+// Break entry component (cycle mode breaks never earn credits)
+function BreakEntry({ session }) {
+  return (
+    <div className="flex items-center gap-3 p-3 bg-kiro-bg/60 rounded-lg">
+      <div className="p-2 rounded-full bg-kiro-purple/10 text-kiro-purple/70">
+        <Coffee size={18} />
+      </div>
+      
+      <div className="flex-1">
+        <div className="flex items-center gap-2">
+          <span className="text-gray-300 font-medium">
+            {formatDuration(session.duration)}
+          </span>
+          <span className="text-gray-500 text-sm">
+            {getPhaseLabel(session.phase)}{session.completed ? '' : ' (skipped)'}
+          </span>
+        </div>
+        <div className="text-xs text-gray-500">
+          {formatTime(session.startTime)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Credit breakdown tooltip with the ruleset version that priced the session (Requirements 35.2, 35.3)
+function getCreditTooltip(session) {
+  const lines = (session.creditBreakdown || []).map(line => `${line.label}: ${line.credits > 0 ? '+' : ''}${line.credits}`);
+  return [...lines, `Credit rules v${getSessionRulesVersion(session)}`].join('\n');
+}
+
 // Session entry component
 function SessionEntry({ session }) {
+  if (isBreakSession(session)) {
+    return <BreakEntry session={session} />;
+  }
+  
   return (
     <div className="flex items-center gap-3 p-3 bg-kiro-bg rounded-lg">
       {/* Completion status icon */}
@@ -53,17 +113,65 @@ function SessionEntry({ session }) {
           <span className="text-gray-500 text-sm">
             {session.completed ? 'Completed' : 'Abandoned'}
           </span>
+          {session.overtime > 0 && (
+            <span className="text-kiro-success text-xs" title={`Planned ${formatDuration(session.plannedDuration)}`}>
+              +{formatDuration(session.overtime)} flow
+            </span>
+          )}
+          {session.project && (
+            <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-kiro-purple/20 text-kiro-purple text-xs">
+              <Tag size={10} />
+              {session.project}
+            </span>
+          )}
         </div>
+        {session.task && (
+          <div className="text-sm text-gray-300 truncate">{session.task}</div>
+        )}
+        {session.reflection && (
+          <div className="mt-1 space-y-0.5">
+            <div
+              className="flex items-center gap-1 text-xs text-kiro-warning"
+              title={FOCUS_RATING_LABELS[session.reflection.rating]}
+            >
+              {Array.from({ length: session.reflection.rating }, (_, i) => (
+                <Star key={i} size={10} fill="currentColor" />
+              ))}
+              {session.reflection.accomplished && (
+                <span className="ml-1 text-gray-300 truncate">Done: {session.reflection.accomplished}</span>
+              )}
+            </div>
+            {session.reflection.notes && (
+              <p className="text-xs text-gray-500 italic line-clamp-2">{session.reflection.notes}</p>
+            )}
+          </div>
+        )}
         <div className="text-xs text-gray-500">
           {formatTime(session.startTime)}
+          {session.plannedDuration > 0 && session.plannedDuration !== session.duration && (
+            <span className="ml-2">• planned {formatDuration(session.plannedDuration)}</span>
+          )}
           {session.pauseCount > 0 && (
             <span className="ml-2">• {session.pauseCount} pause{session.pauseCount > 1 ? 's' : ''}</span>
           )}
+          {session.strictPolicy && (
+            <span className="ml-2" title="Time away from Nimbus in strict mode">
+              • away {formatDuration(session.awayTime || 0)}
+            </span>
+          )}
+          {session.interruptions?.length > 0 && (
+            <span
+              className="ml-2"
+              title={session.interruptions.map(i => `${formatTime(i.timestamp)} ${getInterruptionReasonLabel(i.reason)}`).join('\n')}
+            >
+              • {session.interruptions.length} interruption{session.interruptions.length > 1 ? 's' : ''}
+            </span>
+          )}
         </div>
       </div>
       
       {/* Credits earned */}
-      <div className="flex items-center gap-1 text-kiro-warning">
+      <div className="flex items-center gap-1 text-kiro-warning" title={getCreditTooltip(session)}>
         <Zap size={14} />
         <span className="font-medium">+{session.creditsEarned}</span>
       </div>
@@ -71,13 +179,21 @@ function SessionEntry({ session }) {
   );
 }
 
-// Session group component
-function SessionGroup({ title, sessions }) {
-  if (sessions.length === 0) return null;
+// Session group component, with the day plan's planned vs actual (Requirements 32.4)
+function SessionGroup({ title, sessions, plan }) {
+  if (sessions.length === 0 && !plan) return null;
   
   return (
     <div className="mb-6">
-      <h3 className="text-sm font-semibold text-kiro-purple mb-2">{title}</h3>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-kiro-purple">{title}</h3>
+        {plan && (
+          <span className="flex items-center gap-1 text-xs text-gray-400" title="Planned blocks completed">
+            <CalendarClock size={12} />
+            Plan {plan.completed}/{plan.planned} • {formatDuration(plan.actualTime)} of {formatDuration(plan.plannedTime)}
+          </span>
+        )}
+      </div>
       <div className="space-y-2">
         {sessions.map(session => (
           <SessionEntry key={session.id} session={session} />
@@ -87,6 +203,106 @@ function SessionGroup({ title, sessions }) {
   );
 }
 
+// Interruption summary - what is actually breaking focus (Requirements 28.4)
+function InterruptionSummary({ sessions }) {
+  const summary = summarizeInterruptions(sessions);
+  if (summary.total === 0) return null;
+  
+  const reasons = [...INTERRUPTION_REASONS.map(r => r.id), UNSPECIFIED_REASON];
+  
+  return (
+    <div className="bg-kiro-bg-light border border-kiro-purple/20 rounded-lg p-4 mb-8">
+      <div className="flex items-center gap-2 mb-3">
+        <Hand size={16} className="text-kiro-warning" />
+        <span className="text-sm font-semibold text-white">Interruptions</span>
+        <span className="text-xs text-gray-500 ml-auto">
+          {summary.total} across {summary.sessionsInterrupted} session{summary.sessionsInterrupted !== 1 ? 's' : ''}
+          {' '}• {summary.averagePerSession} per session
+        </span>
+      </div>
+      <div className="space-y-2">
+        {reasons.filter(id => summary.byReason[id] > 0).map(id => (
+          <div key={id} className="flex items-center gap-3 text-xs">
+            <span className={`w-20 ${id === summary.topReason ? 'text-kiro-warning' : 'text-gray-400'}`}>
+              {getInterruptionReasonLabel(id)}
+            </span>
+            <div className="flex-1 h-2 bg-kiro-bg rounded-full overflow-hidden">
+              <div
+                className="h-full bg-kiro-warning/70 rounded-full"
+                style={{ width: `${(summary.byReason[id] / summary.total) * 100}%` }}
+              />
+            </div>
+            <span className="w-6 text-right text-gray-400">{summary.byReason[id]}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Number of transactions shown before "Show all"
+const RECENT_TRANSACTIONS = 10;
+
+// Credit ledger - every earn, spend, upgrade, refund and import (Requirements 36.3, 36.4)
+function CreditTransactions({ ledger, credits }) {
+  const [showAll, setShowAll] = useState(false);
+  const check = reconcileLedger(ledger, credits);
+  const totals = summarizeLedger(ledger);
+  const spent = (totals.spend || 0) + (totals.upgrade || 0);
+  const entries = [...ledger].reverse();
+  const visible = showAll ? entries : entries.slice(0, RECENT_TRANSACTIONS);
+  
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
+        <Receipt size={18} className="text-kiro-purple" />
+        Credit Transactions
+        <span className="text-xs font-normal text-gray-500 ml-auto">
+          {totals.earn || 0} earned • {-spent} spent
+        </span>
+      </h2>
+      
+      {check.ok ? (
+        <div className="mb-3 flex items-center gap-2 text-xs text-kiro-success">
+          <CheckCircle size={14} />
+          Ledger balance matches your {check.stored} credits
+        </div>
+      ) : (
+        <div className="mb-3 p-3 flex items-center gap-2 bg-kiro-warning/10 border border-kiro-warning/40 rounded-lg text-xs text-kiro-warning">
+          <AlertTriangle size={14} />
+          Ledger adds up to {check.balance} credits but your balance is {check.stored}
+          {' '}({check.difference > 0 ? '+' : ''}{check.difference} unaccounted for)
+        </div>
+      )}
+      
+      <div className="bg-kiro-bg-light rounded-xl border border-kiro-purple/20 p-4 space-y-1">
+        {visible.map(entry => (
+          <div key={entry.id} className="flex items-center gap-3 px-2 py-1.5 text-sm">
+            <span className="w-28 text-xs text-gray-500 flex-shrink-0">
+              {formatDate(entry.timestamp)} {formatTime(entry.timestamp)}
+            </span>
+            <span className="w-24 text-xs text-kiro-purple/70 flex-shrink-0">
+              {LEDGER_ENTRY_LABELS[entry.type]}
+            </span>
+            <span className="flex-1 min-w-0 text-gray-300 truncate">{entry.reason}</span>
+            <span className={`font-medium flex-shrink-0 ${entry.amount < 0 ? 'text-red-400' : 'text-kiro-success'}`}>
+              {entry.amount > 0 ? '+' : ''}{entry.amount}
+            </span>
+          </div>
+        ))}
+        {entries.length > RECENT_TRANSACTIONS && (
+          <button
+            onClick={() => setShowAll(all => !all)}
+            className="w-full pt-2 text-xs text-kiro-purple hover:text-kiro-purple/80"
+          >
+            {showAll ? 'Show recent only' : `Show all ${entries.length} transactions`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // Statistics card component
 function StatCard({ icon: Icon, label, value, subValue, color = 'kiro-purple' }) {
   return (
@@ -106,12 +322,24 @@ export default function SessionHistory() {
   const { sessionHistory } = state.userProgress;
   const [importError, setImportError] = useState(null);
   const [importSuccess, setImportSuccess] = useState(false);
+  const [projectFilter, setProjectFilter] = useState('');
+  const [taskFilter, setTaskFilter] = useState('');
   
   // Cloud state for auto-save
   const { triggerCloudSave } = useCloudState();
   
-  const groupedSessions = groupSessionsByDate(sessionHistory);
-  const stats = calculateStatistics(sessionHistory);
+  // Label filters apply to both the log and the statistics (Requirements 27.4)
+  const projectTags = getProjectTags(sessionHistory);
+  const filteredSessions = filterSessionsByLabel(sessionHistory, {
+    project: projectFilter || null,
+    task: taskFilter
+  });
+  const isFiltered = filteredSessions !== sessionHistory;
+  
+  const groupedSessions = groupSessionsByDate(filteredSessions);
+  const planSummary = summarizePlanByDate(state.userProgress.plannedBlocks, sessionHistory);
+  const { restDays, frozenDays } = state.userProgress;
+  const stats = calculateStatistics(filteredSessions, { restDays, frozenDays });
 
   // Handle export using storageHelpers
   const handleExport = () => {
@@ -138,7 +366,7 @@ export default function SessionHistory() {
       }
       
       // Import the validated data into state
-      actions.importState(result.data);
+      actions.importState(result.data, 'Imported from backup file');
       setImportSuccess(true);
       
       // Auto-save to cloud after successful import (Requirements 13.9)
@@ -244,6 +472,10 @@ export default function SessionHistory() {
           color="kiro-warning"
         />
       </div>
+      
+      <StreakProtection />
+      
+      <InterruptionSummary sessions={filteredSessions} />
 
       {/* Session History */}
       <div>
@@ -252,7 +484,57 @@ export default function SessionHistory() {
           Session Log
         </h2>
         
-        {sessionHistory.length === 0 ? (
+        {/* Label filters (Requirements 27.4) */}
+        {sessionHistory.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <div className="relative">
+              <Tag size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-kiro-purple/60" />
+              <select
+                value={projectFilter}
+                onChange={(e) => setProjectFilter(e.target.value)}
+                className="pl-7 pr-3 py-1.5 bg-kiro-bg-light border border-kiro-purple/30 rounded-lg text-white text-sm
+                         focus:outline-none focus:border-kiro-purple"
+                aria-label="Filter by project"
+              >
+                <option value="">All projects</option>
+                {projectTags.map(tag => (
+                  <option key={tag} value={tag}>{tag}</option>
+                ))}
+                <option value={UNTAGGED_PROJECT}>No project</option>
+              </select>
+            </div>
+            <div className="relative">
+              <Search size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-kiro-purple/60" />
+              <input
+                type="text"
+                value={taskFilter}
+                onChange={(e) => setTaskFilter(e.target.value)}
+                placeholder="Search tasks"
+                className="w-48 pl-7 pr-3 py-1.5 bg-kiro-bg-light border border-kiro-purple/30 rounded-lg text-white text-sm
+                         focus:outline-none focus:border-kiro-purple"
+                aria-label="Filter by task"
+              />
+            </div>
+            {isFiltered && (
+              <button
+                onClick={() => {
+                  setProjectFilter('');
+                  setTaskFilter('');
+                }}
+                className="text-xs text-kiro-purple hover:text-kiro-purple/80"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        )}
+        
+        {isFiltered && filteredSessions.length === 0 ? (
+          <div className="text-center py-12 bg-kiro-bg-light rounded-xl border border-kiro-purple/20">
+            <Search size={48} className="mx-auto text-kiro-purple/30 mb-4" />
+            <p className="text-gray-500">No sessions match these filters</p>
+          </div>
+        ) : sessionHistory.length === 0 ? (
           <div className="text-center py-12 bg-kiro-bg-light rounded-xl border border-kiro-purple/20">
             <Clock size={48} className="mx-auto text-kiro-purple/30 mb-4" />
             <p className="text-gray-500">No sessions yet</p>
@@ -262,14 +544,16 @@ export default function SessionHistory() {
           </div>
         ) : (
           <div className="bg-kiro-bg-light rounded-xl border border-kiro-purple/20 p-4">
-            <SessionGroup title="Today" sessions={groupedSessions.today} />
-            <SessionGroup title="Yesterday" sessions={groupedSessions.yesterday} />
-            <SessionGroup title="This Week" sessions={groupedSessions.thisWeek} />
-            <SessionGroup title="Last Week" sessions={groupedSessions.lastWeek} />
-            <SessionGroup title="Older" sessions={groupedSessions.older} />
+            <SessionGroup title="Today" sessions={groupedSessions.today} plan={planSummary.today} />
+            <SessionGroup title="Yesterday" sessions={groupedSessions.yesterday} plan={planSummary.yesterday} />
+            <SessionGroup title="This Week" sessions={groupedSessions.thisWeek} plan={planSummary.thisWeek} />
+            <SessionGroup title="Last Week" sessions={groupedSessions.lastWeek} plan={planSummary.lastWeek} />
+            <SessionGroup title="Older" sessions={groupedSessions.older} plan={planSummary.older} />
           </div>
         )}
       </div>
+      
+      <CreditTransactions ledger={state.userProgress.creditLedger} credits={state.userProgress.credits} />
     </div>
   );
 }
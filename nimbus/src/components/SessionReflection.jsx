@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { Star } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useCloudState } from '../App';
+import Modal from './Modal';
+import { TIMER_EVENTS, subscribeTimerEvent } from '../utils/timerEvents';
+import {
+  createReflection,
+  FOCUS_RATING_LABELS,
+  MIN_FOCUS_RATING,
+  MAX_FOCUS_RATING,
+  MAX_ACCOMPLISHED_LENGTH,
+  MAX_NOTES_LENGTH
+} from '../utils/sessionReflection';
+import { formatDuration } from '../utils/sessionHistory';
+
+const inputClass = 'w-full px-3 py-2 bg-kiro-bg border border-kiro-purple/30 rounded-lg text-white text-sm focus:outline-none focus:border-kiro-purple';
+
+const RATINGS = Array.from(
+  { length: MAX_FOCUS_RATING - MIN_FOCUS_RATING + 1 },
+  (_, i) => MIN_FOCUS_RATING + i
+);
+
+/**
+ * SessionReflection Component
+ * 
+ * Optional post-session reflection shown when a focus session completes:
+ * - 1-5 focus rating
+ * - What got done
+ * - Free-form notes
+ * Answers are saved on the session entry; skipping leaves it unchanged.
+ * 
+ * **Validates: Requirements 30.1, 30.2**
+ */
+export default function SessionReflection() {
+  const { actions } = useApp();
+  const { triggerCloudSave } = useCloudState();
+  
+  const [session, setSession] = useState(null);
+  const [rating, setRating] = useState(null);
+  const [accomplished, setAccomplished] = useState('');
+  const [notes, setNotes] = useState('');
+  
+  // Ask after every completed focus session (published by the owning tab only)
+  useEffect(() => {
+    return subscribeTimerEvent(TIMER_EVENTS.SESSION_COMPLETE, (payload) => {
+      if (!payload?.session) return;
+      setSession(payload.session);
+      setRating(null);
+      setAccomplished(payload.session.task || '');
+      setNotes('');
+    });
+  }, []);
+  
+  const handleClose = () => {
+    setSession(null);
+  };
+  
+  const handleSave = (e) => {
+    e.preventDefault();
+    const reflection = createReflection({ rating, accomplished, notes });
+    if (!reflection) return;
+    
+    actions.setSessionReflection(session.id, reflection);
+    setSession(null);
+    
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  };
+  
+  return (
+    <Modal
+      isOpen={!!session}
+      onClose={handleClose}
+      title="How did that session go?"
+      size="md"
+    >
+      {session && (
+        <form onSubmit={handleSave} className="space-y-4">
+          <p className="text-xs text-gray-500">
+            {formatDuration(session.duration)} focus session
+            {session.project && ` on ${session.project}`} - optional, takes ten seconds.
+          </p>
+          
+          {/* Focus rating */}
+          <div>
+            <div className="text-sm text-gray-300 mb-2">How focused were you?</div>
+            <div className="flex items-center gap-1">
+              {RATINGS.map(value => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setRating(value)}
+                  className="p-1 rounded transition-colors hover:bg-kiro-purple/10"
+                  aria-label={`${value} - ${FOCUS_RATING_LABELS[value]}`}
+                  aria-pressed={rating === value}
+                >
+                  <Star
+                    size={24}
+                    className={rating && value <= rating ? 'text-kiro-warning' : 'text-kiro-purple/30'}
+                    fill={rating && value <= rating ? 'currentColor' : 'none'}
+                  />
+                </button>
+              ))}
+              {rating && (
+                <span className="ml-2 text-sm text-kiro-warning">{FOCUS_RATING_LABELS[rating]}</span>
+              )}
+            </div>
+          </div>
+          
+          <label className="block">
+            <span className="block text-sm text-gray-300 mb-1">What got done?</span>
+            <input
+              type="text"
+              value={accomplished}
+              onChange={(e) => setAccomplished(e.target.value)}
+              maxLength={MAX_ACCOMPLISHED_LENGTH}
+              placeholder="e.g. Finished the login form"
+              className={inputClass}
+            />
+          </label>
+          
+          <label className="block">
+            <span className="block text-sm text-gray-300 mb-1">Notes</span>
+            <textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={MAX_NOTES_LENGTH}
+              rows={3}
+              placeholder="Anything worth remembering next time?"
+              className={`${inputClass} resize-none`}
+            />
+          </label>
+          
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+            >
+              Skip
+            </button>
+            <button
+              type="submit"
+              disabled={!rating}
+              className="px-4 py-2 bg-kiro-purple text-kiro-bg rounded-lg text-sm font-medium
+                       hover:bg-kiro-purple/80 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Save reflection
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,84 @@
+import { Boxes, Zap } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { BUNDLES } from '../data/bundles';
+import { getBundleComponents, getBundlePrice, canPurchaseBundle } from '../utils/bundleLogic';
+import { getPlayerLevel } from '../utils/levels';
+import { useBundlePurchase } from '../hooks/useShop';
+
+// Single bundle card with its components, discounted price and buy button
+function BundleCard({ bundle, price, check, onPurchase }) {
+  const components = getBundleComponents(bundle);
+  
+  return (
+    <div className="flex flex-col p-4 bg-kiro-bg/60 rounded-lg border border-kiro-purple/20">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <span className="font-semibold text-white">{bundle.name}</span>
+        <span className="text-xs text-kiro-success bg-kiro-success/10 px-2 py-0.5 rounded">
+          -{Math.round(bundle.discount * 100)}%
+        </span>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">{bundle.description}</p>
+      <div className="flex flex-wrap gap-1 mb-3">
+        {components.map(component => (
+          <span key={component.id} className="text-xs bg-kiro-purple/10 text-kiro-purple px-2 py-0.5 rounded">
+            {component.name}
+          </span>
+        ))}
+      </div>
+      
+      <div className="mt-auto flex items-center gap-2">
+        <Zap size={16} className="text-kiro-warning" />
+        <span className="font-bold text-white">{price.price}</span>
+        <span className="text-xs text-gray-500 line-through">{price.fullPrice}</span>
+        <button
+          onClick={() => onPurchase(bundle)}
+          disabled={!check.canPurchase}
+          title={check.canPurchase ? `Save ${price.savings} credits` : check.message}
+          className="ml-auto px-3 py-1 text-sm rounded-lg font-medium transition-colors
+                   bg-kiro-success hover:bg-kiro-success/80 text-white
+                   disabled:bg-gray-600 disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Buy kit
+        </button>
+      </div>
+      {!check.canPurchase && (
+        <p className="text-xs text-gray-500 mt-2">{check.message}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * StarterKits Component
+ *
+ * Lists the starter-kit bundles with their discounted prices. Buying one adds
+ * every component and places it on the canvas, already wired up.
+ *
+ * **Validates: Requirements 44.1, 44.2**
+ */
+export default function StarterKits() {
+  const { state } = useApp();
+  const { credits, ownedComponents } = state.userProgress;
+  const { level } = getPlayerLevel(state);
+  const purchaseBundle = useBundlePurchase();
+  
+  return (
+    <div className="mb-6 p-4 bg-kiro-bg-light rounded-xl border border-kiro-purple/20">
+      <h3 className="text-sm font-semibold text-kiro-purple flex items-center gap-2 mb-3">
+        <Boxes size={16} />
+        Starter Kits
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {BUNDLES.map(bundle => (
+          <BundleCard
+            key={bundle.id}
+            bundle={bundle}
+            price={getBundlePrice(bundle, ownedComponents)}
+            check={canPurchaseBundle(bundle, credits, ownedComponents, level)}
+            onPurchase={purchaseBundle}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { Snowflake, Moon } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useCloudState } from '../App';
+import { useStreakFreezePurchase } from '../hooks/useShop';
+import {
+  MAX_STREAK_FREEZES,
+  STREAK_FREEZE_COST,
+  FREEZE_EARN_INTERVAL,
+  WEEKDAY_LABELS,
+  canBuyStreakFreeze,
+  toggleRestDay
+} from '../utils/streakProtection';
+
+// Weekdays in display order, Monday first
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * StreakProtection Component
+ *
+ * Shows the streak freezes the user holds (with a button to buy one) and
+ * lets them pick rest days that never break their streak.
+ *
+ * **Validates: Requirements 37.1, 37.3**
+ */
+export default function StreakProtection() {
+  const { state, actions } = useApp();
+  const { credits, streakFreezes, restDays } = state.userProgress;
+  const { triggerCloudSave } = useCloudState();
+  const buyFreeze = useStreakFreezePurchase();
+  const check = canBuyStreakFreeze(credits, streakFreezes);
+  
+  const handleToggleRestDay = (weekday) => {
+    actions.setRestDays(toggleRestDay(restDays, weekday));
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  };
+  
+  return (
+    <div className="bg-kiro-bg-light border border-kiro-purple/20 rounded-lg p-4 mb-8 flex flex-wrap items-center gap-x-8 gap-y-3">
+      <div className="flex items-center gap-3">
+        <span className="text-sm font-semibold text-white">Streak freezes</span>
+        <div className="flex gap-1" title={`Earn one every ${FREEZE_EARN_INTERVAL} streak days`}>
+          {Array.from({ length: MAX_STREAK_FREEZES }, (_, i) => (
+            <Snowflake
+              key={i}
+              size={16}
+              className={i < streakFreezes ? 'text-kiro-purple' : 'text-gray-600'}
+            />
+          ))}
+        </div>
+        <button
+          onClick={buyFreeze}
+          disabled={!check.canBuy}
+          title={check.message || 'Covers one missed day automatically'}
+          className="px-2 py-1 text-xs rounded-lg border border-kiro-purple/30 text-kiro-purple
+                   hover:border-kiro-purple disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          Buy for {STREAK_FREEZE_COST} credits
+        </button>
+      </div>
+      
+      <div className="flex items-center gap-3">
+        <span className="flex items-center gap-1 text-sm font-semibold text-white">
+          <Moon size={14} className="text-kiro-purple" />
+          Rest days
+        </span>
+        <div className="flex gap-1">
+          {WEEK_ORDER.map(weekday => {
+            const isRest = restDays.includes(weekday);
+            return (
+              <button
+                key={weekday}
+                onClick={() => handleToggleRestDay(weekday)}
+                aria-pressed={isRest}
+                className={`w-9 py-1 text-xs rounded-lg border transition-colors ${
+                  isRest
+                    ? 'bg-kiro-purple/20 border-kiro-purple text-white'
+                    : 'border-kiro-purple/20 text-gray-500 hover:border-kiro-purple/50'
+                }`}
+              >
+                {WEEKDAY_LABELS[weekday]}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
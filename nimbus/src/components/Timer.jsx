@@ -1,19 +1,37 @@
 import { useEffect, useRef, useCallback, useState } from 'react';
-import { Play, Pause, Square } from 'lucide-react';
+import {
+  Play, Pause, Square, SkipForward, Coffee, Repeat, MonitorSmartphone, Bell,
+  Settings2, ListOrdered, Tag, Waves, CheckCircle, ShieldCheck
+} from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import { useTimerSession } from '../context/TimerSessionContext';
+import Modal from './Modal';
+import AlertSettings from './AlertSettings';
+import AmbientControls from './AmbientControls';
+import PresetManager from './PresetManager';
+import InterruptionLogger from './InterruptionLogger';
+import { describeRoutine } from '../utils/presetLogic';
+import { getLabelSuggestions, MAX_LABEL_LENGTH } from '../utils/sessionLabels';
+import {
+  STRICT_POLICIES,
+  STRICT_POLICY_LABELS,
+  MIN_AWAY_THRESHOLD_MINUTES,
+  MAX_AWAY_THRESHOLD_MINUTES,
+  clampAwayThreshold,
+  getAwaySeconds
+} from '../utils/strictMode';
+import { formatDuration } from '../utils/sessionHistory';
 import {
-  PRESET_DURATIONS,
-  tickTimer,
-  correctDrift,
   calculateProgress,
   isFinalMinute,
-  isSessionComplete,
+  getOvertime,
   formatTime,
-  getElapsedTime
+  isBreakPhase,
+  getPhaseLabel,
+  clampCycleSettings,
+  MAX_BREAK_MINUTES,
+  MAX_CYCLE_ROUNDS
 } from '../utils/timerLogic';
-import { calculateTotalCredits, calculatePartialCredits } from '../utils/creditCalculator';
-import { useFocusCoach } from '../hooks/useAgents';
-import { useCloudState } from '../App';
 
 // Min and max duration in seconds
 const MIN_DURATION = 5 * 60; // 5 minutes
@@ -24,185 +42,103 @@ const MAX_DURATION = 120 * 60; // 120 minutes
  * 
  * Implements the focus timer with:
  * - Interactive circular slider for custom duration
- * - Duration preset buttons (15, 25, 45, 60, 90 min)
+ * - User-editable duration preset buttons and saved routines
  * - Countdown display in MM:SS format
  * - Circular progress ring SVG
  * - Start/pause/resume/stop controls
  * - Final minute styling (orange, pulse)
+ * - Pomodoro cycle mode with automatic short/long breaks
+ * - Mirrored countdown and forwarded controls when another tab owns the session
+ * - Alert settings for notifications and chimes
+ * - Optional task name and project tag with autocomplete from past sessions
+ * - One-key interruption log during focus sessions
+ * - Flow mode: count-up overtime past the planned duration until finished
+ * - Strict mode: time away from the tab is tracked under a chosen policy
+ * - Ambient soundscape picker
  * 
- * **Validates: Requirements 1.1, 1.2, 1.3, 1.4, 1.5, 1.6, 1.7, 12.4**
+ * **Validates: Requirements 1.1, 1.2, 1.3, 1.4, 1.6, 1.7, 21.3, 23.2, 25.2, 26.1, 26.3, 27.1, 27.2, 28.1, 29.1, 29.5, 31.1, 31.5, 34.1**
  */
 export default function Timer() {
   const { state, actions } = useApp();
-  const { timerState, userProgress } = state;
-  const { isActive, isPaused, timeRemaining, totalDuration } = timerState;
+  const { timerState, cycleState, userProgress, sessionSettings } = state;
+  const { presets, routines } = userProgress;
+  const { isActive, isPaused, timeRemaining, phase, overtime } = timerState;
+  const onBreak = isBreakPhase(phase);
+  const overtimeSeconds = getOvertime(timerState);
   
-  const intervalRef = useRef(null);
-  const localStateRef = useRef(timerState);
   const svgRef = useRef(null);
   
-  // State for custom duration selection via circular slider
-  const [selectedDuration, setSelectedDuration] = useState(25 * 60); // Default 25 min
-  const [isDragging, setIsDragging] = useState(false);
-  
-  // Focus Coach agent for session events
-  const { onSessionStart, onSessionComplete: notifyCoachComplete, onSessionAbandon } = useFocusCoach();
-  
-  // Cloud state for auto-save
-  const { triggerCloudSave } = useCloudState();
+  // Duration and labels for the next session live in uiState so shortcuts can start it
+  const { duration: selectedDuration, task: taskName, project: projectTag } = state.uiState.timerDraft;
+  const setSelectedDuration = (duration) => actions.updateTimerDraft({ duration });
+  const setTaskName = (task) => actions.updateTimerDraft({ task });
+  const setProjectTag = (project) => actions.updateTimerDraft({ project });
   
-  // Keep local ref in sync with state
-  useEffect(() => {
-    localStateRef.current = timerState;
-  }, [timerState]);
-
+  // Circular slider and settings panels
+  const [isDragging, setIsDragging] = useState(false);
+  const [showAlertSettings, setShowAlertSettings] = useState(false);
+  const [showPresetManager, setShowPresetManager] = useState(false);
   
-  // Handle session completion
-  // Use ref to get current timer state to avoid stale closure issues
-  const handleSessionComplete = useCallback(() => {
-    const currentTimerState = localStateRef.current;
-    const sessionDuration = currentTimerState.totalDuration;
-    
-    const session = {
-      id: crypto.randomUUID(),
-      startTime: currentTimerState.startTime,
-      endTime: Date.now(),
-      duration: sessionDuration,
-      completed: true,
-      pauseCount: currentTimerState.pauseCount,
-      creditsEarned: 0,
-      bonuses: { completion: 0, streak: 0, longSession: 0 }
-    };
-    
-    // Calculate credits using the actual session duration
-    const creditResult = calculateTotalCredits(
-      { duration: sessionDuration, completed: true, pauseCount: currentTimerState.pauseCount },
-      userProgress.currentStreak
-    );
-    
-    session.creditsEarned = creditResult.total;
-    session.bonuses = {
-      completion: creditResult.completion,
-      streak: creditResult.streak,
-      longSession: creditResult.longSession
-    };
-    
-    // Update state - add credits BEFORE resetting timer
-    actions.addCredits(creditResult.total);
-    actions.addSession(session);
-    actions.resetTimer();
-    
-    // Notify Focus Coach agent (will set emotion to celebrating)
-    notifyCoachComplete(session);
-    
-    // Auto-save to cloud after session completion (Requirements 13.6)
-    // Use setTimeout to ensure state is updated before saving
-    setTimeout(() => {
-      triggerCloudSave();
-    }, 100);
-  }, [userProgress.currentStreak, actions, notifyCoachComplete, triggerCloudSave]);
+  // Task/project label suggestions for the next session (Requirements 27.1)
+  const taskSuggestions = getLabelSuggestions(userProgress.sessionHistory, 'task', taskName);
+  const projectSuggestions = getLabelSuggestions(userProgress.sessionHistory, 'project', projectTag);
   
-  // Handle session abandonment
-  const handleAbandon = useCallback(() => {
-    const elapsedTime = getElapsedTime(localStateRef.current);
-    const partialCredits = calculatePartialCredits(elapsedTime);
-    
-    const session = {
-      id: crypto.randomUUID(),
-      startTime: localStateRef.current.startTime,
-      endTime: Date.now(),
-      duration: elapsedTime,
-      completed: false,
-      pauseCount: localStateRef.current.pauseCount,
-      creditsEarned: partialCredits,
-      bonuses: { completion: 0, streak: 0, longSession: 0 }
-    };
-    
-    actions.addSession(session);
-    if (partialCredits > 0) {
-      actions.addCredits(partialCredits);
-    }
-    actions.resetTimer();
-    
-    // Notify Focus Coach agent (will set emotion to concerned)
-    onSessionAbandon(session);
-    
-    // Auto-save to cloud after session abandonment (Requirements 13.6)
-    // Use setTimeout to ensure state is updated before saving
-    setTimeout(() => {
-      triggerCloudSave();
-    }, 100);
-  }, [actions, onSessionAbandon, triggerCloudSave]);
-  
-  // Timer tick effect
-  useEffect(() => {
-    if (!isActive || isPaused) {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-      return;
-    }
-    
-    intervalRef.current = setInterval(() => {
-      const currentState = localStateRef.current;
-      
-      // Check for completion first
-      if (isSessionComplete(currentState)) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-        handleSessionComplete();
-        return;
-      }
-      
-      // Apply tick with drift correction
-      let newState = tickTimer(currentState);
-      newState = correctDrift(newState);
-      
-      // Update time remaining in context
-      actions.tickTimer(newState.timeRemaining);
-      
-      // Check if just completed
-      if (newState.timeRemaining <= 0) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-        handleSessionComplete();
-      }
-    }, 1000);
-    
-    // Cleanup on unmount (Requirements 12.4)
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-    };
-  }, [isActive, isPaused, actions, handleSessionComplete]);
+  // Session lifecycle lives in TimerSessionProvider so it keeps running on other views
+  const {
+    isMirror,
+    startSession,
+    startRoutine,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    skipBreak
+  } = useTimerSession();
   
   // Start timer with selected duration
   const handleStart = (duration) => {
-    actions.startTimer(duration);
-    // Notify Focus Coach agent (will set emotion to encouraging)
-    onSessionStart(duration);
+    startSession(duration, { task: taskName, project: projectTag });
   };
   
   // Pause timer
   const handlePause = () => {
-    actions.pauseTimer();
+    pauseSession();
   };
   
   // Resume timer
   const handleResume = () => {
-    actions.resumeTimer();
+    resumeSession();
   };
   
-  // Stop/abandon timer
+  // Stop/abandon timer (stopping during a break ends the cycle)
   const handleStop = () => {
-    if (isActive) {
-      handleAbandon();
-    }
+    stopSession();
   };
   
+  // Skip the rest of a break and start the next focus round
+  const handleSkipBreak = () => {
+    skipBreak();
+  };
+  
+  // Update a cycle setting entered in minutes (or rounds), clamped to the allowed range
+  const handleCycleSettingChange = (key, value, toSeconds) => {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed)) return;
+    actions.updateCycleSettings(
+      clampCycleSettings({ ...cycleState.settings, [key]: toSeconds ? parsed * 60 : parsed })
+    );
+  };
+  
+  // Current routine progress for display (Requirements 26.3)
+  const { routine, routineStep } = cycleState;
+  const routineFocusTotal = routine ? routine.steps.filter(s => !isBreakPhase(s.phase)).length : 0;
+  const routineFocusDone = routine
+    ? routine.steps.slice(0, routineStep + 1).filter(s => !isBreakPhase(s.phase)).length
+    : 0;
+  
+  // Current round within the cycle (1-based) for display
+  const roundsPerCycle = Math.max(1, cycleState.settings.roundsBeforeLongBreak);
+  const currentRound = (cycleState.completedRounds % roundsPerCycle) + 1;
+  
   // Calculate progress for ring
   const progress = calculateProgress(timerState);
   const finalMinute = isFinalMinute(timerState);
@@ -319,6 +255,27 @@ export default function Timer() {
   
   const handlePosition = getHandlePosition();
   
+  // Stopping in overtime finishes the session instead of abandoning it (Requirements 29.1)
+  const stopControl = overtime ? (
+    <button
+      onClick={handleStop}
+      className="flex items-center gap-2 px-6 py-3 bg-kiro-success text-white rounded-lg
+               hover:bg-kiro-success/80 transition-all duration-200"
+    >
+      <CheckCircle size={20} />
+      Finish
+    </button>
+  ) : (
+    <button
+      onClick={handleStop}
+      className="flex items-center gap-2 px-6 py-3 bg-kiro-bg border border-kiro-warning/50
+               text-kiro-warning rounded-lg hover:border-kiro-warning transition-all duration-200"
+    >
+      <Square size={20} />
+      Stop
+    </button>
+  );
+  
   return (
     <div className="flex flex-col items-center justify-center h-full py-4 px-4">
       {/* Duration presets (only show when not active) */}
@@ -328,9 +285,9 @@ export default function Timer() {
             {isDragging ? 'Drag to set time' : 'Select or drag to set duration'}
           </h2>
           <div className="flex flex-wrap justify-center gap-2">
-            {PRESET_DURATIONS.map(({ label, minutes, seconds }) => (
+            {presets.map(({ id, label, seconds }) => (
               <button
-                key={seconds}
+                key={id}
                 onClick={() => setSelectedDuration(seconds)}
                 className={`px-3 py-2 rounded-lg transition-all duration-200 ${
                   selectedDuration === seconds
@@ -338,11 +295,192 @@ export default function Timer() {
                     : 'bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple hover:bg-kiro-purple/10'
                 }`}
               >
-                <div className="text-base font-bold">{minutes} min</div>
+                <div className="text-base font-bold">{seconds / 60} min</div>
                 <div className="text-xs opacity-70">{label}</div>
               </button>
             ))}
           </div>
+          
+          {/* Task and project labels (Requirements 27.1, 27.2) */}
+          <div className="flex flex-wrap justify-center gap-2 mt-3">
+            <input
+              type="text"
+              list="nimbus-task-suggestions"
+              value={taskName}
+              onChange={(e) => setTaskName(e.target.value)}
+              maxLength={MAX_LABEL_LENGTH}
+              placeholder="What are you working on?"
+              className="w-56 px-3 py-1.5 bg-kiro-bg border border-kiro-purple/30 rounded-lg text-white text-sm
+                       focus:outline-none focus:border-kiro-purple"
+              aria-label="Task name"
+            />
+            <div className="relative">
+              <Tag size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-kiro-purple/60" />
+              <input
+                type="text"
+                list="nimbus-project-suggestions"
+                value={projectTag}
+                onChange={(e) => setProjectTag(e.target.value)}
+                maxLength={MAX_LABEL_LENGTH}
+                placeholder="Project"
+                className="w-40 pl-7 pr-3 py-1.5 bg-kiro-bg border border-kiro-purple/30 rounded-lg text-white text-sm
+                         focus:outline-none focus:border-kiro-purple"
+                aria-label="Project tag"
+              />
+            </div>
+            <datalist id="nimbus-task-suggestions">
+              {taskSuggestions.map(task => <option key={task} value={task} />)}
+            </datalist>
+            <datalist id="nimbus-project-suggestions">
+              {projectSuggestions.map(project => <option key={project} value={project} />)}
+            </datalist>
+          </div>
+          
+          {/* Saved routines (Requirements 26.3) */}
+          {routines.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-2 mt-3">
+              {routines.map((savedRoutine) => (
+                <button
+                  key={savedRoutine.id}
+                  onClick={() => startRoutine(savedRoutine, { task: taskName, project: projectTag })}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200
+                           bg-kiro-bg border border-kiro-success/40 text-kiro-success hover:border-kiro-success hover:bg-kiro-success/10"
+                >
+                  <ListOrdered size={14} />
+                  <span className="font-medium">{savedRoutine.name}</span>
+                  <span className="text-xs opacity-70">{describeRoutine(savedRoutine)}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {/* Cycle mode toggle and break settings (Requirements 21.3) */}
+          <div className="flex flex-wrap items-center justify-center gap-3 mt-3">
+            <button
+              onClick={() => actions.setCycleEnabled(!cycleState.enabled)}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200 ${
+                cycleState.enabled
+                  ? 'bg-kiro-purple text-kiro-bg border border-kiro-purple'
+                  : 'bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple'
+              }`}
+            >
+              <Repeat size={14} />
+              Cycle mode {cycleState.enabled ? 'on' : 'off'}
+            </button>
+            <button
+              onClick={() => actions.updateSessionSettings({ flowMode: !sessionSettings.flowMode })}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200 ${
+                sessionSettings.flowMode
+                  ? 'bg-kiro-purple text-kiro-bg border border-kiro-purple'
+                  : 'bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple'
+              }`}
+              title="Keep counting past zero and finish when you're done"
+            >
+              <Waves size={14} />
+              Flow mode {sessionSettings.flowMode ? 'on' : 'off'}
+            </button>
+            <button
+              onClick={() => actions.updateSessionSettings({ strictMode: !sessionSettings.strictMode })}
+              className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200 ${
+                sessionSettings.strictMode
+                  ? 'bg-kiro-purple text-kiro-bg border border-kiro-purple'
+                  : 'bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple'
+              }`}
+              title="Track time spent away from this tab during focus sessions"
+            >
+              <ShieldCheck size={14} />
+              Strict mode {sessionSettings.strictMode ? 'on' : 'off'}
+            </button>
+            <button
+              onClick={() => setShowAlertSettings(true)}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200
+                       bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple"
+            >
+              <Bell size={14} />
+              Alerts
+            </button>
+            <button
+              onClick={() => setShowPresetManager(true)}
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm transition-all duration-200
+                       bg-kiro-bg border border-kiro-purple/30 text-kiro-purple hover:border-kiro-purple"
+            >
+              <Settings2 size={14} />
+              Presets & routines
+            </button>
+            {cycleState.enabled && (
+              <div className="flex items-center gap-3 text-xs text-kiro-purple/70">
+                <label className="flex items-center gap-1">
+                  Short
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_BREAK_MINUTES}
+                    value={Math.round(cycleState.settings.shortBreakDuration / 60)}
+                    onChange={(e) => handleCycleSettingChange('shortBreakDuration', e.target.value, true)}
+                    className="w-12 px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-center"
+                  />
+                  min
+                </label>
+                <label className="flex items-center gap-1">
+                  Long
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_BREAK_MINUTES}
+                    value={Math.round(cycleState.settings.longBreakDuration / 60)}
+                    onChange={(e) => handleCycleSettingChange('longBreakDuration', e.target.value, true)}
+                    className="w-12 px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-center"
+                  />
+                  min
+                </label>
+                <label className="flex items-center gap-1">
+                  Long break every
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_CYCLE_ROUNDS}
+                    value={cycleState.settings.roundsBeforeLongBreak}
+                    onChange={(e) => handleCycleSettingChange('roundsBeforeLongBreak', e.target.value, false)}
+                    className="w-12 px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-center"
+                  />
+                  rounds
+                </label>
+              </div>
+            )}
+            {/* Strict mode policy (Requirements 31.5) */}
+            {sessionSettings.strictMode && (
+              <div className="flex items-center gap-3 text-xs text-kiro-purple/70">
+                <label className="flex items-center gap-1">
+                  When I leave
+                  <select
+                    value={sessionSettings.strictPolicy}
+                    onChange={(e) => actions.updateSessionSettings({ strictPolicy: e.target.value })}
+                    className="px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white"
+                  >
+                    {Object.values(STRICT_POLICIES).map(policy => (
+                      <option key={policy} value={policy}>{STRICT_POLICY_LABELS[policy]}</option>
+                    ))}
+                  </select>
+                </label>
+                {sessionSettings.strictPolicy === STRICT_POLICIES.AUTO_ABANDON && (
+                  <label className="flex items-center gap-1">
+                    after
+                    <input
+                      type="number"
+                      min={MIN_AWAY_THRESHOLD_MINUTES}
+                      max={MAX_AWAY_THRESHOLD_MINUTES}
+                      value={sessionSettings.awayThresholdMinutes}
+                      onChange={(e) => actions.updateSessionSettings({
+                        awayThresholdMinutes: clampAwayThreshold(e.target.value)
+                      })}
+                      className="w-12 px-1 py-0.5 bg-kiro-bg border border-kiro-purple/30 rounded text-white text-center"
+                    />
+                    min away
+                  </label>
+                )}
+              </div>
+            )}
+          </div>
         </div>
       )}
       
@@ -372,7 +510,7 @@ export default function Timer() {
             cy={size / 2}
             r={radius}
             fill="none"
-            stroke={finalMinute ? '#ed8936' : '#b794f6'}
+            stroke={finalMinute ? '#ed8936' : onBreak ? '#48bb78' : '#b794f6'}
             strokeWidth={strokeWidth}
             strokeLinecap="round"
             strokeDasharray={circumference}
@@ -401,11 +539,15 @@ export default function Timer() {
               finalMinute ? 'text-kiro-warning animate-pulse-slow' : 'text-white'
             }`}
           >
-            {isActive ? formatTime(timeRemaining) : formatTime(selectedDuration)}
+            {!isActive
+              ? formatTime(selectedDuration)
+              : overtime ? `+${formatTime(overtimeSeconds)}` : formatTime(timeRemaining)}
           </span>
           {isActive && (
-            <span className="text-sm text-kiro-purple/70 mt-2">
-              {isPaused ? 'Paused' : 'Focus time'}
+            <span className={`text-sm mt-2 flex items-center gap-1 ${onBreak ? 'text-kiro-success' : 'text-kiro-purple/70'}`}>
+              {onBreak && <Coffee size={14} />}
+              {overtime && <Waves size={14} />}
+              {isPaused ? 'Paused' : overtime ? 'Overtime' : getPhaseLabel(phase)}
             </span>
           )}
           {!isActive && (
@@ -415,7 +557,7 @@ export default function Timer() {
           )}
         </div>
       </div>
-
+      
       
       {/* Controls */}
       <div className="flex gap-4 mt-6">
@@ -440,18 +582,21 @@ export default function Timer() {
               <Play size={20} />
               Resume
             </button>
-            <button
-              onClick={handleStop}
-              className="flex items-center gap-2 px-6 py-3 bg-kiro-bg border border-kiro-warning/50
-                       text-kiro-warning rounded-lg hover:border-kiro-warning transition-all duration-200"
-            >
-              <Square size={20} />
-              Stop
-            </button>
+            {stopControl}
           </>
         ) : (
-          // Active state: Pause and Stop buttons
+          // Active state: Pause and Stop buttons (plus Skip during breaks)
           <>
+            {onBreak && (
+              <button
+                onClick={handleSkipBreak}
+                className="flex items-center gap-2 px-6 py-3 bg-kiro-success text-white rounded-lg
+                         hover:bg-kiro-success/80 transition-all duration-200"
+              >
+                <SkipForward size={20} />
+                Skip Break
+              </button>
+            )}
             <button
               onClick={handlePause}
               className="flex items-center gap-2 px-6 py-3 bg-kiro-purple text-kiro-bg rounded-lg
@@ -460,29 +605,99 @@ export default function Timer() {
               <Pause size={20} />
               Pause
             </button>
-            <button
-              onClick={handleStop}
-              className="flex items-center gap-2 px-6 py-3 bg-kiro-bg border border-kiro-warning/50
-                       text-kiro-warning rounded-lg hover:border-kiro-warning transition-all duration-200"
-            >
-              <Square size={20} />
-              Stop
-            </button>
+            {stopControl}
           </>
         )}
       </div>
       
+      {/* Background soundscape (Requirements 34.1) */}
+      <AmbientControls />
+      
+      {/* Mirrored session owned by another tab (Requirements 23.2) */}
+      {isMirror && (
+        <div className="mt-4 flex items-center gap-2 text-xs text-kiro-purple/60">
+          <MonitorSmartphone size={14} />
+          Running in another tab - controls here are shared with it
+        </div>
+      )}
+      
       {/* Session info */}
-      {isActive && (
+      {isActive && !onBreak && (
         <div className="mt-6 text-center">
+          {(timerState.labels?.task || timerState.labels?.project) && (
+            <p className="flex items-center justify-center gap-2 text-white text-sm mb-1">
+              {timerState.labels.task}
+              {timerState.labels.project && (
+                <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-kiro-purple/20 text-kiro-purple text-xs">
+                  <Tag size={12} />
+                  {timerState.labels.project}
+                </span>
+              )}
+            </p>
+          )}
           <p className="text-kiro-purple/70 text-sm">
             Pauses: {timerState.pauseCount}
             {timerState.pauseCount === 0 && (
               <span className="text-kiro-success ml-2">+20% bonus!</span>
             )}
           </p>
+          {timerState.strict && (
+            <p className="flex items-center justify-center gap-1 text-kiro-purple/50 text-xs mt-1">
+              <ShieldCheck size={12} />
+              Strict mode • away {formatDuration(getAwaySeconds(timerState))}
+              {timerState.strict.policy === STRICT_POLICIES.AUTO_ABANDON
+                && ` of ${formatDuration(timerState.strict.awayThreshold)}`}
+            </p>
+          )}
+          {overtime && (
+            <p className="text-kiro-success/80 text-xs mt-1">
+              Planned {formatTime(timerState.totalDuration)} reached - overtime earns a flow bonus
+            </p>
+          )}
+          <InterruptionLogger interruptions={timerState.interruptions || []} />
+          {routine ? (
+            <p className="text-kiro-purple/50 text-xs mt-1">
+              {routine.name}: round {routineFocusDone} of {routineFocusTotal}
+            </p>
+          ) : cycleState.enabled && (
+            <p className="text-kiro-purple/50 text-xs mt-1">
+              Round {currentRound} of {roundsPerCycle}
+            </p>
+          )}
         </div>
       )}
+      {isActive && onBreak && (
+        <div className="mt-6 text-center">
+          <p className="text-kiro-success/80 text-sm">
+            Breaks don't earn credits - just rest. Next focus round starts automatically.
+          </p>
+          {routine && (
+            <p className="text-kiro-purple/50 text-xs mt-1">
+              {routine.name}: step {routineStep + 1} of {routine.steps.length}
+            </p>
+          )}
+        </div>
+      )}
+      
+      {/* Notification and chime settings (Requirements 25.2, 25.3) */}
+      <Modal
+        isOpen={showAlertSettings}
+        onClose={() => setShowAlertSettings(false)}
+        title="Timer Alerts"
+        size="md"
+      >
+        <AlertSettings />
+      </Modal>
+      
+      {/* Preset and routine library (Requirements 26.1, 26.2) */}
+      <Modal
+        isOpen={showPresetManager}
+        onClose={() => setShowPresetManager(false)}
+        title="Presets & Routines"
+        size="lg"
+      >
+        <PresetManager />
+      </Modal>
     </div>
   );
 }
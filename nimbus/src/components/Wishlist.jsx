@@ -0,0 +1,73 @@
+import { PiggyBank, Check, X, Zap } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { getWishlistSummary } from '../utils/wishlist';
+import { useWishlistPin } from '../hooks/useShop';
+
+/**
+ * Wishlist Component
+ *
+ * Lists the pinned components and upgrade tiers with a progress bar toward
+ * their combined cost and an estimate of the focus sessions still needed.
+ *
+ * **Validates: Requirements 45.1, 45.2**
+ */
+export default function Wishlist() {
+  const { state } = useApp();
+  const { userProgress } = state;
+  const togglePin = useWishlistPin();
+  const summary = getWishlistSummary(userProgress.wishlist, userProgress);
+  const percent = Math.round(summary.progress * 100);
+  
+  const eta = summary.remaining === 0
+    ? 'You can afford everything on your wishlist!'
+    : summary.sessionsToGo === null
+      ? `${summary.remaining} credits to go - complete a session to see an estimate`
+      : `${summary.remaining} credits to go - about ${summary.sessionsToGo} focus session${summary.sessionsToGo === 1 ? '' : 's'}`;
+  
+  return (
+    <div className="mb-6 p-4 bg-kiro-bg-light rounded-xl border border-kiro-purple/20">
+      <h3 className="text-sm font-semibold text-kiro-purple flex items-center gap-2 mb-3">
+        <PiggyBank size={16} />
+        Wishlist
+      </h3>
+      
+      {summary.items.length === 0 ? (
+        <p className="text-xs text-gray-500">
+          Saving for something? Pin a component or an upgrade tier from its details to track it here.
+        </p>
+      ) : (
+        <>
+          <div className="space-y-1 mb-3">
+            {summary.items.map(item => (
+              <div key={item.id} className="flex items-center gap-2 text-sm">
+                {item.affordable
+                  ? <Check size={14} className="text-kiro-success" />
+                  : <Zap size={14} className="text-kiro-warning" />}
+                <span className="flex-1 text-white">{item.label}</span>
+                <span className={item.affordable ? 'text-kiro-success' : 'text-gray-400'}>{item.cost}</span>
+                <button
+                  onClick={() => togglePin(item.componentId, item.tier)}
+                  className="p-1 text-gray-500 hover:text-red-400 transition-colors"
+                  title="Remove from wishlist"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+          
+          <div className="h-2 bg-kiro-bg rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${summary.remaining === 0 ? 'bg-kiro-success' : 'bg-kiro-purple/60'}`}
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>{eta}</span>
+            <span>{Math.min(userProgress.credits, summary.totalCost)} / {summary.totalCost}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
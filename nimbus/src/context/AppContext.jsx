@@ -1,16 +1,54 @@
 import { createContext, useContext, useReducer, useCallback } from 'react';
+import { TIMER_PHASES, DEFAULT_CYCLE_SETTINGS } from '../utils/timerLogic';
+import { TAB_ID } from '../utils/tabSync';
+import { DEFAULT_ALERT_SETTINGS } from '../utils/alertSettings';
+import { DEFAULT_SESSION_SETTINGS } from '../utils/sessionSettings';
+import { getStrictSessionRules, endAwayStint } from '../utils/strictMode';
+import { DEFAULT_PRESETS } from '../utils/presetLogic';
+import { createLedgerEntry, importLedger, applySpend, LEDGER_ENTRY_TYPES } from '../utils/creditLedger';
+import { MAX_STREAK_FREEZES, addFrozenDays } from '../utils/streakProtection';
+import { CLAIMED_QUESTS_LIMIT } from '../utils/quests';
+import { recordCanvasProgress } from '../utils/levels';
+import { changeOwnedCount, getOwnedCount } from '../utils/ownedComponents';
+import { applyBundlePurchase } from '../utils/bundleLogic';
+import { WISHLIST_LIMIT, removeFulfilledItems } from '../utils/wishlist';
+
+const STARTING_CREDITS = 250;
 
 // Initial state based on design document data models
 const initialState = {
   // User Progress State
   userProgress: {
-    credits: 250, // Starting credits
+    credits: STARTING_CREDITS,
+    creditLedger: [ // LedgerEntry[] - append-only record of every credit change
+      createLedgerEntry({
+        id: 'starting-credits',
+        type: LEDGER_ENTRY_TYPES.OPENING,
+        amount: STARTING_CREDITS,
+        reason: 'Starting credits'
+      }),
+    ],
     totalSessionTime: 0, // seconds
+    archivedFocusSeconds: 0, // focus time of sessions trimmed from cloud saves (still counts toward XP)
+    archivedSessionsCompleted: 0, // completed focus sessions trimmed from cloud saves (still count toward achievements)
+    mostConnections: 0, // most connections ever on the canvas (XP never drops)
+    builtPatterns: [], // architecture pattern keys ever fully placed on the canvas (XP never drops)
+    lastPlacedAt: {}, // component id -> last time one was placed on the canvas (ends the full sell-back refund)
     sessionsCompleted: 0,
     currentStreak: 0,
     lastSessionDate: null, // ISO date string
-    ownedComponents: [], // component ids
+    streakFreezes: 0, // freezes held - each covers one missed day
+    streakFreezeTimes: [], // when each held freeze was earned or bought (Unix ms), oldest first
+    frozenDays: [], // day keys ("YYYY-MM-DD") covered by a freeze
+    restDays: [], // weekdays (0 = Sunday) that never break the streak
+    ownedComponents: {}, // { [componentId]: count } - units bought of each component
+    achievements: [], // { id, unlockedAt }[] - unlocked achievements (never removed)
+    claimedQuests: [], // quest instance ids whose reward was claimed (most recent kept)
+    wishlist: [], // { componentId, tier, addedAt }[] - components (tier null) and upgrade tiers saved for
     sessionHistory: [], // Session[]
+    presets: DEFAULT_PRESETS, // { id, label, seconds }[] - user-editable duration presets
+    routines: [], // { id, name, steps: { phase, duration }[] }[] - saved focus routines
+    plannedBlocks: [], // { id, startAt, duration, presetId, task, project }[] - day plan
   },
   
   // Timer State
@@ -23,17 +61,48 @@ const initialState = {
     pauseCount: 0,
     pausedAt: null, // timestamp when paused
     totalPausedTime: 0, // total ms spent paused
+    phase: TIMER_PHASES.FOCUS, // 'focus' | 'short_break' | 'long_break'
+    ownerTabId: null, // tab that owns the running session (others mirror it)
+    labels: null, // { task, project } attached to the session being timed
+    plannedBlockId: null, // day plan block this session was started from
+    interruptions: [], // { id, timestamp, reason } logged without pausing
+    flowMode: false, // focus session rolls into overtime at zero
+    overtime: false, // counting up past the planned duration (timeRemaining < 0)
+    strict: null, // { policy, awayThreshold } when strict mode applies to this session
+    awayTime: 0, // seconds away from Nimbus in finished stints (strict mode)
+    awaySince: null, // timestamp the current away stint began
+  },
+  
+  // Cycle State - Pomodoro focus/break cycle mode
+  // **Validates: Requirements 21.3, 21.4**
+  cycleState: {
+    enabled: false, // Auto-advance between focus and breaks
+    focusDuration: 25 * 60, // seconds, captured when the cycle starts
+    completedRounds: 0, // Focus rounds completed in the current cycle
+    settings: DEFAULT_CYCLE_SETTINGS,
+    routine: null, // Routine being run back-to-back (overrides cycle mode)
+    routineStep: 0, // Index of the current routine step
   },
   
+  // Alert Settings - desktop notifications and chime volumes per timer event
+  // **Validates: Requirements 25.2, 25.3, 25.5**
+  alertSettings: DEFAULT_ALERT_SETTINGS,
+  
+  // Session Settings - how focus sessions behave (flow mode)
+  // **Validates: Requirements 29.5**
+  sessionSettings: DEFAULT_SESSION_SETTINGS,
+  
   // Architecture State
   architecture: {
     placedComponents: [], // PlacedComponent[]
-    connections: [], // Connection[]
+    connections: [], // { from, to, type, createdAt }[]
   },
   
   // UI State
   uiState: {
-    activeView: 'timer', // 'timer' | 'shop' | 'canvas' | 'history'
+    activeView: 'timer', // 'timer' | 'plan' | 'shop' | 'canvas' | 'history' | 'badges'
+    timerDraft: { duration: 25 * 60, task: '', project: '' }, // next session set up on the Timer
+    connectMode: false, // canvas connect mode (toggled by button, shortcut or command)
     kiroMessage: null, // KiroMessage | null
     kiroEmotion: 'idle', // EmotionState
     showModal: null, // modal id or null
@@ -64,8 +133,21 @@ const ActionTypes = {
   ADD_CREDITS: 'ADD_CREDITS',
   SPEND_CREDITS: 'SPEND_CREDITS',
   ADD_SESSION: 'ADD_SESSION',
+  SET_SESSION_REFLECTION: 'SET_SESSION_REFLECTION',
   UPDATE_STREAK: 'UPDATE_STREAK',
+  ADD_STREAK_FREEZES: 'ADD_STREAK_FREEZES',
+  PURCHASE_STREAK_FREEZE: 'PURCHASE_STREAK_FREEZE',
+  CONSUME_STREAK_FREEZES: 'CONSUME_STREAK_FREEZES',
+  SET_REST_DAYS: 'SET_REST_DAYS',
   ADD_OWNED_COMPONENT: 'ADD_OWNED_COMPONENT',
+  PURCHASE_COMPONENT: 'PURCHASE_COMPONENT',
+  PURCHASE_UPGRADE: 'PURCHASE_UPGRADE',
+  PURCHASE_BUNDLE: 'PURCHASE_BUNDLE',
+  SELL_COMPONENT: 'SELL_COMPONENT',
+  UNLOCK_ACHIEVEMENTS: 'UNLOCK_ACHIEVEMENTS',
+  CLAIM_QUEST: 'CLAIM_QUEST',
+  ADD_WISHLIST_ITEM: 'ADD_WISHLIST_ITEM',
+  REMOVE_WISHLIST_ITEM: 'REMOVE_WISHLIST_ITEM',
   
   // Timer
   SET_TIMER_STATE: 'SET_TIMER_STATE',
@@ -74,6 +156,28 @@ const ActionTypes = {
   RESUME_TIMER: 'RESUME_TIMER',
   TICK_TIMER: 'TICK_TIMER',
   RESET_TIMER: 'RESET_TIMER',
+  RESTORE_SESSION: 'RESTORE_SESSION',
+  LOG_INTERRUPTION: 'LOG_INTERRUPTION',
+  SET_INTERRUPTION_REASON: 'SET_INTERRUPTION_REASON',
+  SET_AWAY: 'SET_AWAY',
+  
+  // Cycle
+  SET_CYCLE_ENABLED: 'SET_CYCLE_ENABLED',
+  UPDATE_CYCLE_SETTINGS: 'UPDATE_CYCLE_SETTINGS',
+  START_CYCLE: 'START_CYCLE',
+  COMPLETE_CYCLE_ROUND: 'COMPLETE_CYCLE_ROUND',
+  RESET_CYCLE: 'RESET_CYCLE',
+  START_ROUTINE: 'START_ROUTINE',
+  ADVANCE_ROUTINE: 'ADVANCE_ROUTINE',
+  
+  // Presets and routines
+  SET_PRESETS: 'SET_PRESETS',
+  SET_ROUTINES: 'SET_ROUTINES',
+  SET_PLANNED_BLOCKS: 'SET_PLANNED_BLOCKS',
+  
+  // Alerts
+  UPDATE_ALERT_SETTINGS: 'UPDATE_ALERT_SETTINGS',
+  UPDATE_SESSION_SETTINGS: 'UPDATE_SESSION_SETTINGS',
   
   // Architecture
   PLACE_COMPONENT: 'PLACE_COMPONENT',
@@ -83,6 +187,8 @@ const ActionTypes = {
   
   // UI
   SET_ACTIVE_VIEW: 'SET_ACTIVE_VIEW',
+  UPDATE_TIMER_DRAFT: 'UPDATE_TIMER_DRAFT',
+  SET_CONNECT_MODE: 'SET_CONNECT_MODE',
   SET_KIRO_MESSAGE: 'SET_KIRO_MESSAGE',
   SET_KIRO_EMOTION: 'SET_KIRO_EMOTION',
   ENQUEUE_MESSAGE: 'ENQUEUE_MESSAGE',
@@ -104,31 +210,52 @@ const ActionTypes = {
 function appReducer(state, action) {
   switch (action.type) {
     // User Progress actions
-    case ActionTypes.SET_CREDITS:
-      return {
-        ...state,
-        userProgress: { ...state.userProgress, credits: action.payload },
-      };
-    
-    case ActionTypes.ADD_CREDITS:
+    // Every balance change appends a ledger entry for the amount actually applied (Requirements 36.1)
+    case ActionTypes.SET_CREDITS: {
+      const { credits, entry } = action.payload;
       return {
         ...state,
         userProgress: {
           ...state.userProgress,
-          credits: state.userProgress.credits + action.payload,
+          credits,
+          creditLedger: [
+            ...state.userProgress.creditLedger,
+            { ...entry, amount: credits - state.userProgress.credits },
+          ],
         },
       };
+    }
     
-    case ActionTypes.SPEND_CREDITS:
+    case ActionTypes.ADD_CREDITS: {
+      const { amount, entry } = action.payload;
       return {
         ...state,
         userProgress: {
           ...state.userProgress,
-          credits: Math.max(0, state.userProgress.credits - action.payload),
+          credits: state.userProgress.credits + amount,
+          creditLedger: [...state.userProgress.creditLedger, { ...entry, amount }],
         },
       };
+    }
+    
+    // An unaffordable spend is rejected, never discounted
+    case ActionTypes.SPEND_CREDITS: {
+      const { amount, entry } = action.payload;
+      const userProgress = applySpend(state.userProgress, amount, entry);
+      return userProgress ? { ...state, userProgress } : state;
+    }
     
-    case ActionTypes.ADD_SESSION:
+    case ActionTypes.ADD_SESSION: {
+      // Breaks are kept in history but don't count as focus progress (Requirements 21.5)
+      if (action.payload.type === 'break') {
+        return {
+          ...state,
+          userProgress: {
+            ...state.userProgress,
+            sessionHistory: [...state.userProgress.sessionHistory, action.payload],
+          },
+        };
+      }
       return {
         ...state,
         userProgress: {
@@ -141,6 +268,21 @@ function appReducer(state, action) {
           lastSessionDate: new Date().toISOString().split('T')[0],
         },
       };
+    }
+    
+    // Post-session reflection is attached to an existing entry (Requirements 30.2)
+    case ActionTypes.SET_SESSION_REFLECTION:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          sessionHistory: state.userProgress.sessionHistory.map(session =>
+            session.id === action.payload.sessionId
+              ? { ...session, reflection: action.payload.reflection }
+              : session
+          ),
+        },
+      };
     
     case ActionTypes.UPDATE_STREAK:
       return {
@@ -148,15 +290,200 @@ function appReducer(state, action) {
         userProgress: { ...state.userProgress, currentStreak: action.payload },
       };
     
+    // Streak protection (Requirements 37.1, 37.2, 37.3)
+    case ActionTypes.ADD_STREAK_FREEZES:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          streakFreezes: Math.min(MAX_STREAK_FREEZES, state.userProgress.streakFreezes + action.payload.count),
+          streakFreezeTimes: [
+            ...state.userProgress.streakFreezeTimes,
+            ...Array(action.payload.count).fill(action.payload.acquiredAt)
+          ].slice(0, MAX_STREAK_FREEZES),
+        },
+      };
+    
+    // A bought freeze is paid for and granted together; nothing is spent at the cap (Requirements 37.1)
+    case ActionTypes.PURCHASE_STREAK_FREEZE: {
+      const { amount, entry } = action.payload;
+      if (state.userProgress.streakFreezes >= MAX_STREAK_FREEZES) return state;
+      const userProgress = applySpend(state.userProgress, amount, entry);
+      if (!userProgress) return state;
+      return {
+        ...state,
+        userProgress: {
+          ...userProgress,
+          streakFreezes: userProgress.streakFreezes + 1,
+          // The freeze is held from the moment it was paid for
+          streakFreezeTimes: [...userProgress.streakFreezeTimes, entry.timestamp],
+        },
+      };
+    }
+    
+    case ActionTypes.CONSUME_STREAK_FREEZES:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          streakFreezes: Math.max(0, state.userProgress.streakFreezes - action.payload.length),
+          // The oldest freezes are used first (see planFreezeUse)
+          streakFreezeTimes: state.userProgress.streakFreezeTimes.slice(action.payload.length),
+          frozenDays: addFrozenDays(state.userProgress.frozenDays, action.payload),
+        },
+      };
+    
+    case ActionTypes.SET_REST_DAYS:
+      return {
+        ...state,
+        userProgress: { ...state.userProgress, restDays: action.payload },
+      };
+    
     case ActionTypes.ADD_OWNED_COMPONENT:
       return {
         ...state,
         userProgress: {
           ...state.userProgress,
-          ownedComponents: [...state.userProgress.ownedComponents, action.payload],
+          ownedComponents: changeOwnedCount(state.userProgress.ownedComponents, action.payload, 1),
+          // A pinned component is done once bought (Requirements 45.1)
+          wishlist: removeFulfilledItems(state.userProgress.wishlist, action.payload),
         },
       };
     
+    // Purchases debit the credits and grant the item together,
+    // so a rejected spend never grants anything (Requirements 36.1)
+    case ActionTypes.PURCHASE_COMPONENT: {
+      const { componentId, amount, entry } = action.payload;
+      const userProgress = applySpend(state.userProgress, amount, entry);
+      if (!userProgress) return state;
+      return {
+        ...state,
+        userProgress: {
+          ...userProgress,
+          ownedComponents: changeOwnedCount(userProgress.ownedComponents, componentId, 1),
+          // A pinned component is done once bought (Requirements 45.1)
+          wishlist: removeFulfilledItems(userProgress.wishlist, componentId),
+        },
+      };
+    }
+    
+    case ActionTypes.PURCHASE_UPGRADE: {
+      const { instanceId, newTier, amount, entry } = action.payload;
+      const userProgress = applySpend(state.userProgress, amount, entry);
+      if (!userProgress) return state;
+      const upgraded = state.architecture.placedComponents.find((c) => c.id === instanceId);
+      return {
+        ...state,
+        userProgress: {
+          ...userProgress,
+          // Pinned upgrade tiers reached by this upgrade are done (Requirements 45.1)
+          wishlist: upgraded
+            ? removeFulfilledItems(userProgress.wishlist, upgraded.type.toLowerCase(), newTier)
+            : userProgress.wishlist,
+        },
+        architecture: {
+          ...state.architecture,
+          placedComponents: state.architecture.placedComponents.map((c) =>
+            c.id === instanceId ? { ...c, tier: newTier } : c
+          ),
+        },
+      };
+    }
+    
+    // Every bundle component is owned even if it didn't fit on the canvas (Requirements 44.3)
+    case ActionTypes.PURCHASE_BUNDLE: {
+      const purchased = applyBundlePurchase(state, action.payload);
+      if (!purchased) return state;
+      return {
+        ...state,
+        ...purchased,
+        userProgress: {
+          ...purchased.userProgress,
+          // Pinned components in the bundle are done (Requirements 45.1)
+          wishlist: action.payload.componentIds.reduce(
+            (wishlist, componentId) => removeFulfilledItems(wishlist, componentId),
+            purchased.userProgress.wishlist
+          ),
+        },
+      };
+    }
+    
+    // Selling refunds the credits and gives up one owned unit and the placed
+    // instances it leaves uncovered together (Requirements 42.1, 42.3)
+    case ActionTypes.SELL_COMPONENT: {
+      const { componentId, instanceIds, amount, entry } = action.payload;
+      if (getOwnedCount(componentId, state.userProgress.ownedComponents) === 0) return state;
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          credits: state.userProgress.credits + amount,
+          creditLedger: [...state.userProgress.creditLedger, { ...entry, amount }],
+          ownedComponents: changeOwnedCount(state.userProgress.ownedComponents, componentId, -1),
+        },
+        architecture: {
+          ...state.architecture,
+          placedComponents: state.architecture.placedComponents.filter(
+            (c) => !instanceIds.includes(c.id)
+          ),
+          connections: state.architecture.connections.filter(
+            (conn) => !instanceIds.includes(conn.from) && !instanceIds.includes(conn.to)
+          ),
+        },
+      };
+    }
+    
+    // Achievements already unlocked keep their original unlock time (Requirements 39.2)
+    case ActionTypes.UNLOCK_ACHIEVEMENTS: {
+      const unlockedIds = new Set(state.userProgress.achievements.map(a => a.id));
+      const added = action.payload.filter(a => !unlockedIds.has(a.id));
+      if (added.length === 0) return state;
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          achievements: [...state.userProgress.achievements, ...added],
+        },
+      };
+    }
+    
+    case ActionTypes.CLAIM_QUEST:
+      if (state.userProgress.claimedQuests.includes(action.payload)) return state;
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          claimedQuests: [...state.userProgress.claimedQuests, action.payload].slice(-CLAIMED_QUESTS_LIMIT),
+        },
+      };
+    
+    // One pin per component or upgrade tier, up to the wishlist limit (Requirements 45.1)
+    case ActionTypes.ADD_WISHLIST_ITEM: {
+      const { componentId, tier } = action.payload;
+      const { wishlist } = state.userProgress;
+      if (wishlist.length >= WISHLIST_LIMIT
+        || wishlist.some((item) => item.componentId === componentId && item.tier === tier)) {
+        return state;
+      }
+      return {
+        ...state,
+        userProgress: { ...state.userProgress, wishlist: [...wishlist, action.payload] },
+      };
+    }
+    
+    case ActionTypes.REMOVE_WISHLIST_ITEM: {
+      const { componentId, tier } = action.payload;
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          wishlist: state.userProgress.wishlist.filter(
+            (item) => item.componentId !== componentId || item.tier !== tier
+          ),
+        },
+      };
+    }
+    
     // Timer actions
     case ActionTypes.SET_TIMER_STATE:
       return {
@@ -176,6 +503,19 @@ function appReducer(state, action) {
           pauseCount: 0,
           pausedAt: null,
           totalPausedTime: 0,
+          phase: action.payload.phase || TIMER_PHASES.FOCUS,
+          ownerTabId: TAB_ID,
+          labels: action.payload.labels || null,
+          plannedBlockId: action.payload.plannedBlockId || null,
+          interruptions: [],
+          flowMode: (action.payload.phase || TIMER_PHASES.FOCUS) === TIMER_PHASES.FOCUS
+            && state.sessionSettings.flowMode,
+          overtime: false,
+          strict: (action.payload.phase || TIMER_PHASES.FOCUS) === TIMER_PHASES.FOCUS
+            ? getStrictSessionRules(state.sessionSettings)
+            : null,
+          awayTime: 0,
+          awaySince: null,
         },
       };
     
@@ -187,6 +527,8 @@ function appReducer(state, action) {
           isPaused: true,
           pauseCount: state.timerState.pauseCount + 1,
           pausedAt: Date.now(),
+          // Paused time is never counted as away (Requirements 31.1)
+          ...(state.timerState.awaySince ? endAwayStint(state.timerState) : {}),
         },
       };
     
@@ -214,22 +556,197 @@ function appReducer(state, action) {
         },
       };
     
+    // Interruptions are logged without pausing (Requirements 28.1)
+    case ActionTypes.LOG_INTERRUPTION:
+      if (!state.timerState.isActive) return state;
+      return {
+        ...state,
+        timerState: {
+          ...state.timerState,
+          interruptions: [...(state.timerState.interruptions || []), action.payload],
+        },
+      };
+    
+    case ActionTypes.SET_INTERRUPTION_REASON:
+      return {
+        ...state,
+        timerState: {
+          ...state.timerState,
+          interruptions: (state.timerState.interruptions || []).map(entry =>
+            entry.id === action.payload.id ? { ...entry, reason: action.payload.reason } : entry
+          ),
+        },
+      };
+    
+    // Strict mode away tracking - only while a strict session is running (Requirements 31.1)
+    case ActionTypes.SET_AWAY: {
+      const { timerState } = state;
+      if (!timerState.strict || !timerState.isActive || timerState.isPaused) return state;
+      if (action.payload && !timerState.awaySince) {
+        return { ...state, timerState: { ...timerState, awaySince: Date.now() } };
+      }
+      if (!action.payload && timerState.awaySince) {
+        return { ...state, timerState: { ...timerState, ...endAwayStint(timerState) } };
+      }
+      return state;
+    }
+    
     case ActionTypes.RESET_TIMER:
       return {
         ...state,
         timerState: initialState.timerState,
       };
     
-    // Architecture actions
-    case ActionTypes.PLACE_COMPONENT:
+    // Restore a checkpointed session after reload (Requirements 22.2)
+    case ActionTypes.RESTORE_SESSION:
       return {
         ...state,
-        architecture: {
-          ...state.architecture,
-          placedComponents: [...state.architecture.placedComponents, action.payload],
+        timerState: { ...initialState.timerState, ...action.payload.timerState },
+        cycleState: action.payload.cycleState
+          ? { ...state.cycleState, ...action.payload.cycleState }
+          : state.cycleState,
+      };
+    
+    // Cycle actions
+    // **Validates: Requirements 21.3, 21.4**
+    case ActionTypes.SET_CYCLE_ENABLED:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          enabled: action.payload,
+          completedRounds: 0,
+        },
+      };
+    
+    case ActionTypes.UPDATE_CYCLE_SETTINGS:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          settings: { ...state.cycleState.settings, ...action.payload },
+        },
+      };
+    
+    case ActionTypes.START_CYCLE:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          focusDuration: action.payload,
+          completedRounds: 0,
+        },
+      };
+    
+    case ActionTypes.COMPLETE_CYCLE_ROUND:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          completedRounds: state.cycleState.completedRounds + 1,
+        },
+      };
+    
+    case ActionTypes.RESET_CYCLE:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          completedRounds: 0,
+          routine: null,
+          routineStep: 0,
+        },
+      };
+    
+    // Routine actions
+    // **Validates: Requirements 26.3**
+    case ActionTypes.START_ROUTINE:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          routine: action.payload,
+          routineStep: 0,
+        },
+      };
+    
+    case ActionTypes.ADVANCE_ROUTINE:
+      return {
+        ...state,
+        cycleState: {
+          ...state.cycleState,
+          routineStep: state.cycleState.routineStep + 1,
+        },
+      };
+    
+    // Preset and routine library actions
+    // **Validates: Requirements 26.1, 26.2**
+    case ActionTypes.SET_PRESETS:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          presets: action.payload,
+        },
+      };
+    
+    case ActionTypes.SET_ROUTINES:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          routines: action.payload,
+        },
+      };
+    
+    // Day plan actions
+    // **Validates: Requirements 32.1**
+    case ActionTypes.SET_PLANNED_BLOCKS:
+      return {
+        ...state,
+        userProgress: {
+          ...state.userProgress,
+          plannedBlocks: action.payload,
+        },
+      };
+    
+    // Alert settings actions
+    case ActionTypes.UPDATE_ALERT_SETTINGS:
+      return {
+        ...state,
+        alertSettings: {
+          ...state.alertSettings,
+          ...action.payload,
+          volumes: { ...state.alertSettings.volumes, ...(action.payload.volumes || {}) },
         },
       };
     
+    // Session settings actions
+    case ActionTypes.UPDATE_SESSION_SETTINGS:
+      return {
+        ...state,
+        sessionSettings: { ...state.sessionSettings, ...action.payload },
+      };
+    
+    // Architecture actions
+    // Canvas records behind XP are kept as the canvas grows (Requirements 41.1)
+    // Placing a component also ends its full sell-back refund (Requirements 42.1)
+    case ActionTypes.PLACE_COMPONENT: {
+      const { component, placedAt } = action.payload;
+      const architecture = {
+        ...state.architecture,
+        placedComponents: [...state.architecture.placedComponents, component],
+      };
+      return {
+        ...state,
+        userProgress: recordCanvasProgress({
+          ...state.userProgress,
+          lastPlacedAt: { ...state.userProgress.lastPlacedAt, [component.type.toLowerCase()]: placedAt },
+        }, architecture),
+        architecture,
+      };
+    }
+    
     case ActionTypes.REMOVE_COMPONENT:
       return {
         ...state,
@@ -244,18 +761,29 @@ function appReducer(state, action) {
         },
       };
     
-    case ActionTypes.ADD_CONNECTION:
+    case ActionTypes.ADD_CONNECTION: {
+      const architecture = {
+        ...state.architecture,
+        connections: [...state.architecture.connections, action.payload],
+      };
       return {
         ...state,
-        architecture: {
-          ...state.architecture,
-          connections: [...state.architecture.connections, action.payload],
-        },
+        userProgress: recordCanvasProgress(state.userProgress, architecture),
+        architecture,
       };
+    }
     
-    case ActionTypes.UPGRADE_COMPONENT:
+    case ActionTypes.UPGRADE_COMPONENT: {
+      // Pinned upgrade tiers reached by this upgrade are done (Requirements 45.1)
+      const upgraded = state.architecture.placedComponents.find((c) => c.id === action.payload.componentId);
       return {
         ...state,
+        userProgress: {
+          ...state.userProgress,
+          wishlist: upgraded
+            ? removeFulfilledItems(state.userProgress.wishlist, upgraded.type.toLowerCase(), action.payload.newTier)
+            : state.userProgress.wishlist,
+        },
         architecture: {
           ...state.architecture,
           placedComponents: state.architecture.placedComponents.map((c) =>
@@ -265,6 +793,7 @@ function appReducer(state, action) {
           ),
         },
       };
+    }
     
     // UI actions
     case ActionTypes.SET_ACTIVE_VIEW:
@@ -273,6 +802,22 @@ function appReducer(state, action) {
         uiState: { ...state.uiState, activeView: action.payload },
       };
     
+    // Shared with keyboard shortcuts and the command palette (Requirements 33.1, 33.2)
+    case ActionTypes.UPDATE_TIMER_DRAFT:
+      return {
+        ...state,
+        uiState: {
+          ...state.uiState,
+          timerDraft: { ...state.uiState.timerDraft, ...action.payload },
+        },
+      };
+    
+    case ActionTypes.SET_CONNECT_MODE:
+      return {
+        ...state,
+        uiState: { ...state.uiState, connectMode: action.payload },
+      };
+    
     case ActionTypes.SET_KIRO_MESSAGE:
       return {
         ...state,
@@ -341,12 +886,27 @@ function appReducer(state, action) {
       };
     
     // Import state
-    case ActionTypes.IMPORT_STATE:
+    // Missing userProgress fields (e.g. from older saves) fall back to defaults
+    // Ledgers that don't reconcile with the imported credits get a correcting import entry (Requirements 36.1, 36.3)
+    case ActionTypes.IMPORT_STATE: {
+      const { userProgress, architecture, reason } = action.payload;
+      const importedArchitecture = architecture || state.architecture;
+      // Older saves have no canvas records - they start from the imported canvas
       return {
         ...state,
-        userProgress: action.payload.userProgress || state.userProgress,
-        architecture: action.payload.architecture || state.architecture,
+        userProgress: recordCanvasProgress(
+          userProgress
+            ? {
+                ...initialState.userProgress,
+                ...userProgress,
+                creditLedger: importLedger(state.userProgress.creditLedger, userProgress, reason),
+              }
+            : state.userProgress,
+          importedArchitecture
+        ),
+        architecture: importedArchitecture,
       };
+    }
     
     default:
       return state;
@@ -362,41 +922,167 @@ export function AppProvider({ children }) {
   
   // Action creators
   const actions = {
-    // Credits
-    setCredits: useCallback((credits) => 
-      dispatch({ type: ActionTypes.SET_CREDITS, payload: credits }), []),
-    addCredits: useCallback((amount) => 
-      dispatch({ type: ActionTypes.ADD_CREDITS, payload: amount }), []),
-    spendCredits: useCallback((amount) => 
-      dispatch({ type: ActionTypes.SPEND_CREDITS, payload: amount }), []),
+    // Credits - details ({ type, reason, ref, id }) describe the ledger entry
+    setCredits: useCallback((credits, reason = 'Balance adjusted') => 
+      dispatch({
+        type: ActionTypes.SET_CREDITS,
+        payload: {
+          credits,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.ADJUST, amount: 0, reason }),
+        },
+      }), []),
+    addCredits: useCallback((amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.ADD_CREDITS,
+        payload: {
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.EARN, reason: 'Credits earned', ...details, amount }),
+        },
+      }), []),
+    spendCredits: useCallback((amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.SPEND_CREDITS,
+        payload: {
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, reason: 'Credits spent', ...details, amount: -amount }),
+        },
+      }), []),
     
     // Sessions
     addSession: useCallback((session) => 
       dispatch({ type: ActionTypes.ADD_SESSION, payload: session }), []),
+    setSessionReflection: useCallback((sessionId, reflection) => 
+      dispatch({ type: ActionTypes.SET_SESSION_REFLECTION, payload: { sessionId, reflection } }), []),
     updateStreak: useCallback((streak) => 
       dispatch({ type: ActionTypes.UPDATE_STREAK, payload: streak }), []),
+    addStreakFreezes: useCallback((count, acquiredAt = Date.now()) => 
+      dispatch({ type: ActionTypes.ADD_STREAK_FREEZES, payload: { count, acquiredAt } }), []),
+    purchaseStreakFreeze: useCallback((amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.PURCHASE_STREAK_FREEZE,
+        payload: {
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, reason: 'Credits spent', ...details, amount: -amount }),
+        },
+      }), []),
+    consumeStreakFreezes: useCallback((days) => 
+      dispatch({ type: ActionTypes.CONSUME_STREAK_FREEZES, payload: days }), []),
+    setRestDays: useCallback((restDays) => 
+      dispatch({ type: ActionTypes.SET_REST_DAYS, payload: restDays }), []),
     
     // Components
     addOwnedComponent: useCallback((componentId) => 
       dispatch({ type: ActionTypes.ADD_OWNED_COMPONENT, payload: componentId }), []),
+    purchaseComponent: useCallback((componentId, amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.PURCHASE_COMPONENT,
+        payload: {
+          componentId,
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, reason: 'Credits spent', ...details, amount: -amount }),
+        },
+      }), []),
+    purchaseUpgrade: useCallback((instanceId, newTier, amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.PURCHASE_UPGRADE,
+        payload: {
+          instanceId,
+          newTier,
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.UPGRADE, reason: 'Component upgraded', ...details, amount: -amount }),
+        },
+      }), []),
+    purchaseBundle: useCallback((componentIds, { instances, connections }, amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.PURCHASE_BUNDLE,
+        payload: {
+          componentIds,
+          instances,
+          connections,
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.SPEND, reason: 'Credits spent', ...details, amount: -amount }),
+        },
+      }), []),
+    sellComponent: useCallback((componentId, instanceIds, amount, details = {}) => 
+      dispatch({
+        type: ActionTypes.SELL_COMPONENT,
+        payload: {
+          componentId,
+          instanceIds,
+          amount,
+          entry: createLedgerEntry({ type: LEDGER_ENTRY_TYPES.REFUND, reason: 'Component sold', ...details, amount }),
+        },
+      }), []),
+    
+    // Achievements
+    unlockAchievements: useCallback((ids, unlockedAt = Date.now()) => 
+      dispatch({ type: ActionTypes.UNLOCK_ACHIEVEMENTS, payload: ids.map(id => ({ id, unlockedAt })) }), []),
+    
+    // Quests
+    claimQuest: useCallback((instanceId) => 
+      dispatch({ type: ActionTypes.CLAIM_QUEST, payload: instanceId }), []),
+    
+    // Wishlist
+    addWishlistItem: useCallback((componentId, tier = null, addedAt = Date.now()) => 
+      dispatch({ type: ActionTypes.ADD_WISHLIST_ITEM, payload: { componentId, tier, addedAt } }), []),
+    removeWishlistItem: useCallback((componentId, tier = null) => 
+      dispatch({ type: ActionTypes.REMOVE_WISHLIST_ITEM, payload: { componentId, tier } }), []),
     
     // Timer
-    startTimer: useCallback((duration) => 
-      dispatch({ type: ActionTypes.START_TIMER, payload: { duration } }), []),
+    startTimer: useCallback((duration, phase, labels, plannedBlockId) => 
+      dispatch({ type: ActionTypes.START_TIMER, payload: { duration, phase, labels, plannedBlockId } }), []),
     pauseTimer: useCallback(() => 
       dispatch({ type: ActionTypes.PAUSE_TIMER }), []),
     resumeTimer: useCallback(() => 
       dispatch({ type: ActionTypes.RESUME_TIMER }), []),
+    logInterruption: useCallback((interruption) => 
+      dispatch({ type: ActionTypes.LOG_INTERRUPTION, payload: interruption }), []),
+    setInterruptionReason: useCallback((id, reason) => 
+      dispatch({ type: ActionTypes.SET_INTERRUPTION_REASON, payload: { id, reason } }), []),
+    setAway: useCallback((away) => 
+      dispatch({ type: ActionTypes.SET_AWAY, payload: away }), []),
     tickTimer: useCallback((timeRemaining) => 
       dispatch({ type: ActionTypes.TICK_TIMER, payload: timeRemaining }), []),
     resetTimer: useCallback(() => 
       dispatch({ type: ActionTypes.RESET_TIMER }), []),
     setTimerState: useCallback((timerState) => 
       dispatch({ type: ActionTypes.SET_TIMER_STATE, payload: timerState }), []),
+    restoreSession: useCallback((timerState, cycleState) => 
+      dispatch({ type: ActionTypes.RESTORE_SESSION, payload: { timerState, cycleState } }), []),
+    
+    // Cycle
+    setCycleEnabled: useCallback((enabled) => 
+      dispatch({ type: ActionTypes.SET_CYCLE_ENABLED, payload: enabled }), []),
+    updateCycleSettings: useCallback((settings) => 
+      dispatch({ type: ActionTypes.UPDATE_CYCLE_SETTINGS, payload: settings }), []),
+    startCycle: useCallback((focusDuration) => 
+      dispatch({ type: ActionTypes.START_CYCLE, payload: focusDuration }), []),
+    completeCycleRound: useCallback(() => 
+      dispatch({ type: ActionTypes.COMPLETE_CYCLE_ROUND }), []),
+    resetCycle: useCallback(() => 
+      dispatch({ type: ActionTypes.RESET_CYCLE }), []),
+    startRoutine: useCallback((routine) => 
+      dispatch({ type: ActionTypes.START_ROUTINE, payload: routine }), []),
+    advanceRoutine: useCallback(() => 
+      dispatch({ type: ActionTypes.ADVANCE_ROUTINE }), []),
+    
+    // Presets and routines
+    setPresets: useCallback((presets) => 
+      dispatch({ type: ActionTypes.SET_PRESETS, payload: presets }), []),
+    setRoutines: useCallback((routines) => 
+      dispatch({ type: ActionTypes.SET_ROUTINES, payload: routines }), []),
+    setPlannedBlocks: useCallback((blocks) => 
+      dispatch({ type: ActionTypes.SET_PLANNED_BLOCKS, payload: blocks }), []),
+    
+    // Alerts
+    updateAlertSettings: useCallback((settings) => 
+      dispatch({ type: ActionTypes.UPDATE_ALERT_SETTINGS, payload: settings }), []),
+    updateSessionSettings: useCallback((settings) => 
+      dispatch({ type: ActionTypes.UPDATE_SESSION_SETTINGS, payload: settings }), []),
     
     // Architecture
-    placeComponent: useCallback((component) => 
-      dispatch({ type: ActionTypes.PLACE_COMPONENT, payload: component }), []),
+    placeComponent: useCallback((component, placedAt = Date.now()) => 
+      dispatch({ type: ActionTypes.PLACE_COMPONENT, payload: { component, placedAt } }), []),
     removeComponent: useCallback((componentId) => 
       dispatch({ type: ActionTypes.REMOVE_COMPONENT, payload: componentId }), []),
     upgradeComponent: useCallback((componentId, newTier) => 
@@ -407,6 +1093,10 @@ export function AppProvider({ children }) {
     // UI
     setActiveView: useCallback((view) => 
       dispatch({ type: ActionTypes.SET_ACTIVE_VIEW, payload: view }), []),
+    updateTimerDraft: useCallback((draft) => 
+      dispatch({ type: ActionTypes.UPDATE_TIMER_DRAFT, payload: draft }), []),
+    setConnectMode: useCallback((enabled) => 
+      dispatch({ type: ActionTypes.SET_CONNECT_MODE, payload: enabled }), []),
     setKiroMessage: useCallback((message) => 
       dispatch({ type: ActionTypes.SET_KIRO_MESSAGE, payload: message }), []),
     setKiroEmotion: useCallback((emotion) => 
@@ -429,8 +1119,8 @@ export function AppProvider({ children }) {
       dispatch({ type: ActionTypes.CLEAR_GOAL }), []),
     
     // Import
-    importState: useCallback((data) => 
-      dispatch({ type: ActionTypes.IMPORT_STATE, payload: data }), []),
+    importState: useCallback((data, reason = 'Imported data') => 
+      dispatch({ type: ActionTypes.IMPORT_STATE, payload: { ...data, reason } }), []),
   };
   
   return (
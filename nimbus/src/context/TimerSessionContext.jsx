@@ -0,0 +1,847 @@
+import { createContext, useContext, useEffect, useRef, useCallback } from 'react';
+import { useApp } from './AppContext';
+import {
+  getEndTimestamp,
+  getElapsedTime,
+  getOvertime,
+  getOvertimeLimit,
+  isFinalMinute,
+  TIMER_PHASES,
+  isBreakPhase,
+  getNextCyclePhase,
+  recoverTimer
+} from '../utils/timerLogic';
+import { calculateTotalCredits, isDeepIntoDailyTaper } from '../utils/creditCalculator';
+import { getSessionLedgerDetails } from '../utils/creditLedger';
+import { useFocusCoach } from '../hooks/useAgents';
+import { useCloudState } from '../App';
+import {
+  getBreakOverMessage,
+  getSessionRestoredMessage,
+  getTabBusyMessage,
+  getRoutineCompleteMessage,
+  getFlowOvertimeMessage,
+  getStrictReturnMessage,
+  getStrictAbandonMessage,
+  getDailyTaperMessage
+} from '../agents/kiroDialogue';
+import { getNextRoutineStep } from '../utils/presetLogic';
+import { buildSessionLabels } from '../utils/sessionLabels';
+import { createInterruption } from '../utils/interruptionLog';
+import {
+  STRICT_POLICIES,
+  AWAY_WARNING_MIN_SECONDS,
+  getAwaySeconds,
+  shouldAutoAbandon
+} from '../utils/strictMode';
+import { isTabPresent, subscribePresence } from '../utils/focusPresence';
+import { formatDuration, getFocusTimeOnDay } from '../utils/sessionHistory';
+import { loadSessionCheckpoint, clearSessionCheckpoint } from '../utils/sessionCheckpoint';
+import { createTimerClock } from '../utils/timerClock';
+import { TIMER_EVENTS, publishTimerEvent } from '../utils/timerEvents';
+import { unlockAudio } from '../utils/audioChimes';
+import {
+  TAB_ID,
+  TAB_MESSAGES,
+  openTabChannel,
+  requestTabOwnership,
+  isTabOwnershipHeld
+} from '../utils/tabSync';
+
+/**
+ * Timer Session Context
+ * 
+ * Owns the lifecycle of the running session independently of which view is
+ * shown: ticking, completion, abandonment, break cycles, recovery after reload
+ * and cross-tab coordination. Timer.jsx renders the UI and calls these controls.
+ * 
+ * The countdown runs in a Web Worker that fires completion at the absolute end
+ * timestamp, so a hidden tab still completes on time. Milestones are published
+ * to the timer event emitter for notifications and audio cues.
+ * 
+ * Only the tab that owns the session ticks, records the session and grants
+ * credits. Other tabs mirror its state and forward their controls to it.
+ * 
+ * **Validates: Requirements 1.5, 12.4, 21.1, 21.2, 21.5, 22.2, 22.3, 22.4, 23.1, 23.2, 23.3, 23.4, 24.1, 24.2, 25.1, 26.3, 27.3, 28.1, 28.2, 29.1, 29.3, 29.4, 31.1, 31.2, 31.3, 31.4, 32.3, 35.2, 35.3, 36.1, 38.1, 38.3**
+ */
+
+const TimerSessionContext = createContext(null);
+
+export function TimerSessionProvider({ children }) {
+  const { state, actions } = useApp();
+  const { timerState, userProgress, cycleState } = state;
+  const { isActive, isPaused, startTime, totalPausedTime, ownerTabId, overtime } = timerState;
+  
+  // Another tab owns the running session - this tab only mirrors it
+  const isMirror = isActive && !!ownerTabId && ownerTabId !== TAB_ID;
+  
+  const clockRef = useRef(null);
+  const completeHandlerRef = useRef(null);
+  const finalMinuteAnnouncedRef = useRef(null);
+  const localStateRef = useRef(timerState);
+  const appStateRef = useRef(state);
+  const channelRef = useRef(null);
+  const releaseOwnershipRef = useRef(null);
+  const takeoverAbortRef = useRef(null);
+  const commandHandlersRef = useRef({});
+  const strictAbandonRef = useRef(null);
+  
+  // Tabs the user is currently looking at, reported by every tab (strict mode)
+  const presentTabsRef = useRef(new Set());
+  
+  // Focus Coach agent for session events
+  const { onSessionStart, onSessionComplete: notifyCoachComplete, onSessionAbandon } = useFocusCoach();
+  
+  // Cloud state for auto-save
+  const { triggerCloudSave } = useCloudState();
+  
+  // Keep local refs in sync with state
+  useEffect(() => {
+    localStateRef.current = timerState;
+  }, [timerState]);
+  
+  useEffect(() => {
+    appStateRef.current = state;
+  }, [state]);
+  
+  // Release the ownership lock (if held)
+  const releaseOwnership = useCallback(() => {
+    if (releaseOwnershipRef.current) {
+      releaseOwnershipRef.current();
+      releaseOwnershipRef.current = null;
+    }
+  }, []);
+  
+  // Stop waiting to take over a mirrored session
+  const cancelTakeover = useCallback(() => {
+    if (takeoverAbortRef.current) {
+      takeoverAbortRef.current.abort();
+      takeoverAbortRef.current = null;
+    }
+  }, []);
+  
+  // Tell mirroring tabs about a recorded session so they apply it without re-granting it
+  const broadcastSession = useCallback((session, credits) => {
+    channelRef.current?.post(TAB_MESSAGES.SESSION_RECORDED, { session, credits });
+  }, []);
+  
+  // Start whatever follows the phase that just finished: the next routine step
+  // (Requirements 26.3) or the next cycle phase (Requirements 21.1, 21.2)
+  // Labels carry over so every focus round stays tagged with the same task/project
+  // Returns the started { phase, duration }, or null when nothing follows
+  const startNextPhase = useCallback((finishedPhase, labels) => {
+    const { routine, routineStep } = cycleState;
+    
+    if (routine) {
+      const step = getNextRoutineStep(routine, routineStep);
+      if (step) {
+        actions.advanceRoutine();
+        actions.startTimer(step.duration, step.phase, labels);
+        return step;
+      }
+      
+      actions.resetCycle();
+      actions.setKiroEmotion('celebrating');
+      actions.setKiroMessage({
+        text: getRoutineCompleteMessage(routine.name),
+        timestamp: Date.now(),
+        duration: 6000
+      });
+      return null;
+    }
+    
+    if (!cycleState.enabled) {
+      return null;
+    }
+    
+    const finishedFocus = finishedPhase === TIMER_PHASES.FOCUS;
+    const next = getNextCyclePhase(
+      finishedPhase,
+      finishedFocus ? cycleState.completedRounds + 1 : cycleState.completedRounds,
+      cycleState.settings,
+      cycleState.focusDuration
+    );
+    if (finishedFocus) {
+      actions.completeCycleRound();
+    }
+    actions.startTimer(next.duration, next.phase, labels);
+    return next;
+  }, [cycleState, actions]);
+  
+  // Finish a break (completed or skipped) and optionally start the next focus round
+  // Break entries are recorded separately and earn no credits (Requirements 21.5)
+  const finishBreak = useCallback((completed, continueCycle) => {
+    const currentTimerState = localStateRef.current;
+    
+    const breakEntry = {
+      id: crypto.randomUUID(),
+      type: 'break',
+      phase: currentTimerState.phase,
+      startTime: currentTimerState.startTime,
+      endTime: Date.now(),
+      duration: completed ? currentTimerState.totalDuration : getElapsedTime(currentTimerState),
+      completed,
+      pauseCount: currentTimerState.pauseCount,
+      creditsEarned: 0,
+      bonuses: { completion: 0, streak: 0, longSession: 0 }
+    };
+    
+    actions.addSession(breakEntry);
+    broadcastSession(breakEntry, 0);
+    actions.resetTimer();
+    
+    if (completed) {
+      publishTimerEvent(TIMER_EVENTS.BREAK_OVER, { phase: breakEntry.phase });
+    }
+    
+    const next = continueCycle
+      ? startNextPhase(currentTimerState.phase, currentTimerState.labels)
+      : null;
+    if (next?.phase === TIMER_PHASES.FOCUS) {
+      // Break over - the next focus round has started (Requirements 21.2)
+      actions.setKiroEmotion('encouraging');
+      actions.setKiroMessage({
+        text: getBreakOverMessage(),
+        timestamp: Date.now(),
+        duration: 5000
+      });
+    } else if (!next) {
+      actions.resetCycle();
+    }
+    
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  }, [actions, broadcastSession, startNextPhase, triggerCloudSave]);
+  
+  // Strict mode fields recorded on focus sessions (Requirements 31.1)
+  const getStrictSessionFields = (currentTimerState) => (
+    currentTimerState.strict
+      ? { strictPolicy: currentTimerState.strict.policy, awayTime: getAwaySeconds(currentTimerState) }
+      : {}
+  );
+  
+  // Handle session completion
+  // Use ref to get current timer state to avoid stale closure issues
+  // Accepts an explicit timer snapshot when finalizing a recovered overtime session
+  const handleSessionComplete = useCallback((snapshot) => {
+    const currentTimerState = snapshot || localStateRef.current;
+    
+    // Breaks are finished separately and never earn credits
+    if (isBreakPhase(currentTimerState.phase)) {
+      finishBreak(true, true);
+      return;
+    }
+    
+    // Planned and actual duration differ when flow mode ran into overtime (Requirements 29.3)
+    const plannedDuration = currentTimerState.totalDuration;
+    const overtimeSeconds = getOvertime(currentTimerState);
+    
+    const session = {
+      id: crypto.randomUUID(),
+      type: 'focus',
+      ...buildSessionLabels(currentTimerState.labels),
+      plannedBlockId: currentTimerState.plannedBlockId || null,
+      startTime: currentTimerState.startTime,
+      endTime: Date.now(),
+      duration: plannedDuration + overtimeSeconds,
+      plannedDuration,
+      overtime: overtimeSeconds,
+      completed: true,
+      pauseCount: currentTimerState.pauseCount,
+      interruptions: currentTimerState.interruptions || [],
+      ...getStrictSessionFields(currentTimerState),
+      creditsEarned: 0,
+      bonuses: { completion: 0, streak: 0, longSession: 0, overtime: 0 }
+    };
+    
+    // Planned time earns the usual bonuses; overtime has its own rule (Requirements 29.2)
+    // Strict sessions may forfeit part of the completion bonus for time away (Requirements 31.3)
+    // Focus already done that day feeds the daily taper (Requirements 38.1)
+    const focusedToday = getFocusTimeOnDay(appStateRef.current.userProgress.sessionHistory, session.startTime);
+    const creditResult = calculateTotalCredits(
+      {
+        duration: plannedDuration,
+        completed: true,
+        pauseCount: currentTimerState.pauseCount,
+        overtime: overtimeSeconds,
+        awayTime: session.awayTime,
+        strictPolicy: session.strictPolicy,
+        focusedToday
+      },
+      userProgress.currentStreak
+    );
+    
+    session.creditsEarned = creditResult.total;
+    session.bonuses = {
+      completion: creditResult.completion,
+      streak: creditResult.streak,
+      longSession: creditResult.longSession,
+      overtime: creditResult.overtime
+    };
+    // Sessions keep the ruleset version that priced them (Requirements 35.3)
+    session.creditBreakdown = creditResult.breakdown;
+    session.rulesVersion = creditResult.rulesVersion;
+    
+    // Update state - add credits BEFORE resetting timer
+    actions.addCredits(creditResult.total, getSessionLedgerDetails(session));
+    actions.addSession(session);
+    broadcastSession(session, creditResult.total);
+    actions.resetTimer();
+    
+    publishTimerEvent(TIMER_EVENTS.SESSION_COMPLETE, {
+      session,
+      creditsEarned: creditResult.total
+    });
+    
+    if (isDeepIntoDailyTaper(focusedToday + session.duration)) {
+      // Deep into diminishing returns - suggest calling it a day (Requirements 38.3)
+      actions.setKiroEmotion('encouraging');
+      actions.setKiroMessage({
+        text: getDailyTaperMessage(formatDuration(focusedToday + session.duration)),
+        timestamp: Date.now(),
+        duration: 8000
+      });
+    } else {
+      // Notify Focus Coach agent (will set emotion to celebrating)
+      notifyCoachComplete(session);
+    }
+    
+    // Cycle mode or routine: roll straight into the next phase
+    startNextPhase(TIMER_PHASES.FOCUS, currentTimerState.labels);
+    
+    // Auto-save to cloud after session completion (Requirements 13.6)
+    // Use setTimeout to ensure state is updated before saving
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  }, [userProgress.currentStreak, actions, broadcastSession, notifyCoachComplete, startNextPhase, triggerCloudSave, finishBreak]);
+  
+  // Planned time reached: flow-mode focus sessions count up instead of ending (Requirements 29.1)
+  const handleTimerEnd = useCallback(() => {
+    const current = localStateRef.current;
+    if (!current.flowMode || current.overtime || isBreakPhase(current.phase)) {
+      handleSessionComplete();
+      return;
+    }
+    
+    actions.setTimerState({ overtime: true, timeRemaining: 0 });
+    publishTimerEvent(TIMER_EVENTS.OVERTIME_START, { plannedDuration: current.totalDuration });
+    
+    actions.setKiroEmotion('encouraging');
+    actions.setKiroMessage({
+      text: getFlowOvertimeMessage(),
+      timestamp: Date.now(),
+      duration: 5000
+    });
+  }, [actions, handleSessionComplete]);
+  
+  // Handle session abandonment
+  // Accepts an explicit timer snapshot when abandoning a recovered session
+  // Strict-mode abandons show their own message instead of the Focus Coach's
+  const handleAbandon = useCallback((snapshot, strictAwayTime = null) => {
+    const currentTimerState = snapshot || localStateRef.current;
+    const elapsedTime = getElapsedTime(currentTimerState);
+    const focusedToday = getFocusTimeOnDay(appStateRef.current.userProgress.sessionHistory, currentTimerState.startTime);
+    const creditResult = calculateTotalCredits({ duration: elapsedTime, completed: false, focusedToday }, 0);
+    const partialCredits = creditResult.total;
+    
+    const session = {
+      id: crypto.randomUUID(),
+      type: 'focus',
+      ...buildSessionLabels(currentTimerState.labels),
+      plannedBlockId: currentTimerState.plannedBlockId || null,
+      startTime: currentTimerState.startTime,
+      endTime: Date.now(),
+      duration: elapsedTime,
+      plannedDuration: currentTimerState.totalDuration,
+      completed: false,
+      pauseCount: currentTimerState.pauseCount,
+      interruptions: currentTimerState.interruptions || [],
+      ...getStrictSessionFields(currentTimerState),
+      creditsEarned: partialCredits,
+      bonuses: { completion: 0, streak: 0, longSession: 0 },
+      creditBreakdown: creditResult.breakdown,
+      rulesVersion: creditResult.rulesVersion
+    };
+    
+    actions.addSession(session);
+    if (partialCredits > 0) {
+      actions.addCredits(partialCredits, getSessionLedgerDetails(session));
+    }
+    broadcastSession(session, partialCredits);
+    actions.resetTimer();
+    actions.resetCycle();
+    
+    if (strictAwayTime !== null) {
+      actions.setKiroEmotion('concerned');
+      actions.setKiroMessage({
+        text: getStrictAbandonMessage(formatDuration(strictAwayTime)),
+        timestamp: Date.now(),
+        duration: 6000
+      });
+    } else {
+      // Notify Focus Coach agent (will set emotion to concerned)
+      onSessionAbandon(session);
+    }
+    
+    // Auto-save to cloud after session abandonment (Requirements 13.6)
+    // Use setTimeout to ensure state is updated before saving
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+  }, [actions, broadcastSession, onSessionAbandon, triggerCloudSave]);
+  
+  // Claim ownership before starting so no other tab runs a session too
+  const claimSession = useCallback(async () => {
+    const release = await requestTabOwnership();
+    if (!release) {
+      actions.setKiroEmotion('concerned');
+      actions.setKiroMessage({
+        text: getTabBusyMessage(),
+        timestamp: Date.now(),
+        duration: 5000
+      });
+      return false;
+    }
+    
+    releaseOwnershipRef.current = release;
+    // Starting is a user gesture - let later chimes play from a background tab
+    unlockAudio();
+    return true;
+  }, [actions]);
+  
+  // Start a focus session, optionally tagged with { task, project } (Requirements 27.1)
+  // Sessions started from a day plan block remember it (Requirements 32.3)
+  const startSession = useCallback(async (duration, labels, plannedBlockId = null) => {
+    if (!(await claimSession())) return;
+    
+    if (cycleState.enabled) {
+      actions.startCycle(duration);
+    }
+    actions.startTimer(duration, TIMER_PHASES.FOCUS, buildSessionLabels(labels), plannedBlockId);
+    // Notify Focus Coach agent (will set emotion to encouraging)
+    onSessionStart(duration);
+  }, [claimSession, cycleState.enabled, actions, onSessionStart]);
+  
+  // Start a saved routine - its steps run back-to-back (Requirements 26.3)
+  const startRoutine = useCallback(async (routine, labels) => {
+    if (!routine?.steps?.length) return;
+    if (!(await claimSession())) return;
+    
+    const [firstStep] = routine.steps;
+    actions.startRoutine(routine);
+    actions.startTimer(firstStep.duration, firstStep.phase, buildSessionLabels(labels));
+    onSessionStart(firstStep.duration);
+  }, [claimSession, actions, onSessionStart]);
+  
+  // Controls run locally in the owning tab and are forwarded from mirrors (Requirements 23.2)
+  const pauseSession = useCallback(() => {
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'pause' });
+      return;
+    }
+    actions.pauseTimer();
+  }, [isMirror, actions]);
+  
+  const resumeSession = useCallback(() => {
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'resume' });
+      return;
+    }
+    actions.resumeTimer();
+  }, [isMirror, actions]);
+  
+  // Log an interruption without pausing; returns the entry so a reason can be added later (Requirements 28.1)
+  const logInterruption = useCallback((reason = null) => {
+    const current = localStateRef.current;
+    if (!current.isActive || isBreakPhase(current.phase)) return null;
+    
+    const interruption = createInterruption(reason);
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'interrupt', interruption });
+    } else {
+      actions.logInterruption(interruption);
+    }
+    return interruption;
+  }, [isMirror, actions]);
+  
+  const setInterruptionReason = useCallback((id, reason) => {
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'tag-interruption', id, reason });
+      return;
+    }
+    actions.setInterruptionReason(id, reason);
+  }, [isMirror, actions]);
+  
+  // Stop/abandon timer (stopping during a break ends the cycle)
+  const stopSession = useCallback(() => {
+    const current = localStateRef.current;
+    if (!current.isActive) return;
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'stop' });
+      return;
+    }
+    if (isBreakPhase(current.phase)) {
+      finishBreak(false, false);
+    } else if (current.overtime) {
+      // Stopping in overtime finalizes the session (Requirements 29.1)
+      handleSessionComplete();
+    } else {
+      handleAbandon(null);
+    }
+  }, [isMirror, finishBreak, handleSessionComplete, handleAbandon]);
+  
+  // Skip the rest of a break and start the next focus round
+  const skipBreak = useCallback(() => {
+    const current = localStateRef.current;
+    if (!current.isActive || !isBreakPhase(current.phase)) return;
+    if (isMirror) {
+      channelRef.current?.post(TAB_MESSAGES.COMMAND, { command: 'skip' });
+      return;
+    }
+    finishBreak(false, true);
+  }, [isMirror, finishBreak]);
+  
+  useEffect(() => {
+    commandHandlersRef.current = {
+      pause: actions.pauseTimer,
+      resume: actions.resumeTimer,
+      stop: stopSession,
+      skip: skipBreak,
+      interrupt: ({ interruption }) => actions.logInterruption(interruption),
+      'tag-interruption': ({ id, reason }) => actions.setInterruptionReason(id, reason),
+    };
+  }, [actions, stopSession, skipBreak]);
+  
+  // Strict mode auto-abandon: overtime already met the plan, so it finishes instead (Requirements 31.4)
+  const handleStrictAbandon = useCallback(() => {
+    const current = localStateRef.current;
+    if (!current.isActive || isBreakPhase(current.phase)) return;
+    
+    if (current.overtime) {
+      handleSessionComplete();
+    } else {
+      handleAbandon(null, getAwaySeconds(current));
+    }
+  }, [handleSessionComplete, handleAbandon]);
+  
+  useEffect(() => {
+    strictAbandonRef.current = handleStrictAbandon;
+  }, [handleStrictAbandon]);
+  
+  // Strict mode: the owning tab counts time while no Nimbus tab is visible and focused (Requirements 31.1, 31.2)
+  const updateAway = useCallback(() => {
+    const current = localStateRef.current;
+    const ownsSession = current.isActive && current.ownerTabId === TAB_ID;
+    if (!ownsSession || !current.strict || current.isPaused) return;
+    
+    const away = presentTabsRef.current.size === 0;
+    if (!away && current.awaySince) {
+      if (shouldAutoAbandon(current)) {
+        strictAbandonRef.current?.();
+        return;
+      }
+      
+      // Warn on return from a meaningful stint
+      const stint = (Date.now() - current.awaySince) / 1000;
+      if (stint >= AWAY_WARNING_MIN_SECONDS) {
+        const awaySeconds = getAwaySeconds(current);
+        const left = current.strict.policy === STRICT_POLICIES.AUTO_ABANDON
+          ? formatDuration(Math.max(0, current.strict.awayThreshold - awaySeconds))
+          : null;
+        actions.setKiroEmotion('concerned');
+        actions.setKiroMessage({
+          text: getStrictReturnMessage(formatDuration(awaySeconds), current.strict.policy, left),
+          timestamp: Date.now(),
+          duration: 6000
+        });
+      }
+    }
+    actions.setAway(away);
+  }, [actions.setAway, actions.setKiroEmotion, actions.setKiroMessage]);
+  
+  const setTabPresence = useCallback((tabId, present) => {
+    if (present) {
+      presentTabsRef.current.add(tabId);
+    } else {
+      presentTabsRef.current.delete(tabId);
+    }
+    updateAway();
+  }, [updateAway]);
+  
+  // Report this tab's presence locally and to the other tabs (initial report goes out with the channel)
+  useEffect(() => {
+    setTabPresence(TAB_ID, isTabPresent());
+    
+    return subscribePresence((present) => {
+      setTabPresence(TAB_ID, present);
+      channelRef.current?.post(TAB_MESSAGES.PRESENCE, { tabId: TAB_ID, present });
+    });
+  }, [setTabPresence]);
+  
+  // Re-evaluate when a session starts, resumes or changes owner
+  useEffect(() => {
+    updateAway();
+  }, [isActive, isPaused, isMirror, startTime, updateAway]);
+  
+  // Queue for ownership so this tab takes over if the owning tab closes or crashes
+  const waitForTakeover = useCallback(() => {
+    if (takeoverAbortRef.current || releaseOwnershipRef.current) return;
+    
+    const controller = new AbortController();
+    takeoverAbortRef.current = controller;
+    
+    requestTabOwnership({ wait: true, signal: controller.signal }).then((release) => {
+      if (takeoverAbortRef.current === controller) {
+        takeoverAbortRef.current = null;
+      }
+      if (!release) return;
+      
+      const current = localStateRef.current;
+      if (!current.isActive || controller.signal.aborted) {
+        release();
+        return;
+      }
+      
+      releaseOwnershipRef.current = release;
+      actions.setTimerState({ ownerTabId: TAB_ID });
+    });
+  }, [actions.setTimerState]);
+  
+  // Cross-tab channel (Requirements 23.1, 23.2, 23.3)
+  useEffect(() => {
+    const channel = openTabChannel((type, payload) => {
+      const current = localStateRef.current;
+      const ownsSession = current.isActive && current.ownerTabId === TAB_ID;
+      
+      switch (type) {
+        case TAB_MESSAGES.SYNC_REQUEST:
+          if (ownsSession) {
+            channel.post(TAB_MESSAGES.STATE, {
+              timerState: current,
+              cycleState: appStateRef.current.cycleState
+            });
+          }
+          break;
+        
+        case TAB_MESSAGES.STATE:
+          if (ownsSession || !payload?.timerState) break;
+          if (payload.timerState.isActive) {
+            actions.restoreSession(payload.timerState, payload.cycleState);
+            waitForTakeover();
+          } else if (current.isActive) {
+            // Owner finished - mirror the idle state
+            cancelTakeover();
+            actions.restoreSession(payload.timerState, payload.cycleState);
+          }
+          break;
+        
+        case TAB_MESSAGES.COMMAND: {
+          const handler = commandHandlersRef.current[payload?.command];
+          if (ownsSession && handler) {
+            handler(payload);
+          }
+          break;
+        }
+        
+        case TAB_MESSAGES.PRESENCE:
+          if (payload?.tabId) {
+            setTabPresence(payload.tabId, !!payload.present);
+          }
+          break;
+        
+        case TAB_MESSAGES.SESSION_RECORDED: {
+          // Apply the owner's result locally; credits were granted once by the owner
+          const { session, credits } = payload || {};
+          const history = appStateRef.current.userProgress.sessionHistory;
+          if (!session || history.some(s => s.id === session.id)) break;
+          actions.addSession(session);
+          if (credits > 0) {
+            actions.addCredits(credits, getSessionLedgerDetails(session));
+          }
+          break;
+        }
+        
+        default:
+          break;
+      }
+    });
+    
+    channelRef.current = channel;
+    channel.post(TAB_MESSAGES.SYNC_REQUEST);
+    channel.post(TAB_MESSAGES.PRESENCE, { tabId: TAB_ID, present: isTabPresent() });
+    
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [actions.restoreSession, actions.addSession, actions.addCredits, waitForTakeover, cancelTakeover, setTabPresence]);
+  
+  // Broadcast the owned session (every tick and state change, plus the final reset)
+  const broadcastingRef = useRef(false);
+  useEffect(() => {
+    const ownsSession = timerState.isActive && timerState.ownerTabId === TAB_ID;
+    if (ownsSession || broadcastingRef.current) {
+      channelRef.current?.post(TAB_MESSAGES.STATE, { timerState, cycleState });
+    }
+    broadcastingRef.current = ownsSession;
+  }, [timerState, cycleState]);
+  
+  // Give up ownership once the session ends
+  useEffect(() => {
+    if (!isActive) {
+      releaseOwnership();
+      cancelTakeover();
+    }
+  }, [isActive, releaseOwnership, cancelTakeover]);
+  
+  // Release ownership when the provider unmounts
+  useEffect(() => {
+    return () => {
+      releaseOwnership();
+      cancelTakeover();
+    };
+  }, [releaseOwnership, cancelTakeover]);
+  
+  // Recover a session checkpointed before a reload or crash (only once, on mount)
+  // Skipped when another tab already owns the session - it will be mirrored instead
+  // Completion is picked up by the tick effect once the restored timer is active
+  const hasCheckedRecoveryRef = useRef(false);
+  useEffect(() => {
+    if (hasCheckedRecoveryRef.current) return;
+    hasCheckedRecoveryRef.current = true;
+    
+    const recover = async () => {
+      if (localStateRef.current.isActive) return;
+      
+      const checkpoint = loadSessionCheckpoint();
+      if (!checkpoint) return;
+      if (await isTabOwnershipHeld()) return;
+      
+      const release = await requestTabOwnership();
+      if (!release || localStateRef.current.isActive) {
+        release?.();
+        return;
+      }
+      
+      const { outcome, state: recovered } = recoverTimer(checkpoint.timerState, checkpoint.savedAt);
+      
+      // Sessions finalized here are never restored, so their checkpoint is
+      // cleared at once - otherwise every reload would record them again
+      if (outcome === 'abandon') {
+        handleAbandon(recovered);
+        clearSessionCheckpoint();
+        release();
+        return;
+      }
+      
+      // Overtime that hit its cap or outlived the recovery gap is finalized directly
+      if (outcome === 'complete' && recovered.overtime) {
+        handleSessionComplete(recovered);
+        clearSessionCheckpoint();
+        release();
+        return;
+      }
+      
+      releaseOwnershipRef.current = release;
+      actions.restoreSession({ ...recovered, ownerTabId: TAB_ID }, checkpoint.cycleState);
+      
+      if (outcome === 'resume') {
+        actions.setKiroEmotion('encouraging');
+        actions.setKiroMessage({
+          text: getSessionRestoredMessage(),
+          timestamp: Date.now(),
+          duration: 5000
+        });
+      }
+    };
+    
+    recover();
+  }, [actions, handleAbandon, handleSessionComplete]);
+  
+  // Keep the clock's completion handler pointing at the latest callback
+  useEffect(() => {
+    completeHandlerRef.current = handleTimerEnd;
+  }, [handleTimerEnd]);
+  
+  // Create the worker-backed clock once (Requirements 24.1)
+  useEffect(() => {
+    const clock = createTimerClock({
+      onTick: (timeRemaining) => {
+        const current = localStateRef.current;
+        if (!current.isActive || current.isPaused) return;
+        
+        actions.tickTimer(timeRemaining);
+        
+        // Announce the final minute of a focus session once
+        if (!isBreakPhase(current.phase)
+          && isFinalMinute({ timeRemaining })
+          && finalMinuteAnnouncedRef.current !== current.startTime) {
+          finalMinuteAnnouncedRef.current = current.startTime;
+          publishTimerEvent(TIMER_EVENTS.FINAL_MINUTE, { timeRemaining });
+        }
+        
+        // Strict mode: abandon once time away passes the threshold (Requirements 31.4)
+        if (shouldAutoAbandon(current)) {
+          strictAbandonRef.current?.();
+        }
+      },
+      onComplete: () => {
+        // Ignore a stale alarm (e.g. paused or stopped just before it fired)
+        const current = localStateRef.current;
+        const endTime = getEndTimestamp(current);
+        if (endTime === null || endTime + getOvertimeLimit(current) * 1000 - Date.now() > 1000) return;
+        completeHandlerRef.current?.();
+      }
+    });
+    clockRef.current = clock;
+    
+    // Cleanup on unmount (Requirements 12.4)
+    return () => {
+      clock.terminate();
+      clockRef.current = null;
+    };
+  }, [actions.tickTimer]);
+  
+  // Run the clock only in the owning tab; mirrors follow its broadcasts
+  // Restarted whenever the end time moves (start, resume, next cycle phase) or overtime begins
+  useEffect(() => {
+    const clock = clockRef.current;
+    if (!clock) return;
+    
+    if (!isActive || isPaused || isMirror) {
+      clock.stop();
+      return;
+    }
+    
+    clock.start(getEndTimestamp(localStateRef.current), getOvertimeLimit(localStateRef.current));
+  }, [isActive, isPaused, isMirror, startTime, totalPausedTime, overtime]);
+  
+  const value = {
+    isMirror,
+    startSession,
+    startRoutine,
+    pauseSession,
+    resumeSession,
+    stopSession,
+    skipBreak,
+    logInterruption,
+    setInterruptionReason,
+  };
+  
+  return (
+    <TimerSessionContext.Provider value={value}>
+      {children}
+    </TimerSessionContext.Provider>
+  );
+}
+
+// Custom hook to use the timer session controls
+export function useTimerSession() {
+  const context = useContext(TimerSessionContext);
+  if (!context) {
+    throw new Error('useTimerSession must be used within a TimerSessionProvider');
+  }
+  return context;
+}
@@ -0,0 +1,140 @@
+/**
+ * Achievement Catalog for Nimbus
+ *
+ * Badges unlocked by progress, defined as data. Each achievement has an id,
+ * name, description, icon (lucide icon name) and a single unlock condition:
+ *
+ * - sessionsCompleted: { min } completed focus sessions
+ * - focusHours: { min } hours of focus time
+ * - longestSession: { minMinutes } one focus session at least this long
+ * - streak: { min } days in the current streak
+ * - ownedComponents: { min } different components owned
+ * - componentTier: { componentId, tier } a placed component upgraded to this tier
+ * - upgrades: { min } component upgrades bought
+ * - connections: { min } connections on the canvas
+ * - topology: { path } placed components connected along these categories, in order
+ *
+ * Conditions are evaluated by utils/achievements.js.
+ *
+ * **Validates: Requirements 39.1**
+ */
+
+import { COMPONENT_CATEGORIES } from '../utils/connectionRules';
+
+export const ACHIEVEMENTS = [
+  // ============ FOCUS ============
+  {
+    id: 'first-session',
+    name: 'First Focus',
+    description: 'Complete your first focus session',
+    icon: 'Target',
+    condition: { type: 'sessionsCompleted', min: 1 }
+  },
+  {
+    id: 'sessions-25',
+    name: 'Regular',
+    description: 'Complete 25 focus sessions',
+    icon: 'Layers',
+    condition: { type: 'sessionsCompleted', min: 25 }
+  },
+  {
+    id: 'deep-diver',
+    name: 'Deep Diver',
+    description: 'Complete a 90-minute focus session',
+    icon: 'Hourglass',
+    condition: { type: 'longestSession', minMinutes: 90 }
+  },
+  {
+    id: 'focus-10h',
+    name: 'Ten Hours In',
+    description: 'Focus for 10 hours in total',
+    icon: 'Clock',
+    condition: { type: 'focusHours', min: 10 }
+  },
+  {
+    id: 'focus-100h',
+    name: 'Centurion',
+    description: 'Focus for 100 hours in total',
+    icon: 'Crown',
+    condition: { type: 'focusHours', min: 100 }
+  },
+  
+  // ============ STREAKS ============
+  {
+    id: 'streak-3',
+    name: 'Warming Up',
+    description: 'Reach a 3-day streak',
+    icon: 'Flame',
+    condition: { type: 'streak', min: 3 }
+  },
+  {
+    id: 'streak-10',
+    name: 'On Fire',
+    description: 'Reach a 10-day streak',
+    icon: 'Flame',
+    condition: { type: 'streak', min: 10 }
+  },
+  {
+    id: 'streak-30',
+    name: 'Unstoppable',
+    description: 'Reach a 30-day streak',
+    icon: 'Trophy',
+    condition: { type: 'streak', min: 30 }
+  },
+  
+  // ============ ARCHITECTURE ============
+  {
+    id: 'first-component',
+    name: 'Cloud Curious',
+    description: 'Buy your first component',
+    icon: 'Package',
+    condition: { type: 'ownedComponents', min: 1 }
+  },
+  {
+    id: 'collector',
+    name: 'Collector',
+    description: 'Own 10 different components',
+    icon: 'Boxes',
+    condition: { type: 'ownedComponents', min: 10 }
+  },
+  {
+    id: 'first-upgrade',
+    name: 'Tier Up',
+    description: 'Upgrade a component',
+    icon: 'CircleArrowUp',
+    condition: { type: 'upgrades', min: 1 }
+  },
+  {
+    id: 'ec2-max',
+    name: 'Maxed Out',
+    description: 'Take an EC2 instance through all four tiers',
+    icon: 'Cpu',
+    condition: { type: 'componentTier', componentId: 'ec2', tier: 4 }
+  },
+  {
+    id: 'wired-up',
+    name: 'Wired Up',
+    description: 'Make 10 connections on the canvas',
+    icon: 'Link',
+    condition: { type: 'connections', min: 10 }
+  },
+  {
+    id: 'three-tier',
+    name: 'Three-Tier Architect',
+    description: 'Connect a load balancer to compute and compute to a database',
+    icon: 'Network',
+    condition: {
+      type: 'topology',
+      path: [COMPONENT_CATEGORIES.LOAD_BALANCER, COMPONENT_CATEGORIES.COMPUTE, COMPONENT_CATEGORIES.DATABASE]
+    }
+  }
+];
+
+/**
+ * Get an achievement by its ID
+ * @param {string} id - Achievement ID
+ * @returns {Object|undefined} - Achievement or undefined
+ */
+export function getAchievementById(id) {
+  return ACHIEVEMENTS.find(a => a.id === id);
+}
@@ -0,0 +1,43 @@
+/**
+ * Component Bundles for Nimbus
+ *
+ * Starter kits sold in the shop as a single discounted purchase. Each bundle
+ * is an architecture pattern from ARCHITECTURE_PATTERNS: buying it adds one
+ * of each of the pattern's components, places them on the canvas and wires
+ * them together (see utils/bundleLogic.js).
+ *
+ * **Validates: Requirements 44.1**
+ */
+
+export const BUNDLES = [
+  {
+    id: 'static-website-kit',
+    pattern: 'static-website',
+    name: 'Static Website Kit',
+    description: 'An S3 bucket served worldwide through CloudFront',
+    discount: 0.15
+  },
+  {
+    id: 'three-tier-kit',
+    pattern: 'three-tier',
+    name: 'Three-Tier Starter',
+    description: 'A load balancer in front of an EC2 server backed by RDS',
+    discount: 0.2
+  },
+  {
+    id: 'serverless-api-kit',
+    pattern: 'serverless-api',
+    name: 'Serverless API Kit',
+    description: 'Lambda functions storing data in DynamoDB',
+    discount: 0.15
+  }
+];
+
+/**
+ * Get a bundle by its ID
+ * @param {string} id - Bundle ID
+ * @returns {Object|undefined} - Bundle or undefined
+ */
+export function getBundleById(id) {
+  return BUNDLES.find(b => b.id === id);
+}
@@ -3,9 +3,11 @@
  * 
  * Defines all AWS-style infrastructure components available for purchase.
  * Each component includes: id, type, name, descriptions, icon, cost, tier,
- * prerequisites, category, realWorldExample, and docLinks.
+ * maxInstances, prerequisites, category, realWorldExample, and docLinks.
+ * cost is the price of the first instance; extra instances cost more (see
+ * INSTANCE_PRICING in data/shopRules.js), up to maxInstances owned.
  * 
- * **Validates: Requirements 4.1, 16.1, 16.2, 16.3, 18.1**
+ * **Validates: Requirements 4.1, 16.1, 16.2, 16.3, 18.1, 43.1**
  */
 
 import { COMPONENT_CATEGORIES } from '../utils/connectionRules';
@@ -42,6 +44,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.route53,
     cost: 30,
     tier: 1,
+    maxInstances: 1,
     upgradeTree: [
       { tier: 1, name: 'Basic DNS', cost: 30, description: 'Simple DNS routing for your domain' },
       { tier: 2, name: 'Health Checks', cost: 60, description: 'Automated health monitoring and failover' },
@@ -67,6 +70,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.cloudfront,
     cost: 70,
     tier: 1,
+    maxInstances: 2,
     upgradeTree: [
       { tier: 1, name: 'Basic CDN', cost: 70, description: 'Static content caching at edge locations' },
       { tier: 2, name: 'Dynamic CDN', cost: 140, description: 'Optimized for dynamic content and APIs' },
@@ -92,6 +96,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.loadbalancer,
     cost: 60,
     tier: 1,
+    maxInstances: 3,
     upgradeTree: [
       { tier: 1, name: 'Application LB', cost: 60, description: 'HTTP/HTTPS traffic routing with path-based rules' },
       { tier: 2, name: 'Network LB', cost: 120, description: 'Ultra-low latency for TCP/UDP traffic' },
@@ -119,6 +124,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.ec2,
     cost: 50,
     tier: 1,
+    maxInstances: 5,
     upgradeTree: [
       { tier: 1, name: 't2.micro', cost: 50, description: 'Entry-level instance for learning and small workloads' },
       { tier: 2, name: 't2.medium', cost: 100, description: '2x CPU and RAM for growing applications' },
@@ -144,6 +150,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.ecs,
     cost: 100,
     tier: 1,
+    maxInstances: 3,
     upgradeTree: [
       { tier: 1, name: 'Fargate', cost: 100, description: 'Serverless containers without managing servers' },
       { tier: 2, name: 'EC2 Launch', cost: 200, description: 'Run containers on your own EC2 instances' },
@@ -169,6 +176,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.lambda,
     cost: 40,
     tier: 1,
+    maxInstances: 6,
     upgradeTree: [
       { tier: 1, name: '128 MB', cost: 40, description: 'Basic function for simple tasks' },
       { tier: 2, name: '512 MB', cost: 80, description: 'More memory for data processing' },
@@ -196,6 +204,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.s3,
     cost: 30,
     tier: 1,
+    maxInstances: 4,
     upgradeTree: [
       { tier: 1, name: 'Standard', cost: 30, description: 'General purpose storage for frequently accessed data' },
       { tier: 2, name: 'Intelligent-Tiering', cost: 60, description: 'Automatic cost optimization based on access patterns' },
@@ -221,6 +230,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.rds,
     cost: 80,
     tier: 1,
+    maxInstances: 2,
     upgradeTree: [
       { tier: 1, name: 'db.t3.micro', cost: 80, description: 'Development database for testing and learning' },
       { tier: 2, name: 'db.t3.medium', cost: 160, description: 'Small production workloads with moderate traffic' },
@@ -246,6 +256,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.dynamodb,
     cost: 60,
     tier: 1,
+    maxInstances: 3,
     upgradeTree: [
       { tier: 1, name: 'On-Demand', cost: 60, description: 'Pay-per-request pricing for variable workloads' },
       { tier: 2, name: 'Provisioned', cost: 120, description: 'Reserved capacity for predictable workloads' },
@@ -271,6 +282,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.elasticache,
     cost: 80,
     tier: 1,
+    maxInstances: 2,
     upgradeTree: [
       { tier: 1, name: 'cache.t3.micro', cost: 80, description: 'Development cache for testing' },
       { tier: 2, name: 'cache.t3.medium', cost: 160, description: 'Small production workloads' },
@@ -298,6 +310,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.sqs,
     cost: 40,
     tier: 1,
+    maxInstances: 5,
     upgradeTree: [
       { tier: 1, name: 'Standard Queue', cost: 40, description: 'Best-effort ordering, at-least-once delivery' },
       { tier: 2, name: 'FIFO Queue', cost: 80, description: 'Exactly-once processing, strict ordering' },
@@ -323,6 +336,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.sns,
     cost: 35,
     tier: 1,
+    maxInstances: 3,
     upgradeTree: [
       { tier: 1, name: 'Standard Topic', cost: 35, description: 'Best-effort message delivery' },
       { tier: 2, name: 'FIFO Topic', cost: 70, description: 'Strict ordering and deduplication' },
@@ -348,6 +362,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.eventbridge,
     cost: 50,
     tier: 1,
+    maxInstances: 1,
     upgradeTree: [
       { tier: 1, name: 'Default Bus', cost: 50, description: 'AWS service events and custom events' },
       { tier: 2, name: 'Custom Bus', cost: 100, description: 'Isolated event bus for your application' },
@@ -375,6 +390,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.cognito,
     cost: 70,
     tier: 1,
+    maxInstances: 1,
     upgradeTree: [
       { tier: 1, name: 'User Pool', cost: 70, description: 'User directory with sign-up and sign-in' },
       { tier: 2, name: 'Social Login', cost: 140, description: 'Google, Facebook, Apple sign-in' },
@@ -400,6 +416,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.waf,
     cost: 90,
     tier: 1,
+    maxInstances: 1,
     upgradeTree: [
       { tier: 1, name: 'Basic Rules', cost: 90, description: 'IP blocking and rate limiting' },
       { tier: 2, name: 'Managed Rules', cost: 180, description: 'AWS managed rule groups for common threats' },
@@ -425,6 +442,7 @@ export const COMPONENTS_CATALOG = [
     awsIcon: AWS_ICONS.cloudwatch,
     cost: 45,
     tier: 1,
+    maxInstances: 1,
     upgradeTree: [
       { tier: 1, name: 'Basic Metrics', cost: 45, description: 'Standard AWS resource metrics' },
       { tier: 2, name: 'Custom Metrics', cost: 90, description: 'Application-specific metrics' },
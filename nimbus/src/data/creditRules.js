@@ -0,0 +1,132 @@
+/**
+ * Credit Rulesets for Nimbus
+ *
+ * The credit economy as data: each ruleset version lists the rules that price
+ * a completed or an abandoned session, evaluated in order by
+ * calculateTotalCredits. Sessions record the version that priced them, so a
+ * new version can tune the economy without changing what old sessions earned.
+ *
+ * Rule fields:
+ * - id, label: breakdown line key and display text
+ * - type 'rate': floor(input / secondsPerCredit), times multiplier (default 1)
+ * - type 'percent': percent of an earlier rule's credits; with percentPer the
+ *   percent is multiplied by that input and capped at maxPercent
+ * - when: { input: { min, max } } conditions that must all hold
+ * - scale: named adjustment applied to the result (see creditCalculator)
+ *
+ * Inputs: duration (planned seconds), overtime, pauseCount, streak, awayTime
+ *
+ * A ruleset may also define a dailyCurve: the session total is scaled by the
+ * earning rate of the tiers the session's focus minutes fall into, counting
+ * minutes already focused that day. Tiers are { upToMinutes, rate }, the last
+ * one open-ended.
+ *
+ * **Validates: Requirements 35.1, 35.3, 38.1**
+ */
+
+// Session rules shared by versions 1 and 2
+const COMPLETED_RULES = [
+  // 10 credits per 15 minutes, proportional (1 credit per 90s)
+  { id: 'base', label: 'Focus time', type: 'rate', input: 'duration', secondsPerCredit: 90 },
+  // +20% for no pauses, shrunk by time away under the strict "reduce" policy
+  {
+    id: 'completion',
+    label: 'No-pause bonus',
+    type: 'percent',
+    of: 'base',
+    percent: 0.2,
+    when: { pauseCount: { max: 0 } },
+    scale: 'strictAway'
+  },
+  // +5% per streak day, up to +50%
+  {
+    id: 'streak',
+    label: 'Streak bonus',
+    type: 'percent',
+    of: 'base',
+    percent: 0.05,
+    percentPer: 'streak',
+    maxPercent: 0.5,
+    when: { streak: { min: 1 } }
+  },
+  // +10% for sessions of 60 minutes or more
+  {
+    id: 'longSession',
+    label: 'Long session bonus',
+    type: 'percent',
+    of: 'base',
+    percent: 0.1,
+    when: { duration: { min: 3600 } }
+  },
+  // Flow-mode overtime earns the base rate plus 25%
+  {
+    id: 'overtime',
+    label: 'Flow overtime',
+    type: 'rate',
+    input: 'overtime',
+    secondsPerCredit: 90,
+    multiplier: 1.25
+  }
+];
+
+const ABANDONED_RULES = [
+  // Half the base rate for the time completed
+  {
+    id: 'partial',
+    label: 'Partial credit',
+    type: 'rate',
+    input: 'duration',
+    secondsPerCredit: 90,
+    multiplier: 0.5
+  }
+];
+
+export const CREDIT_RULESETS = {
+  1: {
+    version: 1,
+    completed: COMPLETED_RULES,
+    abandoned: ABANDONED_RULES
+  },
+  2: {
+    version: 2,
+    completed: COMPLETED_RULES,
+    abandoned: ABANDONED_RULES,
+    // Marathon days taper off: full rate for the first 4 focused hours,
+    // half rate up to 6 hours, a quarter after that
+    dailyCurve: {
+      id: 'dailyTaper',
+      label: 'Daily taper',
+      tiers: [
+        { upToMinutes: 240, rate: 1 },
+        { upToMinutes: 360, rate: 0.5 },
+        { rate: 0.25 }
+      ],
+      // Kiro suggests calling it a day past this many focused minutes
+      suggestRestAfterMinutes: 360
+    }
+  }
+};
+
+// Version used to price new sessions
+export const CURRENT_CREDIT_RULES_VERSION = 2;
+
+// Sessions recorded before rulesets existed were priced by version 1
+export const LEGACY_CREDIT_RULES_VERSION = 1;
+
+/**
+ * Get a ruleset by version
+ * @param {number} version - Ruleset version (defaults to the current one)
+ * @returns {Object} - Ruleset, or the current ruleset for unknown versions
+ */
+export function getCreditRuleset(version = CURRENT_CREDIT_RULES_VERSION) {
+  return CREDIT_RULESETS[version] || CREDIT_RULESETS[CURRENT_CREDIT_RULES_VERSION];
+}
+
+/**
+ * Get the ruleset version that priced a session
+ * @param {Object} session - Session object
+ * @returns {number} - Ruleset version
+ */
+export function getSessionRulesVersion(session) {
+  return typeof session?.rulesVersion === 'number' ? session.rulesVersion : LEGACY_CREDIT_RULES_VERSION;
+}
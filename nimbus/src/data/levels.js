@@ -0,0 +1,63 @@
+/**
+ * Player Levels for Nimbus
+ *
+ * XP is a lifetime progress track kept apart from credits: it is never
+ * spent and never goes down, and it is always derived from the session
+ * history and the best canvas built so far (see utils/levels.js). Levels
+ * unlock catalog sections and upgrade tiers.
+ *
+ * **Validates: Requirements 41.1, 41.2**
+ */
+
+import { COMPONENT_CATEGORIES } from '../utils/connectionRules';
+
+/**
+ * XP awarded for each kind of progress
+ */
+export const XP_RULES = {
+  focusMinute: 1, // per minute of focus (completed or stopped sessions)
+  connection: 10, // per connection in the most connections ever on the canvas
+  pattern: 50 // per architecture pattern ever fully placed on the canvas
+};
+
+/**
+ * Level thresholds - total XP needed to reach each level
+ */
+export const LEVELS = [
+  { level: 1, xp: 0, title: 'Intern' },
+  { level: 2, xp: 100, title: 'Junior Engineer' },
+  { level: 3, xp: 250, title: 'Engineer' },
+  { level: 4, xp: 500, title: 'Senior Engineer' },
+  { level: 5, xp: 850, title: 'Staff Engineer' },
+  { level: 6, xp: 1300, title: 'Solutions Architect' },
+  { level: 7, xp: 1900, title: 'Senior Architect' },
+  { level: 8, xp: 2600, title: 'Principal Architect' },
+  { level: 9, xp: 3500, title: 'Distinguished Architect' },
+  { level: 10, xp: 4600, title: 'Cloud Legend' }
+];
+
+/**
+ * Level needed to buy components from each catalog section
+ */
+export const CATEGORY_UNLOCK_LEVELS = {
+  [COMPONENT_CATEGORIES.EDGE]: 1,
+  [COMPONENT_CATEGORIES.COMPUTE]: 1,
+  [COMPONENT_CATEGORIES.STORAGE]: 1,
+  [COMPONENT_CATEGORIES.DATABASE]: 1,
+  [COMPONENT_CATEGORIES.LOAD_BALANCER]: 2,
+  [COMPONENT_CATEGORIES.SERVERLESS]: 2,
+  [COMPONENT_CATEGORIES.CACHE]: 3,
+  [COMPONENT_CATEGORIES.OBSERVABILITY]: 3,
+  [COMPONENT_CATEGORIES.ASYNC]: 4,
+  [COMPONENT_CATEGORIES.AUTH]: 5,
+  [COMPONENT_CATEGORIES.SECURITY]: 5
+};
+
+/**
+ * Level needed to upgrade a placed component to each tier
+ */
+export const UPGRADE_TIER_LEVELS = {
+  2: 2,
+  3: 4,
+  4: 6
+};
@@ -0,0 +1,146 @@
+/**
+ * Quest Pool for Nimbus
+ *
+ * Daily and weekly quests with credit rewards, defined as data. Each day
+ * (and each week) a few quests are drawn from the pool for the user; see
+ * utils/quests.js. Conditions are checked against the app state:
+ *
+ * - sessions: { count, minMinutes?, noPauses? } completed focus sessions in the period
+ * - focusMinutes: { min } minutes of focus in the period
+ * - activeDays: { min } different days with a completed session in the period
+ * - upgrades: { min } component upgrades bought in the period
+ * - path: { path } components connected along these categories, in order
+ *   (a step may list alternative categories)
+ *
+ * Path conditions only follow connections made in the period, so they ask
+ * for new wiring - between new components or ones already on the canvas.
+ *
+ * **Validates: Requirements 40.1**
+ */
+
+import { COMPONENT_CATEGORIES } from '../utils/connectionRules';
+
+/**
+ * Quest periods
+ */
+export const QUEST_PERIODS = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly'
+};
+
+// Quests drawn from the pool per period
+export const QUESTS_PER_PERIOD = {
+  [QUEST_PERIODS.DAILY]: 3,
+  [QUEST_PERIODS.WEEKLY]: 2
+};
+
+export const QUEST_POOL = [
+  // ============ DAILY ============
+  {
+    id: 'clean-pair',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Clean pair',
+    description: 'Complete two 25-minute sessions without pausing',
+    reward: 40,
+    condition: { type: 'sessions', count: 2, minMinutes: 25, noPauses: true }
+  },
+  {
+    id: 'focus-hour',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Power hour',
+    description: 'Focus for 60 minutes today',
+    reward: 30,
+    condition: { type: 'focusMinutes', min: 60 }
+  },
+  {
+    id: 'hat-trick',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Hat trick',
+    description: 'Complete three focus sessions today',
+    reward: 35,
+    condition: { type: 'sessions', count: 3 }
+  },
+  {
+    id: 'deep-work',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Deep work',
+    description: 'Complete a 50-minute session',
+    reward: 40,
+    condition: { type: 'sessions', count: 1, minMinutes: 50 }
+  },
+  {
+    id: 'cache-layer',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Cache layer',
+    description: 'Wire compute through a cache to a database today',
+    reward: 50,
+    condition: {
+      type: 'path',
+      path: [COMPONENT_CATEGORIES.COMPUTE, COMPONENT_CATEGORIES.CACHE, COMPONENT_CATEGORIES.DATABASE]
+    }
+  },
+  {
+    id: 'waf-shield',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Shields up',
+    description: 'Wire a WAF in front of a load balancer today',
+    reward: 50,
+    condition: { type: 'path', path: [COMPONENT_CATEGORIES.SECURITY, COMPONENT_CATEGORIES.LOAD_BALANCER] }
+  },
+  {
+    id: 'queue-worker',
+    period: QUEST_PERIODS.DAILY,
+    title: 'Background worker',
+    description: 'Wire a queue or topic to a compute or serverless worker today',
+    reward: 50,
+    condition: {
+      type: 'path',
+      path: [COMPONENT_CATEGORIES.ASYNC, [COMPONENT_CATEGORIES.COMPUTE, COMPONENT_CATEGORIES.SERVERLESS]]
+    }
+  },
+  
+  // ============ WEEKLY ============
+  {
+    id: 'weekly-hours',
+    period: QUEST_PERIODS.WEEKLY,
+    title: 'Five-hour week',
+    description: 'Focus for 5 hours this week',
+    reward: 150,
+    condition: { type: 'focusMinutes', min: 300 }
+  },
+  {
+    id: 'weekly-sessions',
+    period: QUEST_PERIODS.WEEKLY,
+    title: 'Double digits',
+    description: 'Complete 10 focus sessions this week',
+    reward: 150,
+    condition: { type: 'sessions', count: 10 }
+  },
+  {
+    id: 'weekly-days',
+    period: QUEST_PERIODS.WEEKLY,
+    title: 'Steady rhythm',
+    description: 'Complete a session on 5 different days this week',
+    reward: 200,
+    condition: { type: 'activeDays', min: 5 }
+  },
+  {
+    id: 'weekly-upgrade',
+    period: QUEST_PERIODS.WEEKLY,
+    title: 'Scale up',
+    description: 'Upgrade a component this week',
+    reward: 100,
+    condition: { type: 'upgrades', min: 1 }
+  },
+  {
+    id: 'weekly-three-tier',
+    period: QUEST_PERIODS.WEEKLY,
+    title: 'Three tiers',
+    description: 'Wire a load balancer to compute and compute to a database this week',
+    reward: 120,
+    condition: {
+      type: 'path',
+      path: [COMPONENT_CATEGORIES.LOAD_BALANCER, COMPONENT_CATEGORIES.COMPUTE, COMPONENT_CATEGORIES.DATABASE]
+    }
+  }
+];
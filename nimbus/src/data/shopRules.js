@@ -0,0 +1,28 @@
+/**
+ * Shop Rules for Nimbus
+ *
+ * Pricing rules for buying and selling components, kept as data next to the
+ * component catalog (see utils/shopLogic.js).
+ *
+ * **Validates: Requirements 42.1, 43.2**
+ */
+
+/**
+ * Sell-back refunds for owned components (Requirements 42.1)
+ * - refundShare: share of the purchase cost and upgrade spend paid back
+ * - fullRefundWindowMs: a unit sold this soon after buying it, before it was
+ *   ever placed on the canvas, is refunded in full (undoing a mis-click)
+ */
+export const SELL_BACK_RULES = {
+  refundShare: 0.5,
+  fullRefundWindowMs: 5 * 60 * 1000
+};
+
+/**
+ * Prices for extra instances of a component (Requirements 43.2)
+ * - extraInstanceShare: each instance already owned adds this share of the
+ *   component's base cost to the next one (ec2 at 50: 50, 75, 100, ...)
+ */
+export const INSTANCE_PRICING = {
+  extraInstanceShare: 0.5
+};
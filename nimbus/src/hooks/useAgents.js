@@ -1,6 +1,6 @@
 /**
  * Agent Hooks - Custom React hooks for AI agent integration
- * Requirements: 7.1, 7.2, 7.3, 7.4, 8.1, 8.3, 8.4
+ * Requirements: 7.1, 7.2, 7.3, 7.4, 8.1, 8.3, 8.4, 30.4, 37.4
  * 
  * Provides:
  * - useFocusCoach: Hook for Focus Coach agent interactions
@@ -13,6 +13,10 @@ import { getFocusCoachFeedback } from '../agents/focusCoachAgent.js';
 import { getArchitectPurchaseFeedback, getArchitectAnalysis, checkArchitecturePattern, getPlacementFeedback } from '../agents/architectAgent.js';
 import { canMakeApiCall } from '../agents/agentApiClient.js';
 import { EVENTS } from '../utils/kiroLogic.js';
+import { getFocusSessions } from '../utils/sessionHistory.js';
+import { getRecentRatings } from '../utils/sessionReflection.js';
+import { countProtectedDaysAway } from '../utils/streakProtection.js';
+import { getOwnedIds } from '../utils/ownedComponents.js';
 
 /**
  * Calculate days since last session
@@ -71,9 +75,10 @@ function shouldShowWelcomeBack(agentState) {
  * @returns {number} - Completion rate as percentage (0-100)
  */
 function calculateCompletionRate(sessions) {
-  if (sessions.length === 0) return 0;
-  const completed = sessions.filter(s => s.completed).length;
-  return (completed / sessions.length) * 100;
+  const focusSessions = getFocusSessions(sessions);
+  if (focusSessions.length === 0) return 0;
+  const completed = focusSessions.filter(s => s.completed).length;
+  return (completed / focusSessions.length) * 100;
 }
 
 /**
@@ -112,10 +117,11 @@ export function useFocusCoach() {
       
       const sessionData = {
         duration,
-        recentSessions: userProgress.sessionHistory.slice(-5),
+        recentSessions: getFocusSessions(userProgress.sessionHistory).slice(-5),
         streak: userProgress.currentStreak,
         totalSessions: userProgress.sessionsCompleted,
-        completionRate: calculateCompletionRate(userProgress.sessionHistory)
+        completionRate: calculateCompletionRate(userProgress.sessionHistory),
+        recentRatings: getRecentRatings(userProgress.sessionHistory)
       };
       
       const response = await getFocusCoachFeedback('encouragement', sessionData, currentGoal);
@@ -140,10 +146,11 @@ export function useFocusCoach() {
       const sessionData = {
         duration: session.duration,
         completed: true,
-        recentSessions: userProgress.sessionHistory.slice(-5),
+        recentSessions: getFocusSessions(userProgress.sessionHistory).slice(-5),
         streak: userProgress.currentStreak,
         totalSessions: userProgress.sessionsCompleted,
-        completionRate: calculateCompletionRate(userProgress.sessionHistory)
+        completionRate: calculateCompletionRate(userProgress.sessionHistory),
+        recentRatings: getRecentRatings(userProgress.sessionHistory)
       };
       
       const response = await getFocusCoachFeedback('analysis', sessionData, currentGoal);
@@ -168,7 +175,7 @@ export function useFocusCoach() {
       const sessionData = {
         duration: session.duration,
         completed: false,
-        recentSessions: userProgress.sessionHistory.slice(-5),
+        recentSessions: getFocusSessions(userProgress.sessionHistory).slice(-5),
         streak: userProgress.currentStreak,
         totalSessions: userProgress.sessionsCompleted,
         completionRate: calculateCompletionRate(userProgress.sessionHistory)
@@ -207,12 +214,21 @@ export function useFocusCoach() {
       const { goalState } = state;
       const currentGoal = goalState?.goalText || null;
       
+      // Rest days and frozen days kept the streak alive while away (Requirements 37.4)
+      const protectedDays = countProtectedDaysAway(userProgress.sessionHistory, {
+        restDays: userProgress.restDays,
+        frozenDays: userProgress.frozenDays
+      });
+      
       const sessionData = {
         daysSinceLastSession,
-        recentSessions: userProgress.sessionHistory.slice(-5),
+        recentSessions: getFocusSessions(userProgress.sessionHistory).slice(-5),
         streak: userProgress.currentStreak,
         totalSessions: userProgress.sessionsCompleted,
-        completionRate: calculateCompletionRate(userProgress.sessionHistory)
+        completionRate: calculateCompletionRate(userProgress.sessionHistory),
+        streakFreezes: userProgress.streakFreezes,
+        restDaysAway: protectedDays.restDays,
+        frozenDaysAway: protectedDays.frozenDays
       };
       
       const response = await getFocusCoachFeedback('motivation', sessionData, currentGoal);
@@ -271,7 +287,7 @@ export function useArchitect() {
       const currentGoal = goalState?.goalText || null;
       
       // Build component list from owned components
-      const allComponents = userProgress.ownedComponents.map(id => ({
+      const allComponents = getOwnedIds(userProgress.ownedComponents).map(id => ({
         type: id,
         tier: 1
       }));
@@ -284,7 +300,7 @@ export function useArchitect() {
       );
       
       // Check for architecture pattern
-      const pattern = checkArchitecturePattern(userProgress.ownedComponents);
+      const pattern = checkArchitecturePattern(getOwnedIds(userProgress.ownedComponents));
       
       let message = response.explanation;
       
@@ -316,7 +332,7 @@ export function useArchitect() {
       const { userProgress, goalState } = state;
       const currentGoal = goalState?.goalText || null;
       
-      if (userProgress.ownedComponents.length === 0) {
+      if (getOwnedIds(userProgress.ownedComponents).length === 0) {
         const goalMessage = currentGoal 
           ? `You haven't purchased any components yet! Complete some focus sessions to earn credits and start building your ${currentGoal}.`
           : "You haven't purchased any components yet! Complete some focus sessions to earn credits and start building your cloud infrastructure.";
@@ -324,7 +340,7 @@ export function useArchitect() {
         return null;
       }
       
-      const allComponents = userProgress.ownedComponents.map(id => ({
+      const allComponents = getOwnedIds(userProgress.ownedComponents).map(id => ({
         type: id,
         tier: 1
       }));
@@ -348,7 +364,7 @@ export function useArchitect() {
    */
   const getPattern = useCallback(() => {
     const { userProgress } = state;
-    return checkArchitecturePattern(userProgress.ownedComponents);
+    return checkArchitecturePattern(getOwnedIds(userProgress.ownedComponents));
   }, [state]);
   
   /**
@@ -0,0 +1,50 @@
+/**
+ * Quest Hooks - Daily and weekly quests
+ * Requirements: 40.1, 40.3, 40.4
+ * 
+ * Provides:
+ * - useQuests: Today's and this week's quests for the user, with a claim function
+ */
+
+import { useCallback, useMemo } from 'react';
+import { useApp } from '../context/AppContext';
+import { useCloudState } from '../App';
+import { getOrCreateUserId } from '../utils/userId';
+import { getActiveQuests, canClaimQuest, getQuestLedgerDetails } from '../utils/quests';
+import { getDayKey } from '../utils/sessionHistory';
+
+/**
+ * Hook for quests
+ * Picks the user's quests for the current day and week; claiming a completed
+ * quest adds its reward through the usual credit flow and saves to the cloud
+ * 
+ * @returns {Object} - { daily, weekly, claim(quest) => { canClaim, message } }
+ */
+export function useQuests() {
+  const { state, actions } = useApp();
+  const { triggerCloudSave } = useCloudState();
+  const today = getDayKey(Date.now());
+  
+  // The pick only changes when the day does
+  const { daily, weekly } = useMemo(
+    () => getActiveQuests(getOrCreateUserId(), new Date(`${today}T00:00`)),
+    [today]
+  );
+  
+  const claim = useCallback((quest) => {
+    const result = canClaimQuest(quest, state);
+    
+    if (result.canClaim) {
+      actions.addCredits(quest.reward, getQuestLedgerDetails(quest));
+      actions.claimQuest(quest.instanceId);
+      
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+    }
+    
+    return result;
+  }, [state, actions, triggerCloudSave]);
+  
+  return { daily, weekly, claim };
+}
@@ -0,0 +1,190 @@
+/**
+ * Shop Hooks - Shared component purchase flow
+ * Requirements: 4.5, 13.7, 33.3, 36.1, 37.1, 41.2, 42.1, 43.2, 44.1, 44.3, 45.1
+ * 
+ * Provides:
+ * - useComponentPurchase: Purchase a component from the shop or the command palette
+ * - useComponentSale: Sell an owned component back for a refund
+ * - useBundlePurchase: Purchase a starter-kit bundle, placed and wired on the canvas
+ * - useWishlistPin: Pin or unpin a component or upgrade tier on the wishlist
+ * - useStreakFreezePurchase: Buy a streak freeze with credits
+ */
+
+import { useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { useArchitect } from './useAgents';
+import { useCloudState } from '../App';
+import { processPurchase, processSale } from '../utils/shopLogic';
+import { getBundleComponents, getBundlePrice, canPurchaseBundle, planBundlePlacement } from '../utils/bundleLogic';
+import { getBundlePurchasedMessage } from '../agents/kiroDialogue';
+import { getPlayerLevel } from '../utils/levels';
+import { STREAK_FREEZE_COST, canBuyStreakFreeze } from '../utils/streakProtection';
+
+/**
+ * Hook for purchasing components
+ * Deducts credits, adds the component, asks the Architect to explain it
+ * and saves to the cloud
+ * 
+ * @returns {Function} - purchase(component) => purchase result from processPurchase
+ */
+export function useComponentPurchase() {
+  const { state, actions } = useApp();
+  const { credits, ownedComponents } = state.userProgress;
+  const { level } = getPlayerLevel(state);
+  const { onPurchase: notifyArchitect } = useArchitect();
+  const { triggerCloudSave } = useCloudState();
+  
+  return useCallback((component) => {
+    const result = processPurchase(component, credits, ownedComponents, level);
+    
+    if (result.success) {
+      actions.purchaseComponent(component.id, result.creditsSpent, {
+        reason: `Bought ${component.name}`,
+        ref: { componentId: component.id }
+      });
+      
+      // Trigger Architect Agent to explain the component
+      notifyArchitect(component.id);
+      
+      // Auto-save to cloud after purchase (Requirements 13.7)
+      // Use setTimeout to ensure state is updated before saving
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+    }
+    
+    return result;
+  }, [credits, ownedComponents, level, actions, notifyArchitect, triggerCloudSave]);
+}
+
+/**
+ * Hook for selling components back
+ * Refunds credits, removes the unit and any placed instances it leaves
+ * uncovered (with their connections) and saves to the cloud
+ * 
+ * @returns {Function} - sell(component) => sale result from processSale
+ */
+export function useComponentSale() {
+  const { state, actions } = useApp();
+  const { ownedComponents, creditLedger, lastPlacedAt } = state.userProgress;
+  const { placedComponents } = state.architecture;
+  const { triggerCloudSave } = useCloudState();
+  
+  return useCallback((component) => {
+    const result = processSale(component, { ownedComponents, placedComponents, creditLedger, lastPlacedAt });
+    
+    if (result.success) {
+      actions.sellComponent(component.id, result.removedInstanceIds, result.refund, {
+        reason: result.fullRefund ? `Returned ${component.name}` : `Sold ${component.name}`,
+        ref: { componentId: component.id }
+      });
+      
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+    }
+    
+    return result;
+  }, [ownedComponents, placedComponents, creditLedger, lastPlacedAt, actions, triggerCloudSave]);
+}
+
+/**
+ * Hook for purchasing bundles
+ * Deducts the bundle price, adds one of each component, places and wires
+ * them on the canvas and saves to the cloud
+ * 
+ * @returns {Function} - purchase(bundle) => { canPurchase, message } from canPurchaseBundle
+ */
+export function useBundlePurchase() {
+  const { state, actions } = useApp();
+  const { credits, ownedComponents } = state.userProgress;
+  const { placedComponents } = state.architecture;
+  const { level } = getPlayerLevel(state);
+  const { triggerCloudSave } = useCloudState();
+  
+  return useCallback((bundle) => {
+    const result = canPurchaseBundle(bundle, credits, ownedComponents, level);
+    
+    if (result.canPurchase) {
+      const components = getBundleComponents(bundle);
+      const { price } = getBundlePrice(bundle, ownedComponents);
+      const componentIds = components.map(component => component.id);
+      const placement = planBundlePlacement(bundle, placedComponents);
+      actions.purchaseBundle(componentIds, placement, price, {
+        reason: `Bought ${bundle.name}`,
+        ref: { bundleId: bundle.id, componentIds }
+      });
+      const { instances } = placement;
+      
+      actions.setKiroEmotion('celebrating');
+      actions.setKiroMessage({
+        text: getBundlePurchasedMessage(bundle, instances.length === components.length),
+        timestamp: Date.now(),
+        duration: 6000
+      });
+      
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+    }
+    
+    return result;
+  }, [credits, ownedComponents, placedComponents, level, actions, triggerCloudSave]);
+}
+
+/**
+ * Hook for pinning wishlist items
+ * Pins the component (tier null) or upgrade tier, or unpins it if it's
+ * already pinned, and saves to the cloud
+ * 
+ * @returns {Function} - togglePin(componentId, tier) => true if now pinned
+ */
+export function useWishlistPin() {
+  const { state, actions } = useApp();
+  const { wishlist } = state.userProgress;
+  const { triggerCloudSave } = useCloudState();
+  
+  return useCallback((componentId, tier = null) => {
+    const pinned = wishlist.some(item => item.componentId === componentId && item.tier === tier);
+    
+    if (pinned) {
+      actions.removeWishlistItem(componentId, tier);
+    } else {
+      actions.addWishlistItem(componentId, tier);
+    }
+    
+    setTimeout(() => {
+      triggerCloudSave();
+    }, 100);
+    
+    return !pinned;
+  }, [wishlist, actions, triggerCloudSave]);
+}
+
+/**
+ * Hook for buying streak freezes
+ * Deducts credits, adds a freeze and saves to the cloud
+ * 
+ * @returns {Function} - buy() => { canBuy, message } from canBuyStreakFreeze
+ */
+export function useStreakFreezePurchase() {
+  const { state, actions } = useApp();
+  const { credits, streakFreezes } = state.userProgress;
+  const { triggerCloudSave } = useCloudState();
+  
+  return useCallback(() => {
+    const result = canBuyStreakFreeze(credits, streakFreezes);
+    
+    if (result.canBuy) {
+      actions.purchaseStreakFreeze(STREAK_FREEZE_COST, {
+        reason: 'Bought a streak freeze'
+      });
+      
+      setTimeout(() => {
+        triggerCloudSave();
+      }, 100);
+    }
+    
+    return result;
+  }, [credits, streakFreezes, actions, triggerCloudSave]);
+}
@@ -0,0 +1,189 @@
+/**
+ * Achievement Utilities
+ *
+ * Evaluates the declarative unlock conditions in data/achievements.js against
+ * the user's progress: session history, streak, owned components, the canvas
+ * and upgrades bought. Unlocked achievements are stored with the time they
+ * were unlocked and are never taken away.
+ *
+ * **Validates: Requirements 39.1, 39.2, 39.3**
+ */
+
+import { ACHIEVEMENTS } from '../data/achievements';
+import { getComponentById } from '../data/components';
+import { getFocusSessions } from './sessionHistory';
+import { LEDGER_ENTRY_TYPES } from './creditLedger';
+import { getOwnedIds } from './ownedComponents';
+
+// localStorage key for achievements already announced by an open tab
+const ANNOUNCED_ACHIEVEMENTS_KEY = 'nimbus-announced-achievements';
+
+/**
+ * Gather what achievement conditions are evaluated against.
+ * Sessions trimmed from cloud saves still count through the archived totals.
+ *
+ * @param {Object} userProgress - state.userProgress
+ * @param {Object} architecture - state.architecture
+ * @returns {Object} Achievement context
+ */
+export function buildAchievementContext(userProgress, architecture) {
+  const focusSessions = getFocusSessions(userProgress.sessionHistory || []);
+  const completed = focusSessions.filter(s => s.completed);
+  
+  return {
+    sessionsCompleted: completed.length + (userProgress.archivedSessionsCompleted || 0),
+    focusSeconds: focusSessions.reduce((sum, s) => sum + (s.duration || 0), 0) + (userProgress.archivedFocusSeconds || 0),
+    longestSessionSeconds: completed.reduce((max, s) => Math.max(max, s.duration || 0), 0),
+    streak: userProgress.currentStreak || 0,
+    ownedComponents: getOwnedIds(userProgress.ownedComponents || {}).length,
+    upgrades: (userProgress.creditLedger || []).filter(e => e.type === LEDGER_ENTRY_TYPES.UPGRADE).length,
+    placedComponents: architecture?.placedComponents || [],
+    connections: architecture?.connections || []
+  };
+}
+
+/**
+ * Count how far along a category path the canvas is wired.
+ * Starts from every placed component in the first category and follows
+ * connections (from -> to) into the next category at each step.
+ *
+ * @param {Array} path - Component categories, in order (a step may be an array of alternatives)
+ * @param {Array} placedComponents - Canvas components
+ * @param {Array} connections - Canvas connections
+ * @returns {number} Length of the longest wired prefix of the path
+ */
+export function getTopologyDepth(path, placedComponents, connections) {
+  const matches = (placed, step) => {
+    const category = getComponentById(placed.type.toLowerCase())?.category;
+    return Array.isArray(step) ? step.includes(category) : category === step;
+  };
+  
+  let frontier = new Set(
+    placedComponents.filter(p => matches(p, path[0])).map(p => p.id)
+  );
+  if (frontier.size === 0) return 0;
+  
+  let depth = 1;
+  while (depth < path.length) {
+    const next = new Set(
+      connections
+        .filter(conn => frontier.has(conn.from))
+        .map(conn => placedComponents.find(p => p.id === conn.to))
+        .filter(p => p && matches(p, path[depth]))
+        .map(p => p.id)
+    );
+    if (next.size === 0) break;
+    frontier = next;
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Evaluate an achievement's condition.
+ *
+ * @param {Object} achievement - Achievement from ACHIEVEMENTS
+ * @param {Object} context - From buildAchievementContext
+ * @returns {Object} { current, target, complete } - current is capped at target
+ *
+ * **Validates: Requirements 39.1, 39.2**
+ */
+export function getAchievementProgress(achievement, context) {
+  const { condition } = achievement;
+  let current = 0;
+  let target = 1;
+  
+  switch (condition.type) {
+    case 'sessionsCompleted':
+      current = context.sessionsCompleted;
+      target = condition.min;
+      break;
+    case 'focusHours':
+      current = Math.floor(context.focusSeconds / 3600);
+      target = condition.min;
+      break;
+    case 'longestSession':
+      current = Math.floor(context.longestSessionSeconds / 60);
+      target = condition.minMinutes;
+      break;
+    case 'streak':
+      current = context.streak;
+      target = condition.min;
+      break;
+    case 'ownedComponents':
+      current = context.ownedComponents;
+      target = condition.min;
+      break;
+    case 'componentTier':
+      current = context.placedComponents
+        .filter(p => p.type.toLowerCase() === condition.componentId)
+        .reduce((max, p) => Math.max(max, p.tier || 1), 0);
+      target = condition.tier;
+      break;
+    case 'upgrades':
+      current = context.upgrades;
+      target = condition.min;
+      break;
+    case 'connections':
+      current = context.connections.length;
+      target = condition.min;
+      break;
+    case 'topology':
+      current = getTopologyDepth(condition.path, context.placedComponents, context.connections);
+      target = condition.path.length;
+      break;
+    default:
+      // Unknown condition types never unlock
+      return { current: 0, target: 1, complete: false };
+  }
+  
+  return { current: Math.min(current, target), target, complete: current >= target };
+}
+
+/**
+ * Find achievements whose conditions are now met but are not yet unlocked.
+ *
+ * @param {Object} context - From buildAchievementContext
+ * @param {Array} unlocked - Unlocked achievements { id, unlockedAt }
+ * @returns {Array} Newly met achievements, in catalog order
+ *
+ * **Validates: Requirements 39.2**
+ */
+export function findNewAchievements(context, unlocked) {
+  const unlockedIds = new Set(unlocked.map(a => a.id));
+  return ACHIEVEMENTS.filter(
+    a => !unlockedIds.has(a.id) && getAchievementProgress(a, context).complete
+  );
+}
+
+/**
+ * Validate an unlocked achievement record.
+ *
+ * @param {Object} entry - Record to check
+ * @returns {boolean} True if the record is usable
+ */
+export function isValidUnlockedAchievement(entry) {
+  return !!entry
+    && typeof entry.id === 'string'
+    && typeof entry.unlockedAt === 'number';
+}
+
+/**
+ * Claim the unlock announcement for an achievement so only one open tab shows it.
+ *
+ * @param {string} achievementId - Achievement that was unlocked
+ * @returns {boolean} True if this tab should announce it
+ *
+ * **Validates: Requirements 39.3**
+ */
+export function claimAchievementAnnouncement(achievementId) {
+  try {
+    const announced = JSON.parse(localStorage.getItem(ANNOUNCED_ACHIEVEMENTS_KEY) || '[]');
+    if (announced.includes(achievementId)) return false;
+    
+    localStorage.setItem(ANNOUNCED_ACHIEVEMENTS_KEY, JSON.stringify([...announced, achievementId]));
+    return true;
+  } catch {
+    return true;
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Timer Alert Settings Utility
+ * Persists notification and chime preferences on this device
+ * 
+ * Requirements: 25.5
+ */
+
+import { TIMER_EVENTS } from './timerEvents';
+
+const ALERT_SETTINGS_KEY = 'nimbus-alert-settings';
+
+/**
+ * Default alert settings - notifications are opt-in
+ */
+export const DEFAULT_ALERT_SETTINGS = {
+  notificationsEnabled: false,
+  volumes: {
+    [TIMER_EVENTS.SESSION_COMPLETE]: 0.6,
+    [TIMER_EVENTS.FINAL_MINUTE]: 0.3,
+    [TIMER_EVENTS.BREAK_OVER]: 0.5,
+    [TIMER_EVENTS.OVERTIME_START]: 0.4,
+    [TIMER_EVENTS.PLAN_BLOCK_DUE]: 0.5,
+  },
+};
+
+/**
+ * Load saved alert settings
+ * @returns {Object|null} Saved settings or null if none/invalid
+ */
+export function loadAlertSettings() {
+  try {
+    const raw = localStorage.getItem(ALERT_SETTINGS_KEY);
+    if (!raw) return null;
+    
+    const saved = JSON.parse(raw);
+    if (!saved || typeof saved !== 'object') return null;
+    
+    return {
+      notificationsEnabled: saved.notificationsEnabled === true,
+      volumes: { ...DEFAULT_ALERT_SETTINGS.volumes, ...(saved.volumes || {}) },
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save alert settings
+ * @param {Object} settings - Alert settings to persist
+ */
+export function saveAlertSettings(settings) {
+  try {
+    localStorage.setItem(ALERT_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Alert settings save failed:', error.message);
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * Ambient Soundscape Utility
+ * Procedurally generated background sound for focus sessions (Web Audio,
+ * no sound files): white, pink and brown noise, rain and binaural tones.
+ * One soundscape plays at a time and fades in and out smoothly.
+ *
+ * Requirements: 34.1, 34.2, 34.3
+ */
+
+import { getAudioContext } from './audioChimes';
+
+/**
+ * Available soundscapes
+ */
+export const AMBIENT_SOUNDS = {
+  OFF: 'off',
+  WHITE: 'white',
+  PINK: 'pink',
+  BROWN: 'brown',
+  RAIN: 'rain',
+  BINAURAL: 'binaural',
+};
+
+/**
+ * Display labels for each soundscape
+ */
+export const AMBIENT_SOUND_LABELS = {
+  [AMBIENT_SOUNDS.OFF]: 'No sound',
+  [AMBIENT_SOUNDS.WHITE]: 'White noise',
+  [AMBIENT_SOUNDS.PINK]: 'Pink noise',
+  [AMBIENT_SOUNDS.BROWN]: 'Brown noise',
+  [AMBIENT_SOUNDS.RAIN]: 'Rain',
+  [AMBIENT_SOUNDS.BINAURAL]: 'Binaural beats (headphones)',
+};
+
+export const DEFAULT_AMBIENT_VOLUME = 0.4;
+
+// Fade lengths in seconds
+export const AMBIENT_FADE_IN = 1.5;
+export const AMBIENT_FADE_OUT = 0.4;
+export const AMBIENT_COMPLETION_FADE = 4;
+
+// Noise is loud - full volume maps to this gain
+const MAX_GAIN = 0.5;
+
+// Length of the generated noise loop in seconds (long enough not to hear the seam)
+const NOISE_LOOP_SECONDS = 8;
+
+// Binaural tone: carrier in the left ear, carrier + beat in the right (beta range for focus)
+const BINAURAL_CARRIER = 200;
+const BINAURAL_BEAT = 14;
+
+const bufferCache = new Map();
+let current = null; // { sound, output, sources }
+
+/**
+ * Check whether a value is a known soundscape
+ * @param {string} sound - Soundscape id
+ * @returns {boolean}
+ */
+export function isValidAmbientSound(sound) {
+  return Object.values(AMBIENT_SOUNDS).includes(sound);
+}
+
+/**
+ * Clamp an ambient volume to 0..1
+ * @param {number} volume - Requested volume
+ * @returns {number}
+ */
+export function clampAmbientVolume(volume) {
+  const parsed = Number(volume);
+  if (Number.isNaN(parsed)) return DEFAULT_AMBIENT_VOLUME;
+  return Math.max(0, Math.min(1, parsed));
+}
+
+/**
+ * Fill a sample array with coloured noise
+ * @param {Float32Array} data - Samples to fill
+ * @param {string} color - 'white' | 'pink' | 'brown'
+ */
+function fillNoise(data, color) {
+  // Pink noise filter state (Paul Kellet's refined method)
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  // Brown noise integrator state
+  let last = 0;
+  
+  for (let i = 0; i < data.length; i++) {
+    const white = Math.random() * 2 - 1;
+    
+    if (color === AMBIENT_SOUNDS.PINK) {
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.96900 * b2 + white * 0.1538520;
+      b3 = 0.86650 * b3 + white * 0.3104856;
+      b4 = 0.55000 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.0168980;
+      data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+      b6 = white * 0.115926;
+    } else if (color === AMBIENT_SOUNDS.BROWN) {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+}
+
+/**
+ * Add rain drops to a noise bed: short bursts of noise with a fast decay
+ * @param {Float32Array} data - Samples to add drops to
+ * @param {number} sampleRate - Samples per second
+ */
+function addRainDrops(data, sampleRate) {
+  const dropsPerSecond = 40;
+  const dropCount = Math.floor((data.length / sampleRate) * dropsPerSecond);
+  
+  for (let d = 0; d < dropCount; d++) {
+    const start = Math.floor(Math.random() * data.length);
+    const length = Math.floor(sampleRate * (0.005 + Math.random() * 0.02));
+    const amplitude = 0.1 + Math.random() * 0.4;
+    
+    for (let i = 0; i < length; i++) {
+      const envelope = Math.exp(-6 * (i / length));
+      data[(start + i) % data.length] += (Math.random() * 2 - 1) * amplitude * envelope;
+    }
+  }
+}
+
+/**
+ * Get (or generate once) the looping buffer for a noise-based soundscape
+ * @param {AudioContext} context - Audio context
+ * @param {string} sound - Soundscape id
+ * @returns {AudioBuffer}
+ */
+function getNoiseBuffer(context, sound) {
+  if (bufferCache.has(sound)) return bufferCache.get(sound);
+  
+  const buffer = context.createBuffer(1, context.sampleRate * NOISE_LOOP_SECONDS, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  
+  if (sound === AMBIENT_SOUNDS.RAIN) {
+    fillNoise(data, AMBIENT_SOUNDS.PINK);
+    addRainDrops(data, context.sampleRate);
+  } else {
+    fillNoise(data, sound);
+  }
+  
+  bufferCache.set(sound, buffer);
+  return buffer;
+}
+
+/**
+ * Build the audio graph for a soundscape, ending in the given output node
+ * @param {AudioContext} context - Audio context
+ * @param {string} sound - Soundscape id
+ * @param {AudioNode} output - Node the soundscape feeds
+ * @returns {AudioScheduledSourceNode[]} Sources to start and stop
+ */
+function buildSoundscape(context, sound, output) {
+  if (sound === AMBIENT_SOUNDS.BINAURAL) {
+    const merger = context.createChannelMerger(2);
+    const toneGain = context.createGain();
+    toneGain.gain.value = 0.3;
+    
+    const sources = [BINAURAL_CARRIER, BINAURAL_CARRIER + BINAURAL_BEAT].map((frequency, channel) => {
+      const oscillator = context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      oscillator.connect(merger, 0, channel);
+      return oscillator;
+    });
+    
+    merger.connect(toneGain);
+    toneGain.connect(output);
+    return sources;
+  }
+  
+  const source = context.createBufferSource();
+  source.buffer = getNoiseBuffer(context, sound);
+  source.loop = true;
+  
+  if (sound === AMBIENT_SOUNDS.RAIN) {
+    // Soften the bed so it sounds like rain on a window rather than hiss
+    const highpass = context.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 400;
+    const lowpass = context.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = 6000;
+    
+    source.connect(highpass);
+    highpass.connect(lowpass);
+    lowpass.connect(output);
+  } else {
+    source.connect(output);
+  }
+  
+  return [source];
+}
+
+/**
+ * Fade out and stop the current soundscape
+ * @param {number} fadeSeconds - Fade length
+ */
+export function stopAmbient(fadeSeconds = AMBIENT_FADE_OUT) {
+  if (!current) return;
+  
+  const context = getAudioContext();
+  const { output, sources } = current;
+  current = null;
+  if (!context) return;
+  
+  const now = context.currentTime;
+  output.gain.cancelScheduledValues(now);
+  output.gain.setValueAtTime(Math.max(output.gain.value, 0.0001), now);
+  output.gain.exponentialRampToValueAtTime(0.0001, now + fadeSeconds);
+  sources.forEach((source) => source.stop(now + fadeSeconds + 0.05));
+}
+
+/**
+ * Play a soundscape (fading over from whatever is playing)
+ * Playing the sound that is already on only updates its volume
+ * @param {string} sound - One of AMBIENT_SOUNDS
+ * @param {number} volume - 0 to 1
+ */
+export function playAmbient(sound, volume = DEFAULT_AMBIENT_VOLUME) {
+  if (!isValidAmbientSound(sound) || sound === AMBIENT_SOUNDS.OFF) {
+    stopAmbient();
+    return;
+  }
+  if (current?.sound === sound) {
+    setAmbientVolume(volume);
+    return;
+  }
+  
+  const context = getAudioContext();
+  if (!context) return;
+  if (context.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+  
+  stopAmbient();
+  
+  const output = context.createGain();
+  const now = context.currentTime;
+  output.gain.setValueAtTime(0.0001, now);
+  output.gain.exponentialRampToValueAtTime(
+    Math.max(0.0001, clampAmbientVolume(volume) * MAX_GAIN),
+    now + AMBIENT_FADE_IN
+  );
+  output.connect(context.destination);
+  
+  const sources = buildSoundscape(context, sound, output);
+  sources.forEach((source) => source.start(now));
+  current = { sound, output, sources };
+}
+
+/**
+ * Change the volume of the playing soundscape
+ * @param {number} volume - 0 to 1
+ */
+export function setAmbientVolume(volume) {
+  const context = getAudioContext();
+  if (!current || !context) return;
+  
+  const now = context.currentTime;
+  current.output.gain.cancelScheduledValues(now);
+  current.output.gain.setTargetAtTime(Math.max(0.0001, clampAmbientVolume(volume) * MAX_GAIN), now, 0.1);
+}
@@ -0,0 +1,101 @@
+/**
+ * Audio Chimes Utility
+ * Synthesizes short audio cues with the Web Audio API (no sound files needed)
+ * 
+ * Requirements: 25.3, 25.4
+ */
+
+import { TIMER_EVENTS } from './timerEvents';
+
+// Notes per event: frequency (Hz), start offset and length (seconds)
+const CHIME_PATTERNS = {
+  // Rising C-major arpeggio
+  [TIMER_EVENTS.SESSION_COMPLETE]: [
+    { frequency: 523.25, start: 0, duration: 0.5 },
+    { frequency: 659.25, start: 0.15, duration: 0.5 },
+    { frequency: 783.99, start: 0.3, duration: 0.9 },
+  ],
+  // Single soft ping
+  [TIMER_EVENTS.FINAL_MINUTE]: [
+    { frequency: 880, start: 0, duration: 0.4 },
+  ],
+  // Two-note call back to focus
+  [TIMER_EVENTS.BREAK_OVER]: [
+    { frequency: 587.33, start: 0, duration: 0.35 },
+    { frequency: 880, start: 0.2, duration: 0.6 },
+  ],
+  // Gentle low-high pair - planned time reached, flow continues
+  [TIMER_EVENTS.OVERTIME_START]: [
+    { frequency: 392, start: 0, duration: 0.4 },
+    { frequency: 523.25, start: 0.25, duration: 0.6 },
+  ],
+  // Three quick taps - a planned block is starting
+  [TIMER_EVENTS.PLAN_BLOCK_DUE]: [
+    { frequency: 659.25, start: 0, duration: 0.2 },
+    { frequency: 659.25, start: 0.18, duration: 0.2 },
+    { frequency: 783.99, start: 0.36, duration: 0.5 },
+  ],
+};
+
+let audioContext = null;
+
+/**
+ * Get the shared AudioContext, creating it on first use
+ * @returns {AudioContext|null} null if Web Audio is unsupported
+ */
+export function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+}
+
+/**
+ * Resume audio after a user gesture so later cues can play in a background tab
+ * (browsers block audio that was never started by the user)
+ */
+export function unlockAudio() {
+  const context = getAudioContext();
+  if (context && context.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+}
+
+/**
+ * Play the chime for a timer event
+ * @param {string} event - One of TIMER_EVENTS
+ * @param {number} volume - 0 to 1 (0 = muted)
+ */
+export function playChime(event, volume) {
+  const pattern = CHIME_PATTERNS[event];
+  if (!pattern || !volume || volume <= 0) return;
+  
+  const context = getAudioContext();
+  if (!context) return;
+  if (context.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+  
+  const now = context.currentTime;
+  const peak = Math.min(1, volume) * 0.4;
+  
+  pattern.forEach(({ frequency, start, duration }) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    
+    // Quick attack, exponential decay for a bell-like tone
+    gain.gain.setValueAtTime(0.0001, now + start);
+    gain.gain.exponentialRampToValueAtTime(peak, now + start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + start + duration);
+    
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(now + start);
+    oscillator.stop(now + start + duration + 0.05);
+  });
+}
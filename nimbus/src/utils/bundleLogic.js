@@ -0,0 +1,202 @@
+/**
+ * Bundle Logic Utilities
+ *
+ * Prices and checks starter-kit bundles and plans where their components go
+ * on the canvas. A bundle is bought as a whole: every component must pass the
+ * same checks as a single purchase, except that components in the bundle
+ * count toward each other's prerequisites.
+ *
+ * **Validates: Requirements 36.1, 44.1, 44.2, 44.3**
+ */
+
+import { ARCHITECTURE_PATTERNS } from '../agents/kiroDialogue';
+import { getComponentById } from '../data/components';
+import { getMaxInstances, getPurchaseCost, checkPrerequisites } from './shopLogic';
+import { checkCategoryLevel, recordCanvasProgress } from './levels';
+import { applySpend } from './creditLedger';
+import { getOwnedCount, changeOwnedCount } from './ownedComponents';
+import { findAvailablePosition, generateComponentId } from './canvasLogic';
+import { isValidConnection } from './connectionRules';
+
+/**
+ * Get the catalog components in a bundle, in pattern order.
+ *
+ * @param {Object} bundle - Bundle from data/bundles
+ * @returns {Array} Catalog components
+ */
+export function getBundleComponents(bundle) {
+  return ARCHITECTURE_PATTERNS[bundle.pattern].components
+    .map(id => getComponentById(id))
+    .filter(Boolean);
+}
+
+/**
+ * Price a bundle: the next instance of each component, less the bundle discount.
+ *
+ * @param {Object} bundle - Bundle from data/bundles
+ * @param {Object} ownedComponents - Owned component counts
+ * @returns {Object} { fullPrice, price, savings }
+ *
+ * **Validates: Requirements 44.1**
+ */
+export function getBundlePrice(bundle, ownedComponents) {
+  const fullPrice = getBundleComponents(bundle)
+    .reduce((sum, component) => sum + getPurchaseCost(component, ownedComponents), 0);
+  const price = Math.round(fullPrice * (1 - bundle.discount));
+  
+  return { fullPrice, price, savings: fullPrice - price };
+}
+
+/**
+ * Check if a bundle can be purchased.
+ * Every component must be below its instance limit and in an unlocked catalog
+ * section, and every prerequisite must be owned or part of the bundle.
+ *
+ * @param {Object} bundle - Bundle from data/bundles
+ * @param {number} credits - User's current credits
+ * @param {Object} ownedComponents - Owned component counts
+ * @param {number} level - Player level
+ * @returns {Object} - { canPurchase: boolean, reason: string, message: string }
+ *
+ * **Validates: Requirements 44.2**
+ */
+export function canPurchaseBundle(bundle, credits, ownedComponents, level) {
+  const components = getBundleComponents(bundle);
+  
+  const atLimit = components.filter(c => getOwnedCount(c.id, ownedComponents) >= getMaxInstances(c));
+  if (atLimit.length > 0) {
+    return {
+      canPurchase: false,
+      reason: 'at_limit',
+      message: `You already own the maximum of ${atLimit.map(c => c.name).join(', ')}`
+    };
+  }
+  
+  const levelLocked = components
+    .map(c => checkCategoryLevel(c, level))
+    .filter(result => !result.met)
+    .sort((a, b) => b.requiredLevel - a.requiredLevel);
+  if (levelLocked.length > 0) {
+    return {
+      canPurchase: false,
+      reason: 'level_locked',
+      message: levelLocked[0].message,
+      requiredLevel: levelLocked[0].requiredLevel
+    };
+  }
+  
+  // Components in the bundle satisfy each other's prerequisites
+  const withBundle = components.reduce((owned, c) => changeOwnedCount(owned, c.id, 1), ownedComponents);
+  const missingNames = [...new Set(
+    components.flatMap(c => checkPrerequisites(c, withBundle).missingNames || [])
+  )];
+  if (missingNames.length > 0) {
+    return {
+      canPurchase: false,
+      reason: 'prerequisites_not_met',
+      message: `Requires: ${missingNames.join(', ')}`
+    };
+  }
+  
+  const { price } = getBundlePrice(bundle, ownedComponents);
+  if (credits < price) {
+    return {
+      canPurchase: false,
+      reason: 'insufficient_credits',
+      message: `Need ${price - credits} more credits`,
+      shortage: price - credits
+    };
+  }
+  
+  return {
+    canPurchase: true,
+    reason: 'available',
+    message: 'Ready to purchase'
+  };
+}
+
+/**
+ * Plan where a bundle's components go on the canvas and how they connect.
+ * Components are placed in pattern order at the first free grid positions;
+ * each pair is then wired in whichever direction the connection rules allow.
+ * Components that don't fit stay in the inventory.
+ *
+ * @param {Object} bundle - Bundle from data/bundles
+ * @param {Array} placedComponents - Components already on the canvas
+ * @param {number} now - When the connections are made (Unix ms)
+ * @returns {Object} { instances, connections } - new placed components and connections
+ *
+ * **Validates: Requirements 44.3**
+ */
+export function planBundlePlacement(bundle, placedComponents, now = Date.now()) {
+  const placed = [...placedComponents];
+  const placedBundle = [];
+  
+  for (const component of getBundleComponents(bundle)) {
+    const position = findAvailablePosition(placed);
+    if (!position) break; // Canvas is full
+    
+    const instance = {
+      id: generateComponentId(component.type, placed),
+      type: component.type,
+      position,
+      tier: 1
+    };
+    placed.push(instance);
+    placedBundle.push({ instance, component });
+  }
+  
+  const connections = [];
+  placedBundle.forEach((a, i) => {
+    placedBundle.slice(i + 1).forEach(b => {
+      if (isValidConnection(a.component, b.component)) {
+        connections.push({ from: a.instance.id, to: b.instance.id, type: 'network', createdAt: now });
+      } else if (isValidConnection(b.component, a.component)) {
+        connections.push({ from: b.instance.id, to: a.instance.id, type: 'network', createdAt: now });
+      }
+    });
+  });
+  
+  return { instances: placedBundle.map(p => p.instance), connections };
+}
+
+/**
+ * Apply a bundle purchase to the app state in one step: debit the price, add
+ * one unit of every component (placed or not) and put the planned instances
+ * and connections on the canvas. A rejected spend grants nothing.
+ *
+ * @param {Object} state - AppContext state ({ userProgress, architecture })
+ * @param {Object} purchase - Bundle purchase
+ * @param {string[]} purchase.componentIds - Every component in the bundle
+ * @param {Array} purchase.instances - Planned instances from planBundlePlacement
+ * @param {Array} purchase.connections - Planned connections from planBundlePlacement
+ * @param {number} purchase.amount - Bundle price
+ * @param {Object} purchase.entry - Ledger entry for the price
+ * @returns {Object|null} { userProgress, architecture }, or null if the balance can't cover it
+ *
+ * **Validates: Requirements 36.1, 44.3**
+ */
+export function applyBundlePurchase({ userProgress, architecture }, { componentIds, instances, connections, amount, entry }) {
+  const paid = applySpend(userProgress, amount, entry);
+  if (!paid) return null;
+  
+  const nextArchitecture = {
+    ...architecture,
+    placedComponents: [...architecture.placedComponents, ...instances],
+    connections: [...architecture.connections, ...connections]
+  };
+  // Placing the instances ends the full sell-back refund like any placement
+  const lastPlacedAt = instances.reduce(
+    (times, instance) => ({ ...times, [instance.type.toLowerCase()]: entry.timestamp }),
+    paid.lastPlacedAt
+  );
+  
+  return {
+    userProgress: recordCanvasProgress({
+      ...paid,
+      ownedComponents: componentIds.reduce((owned, id) => changeOwnedCount(owned, id, 1), paid.ownedComponents),
+      lastPlacedAt
+    }, nextArchitecture),
+    architecture: nextArchitecture
+  };
+}
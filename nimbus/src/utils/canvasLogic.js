@@ -85,12 +85,15 @@ export function isValidPlacement(position, placedComponents, excludeId = null) {
  * @returns {string} - Unique instance ID
  */
 export function generateComponentId(type, placedComponents) {
-  // Count existing components of this type
-  const existingCount = placedComponents.filter(
-    c => c.type.toLowerCase() === type.toLowerCase()
-  ).length;
+  // Use the lowest free number - instances can be removed from the middle
+  const prefix = type.toLowerCase();
+  const usedIds = new Set(placedComponents.map(c => c.id));
+  let number = 1;
+  while (usedIds.has(`${prefix}-${number}`)) {
+    number++;
+  }
   
-  return `${type.toLowerCase()}-${existingCount + 1}`;
+  return `${prefix}-${number}`;
 }
 
 /**
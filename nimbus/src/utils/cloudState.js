@@ -2,9 +2,19 @@
  * Cloud State Builder and Applier Utilities
  * Handles extracting persistable state and restoring from cloud
  * 
- * Requirements: 13.5
+ * Requirements: 13.5, 26.4, 32.1, 36.1, 37.1, 37.3, 39.5, 40.4, 41.4, 43.3, 45.4
  */
 
+import { getFocusSessions } from './sessionHistory';
+import { DEFAULT_PRESETS, isValidPreset, isValidRoutine } from './presetLogic';
+import { isValidPlannedBlock } from './dayPlan';
+import { LEDGER_ENTRY_TYPES, createLedgerEntry, isValidLedgerEntry, compactLedger } from './creditLedger';
+import { MAX_STREAK_FREEZES, isValidRestDays, normalizeFreezeTimes } from './streakProtection';
+import { isValidUnlockedAchievement } from './achievements';
+import { normalizeLastPlacedAt } from './shopLogic';
+import { normalizeOwnedComponents, isValidOwnedComponents } from './ownedComponents';
+import { isValidWishlistItem } from './wishlist';
+
 const SESSION_HISTORY_LIMIT = 100;
 
 /**
@@ -15,19 +25,63 @@ const SESSION_HISTORY_LIMIT = 100;
  */
 export function buildCloudState(state) {
   const { userProgress, architecture } = state;
+  // Focus time and completed sessions of trimmed sessions are carried over so
+  // XP never drops and achievements stay reachable
+  const trimmedSessions = getFocusSessions(userProgress.sessionHistory.slice(0, -SESSION_HISTORY_LIMIT));
+  const archivedFocusSeconds = userProgress.archivedFocusSeconds
+    + trimmedSessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+  const archivedSessionsCompleted = userProgress.archivedSessionsCompleted
+    + trimmedSessions.filter(s => s.completed).length;
   
   return {
     credits: userProgress.credits,
+    // Older ledger entries are folded into an opening balance
+    creditLedger: compactLedger(userProgress.creditLedger),
     currentStreak: userProgress.currentStreak,
     lastSessionDate: userProgress.lastSessionDate,
-    ownedComponents: [...userProgress.ownedComponents],
+    streakFreezes: userProgress.streakFreezes,
+    streakFreezeTimes: [...userProgress.streakFreezeTimes],
+    frozenDays: [...userProgress.frozenDays],
+    restDays: [...userProgress.restDays],
+    ownedComponents: { ...userProgress.ownedComponents },
+    achievements: [...userProgress.achievements],
+    claimedQuests: [...userProgress.claimedQuests],
+    wishlist: [...userProgress.wishlist],
     placedComponents: [...architecture.placedComponents],
     connections: [...architecture.connections],
     // Limit session history to most recent 100 sessions
     sessionHistory: userProgress.sessionHistory.slice(-SESSION_HISTORY_LIMIT),
+    archivedFocusSeconds,
+    archivedSessionsCompleted,
+    mostConnections: userProgress.mostConnections,
+    builtPatterns: [...userProgress.builtPatterns],
+    lastPlacedAt: { ...userProgress.lastPlacedAt },
+    presets: [...userProgress.presets],
+    routines: [...userProgress.routines],
+    plannedBlocks: [...userProgress.plannedBlocks],
   };
 }
 
+/**
+ * Restore the credit ledger from a cloud save.
+ * The ledger is restored whole or not at all: if any entry is invalid, it is
+ * replaced by a single import entry for the stored balance, like a backup file
+ * with a damaged ledger is rejected outright.
+ * @param {Object} cloudState - The cloud state to restore
+ * @returns {Array|null} Ledger entries, or null for older saves without a ledger
+ */
+function loadLedger(cloudState) {
+  // Older saves have no ledger - the load is recorded as a ledger entry instead
+  if (!Array.isArray(cloudState.creditLedger)) return null;
+  if (cloudState.creditLedger.every(isValidLedgerEntry)) return cloudState.creditLedger;
+  
+  return [createLedgerEntry({
+    type: LEDGER_ENTRY_TYPES.IMPORT,
+    amount: cloudState.credits ?? 0,
+    reason: 'Loaded from cloud save (ledger could not be verified)'
+  })];
+}
+
 /**
  * Apply cloud state to application state via actions
  * Restores persisted state from cloud
@@ -39,17 +93,55 @@ export function applyCloudState(cloudState, actions) {
     return;
   }
 
+  // Older saves have no streak protection
+  const streakFreezes = Math.min(MAX_STREAK_FREEZES, Math.max(0, Math.floor(Number(cloudState.streakFreezes) || 0)));
+  
   // Build the state object for importState action
   const importData = {
     userProgress: {
       credits: cloudState.credits ?? 0,
+      creditLedger: loadLedger(cloudState),
       currentStreak: cloudState.currentStreak ?? 0,
       lastSessionDate: cloudState.lastSessionDate ?? null,
-      ownedComponents: cloudState.ownedComponents ?? [],
+      streakFreezes,
+      streakFreezeTimes: normalizeFreezeTimes(cloudState.streakFreezeTimes, streakFreezes),
+      frozenDays: Array.isArray(cloudState.frozenDays)
+        ? cloudState.frozenDays.filter(day => typeof day === 'string')
+        : [],
+      restDays: isValidRestDays(cloudState.restDays) ? cloudState.restDays : [],
+      // Older saves list one id per unit instead of counts
+      ownedComponents: normalizeOwnedComponents(cloudState.ownedComponents),
+      // Older saves have no achievements - they unlock again from current progress
+      achievements: Array.isArray(cloudState.achievements)
+        ? cloudState.achievements.filter(isValidUnlockedAchievement)
+        : [],
+      claimedQuests: Array.isArray(cloudState.claimedQuests)
+        ? cloudState.claimedQuests.filter(id => typeof id === 'string')
+        : [],
+      wishlist: Array.isArray(cloudState.wishlist)
+        ? cloudState.wishlist.filter(isValidWishlistItem)
+        : [],
       sessionHistory: cloudState.sessionHistory ?? [],
-      // Calculate derived fields from session history
-      sessionsCompleted: (cloudState.sessionHistory ?? []).filter(s => s.completed).length,
-      totalSessionTime: (cloudState.sessionHistory ?? []).reduce((sum, s) => sum + (s.duration || 0), 0),
+      // Calculate derived fields from session history (breaks excluded)
+      sessionsCompleted: getFocusSessions(cloudState.sessionHistory).filter(s => s.completed).length,
+      totalSessionTime: getFocusSessions(cloudState.sessionHistory).reduce((sum, s) => sum + (s.duration || 0), 0),
+      archivedFocusSeconds: Math.max(0, Number(cloudState.archivedFocusSeconds) || 0),
+      archivedSessionsCompleted: Math.max(0, Math.floor(Number(cloudState.archivedSessionsCompleted) || 0)),
+      mostConnections: Math.max(0, Math.floor(Number(cloudState.mostConnections) || 0)),
+      builtPatterns: Array.isArray(cloudState.builtPatterns)
+        ? cloudState.builtPatterns.filter(key => typeof key === 'string')
+        : [],
+      lastPlacedAt: normalizeLastPlacedAt(cloudState.lastPlacedAt),
+      // Older saves have no presets/routines - keep the defaults
+      presets: Array.isArray(cloudState.presets)
+        ? cloudState.presets.filter(isValidPreset)
+        : DEFAULT_PRESETS,
+      routines: Array.isArray(cloudState.routines)
+        ? cloudState.routines.filter(isValidRoutine)
+        : [],
+      plannedBlocks: Array.isArray(cloudState.plannedBlocks)
+        ? cloudState.plannedBlocks.filter(isValidPlannedBlock)
+        : [],
     },
     architecture: {
       placedComponents: cloudState.placedComponents ?? [],
@@ -57,7 +149,7 @@ export function applyCloudState(cloudState, actions) {
     },
   };
 
-  actions.importState(importData);
+  actions.importState(importData, 'Loaded from cloud save');
 }
 
 /**
@@ -73,7 +165,7 @@ export function isValidCloudState(cloudState) {
   // Check required fields exist and have correct types
   if (typeof cloudState.credits !== 'number') return false;
   if (typeof cloudState.currentStreak !== 'number') return false;
-  if (!Array.isArray(cloudState.ownedComponents)) return false;
+  if (!isValidOwnedComponents(cloudState.ownedComponents)) return false;
   if (!Array.isArray(cloudState.placedComponents)) return false;
   if (!Array.isArray(cloudState.connections)) return false;
   if (!Array.isArray(cloudState.sessionHistory)) return false;
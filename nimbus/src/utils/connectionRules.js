@@ -85,8 +85,9 @@ export const CONNECTION_RULES = {
     COMPONENT_CATEGORIES.OBSERVABILITY
   ],
   
-  // cache → may connect to observability
+  // cache → may connect to database (read-through, in front of it)
   [COMPONENT_CATEGORIES.CACHE]: [
+    COMPONENT_CATEGORIES.DATABASE,
     COMPONENT_CATEGORIES.OBSERVABILITY
   ],
   
@@ -181,7 +182,7 @@ export function getConnectionHint(fromCategory, toCategory, fromName = null, toN
       `Databases store data, they don't call functions. Connect your ${targetName} TO ${sourceName} to read/write data.`,
     [`${COMPONENT_CATEGORIES.STORAGE}-${COMPONENT_CATEGORIES.COMPUTE}`]: 
       `Storage services don't call compute directly. Connect ${targetName} TO ${sourceName}, or use events via SQS/SNS.`,
-    [`${COMPONENT_CATEGORIES.CACHE}-${COMPONENT_CATEGORIES.DATABASE}`]: 
+    [`${COMPONENT_CATEGORIES.DATABASE}-${COMPONENT_CATEGORIES.CACHE}`]: 
       `Cache sits in front of databases, not behind them. Your compute should connect to cache, which then connects to the database.`,
     [`${COMPONENT_CATEGORIES.COMPUTE}-${COMPONENT_CATEGORIES.EDGE}`]: 
       `Traffic flows from edge TO compute, not the other way. ${sourceName} should receive requests from ${targetName}.`,
@@ -1,10 +1,103 @@
 /**
  * Credit Calculator Utilities
  * 
- * Implements all credit calculation formulas for Nimbus.
+ * Implements all credit calculation formulas for Nimbus by evaluating the
+ * versioned credit ruleset (data/creditRules.js).
  * Base rate: 10 credits per 15 minutes of session duration.
  */
 
+import { STRICT_POLICIES, getCompletionBonusMultiplier } from './strictMode';
+import { getCreditRuleset } from '../data/creditRules';
+
+/**
+ * Named result adjustments rules can opt into with `scale`
+ */
+const RULE_SCALES = {
+  // Strict "reduce bonus" policy: time away shrinks the bonus (Requirements 31.3)
+  strictAway: (context) => getCompletionBonusMultiplier(context.awayTime, context.duration + context.overtime),
+};
+
+/**
+ * Check a rule's `when` conditions against the session inputs.
+ * 
+ * @param {Object} rule - Credit rule
+ * @param {Object} context - Session inputs
+ * @returns {boolean} True if every condition holds
+ */
+function ruleApplies(rule, context) {
+  return Object.entries(rule.when || {}).every(([input, { min, max }]) => {
+    const value = context[input] ?? 0;
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+  });
+}
+
+/**
+ * Evaluate a single rule.
+ * 
+ * @param {Object} rule - Credit rule
+ * @param {Object} context - Session inputs
+ * @param {Object} results - Credits from the rules evaluated before this one, by id
+ * @returns {number} Credits from this rule (0 when its conditions don't hold)
+ * 
+ * **Validates: Requirements 35.1**
+ */
+export function evaluateCreditRule(rule, context, results = {}) {
+  if (!ruleApplies(rule, context)) return 0;
+  
+  let credits = 0;
+  if (rule.type === 'rate') {
+    const input = context[rule.input] || 0;
+    if (input <= 0) return 0;
+    credits = Math.floor(input / rule.secondsPerCredit) * (rule.multiplier ?? 1);
+  } else if (rule.type === 'percent') {
+    const percent = rule.percentPer
+      ? Math.min((context[rule.percentPer] || 0) * rule.percent, rule.maxPercent ?? Infinity)
+      : rule.percent;
+    credits = (results[rule.of] || 0) * percent;
+  }
+  
+  if (rule.scale && RULE_SCALES[rule.scale]) {
+    credits *= RULE_SCALES[rule.scale](context);
+  }
+  return Math.floor(credits);
+}
+
+/**
+ * Evaluate a list of rules in order.
+ * 
+ * @param {Array} rules - Credit rules
+ * @param {Object} context - Session inputs
+ * @returns {Object} { results: { ruleId: credits }, breakdown: [{ id, label, credits }], total }
+ * 
+ * **Validates: Requirements 35.1, 35.2**
+ */
+export function evaluateCreditRules(rules, context) {
+  const results = {};
+  const breakdown = [];
+  
+  rules.forEach((rule) => {
+    const credits = evaluateCreditRule(rule, context, results);
+    results[rule.id] = credits;
+    if (credits > 0) {
+      breakdown.push({ id: rule.id, label: rule.label, credits });
+    }
+  });
+  
+  const total = breakdown.reduce((sum, line) => sum + line.credits, 0);
+  return { results, breakdown, total };
+}
+
+// Look up a rule of the current ruleset by id
+function getCurrentRule(id) {
+  const { completed, abandoned } = getCreditRuleset();
+  return [...completed, ...abandoned].find(rule => rule.id === id);
+}
+
+// Session inputs with defaults for missing fields
+function buildContext(inputs) {
+  return { duration: 0, overtime: 0, pauseCount: 0, streak: 0, awayTime: 0, ...inputs };
+}
+
 /**
  * Calculate base credits for a completed session.
  * Formula: 1 credit per 1.5 minutes (proportional scaling)
@@ -17,27 +110,28 @@
  * **Validates: Requirements 2.1**
  */
 export function calculateBaseCredits(duration) {
-  if (duration <= 0) return 0;
-  // 1 credit per 1.5 minutes (90 seconds) - proportional scaling
-  // This maintains 10 credits per 15 minutes while rewarding shorter sessions
-  return Math.floor(duration / 90);
+  return evaluateCreditRule(getCurrentRule('base'), buildContext({ duration }));
 }
 
 /**
  * Calculate completion bonus for a session with zero pauses.
  * 20% bonus if pauseCount is 0, otherwise 0.
+ * Under the strict "reduce bonus" policy, time away shrinks the bonus.
  * 
  * @param {number} baseCredits - The base credits earned
  * @param {number} pauseCount - Number of times the session was paused
+ * @param {number} awayTime - Penalized seconds away from Nimbus (strict mode)
+ * @param {number} duration - Session duration in seconds
  * @returns {number} Completion bonus credits
  * 
- * **Validates: Requirements 2.2**
+ * **Validates: Requirements 2.2, 31.3**
  */
-export function calculateCompletionBonus(baseCredits, pauseCount) {
-  if (pauseCount === 0) {
-    return Math.floor(baseCredits * 0.2);
-  }
-  return 0;
+export function calculateCompletionBonus(baseCredits, pauseCount, awayTime = 0, duration = 0) {
+  return evaluateCreditRule(
+    getCurrentRule('completion'),
+    buildContext({ pauseCount, awayTime, duration }),
+    { base: baseCredits }
+  );
 }
 
 /**
@@ -46,14 +140,13 @@ export function calculateCompletionBonus(baseCredits, pauseCount) {
  * 
  * @param {number} baseCredits - The base credits earned
  * @param {number} streak - Number of consecutive days with completed sessions
+ *   (from calculateStreak, so rest days and frozen days don't break it)
  * @returns {number} Streak bonus credits
  * 
- * **Validates: Requirements 2.3**
+ * **Validates: Requirements 2.3, 37.5**
  */
 export function calculateStreakBonus(baseCredits, streak) {
-  if (streak <= 0) return 0;
-  const bonusPercentage = Math.min(streak * 0.05, 0.5);
-  return Math.floor(baseCredits * bonusPercentage);
+  return evaluateCreditRule(getCurrentRule('streak'), buildContext({ streak }), { base: baseCredits });
 }
 
 /**
@@ -67,11 +160,7 @@ export function calculateStreakBonus(baseCredits, streak) {
  * **Validates: Requirements 2.4**
  */
 export function calculateLongSessionBonus(baseCredits, duration) {
-  // 60 minutes = 3600 seconds
-  if (duration >= 3600) {
-    return Math.floor(baseCredits * 0.1);
-  }
-  return 0;
+  return evaluateCreditRule(getCurrentRule('longSession'), buildContext({ duration }), { base: baseCredits });
 }
 
 /**
@@ -84,53 +173,132 @@ export function calculateLongSessionBonus(baseCredits, duration) {
  * **Validates: Requirements 1.6, 2.5**
  */
 export function calculatePartialCredits(elapsedTime) {
-  if (elapsedTime <= 0) return 0;
-  const baseCredits = calculateBaseCredits(elapsedTime);
-  return Math.floor(baseCredits * 0.5);
+  return evaluateCreditRule(getCurrentRule('partial'), buildContext({ duration: elapsedTime }));
 }
 
 /**
- * Calculate total credits for a session including all bonuses.
+ * Calculate the flow bonus for overtime minutes worked past the planned duration.
+ * Overtime earns the base rate plus 25%, and is not counted toward the other bonuses.
+ * 
+ * @param {number} overtime - Overtime in seconds
+ * @returns {number} Overtime credits
+ * 
+ * **Validates: Requirements 29.2**
+ */
+export function calculateOvertimeBonus(overtime) {
+  return evaluateCreditRule(getCurrentRule('overtime'), buildContext({ overtime }));
+}
+
+/**
+ * Average earning rate of a daily curve over one session's focus time.
+ * Each second is paid at the rate of the tier it falls into, counting the
+ * time already focused that day.
+ * 
+ * @param {Object|null} curve - Ruleset dailyCurve ({ tiers: [{ upToMinutes, rate }] })
+ * @param {number} focusedBefore - Seconds already focused that day
+ * @param {number} seconds - Focus seconds in this session
+ * @returns {number} Rate between 0 and 1 (1 when there is no curve)
+ * 
+ * **Validates: Requirements 38.1**
+ */
+export function getDailyCurveRate(curve, focusedBefore, seconds) {
+  if (!curve || seconds <= 0) return 1;
+  
+  const start = focusedBefore;
+  const end = focusedBefore + seconds;
+  let tierStart = 0;
+  let weighted = 0;
+  
+  curve.tiers.forEach((tier) => {
+    const tierEnd = tier.upToMinutes !== undefined ? tier.upToMinutes * 60 : Infinity;
+    const overlap = Math.max(0, Math.min(end, tierEnd) - Math.max(start, tierStart));
+    weighted += overlap * tier.rate;
+    tierStart = tierEnd;
+  });
+  
+  return weighted / seconds;
+}
+
+/**
+ * Check whether a day's focus time is deep into the daily taper,
+ * where Kiro suggests stopping for the day.
+ * 
+ * @param {number} focusedSeconds - Seconds focused so far that day
+ * @param {number} rulesVersion - Ruleset version (defaults to the current one)
+ * @returns {boolean}
+ * 
+ * **Validates: Requirements 38.3**
+ */
+export function isDeepIntoDailyTaper(focusedSeconds, rulesVersion) {
+  const curve = getCreditRuleset(rulesVersion).dailyCurve;
+  return !!curve && focusedSeconds >= curve.suggestRestAfterMinutes * 60;
+}
+
+/**
+ * Calculate total credits for a session by evaluating a credit ruleset.
  * 
  * @param {Object} session - Session data
- * @param {number} session.duration - Session duration in seconds
+ * @param {number} session.duration - Planned session duration in seconds
  * @param {boolean} session.completed - Whether session was completed
  * @param {number} session.pauseCount - Number of pauses during session
+ * @param {number} session.overtime - Flow-mode overtime in seconds (optional)
+ * @param {number} session.awayTime - Seconds away from Nimbus in strict mode (optional)
+ * @param {string} session.strictPolicy - Strict mode policy the session ran under (optional)
+ * @param {number} session.focusedToday - Seconds already focused earlier that day (optional)
  * @param {number} streak - Current streak (consecutive days)
- * @returns {Object} Credit breakdown with total
+ * @param {number} rulesVersion - Ruleset version to price with (defaults to the current one)
+ * @returns {Object} Credit breakdown with total, breakdown lines and the ruleset version
  * 
- * **Validates: Requirements 2.1, 2.2, 2.3, 2.4, 2.5**
+ * **Validates: Requirements 2.1, 2.2, 2.3, 2.4, 2.5, 29.2, 31.3, 35.1, 35.2, 35.3, 38.1, 38.2**
  */
-export function calculateTotalCredits(session, streak) {
-  const { duration, completed, pauseCount } = session;
+export function calculateTotalCredits(session, streak, rulesVersion) {
+  const {
+    duration,
+    completed,
+    pauseCount,
+    overtime = 0,
+    awayTime = 0,
+    strictPolicy = null,
+    focusedToday = 0
+  } = session;
+  const ruleset = getCreditRuleset(rulesVersion);
   
-  // Handle abandoned sessions
-  if (!completed) {
-    const partialCredits = calculatePartialCredits(duration);
-    return {
-      base: 0,
-      completion: 0,
-      streak: 0,
-      longSession: 0,
-      partial: partialCredits,
-      total: partialCredits
-    };
-  }
-  
-  // Calculate all bonuses for completed sessions
-  const base = calculateBaseCredits(duration);
-  const completion = calculateCompletionBonus(base, pauseCount);
-  const streakBonus = calculateStreakBonus(base, streak);
-  const longSession = calculateLongSessionBonus(base, duration);
+  const context = buildContext({
+    duration,
+    overtime,
+    pauseCount,
+    streak,
+    // Only the "reduce bonus" policy prices time away
+    awayTime: strictPolicy === STRICT_POLICIES.REDUCE_BONUS ? awayTime : 0
+  });
+  const { results, breakdown, total: earned } = evaluateCreditRules(
+    completed ? ruleset.completed : ruleset.abandoned,
+    context
+  );
   
-  const total = base + completion + streakBonus + longSession;
+  // Marathon days: the daily curve scales the whole session down (Requirements 38.1, 38.2)
+  const curve = ruleset.dailyCurve;
+  const dailyRate = getDailyCurveRate(curve, focusedToday, duration + overtime);
+  const taper = Math.floor(earned * (1 - dailyRate));
+  if (taper > 0) {
+    breakdown.push({
+      id: curve.id,
+      label: `${curve.label} (${Math.round(dailyRate * 100)}% rate)`,
+      credits: -taper
+    });
+  }
+  const total = earned - taper;
   
   return {
-    base,
-    completion,
-    streak: streakBonus,
-    longSession,
-    partial: 0,
-    total
+    base: results.base || 0,
+    completion: results.completion || 0,
+    streak: results.streak || 0,
+    longSession: results.longSession || 0,
+    overtime: results.overtime || 0,
+    partial: results.partial || 0,
+    taper,
+    total,
+    breakdown,
+    rulesVersion: ruleset.version
   };
 }
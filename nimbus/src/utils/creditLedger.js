@@ -0,0 +1,211 @@
+/**
+ * Credit Ledger Utilities
+ *
+ * Every change to the credit balance is recorded as an append-only ledger
+ * entry with a reason and a reference to the session or component behind it.
+ * The balance can always be derived from the ledger and checked against the
+ * stored balance.
+ *
+ * **Validates: Requirements 36.1, 36.2, 36.3, 36.4**
+ */
+
+/**
+ * Ledger entry types
+ */
+export const LEDGER_ENTRY_TYPES = {
+  OPENING: 'opening',
+  EARN: 'earn',
+  SPEND: 'spend',
+  UPGRADE: 'upgrade',
+  REFUND: 'refund',
+  IMPORT: 'import',
+  ADJUST: 'adjust'
+};
+
+/**
+ * Display labels for each entry type
+ */
+export const LEDGER_ENTRY_LABELS = {
+  [LEDGER_ENTRY_TYPES.OPENING]: 'Opening balance',
+  [LEDGER_ENTRY_TYPES.EARN]: 'Earned',
+  [LEDGER_ENTRY_TYPES.SPEND]: 'Purchase',
+  [LEDGER_ENTRY_TYPES.UPGRADE]: 'Upgrade',
+  [LEDGER_ENTRY_TYPES.REFUND]: 'Refund',
+  [LEDGER_ENTRY_TYPES.IMPORT]: 'Import',
+  [LEDGER_ENTRY_TYPES.ADJUST]: 'Adjustment'
+};
+
+// Cloud saves keep this many recent entries; older ones are folded into an opening balance
+export const CLOUD_LEDGER_LIMIT = 500;
+
+/**
+ * Create a ledger entry.
+ *
+ * @param {Object} options - Entry options
+ * @param {string} options.type - One of LEDGER_ENTRY_TYPES
+ * @param {number} options.amount - Signed change in credits (negative for spending)
+ * @param {string} options.reason - Human-readable reason
+ * @param {Object|null} options.ref - { sessionId }, { questId }, { bundleId, componentIds } or { componentId, instanceId? }
+ * @param {string} options.id - Entry id (generated when omitted)
+ * @param {number} options.timestamp - When the change happened (Unix ms)
+ * @returns {Object} Entry { id, timestamp, type, amount, reason, ref }
+ *
+ * **Validates: Requirements 36.1**
+ */
+export function createLedgerEntry({
+  type,
+  amount,
+  reason,
+  ref = null,
+  id = crypto.randomUUID(),
+  timestamp = Date.now()
+}) {
+  return { id, timestamp, type, amount, reason, ref };
+}
+
+/**
+ * Validate a ledger entry.
+ *
+ * @param {Object} entry - Entry to check
+ * @returns {boolean} True if the entry is usable
+ */
+export function isValidLedgerEntry(entry) {
+  return !!entry
+    && typeof entry.id === 'string'
+    && typeof entry.timestamp === 'number'
+    && Object.values(LEDGER_ENTRY_TYPES).includes(entry.type)
+    && Number.isFinite(entry.amount)
+    && typeof entry.reason === 'string'
+    && (entry.ref === null || typeof entry.ref === 'object');
+}
+
+/**
+ * Ledger details for the credits a session earned.
+ * The id is derived from the session so every tab records the same entry.
+ *
+ * @param {Object} session - Completed or abandoned focus session
+ * @returns {Object} { id, type, reason, ref } for createLedgerEntry
+ *
+ * **Validates: Requirements 36.1**
+ */
+export function getSessionLedgerDetails(session) {
+  return {
+    id: `session-${session.id}`,
+    type: LEDGER_ENTRY_TYPES.EARN,
+    reason: session.completed ? 'Focus session completed' : 'Partial credit for a stopped session',
+    ref: { sessionId: session.id }
+  };
+}
+
+/**
+ * Derive the credit balance from a ledger.
+ *
+ * @param {Array} ledger - Ledger entries
+ * @returns {number} Sum of all entry amounts
+ *
+ * **Validates: Requirements 36.2**
+ */
+export function deriveBalance(ledger) {
+  return (ledger || []).reduce((sum, entry) => sum + entry.amount, 0);
+}
+
+/**
+ * Check the stored balance against the balance derived from the ledger.
+ *
+ * @param {Array} ledger - Ledger entries
+ * @param {number} storedBalance - userProgress.credits
+ * @returns {Object} { balance, stored, difference, ok } - difference is stored minus derived
+ *
+ * **Validates: Requirements 36.3**
+ */
+export function reconcileLedger(ledger, storedBalance) {
+  const balance = deriveBalance(ledger);
+  const difference = storedBalance - balance;
+  return { balance, stored: storedBalance, difference, ok: difference === 0 };
+}
+
+/**
+ * Debit a spend from user progress and record it in the ledger.
+ * An unaffordable spend is rejected, never discounted; purchases apply this
+ * together with their grant so a rejected spend grants nothing.
+ *
+ * @param {Object} userProgress - User progress with credits and creditLedger
+ * @param {number} amount - Credits to spend
+ * @param {Object} entry - Ledger entry for the spend
+ * @returns {Object|null} Updated user progress, or null if the balance can't cover it
+ *
+ * **Validates: Requirements 36.1**
+ */
+export function applySpend(userProgress, amount, entry) {
+  if (amount > userProgress.credits) return null;
+  return {
+    ...userProgress,
+    credits: userProgress.credits - amount,
+    creditLedger: [...userProgress.creditLedger, { ...entry, amount: -amount }]
+  };
+}
+
+/**
+ * Build the ledger after importing saved progress.
+ * Saves that carry a ledger bring their own history; older saves without one
+ * keep the current ledger. Either way, an import entry is appended when the
+ * ledger does not reconcile with the saved balance.
+ *
+ * @param {Array} currentLedger - Ledger before the import
+ * @param {Object} importedProgress - Imported userProgress
+ * @param {string} reason - Where the data came from
+ * @returns {Array} Ledger whose derived balance matches the imported credits
+ *
+ * **Validates: Requirements 36.1, 36.2, 36.3**
+ */
+export function importLedger(currentLedger, importedProgress, reason) {
+  const ledger = Array.isArray(importedProgress.creditLedger) ? importedProgress.creditLedger : currentLedger;
+  const importedBalance = typeof importedProgress.credits === 'number'
+    ? importedProgress.credits
+    : deriveBalance(ledger);
+  
+  const { ok, difference } = reconcileLedger(ledger, importedBalance);
+  if (ok) return ledger;
+  
+  return [
+    ...ledger,
+    createLedgerEntry({ type: LEDGER_ENTRY_TYPES.IMPORT, amount: difference, reason })
+  ];
+}
+
+/**
+ * Keep the most recent entries, folding older ones into a single opening
+ * balance so the derived balance is unchanged.
+ *
+ * @param {Array} ledger - Ledger entries
+ * @param {number} limit - Maximum number of entries to keep
+ * @returns {Array} Compacted ledger
+ */
+export function compactLedger(ledger, limit = CLOUD_LEDGER_LIMIT) {
+  if (ledger.length <= limit) return ledger;
+  
+  const folded = ledger.slice(0, ledger.length - limit + 1);
+  const kept = ledger.slice(ledger.length - limit + 1);
+  const opening = createLedgerEntry({
+    id: `opening-${folded[folded.length - 1].id}`,
+    type: LEDGER_ENTRY_TYPES.OPENING,
+    amount: deriveBalance(folded),
+    reason: `Balance brought forward (${folded.length} earlier entries)`,
+    timestamp: folded[folded.length - 1].timestamp
+  });
+  
+  return [opening, ...kept];
+}
+
+/**
+ * Summarize a ledger by entry type.
+ *
+ * @param {Array} ledger - Ledger entries
+ * @returns {Object} Type -> total amount
+ */
+export function summarizeLedger(ledger) {
+  return (ledger || []).reduce((totals, entry) => {
+    totals[entry.type] = (totals[entry.type] || 0) + entry.amount;
+    return totals;
+  }, {});
+}
@@ -0,0 +1,43 @@
+/**
+ * Cycle Settings Utility
+ * Persists Pomodoro cycle mode and its break settings on this device
+ * 
+ * Requirements: 21.3, 21.7
+ */
+
+import { clampCycleSettings } from './timerLogic';
+
+const CYCLE_SETTINGS_KEY = 'nimbus-cycle-settings';
+
+/**
+ * Load saved cycle preferences
+ * @returns {Object|null} { enabled, settings } or null if none/invalid
+ */
+export function loadCycleSettings() {
+  try {
+    const raw = localStorage.getItem(CYCLE_SETTINGS_KEY);
+    if (!raw) return null;
+
+    const saved = JSON.parse(raw);
+    if (!saved || typeof saved !== 'object') return null;
+
+    return {
+      enabled: saved.enabled === true,
+      settings: clampCycleSettings(saved.settings || {}),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save cycle preferences
+ * @param {Object} preferences - { enabled, settings }
+ */
+export function saveCycleSettings({ enabled, settings }) {
+  try {
+    localStorage.setItem(CYCLE_SETTINGS_KEY, JSON.stringify({ enabled, settings }));
+  } catch (error) {
+    console.warn('Cycle settings save failed:', error.message);
+  }
+}
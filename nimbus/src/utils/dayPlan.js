@@ -0,0 +1,219 @@
+/**
+ * Day Plan Utilities
+ *
+ * Implements scheduled focus blocks: each block has a start time, a duration
+ * (usually taken from a preset) and optional task/project labels. Sessions
+ * started from a block carry its id, so the plan can be compared with what
+ * actually happened.
+ *
+ * **Validates: Requirements 32.1, 32.2, 32.3, 32.4**
+ */
+
+import { getDateGroup, getFocusSessions } from './sessionHistory';
+import { buildSessionLabels } from './sessionLabels';
+import { MIN_PRESET_MINUTES, MAX_PRESET_MINUTES } from './presetLogic';
+
+// Blocks older than this are dropped when the plan changes
+export const PLAN_RETENTION_DAYS = 14;
+
+// A block can be started up to this long before its start time
+export const EARLY_START_WINDOW = 10 * 60 * 1000;
+
+const PROMPTED_BLOCKS_KEY = 'nimbus-plan-prompted';
+
+/**
+ * Block status values
+ */
+export const BLOCK_STATUS = {
+  UPCOMING: 'upcoming',
+  DUE: 'due',
+  DONE: 'done',
+  PARTIAL: 'partial',
+  MISSED: 'missed'
+};
+
+/**
+ * Create a planned focus block.
+ *
+ * @param {Object} options - Block options
+ * @param {number} options.startAt - Start time (Unix ms)
+ * @param {number} options.duration - Length in seconds (clamped to the preset range)
+ * @param {string|null} options.presetId - Preset the duration came from
+ * @param {Object} options.labels - { task, project }
+ * @returns {Object} Block { id, startAt, duration, presetId, task, project }
+ *
+ * **Validates: Requirements 32.1**
+ */
+export function createPlannedBlock({ startAt, duration, presetId = null, labels = null }) {
+  const minutes = Math.max(MIN_PRESET_MINUTES, Math.min(MAX_PRESET_MINUTES, Math.round(duration / 60)));
+  return {
+    id: crypto.randomUUID(),
+    startAt,
+    duration: minutes * 60,
+    presetId,
+    ...buildSessionLabels(labels)
+  };
+}
+
+/**
+ * Validate a planned block.
+ *
+ * @param {Object} block - Block to check
+ * @returns {boolean} True if the block is usable
+ */
+export function isValidPlannedBlock(block) {
+  return !!block
+    && typeof block.id === 'string'
+    && typeof block.startAt === 'number'
+    && typeof block.duration === 'number'
+    && block.duration >= MIN_PRESET_MINUTES * 60
+    && block.duration <= MAX_PRESET_MINUTES * 60
+    && (block.presetId === null || typeof block.presetId === 'string')
+    && (block.task === null || typeof block.task === 'string')
+    && (block.project === null || typeof block.project === 'string');
+}
+
+/**
+ * Add a block to the plan, keeping it sorted and dropping expired blocks.
+ *
+ * @param {Array} blocks - Current plan
+ * @param {Object} block - Block to add
+ * @param {number} now - Current time (Unix ms)
+ * @returns {Array} Updated plan
+ *
+ * **Validates: Requirements 32.1**
+ */
+export function addPlannedBlock(blocks, block, now = Date.now()) {
+  const cutoff = now - PLAN_RETENTION_DAYS * 86400000;
+  return [...blocks, block]
+    .filter(b => b.startAt >= cutoff)
+    .sort((a, b) => a.startAt - b.startAt);
+}
+
+/**
+ * Get the sessions that were started from a block.
+ *
+ * @param {Object} block - Planned block
+ * @param {Array} sessions - Session history
+ * @returns {Array} Linked focus sessions
+ */
+export function getBlockSessions(block, sessions) {
+  return getFocusSessions(sessions).filter(s => s.plannedBlockId === block.id);
+}
+
+/**
+ * Get the status of a planned block.
+ *
+ * @param {Object} block - Planned block
+ * @param {Array} sessions - Session history
+ * @param {number} now - Current time (Unix ms)
+ * @returns {string} One of BLOCK_STATUS
+ *
+ * **Validates: Requirements 32.2, 32.4**
+ */
+export function getBlockStatus(block, sessions, now = Date.now()) {
+  const linked = getBlockSessions(block, sessions);
+  if (linked.some(s => s.completed)) return BLOCK_STATUS.DONE;
+  if (linked.length > 0) return BLOCK_STATUS.PARTIAL;
+  if (now < block.startAt) return BLOCK_STATUS.UPCOMING;
+  if (now < block.startAt + block.duration * 1000) return BLOCK_STATUS.DUE;
+  return BLOCK_STATUS.MISSED;
+}
+
+/**
+ * Check whether a block can be started now (from a little before its start time
+ * until it has been completed).
+ *
+ * @param {Object} block - Planned block
+ * @param {Array} sessions - Session history
+ * @param {number} now - Current time (Unix ms)
+ * @returns {boolean}
+ */
+export function canStartBlock(block, sessions, now = Date.now()) {
+  const status = getBlockStatus(block, sessions, now);
+  if (status === BLOCK_STATUS.DONE) return false;
+  return now >= block.startAt - EARLY_START_WINDOW;
+}
+
+/**
+ * Get blocks that are due right now and have not been started.
+ *
+ * @param {Array} blocks - Planned blocks
+ * @param {Array} sessions - Session history
+ * @param {number} now - Current time (Unix ms)
+ * @returns {Array} Due blocks, earliest first
+ *
+ * **Validates: Requirements 32.2**
+ */
+export function getDueBlocks(blocks, sessions, now = Date.now()) {
+  return blocks.filter(block => getBlockStatus(block, sessions, now) === BLOCK_STATUS.DUE);
+}
+
+/**
+ * Claim the due prompt for a block so only one open tab announces it.
+ *
+ * @param {string} blockId - Block that became due
+ * @returns {boolean} True if this tab should show the prompt
+ */
+export function claimBlockPrompt(blockId) {
+  try {
+    const prompted = JSON.parse(localStorage.getItem(PROMPTED_BLOCKS_KEY) || '[]');
+    if (prompted.includes(blockId)) return false;
+    
+    // Only recent ids matter - keep the list short
+    localStorage.setItem(PROMPTED_BLOCKS_KEY, JSON.stringify([...prompted, blockId].slice(-50)));
+    return true;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Get the blocks planned for the day containing a timestamp.
+ *
+ * @param {Array} blocks - Planned blocks
+ * @param {number} dayTimestamp - Any time on the wanted day (Unix ms)
+ * @returns {Array} Blocks on that local day
+ */
+export function getBlocksForDay(blocks, dayTimestamp) {
+  const day = new Date(dayTimestamp);
+  const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+  const dayEnd = dayStart + 86400000;
+  return blocks.filter(block => block.startAt >= dayStart && block.startAt < dayEnd);
+}
+
+/**
+ * Summarize planned versus actual focus per history date group.
+ * Blocks after today are still upcoming and left out.
+ *
+ * @param {Array} blocks - Planned blocks
+ * @param {Array} sessions - Session history
+ * @param {number} now - Current time (Unix ms)
+ * @returns {Object} Group key -> { planned, completed, plannedTime, actualTime }
+ *
+ * **Validates: Requirements 32.4**
+ */
+export function summarizePlanByDate(blocks, sessions, now = Date.now()) {
+  const today = new Date(now);
+  const tomorrowStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+  const summary = {};
+  
+  blocks
+    .filter(block => block.startAt < tomorrowStart)
+    .forEach(block => {
+      const group = getDateGroup(block.startAt, today);
+      const linked = getBlockSessions(block, sessions);
+      
+      if (!summary[group]) {
+        summary[group] = { planned: 0, completed: 0, plannedTime: 0, actualTime: 0 };
+      }
+      summary[group].planned += 1;
+      summary[group].plannedTime += block.duration;
+      summary[group].actualTime += linked.reduce((sum, s) => sum + (s.duration || 0), 0);
+      if (linked.some(s => s.completed)) {
+        summary[group].completed += 1;
+      }
+    });
+  
+  return summary;
+}
@@ -0,0 +1,50 @@
+/**
+ * Focus Presence Utility
+ * Detects whether the user is looking at this tab: the page must be visible
+ * and its window focused. Used by strict mode to measure time away.
+ * 
+ * Requirements: 31.1
+ */
+
+/**
+ * Check whether this tab is visible and focused
+ * @returns {boolean}
+ */
+export function isTabPresent() {
+  if (typeof document === 'undefined') return true;
+  return document.visibilityState === 'visible' && document.hasFocus();
+}
+
+/**
+ * Subscribe to presence changes (tab hidden/shown, window blurred/focused, page unloading)
+ * @param {Function} onChange - Called with the new presence (boolean)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribePresence(onChange) {
+  if (typeof window === 'undefined') return () => {};
+  
+  let present = isTabPresent();
+  const update = () => {
+    const next = isTabPresent();
+    if (next !== present) {
+      present = next;
+      onChange(next);
+    }
+  };
+  const leave = () => {
+    present = false;
+    onChange(false);
+  };
+  
+  document.addEventListener('visibilitychange', update);
+  window.addEventListener('focus', update);
+  window.addEventListener('blur', update);
+  window.addEventListener('pagehide', leave);
+  
+  return () => {
+    document.removeEventListener('visibilitychange', update);
+    window.removeEventListener('focus', update);
+    window.removeEventListener('blur', update);
+    window.removeEventListener('pagehide', leave);
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Interruption Log Utilities
+ * 
+ * Implements the interruption log kept during focus sessions: each entry
+ * records when focus was broken and an optional reason, without pausing
+ * the timer. History helpers summarize what breaks focus most often.
+ * 
+ * **Validates: Requirements 28.1, 28.2, 28.4**
+ */
+
+import { getFocusSessions } from './sessionHistory';
+
+// Keyboard key that logs an interruption during a focus session
+export const INTERRUPTION_KEY = 'i';
+
+// Reasons a user can attach to an interruption
+export const INTERRUPTION_REASONS = [
+  { id: 'internal', label: 'Internal' }, // own thoughts, urge to check something
+  { id: 'external', label: 'External' }, // someone else, a message, a noise
+  { id: 'meeting', label: 'Meeting' }
+];
+
+// Summary bucket for interruptions logged without a reason
+export const UNSPECIFIED_REASON = 'unspecified';
+
+/**
+ * Check whether a reason id is one of the known reasons.
+ * 
+ * @param {string} reason - Reason id
+ * @returns {boolean}
+ */
+export function isValidInterruptionReason(reason) {
+  return INTERRUPTION_REASONS.some(r => r.id === reason);
+}
+
+/**
+ * Get the display label for a reason id.
+ * 
+ * @param {string|null} reason - Reason id
+ * @returns {string} - Label ("Unspecified" when missing)
+ */
+export function getInterruptionReasonLabel(reason) {
+  return INTERRUPTION_REASONS.find(r => r.id === reason)?.label || 'Unspecified';
+}
+
+/**
+ * Create an interruption log entry.
+ * 
+ * @param {string|null} reason - Optional reason id (unknown ids are dropped)
+ * @param {number} now - Timestamp of the interruption
+ * @returns {Object} - { id, timestamp, reason }
+ * 
+ * **Validates: Requirements 28.1**
+ */
+export function createInterruption(reason = null, now = Date.now()) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: now,
+    reason: isValidInterruptionReason(reason) ? reason : null
+  };
+}
+
+/**
+ * Validate an interruption entry (e.g. from an import).
+ * 
+ * @param {Object} interruption - Entry to check
+ * @returns {boolean}
+ */
+export function isValidInterruption(interruption) {
+  return !!interruption
+    && typeof interruption.timestamp === 'number'
+    && (interruption.reason == null || isValidInterruptionReason(interruption.reason));
+}
+
+/**
+ * Summarize interruptions across focus sessions.
+ * 
+ * @param {Array} sessions - Session history
+ * @returns {Object} - {
+ *   total, sessionsInterrupted, averagePerSession,
+ *   byReason: { internal, external, meeting, unspecified },
+ *   topReason
+ * }
+ * 
+ * **Validates: Requirements 28.4**
+ */
+export function summarizeInterruptions(sessions) {
+  const focusSessions = getFocusSessions(sessions || []);
+  const byReason = Object.fromEntries(
+    [...INTERRUPTION_REASONS.map(r => r.id), UNSPECIFIED_REASON].map(id => [id, 0])
+  );
+  
+  let total = 0;
+  let sessionsInterrupted = 0;
+  for (const session of focusSessions) {
+    const interruptions = session.interruptions || [];
+    if (interruptions.length > 0) {
+      sessionsInterrupted++;
+    }
+    for (const interruption of interruptions) {
+      const reason = isValidInterruptionReason(interruption.reason) ? interruption.reason : UNSPECIFIED_REASON;
+      byReason[reason]++;
+      total++;
+    }
+  }
+  
+  const topReason = total === 0
+    ? null
+    : Object.keys(byReason).reduce((top, id) => (byReason[id] > byReason[top] ? id : top));
+  
+  return {
+    total,
+    sessionsInterrupted,
+    averagePerSession: focusSessions.length > 0
+      ? Math.round((total / focusSessions.length) * 10) / 10
+      : 0,
+    byReason,
+    topReason
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Keyboard Shortcut Utilities
+ *
+ * Global single-key shortcuts, the command palette key combo (Ctrl/Cmd+K)
+ * and command search. Single-key shortcuts never fire while the user is
+ * typing in a field (e.g. the goal input) or while a dialog is open.
+ *
+ * **Validates: Requirements 33.1, 33.2, 33.4**
+ */
+
+/**
+ * Single-key shortcuts (matched case-insensitively)
+ */
+export const SHORTCUT_KEYS = {
+  TOGGLE_TIMER: ' ',
+  STOP_TIMER: 'x',
+  CONNECT_MODE: 'c',
+};
+
+/**
+ * Views in navigation order - number keys 1..n switch to them
+ */
+export const VIEW_SHORTCUTS = ['timer', 'plan', 'shop', 'canvas', 'history', 'badges'];
+
+/**
+ * Check whether a key event target is a field the user is typing in.
+ *
+ * @param {EventTarget} target - Key event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ *
+ * **Validates: Requirements 33.4**
+ */
+export function isTypingTarget(target) {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Check whether a dialog (modal) is currently open.
+ *
+ * @returns {boolean}
+ */
+export function isDialogOpen() {
+  return typeof document !== 'undefined' && !!document.querySelector('[role="dialog"]');
+}
+
+/**
+ * Check whether a key event should be handled as a single-key shortcut.
+ *
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean} False while typing, with modifiers held, on key repeat or in a dialog
+ *
+ * **Validates: Requirements 33.4**
+ */
+export function canHandleShortcut(e) {
+  if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return false;
+  if (isTypingTarget(e.target) || isDialogOpen()) return false;
+  // Space on a focused button belongs to the button
+  if (e.key === ' ' && e.target instanceof HTMLElement && ['BUTTON', 'A'].includes(e.target.tagName)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a key event opens the command palette (Ctrl+K or Cmd+K).
+ *
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean}
+ *
+ * **Validates: Requirements 33.2**
+ */
+export function isCommandPaletteShortcut(e) {
+  return (e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k';
+}
+
+/**
+ * Display label for the command palette shortcut on this platform.
+ *
+ * @returns {string} e.g. "⌘K" or "Ctrl+K"
+ */
+export function getCommandPaletteLabel() {
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+  return isMac ? '⌘K' : 'Ctrl+K';
+}
+
+/**
+ * Display label for a shortcut key.
+ *
+ * @param {string} key - Key value from SHORTCUT_KEYS or a digit
+ * @returns {string}
+ */
+export function getShortcutLabel(key) {
+  return key === ' ' ? 'Space' : key.toUpperCase();
+}
+
+/**
+ * Search commands by title, group and keywords.
+ * Every word of the query must match; titles starting with the query rank first.
+ *
+ * @param {Array} commands - { id, title, group, keywords? }[]
+ * @param {string} query - Search text
+ * @returns {Array} Matching commands, best matches first
+ *
+ * **Validates: Requirements 33.2, 33.3**
+ */
+export function searchCommands(commands, query) {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) return commands;
+  
+  const words = normalized.split(/\s+/);
+  const rank = (command) => {
+    const title = command.title.toLowerCase();
+    if (title.startsWith(normalized)) return 0;
+    if (title.includes(normalized)) return 1;
+    return 2;
+  };
+  
+  return commands
+    .filter(command => {
+      const haystack = [command.title, command.group, ...(command.keywords || [])]
+        .join(' ')
+        .toLowerCase();
+      return words.every(word => haystack.includes(word));
+    })
+    .map((command, index) => ({ command, index, rank: rank(command) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ command }) => command);
+}
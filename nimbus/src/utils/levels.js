@@ -0,0 +1,145 @@
+/**
+ * Player Level Utilities
+ *
+ * Derives XP from the session history and the canvas, turns it into a level
+ * and checks the level gates on catalog sections and upgrade tiers. XP itself
+ * is never stored: it is recomputed from the saved progress, which keeps a
+ * record of the best canvas so removing or selling components never lowers it.
+ *
+ * **Validates: Requirements 41.1, 41.2, 41.3, 41.4**
+ */
+
+import { XP_RULES, LEVELS, CATEGORY_UNLOCK_LEVELS, UPGRADE_TIER_LEVELS } from '../data/levels';
+import { ARCHITECTURE_PATTERNS } from '../agents/kiroDialogue';
+import { CATEGORY_DISPLAY_NAMES } from './connectionRules';
+import { getFocusSessions } from './sessionHistory';
+
+/**
+ * Find the architecture patterns whose components are all placed on the canvas.
+ *
+ * @param {Array} placedComponents - Canvas components
+ * @returns {string[]} Pattern keys from ARCHITECTURE_PATTERNS
+ */
+export function getBuiltPatterns(placedComponents) {
+  const placed = new Set(placedComponents.map(p => p.type.toLowerCase()));
+  return Object.keys(ARCHITECTURE_PATTERNS).filter(
+    key => ARCHITECTURE_PATTERNS[key].components.every(id => placed.has(id))
+  );
+}
+
+/**
+ * Record the canvas progress behind XP: the most connections ever on the
+ * canvas and every pattern ever fully placed.
+ *
+ * @param {Object} userProgress - state.userProgress
+ * @param {Object} architecture - state.architecture
+ * @returns {Object} userProgress, updated only if the canvas set a new record
+ *
+ * **Validates: Requirements 41.1, 41.4**
+ */
+export function recordCanvasProgress(userProgress, architecture) {
+  const builtPatterns = userProgress.builtPatterns || [];
+  const newPatterns = getBuiltPatterns(architecture.placedComponents).filter(key => !builtPatterns.includes(key));
+  const mostConnections = userProgress.mostConnections || 0;
+  if (newPatterns.length === 0 && architecture.connections.length <= mostConnections) {
+    return userProgress;
+  }
+  
+  return {
+    ...userProgress,
+    builtPatterns: [...builtPatterns, ...newPatterns],
+    mostConnections: Math.max(mostConnections, architecture.connections.length)
+  };
+}
+
+/**
+ * Calculate XP from saved progress.
+ * Sessions trimmed from cloud saves still count through archivedFocusSeconds,
+ * and canvas XP comes from the best canvas recorded, so it never drops.
+ *
+ * @param {Object} userProgress - state.userProgress
+ * @param {Object} architecture - state.architecture
+ * @returns {Object} { focus, connections, patterns, total }
+ *
+ * **Validates: Requirements 41.1, 41.4**
+ */
+export function calculateXp(userProgress, architecture) {
+  const focusSeconds = getFocusSessions(userProgress.sessionHistory || [])
+    .reduce((sum, s) => sum + (s.duration || 0), 0) + (userProgress.archivedFocusSeconds || 0);
+  
+  const focus = Math.floor(focusSeconds / 60) * XP_RULES.focusMinute;
+  const canvas = recordCanvasProgress(userProgress, architecture);
+  const connections = canvas.mostConnections * XP_RULES.connection;
+  const patterns = canvas.builtPatterns.length * XP_RULES.pattern;
+  
+  return { focus, connections, patterns, total: focus + connections + patterns };
+}
+
+/**
+ * Get the level for an XP total, with progress toward the next one.
+ *
+ * @param {number} xp - Total XP
+ * @returns {Object} { level, title, xp, levelXp, nextLevelXp, progress } -
+ *   nextLevelXp is null and progress 1 at the top level
+ *
+ * **Validates: Requirements 41.2, 41.3**
+ */
+export function getLevelInfo(xp) {
+  const index = LEVELS.findLastIndex(l => xp >= l.xp);
+  const current = LEVELS[Math.max(0, index)];
+  const next = LEVELS[index + 1] || null;
+  
+  return {
+    level: current.level,
+    title: current.title,
+    xp,
+    levelXp: current.xp,
+    nextLevelXp: next ? next.xp : null,
+    progress: next ? (xp - current.xp) / (next.xp - current.xp) : 1
+  };
+}
+
+/**
+ * Get the player's level from app state.
+ *
+ * @param {Object} state - AppContext state
+ * @returns {Object} Level info from getLevelInfo
+ */
+export function getPlayerLevel(state) {
+  return getLevelInfo(calculateXp(state.userProgress, state.architecture).total);
+}
+
+/**
+ * Check the level gate on a component's catalog section.
+ *
+ * @param {Object} component - Catalog component
+ * @param {number} level - Player level
+ * @returns {Object} { met, requiredLevel, message }
+ *
+ * **Validates: Requirements 41.2**
+ */
+export function checkCategoryLevel(component, level) {
+  const requiredLevel = CATEGORY_UNLOCK_LEVELS[component.category] || 1;
+  if (level >= requiredLevel) {
+    return { met: true, requiredLevel, message: null };
+  }
+  const section = CATEGORY_DISPLAY_NAMES[component.category] || component.category;
+  return { met: false, requiredLevel, message: `Reach level ${requiredLevel} to unlock ${section}` };
+}
+
+/**
+ * Check the level gate on an upgrade tier.
+ *
+ * @param {number} tier - Tier being upgraded to
+ * @param {number} level - Player level
+ * @returns {Object} { met, requiredLevel, message }
+ *
+ * **Validates: Requirements 41.2**
+ */
+export function checkUpgradeLevel(tier, level) {
+  const requiredLevel = UPGRADE_TIER_LEVELS[tier] || 1;
+  if (level >= requiredLevel) {
+    return { met: true, requiredLevel, message: null };
+  }
+  return { met: false, requiredLevel, message: `Reach level ${requiredLevel} to upgrade to tier ${tier}` };
+}
@@ -0,0 +1,109 @@
+/**
+ * Desktop Notifications Utility
+ * Opt-in browser notifications for timer milestones
+ * 
+ * Requirements: 25.2, 32.2
+ */
+
+import { TIMER_EVENTS } from './timerEvents';
+
+const NOTIFICATION_TAG = 'nimbus-timer';
+
+/**
+ * Check whether the browser supports notifications
+ * @returns {boolean}
+ */
+export function supportsNotifications() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Get the current notification permission
+ * @returns {string} 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export function getNotificationPermission() {
+  return supportsNotifications() ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Ask the user for notification permission
+ * @returns {Promise<string>} The resulting permission
+ */
+export async function requestNotificationPermission() {
+  if (!supportsNotifications()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  
+  try {
+    return await Notification.requestPermission();
+  } catch {
+    return Notification.permission;
+  }
+}
+
+/**
+ * Build the notification text for a timer event
+ * @param {string} event - One of TIMER_EVENTS
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} { title, body }
+ */
+export function getTimerNotification(event, payload = {}) {
+  switch (event) {
+    case TIMER_EVENTS.SESSION_COMPLETE:
+      return {
+        title: 'Focus session complete!',
+        body: payload.creditsEarned
+          ? `You earned ${payload.creditsEarned} credits. Nice work!`
+          : 'Nice work - time for a breather.',
+      };
+    case TIMER_EVENTS.FINAL_MINUTE:
+      return {
+        title: 'One minute left',
+        body: 'Finish strong - your session is almost done.',
+      };
+    case TIMER_EVENTS.BREAK_OVER:
+      return {
+        title: "Break's over",
+        body: 'Time to get back to focusing.',
+      };
+    case TIMER_EVENTS.OVERTIME_START:
+      return {
+        title: 'Planned time reached',
+        body: "You're in flow - the timer keeps counting. Stop when you're done.",
+      };
+    case TIMER_EVENTS.PLAN_BLOCK_DUE:
+      return {
+        title: 'Planned focus block',
+        body: payload.task
+          ? `Time for "${payload.task}" - open Nimbus to start.`
+          : 'Your next focus block starts now - open Nimbus to start.',
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Show a notification for a timer event (only if permission was granted)
+ * @param {string} event - One of TIMER_EVENTS
+ * @param {Object} payload - Event payload
+ */
+export function showTimerNotification(event, payload) {
+  if (getNotificationPermission() !== 'granted') return;
+  
+  const content = getTimerNotification(event, payload);
+  if (!content) return;
+  
+  try {
+    const notification = new Notification(content.title, {
+      body: content.body,
+      icon: '/kiro-mascot.png',
+      tag: NOTIFICATION_TAG,
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    console.warn('Notification failed:', error.message);
+  }
+}
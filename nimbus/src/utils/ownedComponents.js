@@ -0,0 +1,81 @@
+/**
+ * Owned Component Counts
+ *
+ * Owned components are stored as a map of component id to the number of
+ * units bought, e.g. { ec2: 2, rds: 1 }. Saves from before instance limits
+ * stored a list of ids with one entry per unit; normalizeOwnedComponents
+ * turns either shape into counts, and the other helpers normalize their
+ * input so a legacy list is never read as a map.
+ *
+ * **Validates: Requirements 43.1, 43.3**
+ */
+
+/**
+ * Normalize owned components from state, a cloud save or an export.
+ *
+ * @param {Object|string[]} ownedComponents - Count map, or a legacy list of ids
+ * @returns {Object} Map of component id to a positive integer count
+ */
+export function normalizeOwnedComponents(ownedComponents) {
+  if (Array.isArray(ownedComponents)) {
+    return ownedComponents
+      .filter(id => typeof id === 'string')
+      .reduce((counts, id) => ({ ...counts, [id]: (counts[id] || 0) + 1 }), {});
+  }
+  
+  if (!ownedComponents || typeof ownedComponents !== 'object') {
+    return {};
+  }
+  
+  return Object.fromEntries(
+    Object.entries(ownedComponents)
+      .filter(([, count]) => Number.isInteger(count) && count > 0)
+  );
+}
+
+/**
+ * Check whether owned components are in a shape normalizeOwnedComponents accepts.
+ *
+ * @param {*} ownedComponents - Value to check
+ * @returns {boolean}
+ */
+export function isValidOwnedComponents(ownedComponents) {
+  return Array.isArray(ownedComponents)
+    || (!!ownedComponents && typeof ownedComponents === 'object');
+}
+
+/**
+ * Get how many units of a component are owned.
+ *
+ * @param {string} componentId - Component ID
+ * @param {Object|string[]} ownedComponents - Owned component counts (or a legacy list)
+ * @returns {number}
+ */
+export function getOwnedCount(componentId, ownedComponents) {
+  return normalizeOwnedComponents(ownedComponents)[componentId] || 0;
+}
+
+/**
+ * Get the ids of every component owned at least once.
+ *
+ * @param {Object|string[]} ownedComponents - Owned component counts (or a legacy list)
+ * @returns {string[]}
+ */
+export function getOwnedIds(ownedComponents) {
+  return Object.keys(normalizeOwnedComponents(ownedComponents));
+}
+
+/**
+ * Add (or with a negative change, remove) units of a component.
+ * Components whose count drops to zero are removed from the map.
+ *
+ * @param {Object|string[]} ownedComponents - Owned component counts (or a legacy list)
+ * @param {string} componentId - Component ID
+ * @param {number} change - Units to add
+ * @returns {Object} New owned component counts
+ */
+export function changeOwnedCount(ownedComponents, componentId, change) {
+  const { [componentId]: current = 0, ...rest } = normalizeOwnedComponents(ownedComponents);
+  const count = current + change;
+  return count > 0 ? { ...rest, [componentId]: count } : rest;
+}
@@ -0,0 +1,235 @@
+/**
+ * Preset and Routine Utilities
+ * 
+ * Implements user-defined duration presets (create, rename, reorder, delete)
+ * and saved focus routines that run a fixed sequence of focus and break steps.
+ * 
+ * **Validates: Requirements 26.1, 26.2, 26.3, 26.4**
+ */
+
+import { PRESET_DURATIONS, TIMER_PHASES, MAX_BREAK_MINUTES, MAX_CYCLE_ROUNDS } from './timerLogic';
+
+// Allowed preset/step durations in minutes (matches the timer's circular slider)
+export const MIN_PRESET_MINUTES = 5;
+export const MAX_PRESET_MINUTES = 120;
+
+// Routine breaks and rounds share cycle mode's limits
+export { MAX_BREAK_MINUTES };
+export const MAX_ROUTINE_REPEATS = MAX_CYCLE_ROUNDS;
+
+/**
+ * Default presets, seeded from the built-in durations.
+ */
+export const DEFAULT_PRESETS = PRESET_DURATIONS.map(({ label, seconds }) => ({
+  id: `default-${seconds}`,
+  label,
+  seconds
+}));
+
+/**
+ * Validate a preset object.
+ * 
+ * @param {Object} preset - Preset to check
+ * @returns {boolean} True if the preset is usable
+ */
+export function isValidPreset(preset) {
+  return !!preset
+    && typeof preset.id === 'string'
+    && typeof preset.label === 'string'
+    && typeof preset.seconds === 'number'
+    && preset.seconds >= MIN_PRESET_MINUTES * 60
+    && preset.seconds <= MAX_PRESET_MINUTES * 60;
+}
+
+/**
+ * Create a new preset.
+ * 
+ * @param {string} label - Display name
+ * @param {number} minutes - Duration in minutes (clamped to the allowed range)
+ * @returns {Object} Preset object
+ * 
+ * **Validates: Requirements 26.1**
+ */
+export function createPreset(label, minutes) {
+  const clamped = Math.max(MIN_PRESET_MINUTES, Math.min(MAX_PRESET_MINUTES, Math.round(minutes)));
+  return {
+    id: crypto.randomUUID(),
+    label: label.trim() || `${clamped} min`,
+    seconds: clamped * 60
+  };
+}
+
+/**
+ * Rename a preset.
+ * 
+ * @param {Array} presets - Current presets
+ * @param {string} presetId - Preset to rename
+ * @param {string} label - New display name (ignored if blank)
+ * @returns {Array} Updated presets
+ * 
+ * **Validates: Requirements 26.1**
+ */
+export function renamePreset(presets, presetId, label) {
+  const trimmed = label.trim();
+  if (!trimmed) return presets;
+  return presets.map(p => (p.id === presetId ? { ...p, label: trimmed } : p));
+}
+
+/**
+ * Delete a preset.
+ * 
+ * @param {Array} presets - Current presets
+ * @param {string} presetId - Preset to remove
+ * @returns {Array} Updated presets
+ * 
+ * **Validates: Requirements 26.1**
+ */
+export function deletePreset(presets, presetId) {
+  return presets.filter(p => p.id !== presetId);
+}
+
+/**
+ * Move a preset one position earlier or later.
+ * 
+ * @param {Array} presets - Current presets
+ * @param {string} presetId - Preset to move
+ * @param {number} direction - -1 (earlier) or 1 (later)
+ * @returns {Array} Updated presets (unchanged if the move is out of bounds)
+ * 
+ * **Validates: Requirements 26.1**
+ */
+export function movePreset(presets, presetId, direction) {
+  const index = presets.findIndex(p => p.id === presetId);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= presets.length) {
+    return presets;
+  }
+  
+  const reordered = [...presets];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+/**
+ * Create a routine from a focus/break pattern,
+ * e.g. 50/10 x3 then 30 off: createRoutine('Deep block', 50, 10, 3, 30).
+ * The break after the last round is replaced by the final break (if any).
+ * 
+ * @param {string} name - Display name
+ * @param {number} focusMinutes - Focus length per round
+ * @param {number} breakMinutes - Break between rounds (0 for none)
+ * @param {number} repeats - Number of focus rounds
+ * @param {number} finalBreakMinutes - Long break after the last round (0 for none)
+ * @returns {Object} Routine { id, name, steps: [{ phase, duration }] }
+ * 
+ * **Validates: Requirements 26.2**
+ */
+export function createRoutine(name, focusMinutes, breakMinutes, repeats, finalBreakMinutes = 0) {
+  const focus = Math.max(MIN_PRESET_MINUTES, Math.min(MAX_PRESET_MINUTES, Math.round(focusMinutes)));
+  const rest = Math.max(0, Math.min(MAX_BREAK_MINUTES, Math.round(breakMinutes)));
+  const finalRest = Math.max(0, Math.min(MAX_BREAK_MINUTES, Math.round(finalBreakMinutes)));
+  const rounds = Math.max(1, Math.min(MAX_ROUTINE_REPEATS, Math.round(repeats)));
+  
+  const steps = [];
+  for (let round = 1; round <= rounds; round++) {
+    steps.push({ phase: TIMER_PHASES.FOCUS, duration: focus * 60 });
+    if (round < rounds && rest > 0) {
+      steps.push({ phase: TIMER_PHASES.SHORT_BREAK, duration: rest * 60 });
+    }
+  }
+  if (finalRest > 0) {
+    steps.push({ phase: TIMER_PHASES.LONG_BREAK, duration: finalRest * 60 });
+  }
+  
+  return {
+    id: crypto.randomUUID(),
+    name: name.trim() || describeRoutine({ steps }),
+    steps
+  };
+}
+
+/**
+ * Validate a routine step against the limits the routine editor enforces.
+ * 
+ * @param {Object} step - Step { phase, duration }
+ * @returns {boolean} True if the step is within bounds
+ */
+function isValidRoutineStep(step) {
+  if (!step || !Object.values(TIMER_PHASES).includes(step.phase) || !Number.isFinite(step.duration)) {
+    return false;
+  }
+  if (step.phase === TIMER_PHASES.FOCUS) {
+    return step.duration >= MIN_PRESET_MINUTES * 60 && step.duration <= MAX_PRESET_MINUTES * 60;
+  }
+  return step.duration > 0 && step.duration <= MAX_BREAK_MINUTES * 60;
+}
+
+/**
+ * Validate a routine object.
+ * Routines from imports or the cloud must fit the same bounds as ones
+ * built with createRoutine, so a corrupted save cannot start a days-long session.
+ * 
+ * @param {Object} routine - Routine to check
+ * @returns {boolean} True if the routine can be run
+ */
+export function isValidRoutine(routine) {
+  return !!routine
+    && typeof routine.id === 'string'
+    && typeof routine.name === 'string'
+    && Array.isArray(routine.steps)
+    && routine.steps.length > 0
+    && routine.steps[0].phase === TIMER_PHASES.FOCUS
+    && routine.steps.filter(step => step?.phase === TIMER_PHASES.FOCUS).length <= MAX_ROUTINE_REPEATS
+    && routine.steps.every(isValidRoutineStep);
+}
+
+/**
+ * Describe a routine compactly, e.g. "50/10 x3, then 30 off".
+ * 
+ * @param {Object} routine - Routine with steps
+ * @returns {string} Summary string
+ */
+export function describeRoutine(routine) {
+  const steps = routine.steps || [];
+  const focusSteps = steps.filter(s => s.phase === TIMER_PHASES.FOCUS);
+  if (focusSteps.length === 0) return 'Empty routine';
+  
+  const focusMinutes = Math.round(focusSteps[0].duration / 60);
+  const shortBreak = steps.find(s => s.phase === TIMER_PHASES.SHORT_BREAK);
+  const longBreak = steps.find(s => s.phase === TIMER_PHASES.LONG_BREAK);
+  
+  let summary = shortBreak
+    ? `${focusMinutes}/${Math.round(shortBreak.duration / 60)}`
+    : `${focusMinutes}`;
+  if (focusSteps.length > 1) {
+    summary += ` x${focusSteps.length}`;
+  }
+  if (longBreak) {
+    summary += `, then ${Math.round(longBreak.duration / 60)} off`;
+  }
+  return summary;
+}
+
+/**
+ * Total length of a routine in seconds.
+ * 
+ * @param {Object} routine - Routine with steps
+ * @returns {number} Sum of step durations
+ */
+export function getRoutineDuration(routine) {
+  return (routine.steps || []).reduce((sum, step) => sum + step.duration, 0);
+}
+
+/**
+ * Get the step that follows the current one.
+ * 
+ * @param {Object} routine - Running routine
+ * @param {number} stepIndex - Index of the step that just finished
+ * @returns {Object|null} Next step { phase, duration } or null when the routine is done
+ * 
+ * **Validates: Requirements 26.3**
+ */
+export function getNextRoutineStep(routine, stepIndex) {
+  if (!routine || !Array.isArray(routine.steps)) return null;
+  return routine.steps[stepIndex + 1] || null;
+}
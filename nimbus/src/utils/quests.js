@@ -0,0 +1,219 @@
+/**
+ * Quest Utilities
+ *
+ * Picks the daily and weekly quests for a user and checks them against the
+ * app state. The pick is seeded by the user id and the period, so the same
+ * user sees the same quests on every device and every reload, and each day
+ * (or week) rotates to a new set.
+ *
+ * **Validates: Requirements 40.1, 40.2, 40.3, 40.4**
+ */
+
+import { QUEST_POOL, QUEST_PERIODS, QUESTS_PER_PERIOD } from '../data/quests';
+import { getFocusSessions, getActiveDays, getDayKey } from './sessionHistory';
+import { getTopologyDepth } from './achievements';
+import { LEDGER_ENTRY_TYPES } from './creditLedger';
+
+// Claimed quest ids kept - enough to cover the current day and week
+export const CLAIMED_QUESTS_LIMIT = 50;
+
+/**
+ * Get the start of the period containing a time.
+ * Days start at local midnight; weeks start on Monday.
+ *
+ * @param {string} period - One of QUEST_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Date} Period start
+ */
+export function getPeriodStart(period, now = new Date()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (period === QUEST_PERIODS.WEEKLY) {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+}
+
+/**
+ * Get the end of the period containing a time.
+ *
+ * @param {string} period - One of QUEST_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Date} Start of the next period
+ */
+export function getPeriodEnd(period, now = new Date()) {
+  const end = getPeriodStart(period, now);
+  end.setDate(end.getDate() + (period === QUEST_PERIODS.WEEKLY ? 7 : 1));
+  return end;
+}
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a).
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick the user's quests for the period containing a time.
+ *
+ * @param {string} userId - Anonymous user id
+ * @param {string} period - One of QUEST_PERIODS
+ * @param {Date} now - Current time
+ * @returns {Array} Quests from the pool with { instanceId, start, end } added
+ *
+ * **Validates: Requirements 40.1**
+ */
+export function getQuestsForPeriod(userId, period, now = new Date()) {
+  const start = getPeriodStart(period, now);
+  const end = getPeriodEnd(period, now);
+  const periodKey = getDayKey(start);
+  const random = createRandom(hashString(`${userId}:${period}:${periodKey}`));
+  
+  // Partial Fisher-Yates shuffle of the period's pool
+  const pool = QUEST_POOL.filter(q => q.period === period);
+  const count = Math.min(QUESTS_PER_PERIOD[period], pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  
+  return pool.slice(0, count).map(quest => ({
+    ...quest,
+    instanceId: `${period}-${periodKey}-${quest.id}`,
+    start: start.getTime(),
+    end: end.getTime()
+  }));
+}
+
+/**
+ * Pick today's and this week's quests.
+ *
+ * @param {string} userId - Anonymous user id
+ * @param {Date} now - Current time
+ * @returns {Object} { daily, weekly }
+ */
+export function getActiveQuests(userId, now = new Date()) {
+  return {
+    daily: getQuestsForPeriod(userId, QUEST_PERIODS.DAILY, now),
+    weekly: getQuestsForPeriod(userId, QUEST_PERIODS.WEEKLY, now)
+  };
+}
+
+/**
+ * Check a quest against the app state.
+ * Every quest only counts what happened in the quest's period: canvas quests
+ * follow connections made in it, between new or existing components (older
+ * connections without timestamps never count).
+ *
+ * @param {Object} quest - Quest from getQuestsForPeriod
+ * @param {Object} state - AppContext state
+ * @returns {Object} { current, target, complete } - current is capped at target
+ *
+ * **Validates: Requirements 40.2**
+ */
+export function getQuestProgress(quest, state) {
+  const { condition } = quest;
+  const { sessionHistory, creditLedger } = state.userProgress;
+  const inPeriod = (timestamp) => timestamp >= quest.start && timestamp < quest.end;
+  const sessions = getFocusSessions(sessionHistory || []).filter(s => inPeriod(s.startTime));
+  const { placedComponents } = state.architecture;
+  const connections = state.architecture.connections.filter(conn => inPeriod(conn.createdAt));
+  let current = 0;
+  let target = 1;
+  
+  switch (condition.type) {
+    case 'sessions':
+      current = sessions.filter(s =>
+        s.completed
+        && (s.duration || 0) >= (condition.minMinutes || 0) * 60
+        && (!condition.noPauses || !s.pauseCount)
+      ).length;
+      target = condition.count;
+      break;
+    case 'focusMinutes':
+      current = Math.floor(sessions.reduce((sum, s) => sum + (s.duration || 0), 0) / 60);
+      target = condition.min;
+      break;
+    case 'activeDays':
+      current = getActiveDays(sessions).size;
+      target = condition.min;
+      break;
+    case 'upgrades':
+      current = (creditLedger || [])
+        .filter(e => e.type === LEDGER_ENTRY_TYPES.UPGRADE && inPeriod(e.timestamp))
+        .length;
+      target = condition.min;
+      break;
+    case 'path':
+      current = getTopologyDepth(condition.path, placedComponents, connections);
+      target = condition.path.length;
+      break;
+    default:
+      // Unknown condition types never complete
+      return { current: 0, target: 1, complete: false };
+  }
+  
+  return { current: Math.min(current, target), target, complete: current >= target };
+}
+
+/**
+ * Check whether a quest's reward can be claimed.
+ *
+ * @param {Object} quest - Quest from getQuestsForPeriod
+ * @param {Object} state - AppContext state
+ * @returns {Object} { canClaim, message }
+ *
+ * **Validates: Requirements 40.3**
+ */
+export function canClaimQuest(quest, state) {
+  if (state.userProgress.claimedQuests.includes(quest.instanceId)) {
+    return { canClaim: false, message: 'Reward already claimed' };
+  }
+  if (!getQuestProgress(quest, state).complete) {
+    return { canClaim: false, message: 'Quest not complete yet' };
+  }
+  return { canClaim: true, message: null };
+}
+
+/**
+ * Ledger details for a quest reward.
+ * The id is derived from the quest instance so every device records the same entry.
+ *
+ * @param {Object} quest - Quest from getQuestsForPeriod
+ * @returns {Object} { id, type, reason, ref } for createLedgerEntry
+ *
+ * **Validates: Requirements 40.3**
+ */
+export function getQuestLedgerDetails(quest) {
+  return {
+    id: `quest-${quest.instanceId}`,
+    type: LEDGER_ENTRY_TYPES.EARN,
+    reason: `Quest reward: ${quest.title}`,
+    ref: { questId: quest.instanceId }
+  };
+}
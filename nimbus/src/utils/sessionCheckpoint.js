@@ -0,0 +1,56 @@
+/**
+ * Session Checkpoint Utility
+ * Persists the in-progress timer locally so a reload or crash does not lose it
+ * 
+ * Requirements: 22.1, 22.5
+ */
+
+const CHECKPOINT_KEY = 'nimbus-active-session';
+
+/**
+ * Save a checkpoint of the running session
+ * @param {Object} timerState - Current timer state (must be active)
+ * @param {Object} cycleState - Current Pomodoro cycle state
+ */
+export function saveSessionCheckpoint(timerState, cycleState) {
+  try {
+    localStorage.setItem(CHECKPOINT_KEY, JSON.stringify({
+      timerState,
+      cycleState,
+      savedAt: Date.now(),
+    }));
+  } catch (error) {
+    console.warn('Session checkpoint save failed:', error.message);
+  }
+}
+
+/**
+ * Load the last session checkpoint
+ * @returns {Object|null} { timerState, cycleState, savedAt } or null if missing/invalid
+ */
+export function loadSessionCheckpoint() {
+  try {
+    const raw = localStorage.getItem(CHECKPOINT_KEY);
+    if (!raw) return null;
+    
+    const checkpoint = JSON.parse(raw);
+    const { timerState, savedAt } = checkpoint || {};
+    
+    if (!timerState || timerState.isActive !== true) return null;
+    if (typeof timerState.startTime !== 'number') return null;
+    if (typeof timerState.totalDuration !== 'number') return null;
+    if (typeof timerState.timeRemaining !== 'number') return null;
+    if (typeof savedAt !== 'number') return null;
+    
+    return checkpoint;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the session checkpoint (session finished or abandoned)
+ */
+export function clearSessionCheckpoint() {
+  localStorage.removeItem(CHECKPOINT_KEY);
+}
@@ -7,6 +7,63 @@
  * **Validates: Requirements 6.1, 6.2, 6.3**
  */
 
+/**
+ * Check if a session entry is a break recorded by cycle mode.
+ * Sessions recorded before cycle mode existed have no type and count as focus.
+ * 
+ * @param {Object} session - Session object
+ * @returns {boolean} - True if the entry is a break
+ * 
+ * **Validates: Requirements 21.5**
+ */
+export function isBreakSession(session) {
+  return session?.type === 'break';
+}
+
+/**
+ * Filter session history down to focus sessions (breaks excluded).
+ * 
+ * @param {Array} sessions - Array of session objects
+ * @returns {Array} - Focus sessions only
+ * 
+ * **Validates: Requirements 21.6**
+ */
+export function getFocusSessions(sessions) {
+  if (!sessions) return [];
+  return sessions.filter(s => !isBreakSession(s));
+}
+
+/**
+ * Get the date group (today, yesterday, thisWeek, lastWeek, older) for a timestamp.
+ * Uses local timezone for date calculations; later days count as today.
+ * 
+ * @param {number} timestamp - Unix timestamp in milliseconds
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {string} - Date group key
+ * 
+ * **Validates: Requirements 6.1, 32.4**
+ */
+export function getDateGroup(timestamp, now = new Date()) {
+  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const yesterdayStart = todayStart - 86400000; // 24 hours in ms
+  const thisWeekStart = todayStart - (now.getDay() * 86400000); // Sunday = week start
+  const lastWeekStart = thisWeekStart - (7 * 86400000);
+
+  const date = new Date(timestamp);
+  const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+  if (dayStart >= todayStart) {
+    return 'today';
+  } else if (dayStart >= yesterdayStart) {
+    return 'yesterday';
+  } else if (dayStart >= thisWeekStart) {
+    return 'thisWeek';
+  } else if (dayStart >= lastWeekStart) {
+    return 'lastWeek';
+  }
+  return 'older';
+}
+
 /**
  * Group sessions by date (Today, Yesterday, This Week, Last Week, Older).
  * Uses local timezone for date calculations.
@@ -30,33 +87,12 @@ export function groupSessionsByDate(sessions) {
   }
 
   const now = new Date();
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
-  const yesterdayStart = todayStart - 86400000; // 24 hours in ms
-  const thisWeekStart = todayStart - (now.getDay() * 86400000); // Sunday = week start
-  const lastWeekStart = thisWeekStart - (7 * 86400000);
 
   // Sort sessions by startTime descending (most recent first)
   const sortedSessions = [...sessions].sort((a, b) => b.startTime - a.startTime);
 
   sortedSessions.forEach(session => {
-    const sessionDate = new Date(session.startTime);
-    const sessionDayStart = new Date(
-      sessionDate.getFullYear(),
-      sessionDate.getMonth(),
-      sessionDate.getDate()
-    ).getTime();
-
-    if (sessionDayStart >= todayStart) {
-      groups.today.push(session);
-    } else if (sessionDayStart >= yesterdayStart) {
-      groups.yesterday.push(session);
-    } else if (sessionDayStart >= thisWeekStart) {
-      groups.thisWeek.push(session);
-    } else if (sessionDayStart >= lastWeekStart) {
-      groups.lastWeek.push(session);
-    } else {
-      groups.older.push(session);
-    }
+    groups[getDateGroup(session.startTime, now)].push(session);
   });
 
   return groups;
@@ -66,12 +102,16 @@ export function groupSessionsByDate(sessions) {
  * Calculate summary statistics from session history.
  * 
  * @param {Array} sessions - Array of session objects
+ * @param {Object} streakOptions - { restDays, frozenDays } passed to calculateStreak
  * @returns {Object} - Statistics object
  * 
- * **Validates: Requirements 6.3**
+ * **Validates: Requirements 6.3, 21.6**
  */
-export function calculateStatistics(sessions) {
-  if (!sessions || sessions.length === 0) {
+export function calculateStatistics(sessions, streakOptions = {}) {
+  // Breaks are logged alongside sessions but are not focus time
+  const focusSessions = getFocusSessions(sessions);
+
+  if (focusSessions.length === 0) {
     return {
       totalSessions: 0,
       totalFocusTime: 0,
@@ -82,79 +122,94 @@ export function calculateStatistics(sessions) {
     };
   }
 
-  const totalSessions = sessions.length;
-  const completedSessions = sessions.filter(s => s.completed).length;
-  const totalFocusTime = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
-  const totalCreditsEarned = sessions.reduce((sum, s) => sum + (s.creditsEarned || 0), 0);
+  const totalSessions = focusSessions.length;
+  const completedSessions = focusSessions.filter(s => s.completed).length;
+  const totalFocusTime = focusSessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+  const totalCreditsEarned = focusSessions.reduce((sum, s) => sum + (s.creditsEarned || 0), 0);
 
   return {
     totalSessions,
     totalFocusTime,
     completionRate: totalSessions > 0 ? (completedSessions / totalSessions) * 100 : 0,
     averageSessionLength: totalSessions > 0 ? totalFocusTime / totalSessions : 0,
-    currentStreak: calculateStreak(sessions),
+    currentStreak: calculateStreak(focusSessions, streakOptions),
     totalCreditsEarned
   };
 }
 
+/**
+ * Get the local calendar day of a timestamp as a sortable key.
+ * 
+ * @param {number|Date} timestamp - Unix timestamp in milliseconds or a Date
+ * @returns {string} - Day key (e.g., "2025-03-07")
+ */
+export function getDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Total focus time on the local day of a timestamp (breaks excluded).
+ * 
+ * @param {Array} sessions - Array of session objects
+ * @param {number} timestamp - Any time on the wanted day (Unix ms)
+ * @returns {number} - Seconds focused that day
+ * 
+ * **Validates: Requirements 38.1**
+ */
+export function getFocusTimeOnDay(sessions, timestamp) {
+  const dayKey = getDayKey(timestamp);
+  return getFocusSessions(sessions || [])
+    .filter(session => getDayKey(session.startTime) === dayKey)
+    .reduce((sum, session) => sum + (session.duration || 0), 0);
+}
+
+/**
+ * Get the days with at least one completed focus session.
+ * 
+ * @param {Array} sessions - Array of session objects
+ * @returns {Set<string>} - Day keys
+ */
+export function getActiveDays(sessions) {
+  // Breaks never extend a streak
+  const completedSessions = getFocusSessions(sessions || []).filter(s => s.completed);
+  return new Set(completedSessions.map(session => getDayKey(session.startTime)));
+}
+
 /**
  * Calculate current streak (consecutive days with at least one completed session).
- * Streak must end today or yesterday to be considered active.
+ * Rest days and days covered by a streak freeze don't count but don't break
+ * the streak either. Today never breaks the streak - it isn't over yet.
  * 
  * @param {Array} sessions - Array of session objects
+ * @param {Object} options - Streak protection
+ * @param {number[]} options.restDays - Weekdays that are rest days (0 = Sunday)
+ * @param {string[]} options.frozenDays - Day keys covered by a streak freeze
+ * @param {Date} now - Current time
  * @returns {number} - Current streak count
  * 
- * **Validates: Requirements 6.3**
+ * **Validates: Requirements 6.3, 21.6, 37.2, 37.3**
  */
-export function calculateStreak(sessions) {
-  if (!sessions || sessions.length === 0) {
+export function calculateStreak(sessions, { restDays = [], frozenDays = [] } = {}, now = new Date()) {
+  const activeDays = getActiveDays(sessions);
+  if (activeDays.size === 0) {
     return 0;
   }
 
-  // Filter to completed sessions only
-  const completedSessions = sessions.filter(s => s.completed);
-  if (completedSessions.length === 0) {
-    return 0;
-  }
-
-  // Get unique dates with completed sessions (in local timezone)
-  const sessionDates = new Set();
-  completedSessions.forEach(session => {
-    const date = new Date(session.startTime);
-    const dateStr = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
-    sessionDates.add(dateStr);
-  });
-
-  // Convert to sorted array of date strings
-  const sortedDates = Array.from(sessionDates).sort().reverse();
-
-  // Check if streak is active (last session was today or yesterday)
-  const now = new Date();
-  const todayStr = `${now.getFullYear()}-${now.getMonth()}-${now.getDate()}`;
-  const yesterday = new Date(now.getTime() - 86400000);
-  const yesterdayStr = `${yesterday.getFullYear()}-${yesterday.getMonth()}-${yesterday.getDate()}`;
-
-  if (sortedDates[0] !== todayStr && sortedDates[0] !== yesterdayStr) {
-    return 0; // Streak broken
-  }
-
-  // Count consecutive days
-  let streak = 1;
-  let currentDate = new Date(now);
-  
-  // If most recent session was yesterday, start from yesterday
-  if (sortedDates[0] === yesterdayStr) {
-    currentDate = yesterday;
-  }
+  const frozen = new Set(frozenDays);
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let streak = activeDays.has(getDayKey(day)) ? 1 : 0;
 
   for (let i = 1; i < 365; i++) { // Max 1 year lookback
-    const prevDate = new Date(currentDate.getTime() - (i * 86400000));
-    const prevDateStr = `${prevDate.getFullYear()}-${prevDate.getMonth()}-${prevDate.getDate()}`;
+    day.setDate(day.getDate() - 1);
+    const key = getDayKey(day);
     
-    if (sessionDates.has(prevDateStr)) {
+    if (activeDays.has(key)) {
       streak++;
-    } else {
-      break;
+    } else if (!restDays.includes(day.getDay()) && !frozen.has(key)) {
+      break; // Missed day
     }
   }
 
@@ -0,0 +1,127 @@
+/**
+ * Session Label Utilities
+ * 
+ * Implements task/project labels on focus sessions: normalization,
+ * autocomplete suggestions from past sessions, and history filtering.
+ * 
+ * **Validates: Requirements 27.1, 27.2, 27.4**
+ */
+
+import { isBreakSession } from './sessionHistory';
+
+// Maximum stored length of a task name or project tag
+export const MAX_LABEL_LENGTH = 60;
+
+// Filter value matching sessions without a project tag
+export const UNTAGGED_PROJECT = '__untagged__';
+
+/**
+ * Normalize a label entered by the user.
+ * Trims, collapses inner whitespace and truncates to MAX_LABEL_LENGTH.
+ * 
+ * @param {string} value - Raw input
+ * @returns {string|null} - Normalized label, or null if empty
+ * 
+ * **Validates: Requirements 27.1**
+ */
+export function normalizeLabel(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().replace(/\s+/g, ' ').slice(0, MAX_LABEL_LENGTH);
+  return normalized || null;
+}
+
+/**
+ * Build the label fields stored on a session.
+ * 
+ * @param {Object} labels - { task, project } (raw or normalized)
+ * @returns {Object} - { task, project } with empty values as null
+ */
+export function buildSessionLabels(labels) {
+  return {
+    task: normalizeLabel(labels?.task),
+    project: normalizeLabel(labels?.project)
+  };
+}
+
+/**
+ * Get autocomplete suggestions for a label field from past sessions.
+ * Most recently used values come first; matching is case-insensitive.
+ * 
+ * @param {Array} sessions - Session history
+ * @param {string} field - 'task' or 'project'
+ * @param {string} query - Current input (empty returns all recent values)
+ * @param {number} limit - Maximum suggestions to return
+ * @returns {string[]} - Suggested labels
+ * 
+ * **Validates: Requirements 27.2**
+ */
+export function getLabelSuggestions(sessions, field, query = '', limit = 8) {
+  if (!sessions || sessions.length === 0) return [];
+  
+  const needle = query.trim().toLowerCase();
+  const seen = new Set();
+  const suggestions = [];
+  
+  const sorted = [...sessions].sort((a, b) => b.startTime - a.startTime);
+  for (const session of sorted) {
+    const value = session[field];
+    if (!value) continue;
+    
+    const key = value.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    if (!needle || key.includes(needle)) {
+      suggestions.push(value);
+      if (suggestions.length >= limit) break;
+    }
+  }
+  
+  return suggestions;
+}
+
+/**
+ * Get all distinct project tags used in the history, alphabetically.
+ * 
+ * @param {Array} sessions - Session history
+ * @returns {string[]} - Project tags
+ */
+export function getProjectTags(sessions) {
+  const tags = getLabelSuggestions(sessions, 'project', '', Infinity);
+  return tags.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Filter sessions by project tag and/or task text.
+ * Breaks carry no labels and are hidden while any filter is active.
+ * 
+ * @param {Array} sessions - Session history
+ * @param {Object} filters - { project, task }
+ * @param {string|null} filters.project - Exact tag (case-insensitive), UNTAGGED_PROJECT, or null for all
+ * @param {string} filters.task - Substring to match in the task name
+ * @returns {Array} - Matching sessions
+ * 
+ * **Validates: Requirements 27.4**
+ */
+export function filterSessionsByLabel(sessions, { project = null, task = '' } = {}) {
+  if (!sessions) return [];
+  
+  const taskNeedle = task.trim().toLowerCase();
+  if (!project && !taskNeedle) return sessions;
+  
+  return sessions.filter(session => {
+    if (isBreakSession(session)) return false;
+    
+    if (project === UNTAGGED_PROJECT) {
+      if (session.project) return false;
+    } else if (project && session.project?.toLowerCase() !== project.toLowerCase()) {
+      return false;
+    }
+    
+    if (taskNeedle && !session.task?.toLowerCase().includes(taskNeedle)) {
+      return false;
+    }
+    
+    return true;
+  });
+}
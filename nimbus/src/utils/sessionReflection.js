@@ -0,0 +1,93 @@
+/**
+ * Session Reflection Utilities
+ * 
+ * Implements the optional post-session reflection: a 1-5 focus rating,
+ * what got done, and free-form notes saved on the session entry.
+ * Recent ratings are summarized for the Focus Coach.
+ * 
+ * **Validates: Requirements 30.1, 30.2, 30.4**
+ */
+
+import { getFocusSessions } from './sessionHistory';
+
+// Focus rating scale
+export const MIN_FOCUS_RATING = 1;
+export const MAX_FOCUS_RATING = 5;
+
+// Maximum stored lengths of the free-text answers
+export const MAX_ACCOMPLISHED_LENGTH = 200;
+export const MAX_NOTES_LENGTH = 1000;
+
+// Short descriptions shown next to each rating
+export const FOCUS_RATING_LABELS = {
+  1: 'Scattered',
+  2: 'Distracted',
+  3: 'Okay',
+  4: 'Focused',
+  5: 'Deep focus'
+};
+
+/**
+ * Create a reflection from the user's answers.
+ * 
+ * @param {Object} answers - { rating, accomplished, notes }
+ * @param {number} now - Timestamp of the reflection
+ * @returns {Object|null} - { rating, accomplished, notes, reflectedAt }, or null without a valid rating
+ * 
+ * **Validates: Requirements 30.1**
+ */
+export function createReflection({ rating, accomplished = '', notes = '' }, now = Date.now()) {
+  const score = Math.round(Number(rating));
+  if (!(score >= MIN_FOCUS_RATING && score <= MAX_FOCUS_RATING)) return null;
+  
+  return {
+    rating: score,
+    accomplished: accomplished.trim().slice(0, MAX_ACCOMPLISHED_LENGTH),
+    notes: notes.trim().slice(0, MAX_NOTES_LENGTH),
+    reflectedAt: now
+  };
+}
+
+/**
+ * Validate a reflection object (e.g. from an import).
+ * 
+ * @param {Object} reflection - Reflection to check
+ * @returns {boolean}
+ */
+export function isValidReflection(reflection) {
+  return !!reflection
+    && Number.isInteger(reflection.rating)
+    && reflection.rating >= MIN_FOCUS_RATING
+    && reflection.rating <= MAX_FOCUS_RATING
+    && typeof reflection.accomplished === 'string'
+    && typeof reflection.notes === 'string';
+}
+
+/**
+ * Get the most recent focus ratings, oldest first.
+ * 
+ * @param {Array} sessions - Session history
+ * @param {number} limit - Maximum ratings to return
+ * @returns {number[]} - Ratings
+ * 
+ * **Validates: Requirements 30.4**
+ */
+export function getRecentRatings(sessions, limit = 5) {
+  return getFocusSessions(sessions || [])
+    .filter(s => isValidReflection(s.reflection))
+    .sort((a, b) => a.startTime - b.startTime)
+    .slice(-limit)
+    .map(s => s.reflection.rating);
+}
+
+/**
+ * Average of a list of ratings, rounded to one decimal.
+ * 
+ * @param {number[]} ratings - Ratings
+ * @returns {number|null} - Average, or null when there are none
+ */
+export function getAverageRating(ratings) {
+  if (!ratings || ratings.length === 0) return null;
+  const sum = ratings.reduce((total, rating) => total + rating, 0);
+  return Math.round((sum / ratings.length) * 10) / 10;
+}
@@ -0,0 +1,76 @@
+/**
+ * Session Settings Utility
+ * Persists how focus sessions behave (e.g. flow mode) on this device
+ * 
+ * Requirements: 29.5, 31.5, 34.4
+ */
+
+import {
+  STRICT_POLICIES,
+  DEFAULT_AWAY_THRESHOLD_MINUTES,
+  isValidStrictPolicy,
+  clampAwayThreshold
+} from './strictMode';
+import {
+  AMBIENT_SOUNDS,
+  DEFAULT_AMBIENT_VOLUME,
+  isValidAmbientSound,
+  clampAmbientVolume
+} from './ambientSound';
+
+const SESSION_SETTINGS_KEY = 'nimbus-session-settings';
+
+/**
+ * Default session settings
+ */
+export const DEFAULT_SESSION_SETTINGS = {
+  flowMode: false, // Roll into count-up overtime instead of ending at zero
+  strictMode: false, // Track time away from Nimbus during focus sessions
+  strictPolicy: STRICT_POLICIES.WARN, // What happens when the user leaves
+  awayThresholdMinutes: DEFAULT_AWAY_THRESHOLD_MINUTES, // Away time before auto-abandon
+  ambientSound: AMBIENT_SOUNDS.OFF, // Background soundscape during focus
+  ambientVolume: DEFAULT_AMBIENT_VOLUME, // 0 to 1
+};
+
+/**
+ * Load saved session settings
+ * @returns {Object|null} Saved settings or null if none/invalid
+ */
+export function loadSessionSettings() {
+  try {
+    const raw = localStorage.getItem(SESSION_SETTINGS_KEY);
+    if (!raw) return null;
+    
+    const saved = JSON.parse(raw);
+    if (!saved || typeof saved !== 'object') return null;
+    
+    return {
+      flowMode: saved.flowMode === true,
+      strictMode: saved.strictMode === true,
+      strictPolicy: isValidStrictPolicy(saved.strictPolicy)
+        ? saved.strictPolicy
+        : DEFAULT_SESSION_SETTINGS.strictPolicy,
+      awayThresholdMinutes: clampAwayThreshold(
+        saved.awayThresholdMinutes ?? DEFAULT_SESSION_SETTINGS.awayThresholdMinutes
+      ),
+      ambientSound: isValidAmbientSound(saved.ambientSound)
+        ? saved.ambientSound
+        : DEFAULT_SESSION_SETTINGS.ambientSound,
+      ambientVolume: clampAmbientVolume(saved.ambientVolume ?? DEFAULT_SESSION_SETTINGS.ambientVolume),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save session settings
+ * @param {Object} settings - Session settings to persist
+ */
+export function saveSessionSettings(settings) {
+  try {
+    localStorage.setItem(SESSION_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Session settings save failed:', error.message);
+  }
+}
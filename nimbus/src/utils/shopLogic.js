@@ -2,32 +2,91 @@
  * Shop Logic Utilities
  * 
  * Implements purchase logic for the component shop.
- * Handles credit checking, prerequisite validation, and purchase processing.
+ * Handles credit checking, prerequisite validation, level gates, instance
+ * limits and pricing, purchase processing and selling components back.
  * 
- * **Validates: Requirements 4.2, 4.3, 4.4, 4.5**
+ * **Validates: Requirements 4.2, 4.3, 4.4, 4.5, 41.2, 42.1, 42.2, 42.3, 43.1, 43.2**
  */
 
-import { getComponentById } from '../data/components';
+import { getComponentById, COMPONENTS_CATALOG } from '../data/components';
+import { SELL_BACK_RULES, INSTANCE_PRICING } from '../data/shopRules';
+import { checkCategoryLevel } from './levels';
+import { LEDGER_ENTRY_TYPES } from './creditLedger';
+import { getOwnedCount, changeOwnedCount } from './ownedComponents';
+
+/**
+ * Get how many instances of a component can be owned.
+ * 
+ * @param {Object} component - Catalog component
+ * @returns {number}
+ * 
+ * **Validates: Requirements 43.1**
+ */
+export function getMaxInstances(component) {
+  return component.maxInstances || 1;
+}
+
+/**
+ * Get the price of one instance of a component.
+ * 
+ * @param {Object} component - Catalog component
+ * @param {number} instanceIndex - Instances owned before this one (0 for the first)
+ * @returns {number} - Price in credits
+ * 
+ * **Validates: Requirements 43.2**
+ */
+export function getInstanceCost(component, instanceIndex) {
+  return Math.round(component.cost * (1 + INSTANCE_PRICING.extraInstanceShare * instanceIndex));
+}
+
+/**
+ * Get the price of the next instance of a component.
+ * 
+ * @param {Object} component - Catalog component
+ * @param {Object} ownedComponents - Owned component counts
+ * @returns {number} - Price in credits
+ * 
+ * **Validates: Requirements 43.2**
+ */
+export function getPurchaseCost(component, ownedComponents) {
+  return getInstanceCost(component, getOwnedCount(component.id, ownedComponents));
+}
 
 /**
  * Check if a component can be purchased.
- * Returns true if user has sufficient credits AND all prerequisites are met.
- * Only EC2 can be purchased multiple times (for multiple instances).
+ * Returns true if the user is below the component's instance limit, has
+ * sufficient credits for the next instance, the level for the component's
+ * catalog section AND all prerequisites are met.
  * 
  * @param {Object} component - Component to check
  * @param {number} credits - User's current credits
- * @param {string[]} ownedComponents - Array of owned component IDs
+ * @param {Object} ownedComponents - Owned component counts
+ * @param {number} level - Player level
  * @returns {Object} - { canPurchase: boolean, reason: string }
  * 
- * **Validates: Requirements 4.2, 4.3, 4.4**
+ * **Validates: Requirements 4.2, 4.3, 4.4, 41.2, 43.1, 43.2**
  */
-export function canPurchase(component, credits, ownedComponents) {
-  // Check if already owned (except EC2 which can have multiple instances)
-  if (component.id !== 'ec2' && ownedComponents.includes(component.id)) {
+export function canPurchase(component, credits, ownedComponents, level) {
+  // Check the instance limit
+  const maxInstances = getMaxInstances(component);
+  if (getOwnedCount(component.id, ownedComponents) >= maxInstances) {
+    return {
+      canPurchase: false,
+      reason: 'at_limit',
+      message: maxInstances === 1
+        ? 'You already own this component'
+        : `You already own the maximum of ${maxInstances}`
+    };
+  }
+
+  // Check the catalog section is unlocked at this level
+  const levelResult = checkCategoryLevel(component, level);
+  if (!levelResult.met) {
     return {
       canPurchase: false,
-      reason: 'already_owned',
-      message: 'You already own this component'
+      reason: 'level_locked',
+      message: levelResult.message,
+      requiredLevel: levelResult.requiredLevel
     };
   }
 
@@ -42,13 +101,14 @@ export function canPurchase(component, credits, ownedComponents) {
     };
   }
 
-  // Check credits
-  if (credits < component.cost) {
+  // Check credits for the next instance
+  const cost = getPurchaseCost(component, ownedComponents);
+  if (credits < cost) {
     return {
       canPurchase: false,
       reason: 'insufficient_credits',
-      message: `Need ${component.cost - credits} more credits`,
-      shortage: component.cost - credits
+      message: `Need ${cost - credits} more credits`,
+      shortage: cost - credits
     };
   }
 
@@ -63,7 +123,7 @@ export function canPurchase(component, credits, ownedComponents) {
  * Check if all prerequisites for a component are met.
  * 
  * @param {Object} component - Component to check
- * @param {string[]} ownedComponents - Array of owned component IDs
+ * @param {Object} ownedComponents - Owned component counts
  * @returns {Object} - { met: boolean, missing: string[], message: string }
  * 
  * **Validates: Requirements 4.4**
@@ -80,7 +140,7 @@ export function checkPrerequisites(component, ownedComponents) {
 
   // Find missing prerequisites
   const missing = component.prerequisites.filter(
-    prereqId => !ownedComponents.includes(prereqId)
+    prereqId => getOwnedCount(prereqId, ownedComponents) === 0
   );
 
   if (missing.length === 0) {
@@ -107,18 +167,19 @@ export function checkPrerequisites(component, ownedComponents) {
 
 /**
  * Process a component purchase.
- * Deducts credits and adds component to owned list.
+ * Deducts the next instance's price and adds one to the owned count.
  * 
  * @param {Object} component - Component being purchased
  * @param {number} credits - User's current credits
- * @param {string[]} ownedComponents - Array of owned component IDs
- * @returns {Object} - { success: boolean, newCredits: number, newOwnedComponents: string[], error?: string }
+ * @param {Object} ownedComponents - Owned component counts
+ * @param {number} level - Player level
+ * @returns {Object} - { success: boolean, newCredits: number, newOwnedComponents: Object, creditsSpent?: number, error?: string }
  * 
- * **Validates: Requirements 4.5**
+ * **Validates: Requirements 4.5, 43.2**
  */
-export function processPurchase(component, credits, ownedComponents) {
+export function processPurchase(component, credits, ownedComponents, level) {
   // Validate purchase is allowed
-  const purchaseCheck = canPurchase(component, credits, ownedComponents);
+  const purchaseCheck = canPurchase(component, credits, ownedComponents, level);
   
   if (!purchaseCheck.canPurchase) {
     return {
@@ -130,40 +191,46 @@ export function processPurchase(component, credits, ownedComponents) {
   }
 
   // Process the purchase
-  const newCredits = credits - component.cost;
-  const newOwnedComponents = [...ownedComponents, component.id];
+  const cost = getPurchaseCost(component, ownedComponents);
+  const newCredits = credits - cost;
+  const newOwnedComponents = changeOwnedCount(ownedComponents, component.id, 1);
 
   return {
     success: true,
     newCredits,
     newOwnedComponents,
-    creditsSpent: component.cost,
+    creditsSpent: cost,
     componentPurchased: component.id
   };
 }
 
 /**
  * Get the purchase state for a component (for UI display).
- * Only EC2 can be purchased multiple times.
+ * Components stay purchasable until the instance limit is reached.
  * 
  * @param {Object} component - Component to check
  * @param {number} credits - User's current credits
- * @param {string[]} ownedComponents - Array of owned component IDs
- * @returns {string} - 'owned' | 'available' | 'insufficient' | 'locked'
+ * @param {Object} ownedComponents - Owned component counts
+ * @param {number} level - Player level
+ * @returns {string} - 'owned' (at the limit) | 'available' | 'insufficient' | 'locked'
  */
-export function getPurchaseState(component, credits, ownedComponents) {
-  // Check if already owned (except EC2 which can have multiple instances)
-  if (component.id !== 'ec2' && ownedComponents.includes(component.id)) {
+export function getPurchaseState(component, credits, ownedComponents, level) {
+  if (getOwnedCount(component.id, ownedComponents) >= getMaxInstances(component)) {
     return 'owned';
   }
 
+  // Check the catalog section is unlocked at this level
+  if (!checkCategoryLevel(component, level).met) {
+    return 'locked';
+  }
+
   // Check prerequisites (must own at least one of each prerequisite)
   const prereqResult = checkPrerequisites(component, ownedComponents);
   if (!prereqResult.met) {
     return 'locked';
   }
 
-  if (credits < component.cost) {
+  if (credits < getPurchaseCost(component, ownedComponents)) {
     return 'insufficient';
   }
 
@@ -175,9 +242,160 @@ export function getPurchaseState(component, credits, ownedComponents) {
  * Used for displaying "owned" badge while still allowing re-purchase.
  * 
  * @param {string} componentId - Component ID to check
- * @param {string[]} ownedComponents - Array of owned component IDs
+ * @param {Object} ownedComponents - Owned component counts
  * @returns {boolean}
  */
 export function isComponentOwned(componentId, ownedComponents) {
-  return ownedComponents.includes(componentId);
+  return getOwnedCount(componentId, ownedComponents) > 0;
+}
+
+/**
+ * Check if one owned unit of a component can be sold back.
+ * Selling the last unit is blocked while another owned component lists it
+ * as a prerequisite.
+ * 
+ * @param {string} componentId - Component ID to sell
+ * @param {Object} ownedComponents - Owned component counts
+ * @returns {Object} - { canSell: boolean, reason: string, message: string, dependents?: string[] }
+ * 
+ * **Validates: Requirements 42.2**
+ */
+export function canSell(componentId, ownedComponents) {
+  const ownedCount = getOwnedCount(componentId, ownedComponents);
+  if (ownedCount === 0) {
+    return {
+      canSell: false,
+      reason: 'not_owned',
+      message: "You don't own this component"
+    };
+  }
+
+  // Other units still satisfy the prerequisite
+  if (ownedCount > 1) {
+    return { canSell: true, reason: 'available', message: 'Ready to sell' };
+  }
+
+  const dependents = COMPONENTS_CATALOG.filter(
+    c => c.id !== componentId
+      && isComponentOwned(c.id, ownedComponents)
+      && c.prerequisites?.includes(componentId)
+  );
+
+  if (dependents.length > 0) {
+    return {
+      canSell: false,
+      reason: 'required_by_owned',
+      message: `Required by: ${dependents.map(c => c.name).join(', ')}`,
+      dependents: dependents.map(c => c.id)
+    };
+  }
+
+  return { canSell: true, reason: 'available', message: 'Ready to sell' };
+}
+
+/**
+ * Normalize the last placement times from a cloud save or an export.
+ * 
+ * @param {*} lastPlacedAt - Stored component id -> time map
+ * @returns {Object} Map of component id to a finite time (Unix ms)
+ */
+export function normalizeLastPlacedAt(lastPlacedAt) {
+  if (!lastPlacedAt || typeof lastPlacedAt !== 'object' || Array.isArray(lastPlacedAt)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(lastPlacedAt).filter(([, time]) => Number.isFinite(time))
+  );
+}
+
+/**
+ * Find the ledger entry for the most recent purchase of a component,
+ * bought on its own ({ componentId }) or in a bundle ({ bundleId, componentIds }).
+ * 
+ * @param {string} componentId - Component ID
+ * @param {Array} creditLedger - Credit ledger
+ * @returns {Object|undefined} - SPEND entry
+ */
+function findLastPurchase(componentId, creditLedger) {
+  return (creditLedger || []).findLast(
+    e => e.type === LEDGER_ENTRY_TYPES.SPEND
+      && (e.ref?.componentId === componentId || e.ref?.componentIds?.includes(componentId))
+  );
+}
+
+/**
+ * Work out what selling one unit of a component refunds and removes.
+ * The unit sold is the most expensive one (the last bought). Placed instances
+ * beyond the units still owned are removed (most recently placed first) and
+ * their upgrade spend is refunded along with the unit's price.
+ * 
+ * The full refund only undoes a purchase: the unit must have been bought on
+ * its own at its current price within the window, and nothing of its type
+ * placed on the canvas since - so canvas records, achievements and quests
+ * it helped earn are never free.
+ * 
+ * @param {Object} component - Component being sold
+ * @param {Object} progress - Current progress
+ * @param {Object} progress.ownedComponents - Owned component counts
+ * @param {Array} progress.placedComponents - Canvas components
+ * @param {Array} progress.creditLedger - Credit ledger (for the purchase)
+ * @param {Object} progress.lastPlacedAt - Component id -> last time one was placed (Unix ms)
+ * @param {number} now - Current time (Unix ms)
+ * @returns {Object} - { refund, upgradeSpend, fullRefund, removedInstanceIds }
+ * 
+ * **Validates: Requirements 42.1, 42.3**
+ */
+export function calculateSellBack(component, { ownedComponents, placedComponents, creditLedger, lastPlacedAt = {} }, now = Date.now()) {
+  const remainingOwned = getOwnedCount(component.id, ownedComponents) - 1;
+  const unitCost = getInstanceCost(component, remainingOwned);
+  const removed = placedComponents
+    .filter(p => p.type.toLowerCase() === component.id)
+    .slice(Math.max(0, remainingOwned));
+
+  const upgradeSpend = removed.reduce((sum, instance) => sum + component.upgradeTree
+    .filter(t => t.tier > 1 && t.tier <= (instance.tier || 1))
+    .reduce((tierSum, t) => tierSum + t.cost, 0), 0);
+
+  // A quick undo of a purchase whose unit never reached the canvas gets everything back
+  const lastPurchase = findLastPurchase(component.id, creditLedger);
+  const fullRefund = removed.length === 0
+    && lastPurchase?.ref.componentId === component.id
+    && -lastPurchase.amount === unitCost
+    && now - lastPurchase.timestamp <= SELL_BACK_RULES.fullRefundWindowMs
+    && !(lastPlacedAt[component.id] >= lastPurchase.timestamp);
+
+  return {
+    refund: fullRefund
+      ? unitCost
+      : Math.floor((unitCost + upgradeSpend) * SELL_BACK_RULES.refundShare),
+    upgradeSpend,
+    fullRefund,
+    removedInstanceIds: removed.map(p => p.id)
+  };
+}
+
+/**
+ * Process selling one unit of a component back.
+ * 
+ * @param {Object} component - Component being sold
+ * @param {Object} progress - { ownedComponents, placedComponents, creditLedger, lastPlacedAt }
+ * @param {number} now - Current time (Unix ms)
+ * @returns {Object} - { success: boolean, refund?: number, fullRefund?: boolean, removedInstanceIds?: string[], error?: string }
+ * 
+ * **Validates: Requirements 42.1, 42.2, 42.3**
+ */
+export function processSale(component, progress, now = Date.now()) {
+  const saleCheck = canSell(component.id, progress.ownedComponents);
+
+  if (!saleCheck.canSell) {
+    return {
+      success: false,
+      error: saleCheck.message
+    };
+  }
+
+  return {
+    success: true,
+    ...calculateSellBack(component, progress, now)
+  };
 }
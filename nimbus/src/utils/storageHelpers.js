@@ -7,6 +7,17 @@
  * **Validates: Requirements 10.2, 10.3, 10.4, 10.5, 10.6**
  */
 
+import { DEFAULT_PRESETS, isValidPreset, isValidRoutine } from './presetLogic';
+import { isValidInterruption } from './interruptionLog';
+import { isValidReflection } from './sessionReflection';
+import { isValidPlannedBlock } from './dayPlan';
+import { isValidLedgerEntry } from './creditLedger';
+import { MAX_STREAK_FREEZES, isValidRestDays, normalizeFreezeTimes } from './streakProtection';
+import { isValidUnlockedAchievement } from './achievements';
+import { normalizeLastPlacedAt } from './shopLogic';
+import { normalizeOwnedComponents, isValidOwnedComponents } from './ownedComponents';
+import { isValidWishlistItem } from './wishlist';
+
 // Current application version for export/import compatibility
 export const CURRENT_VERSION = '1.0.0';
 
@@ -26,12 +37,28 @@ export function exportData(userProgress, architecture) {
     exportDate: new Date().toISOString(),
     userProgress: {
       credits: userProgress.credits,
+      creditLedger: userProgress.creditLedger,
       totalSessionTime: userProgress.totalSessionTime,
+      archivedFocusSeconds: userProgress.archivedFocusSeconds,
+      archivedSessionsCompleted: userProgress.archivedSessionsCompleted,
+      mostConnections: userProgress.mostConnections,
+      builtPatterns: userProgress.builtPatterns,
+      lastPlacedAt: userProgress.lastPlacedAt,
       sessionsCompleted: userProgress.sessionsCompleted,
       currentStreak: userProgress.currentStreak,
       lastSessionDate: userProgress.lastSessionDate,
+      streakFreezes: userProgress.streakFreezes,
+      streakFreezeTimes: userProgress.streakFreezeTimes,
+      frozenDays: userProgress.frozenDays,
+      restDays: userProgress.restDays,
       ownedComponents: userProgress.ownedComponents,
-      sessionHistory: userProgress.sessionHistory
+      achievements: userProgress.achievements,
+      claimedQuests: userProgress.claimedQuests,
+      wishlist: userProgress.wishlist,
+      sessionHistory: userProgress.sessionHistory,
+      presets: userProgress.presets,
+      routines: userProgress.routines,
+      plannedBlocks: userProgress.plannedBlocks
     },
     architecture: {
       placedComponents: architecture.placedComponents,
@@ -106,10 +133,20 @@ export function validateImportData(jsonString) {
     };
   }
 
-  if (!Array.isArray(data.userProgress.ownedComponents)) {
+  // Credit ledger is optional, but a partial ledger would misstate the balance (Requirements 36.1)
+  if (data.userProgress.creditLedger !== undefined
+    && !(Array.isArray(data.userProgress.creditLedger) && data.userProgress.creditLedger.every(isValidLedgerEntry))) {
     return {
       valid: false,
-      error: 'Invalid data type: ownedComponents must be an array'
+      error: 'Invalid data type: creditLedger must be a list of ledger entries'
+    };
+  }
+
+  // Older backups list one id per unit instead of counts
+  if (!isValidOwnedComponents(data.userProgress.ownedComponents)) {
+    return {
+      valid: false,
+      error: 'Invalid data type: ownedComponents must be a map of counts or an array'
     };
   }
 
@@ -129,6 +166,43 @@ export function validateImportData(jsonString) {
         error: `Invalid session entry at index ${i}: missing required fields`
       };
     }
+    // Task/project labels are optional strings (Requirements 27.3)
+    if ([session.task, session.project].some(label => label != null && typeof label !== 'string')) {
+      return {
+        valid: false,
+        error: `Invalid session entry at index ${i}: labels must be text`
+      };
+    }
+    // Interruption log is optional (Requirements 28.2)
+    if (session.interruptions !== undefined
+      && !(Array.isArray(session.interruptions) && session.interruptions.every(isValidInterruption))) {
+      return {
+        valid: false,
+        error: `Invalid session entry at index ${i}: malformed interruption log`
+      };
+    }
+    // Day plan link is optional (Requirements 32.3)
+    if (session.plannedBlockId != null && typeof session.plannedBlockId !== 'string') {
+      return {
+        valid: false,
+        error: `Invalid session entry at index ${i}: malformed plan link`
+      };
+    }
+    // Credit ruleset version and breakdown are optional (Requirements 35.3)
+    if ((session.rulesVersion !== undefined && typeof session.rulesVersion !== 'number')
+      || (session.creditBreakdown !== undefined && !Array.isArray(session.creditBreakdown))) {
+      return {
+        valid: false,
+        error: `Invalid session entry at index ${i}: malformed credit breakdown`
+      };
+    }
+    // Post-session reflection is optional (Requirements 30.2)
+    if (session.reflection !== undefined && !isValidReflection(session.reflection)) {
+      return {
+        valid: false,
+        error: `Invalid session entry at index ${i}: malformed reflection`
+      };
+    }
   }
 
   // Check architecture if present
@@ -173,6 +247,7 @@ export function importData(jsonString) {
   }
 
   const data = validation.data;
+  const streakFreezes = Math.min(MAX_STREAK_FREEZES, Math.max(0, Math.floor(Number(data.userProgress.streakFreezes) || 0)));
 
   // Normalize and return the data
   return {
@@ -180,12 +255,45 @@ export function importData(jsonString) {
     data: {
       userProgress: {
         credits: data.userProgress.credits || 0,
+        // Older backups have no ledger - the import is recorded as a ledger entry instead
+        creditLedger: data.userProgress.creditLedger || null,
         totalSessionTime: data.userProgress.totalSessionTime || 0,
+        archivedFocusSeconds: Math.max(0, Number(data.userProgress.archivedFocusSeconds) || 0),
+        archivedSessionsCompleted: Math.max(0, Math.floor(Number(data.userProgress.archivedSessionsCompleted) || 0)),
+        mostConnections: Math.max(0, Math.floor(Number(data.userProgress.mostConnections) || 0)),
+        builtPatterns: Array.isArray(data.userProgress.builtPatterns)
+          ? data.userProgress.builtPatterns.filter(key => typeof key === 'string')
+          : [],
+        lastPlacedAt: normalizeLastPlacedAt(data.userProgress.lastPlacedAt),
         sessionsCompleted: data.userProgress.sessionsCompleted || 0,
         currentStreak: data.userProgress.currentStreak || 0,
         lastSessionDate: data.userProgress.lastSessionDate || null,
-        ownedComponents: data.userProgress.ownedComponents || [],
-        sessionHistory: data.userProgress.sessionHistory || []
+        streakFreezes,
+        streakFreezeTimes: normalizeFreezeTimes(data.userProgress.streakFreezeTimes, streakFreezes),
+        frozenDays: Array.isArray(data.userProgress.frozenDays)
+          ? data.userProgress.frozenDays.filter(day => typeof day === 'string')
+          : [],
+        restDays: isValidRestDays(data.userProgress.restDays) ? data.userProgress.restDays : [],
+        ownedComponents: normalizeOwnedComponents(data.userProgress.ownedComponents),
+        achievements: Array.isArray(data.userProgress.achievements)
+          ? data.userProgress.achievements.filter(isValidUnlockedAchievement)
+          : [],
+        claimedQuests: Array.isArray(data.userProgress.claimedQuests)
+          ? data.userProgress.claimedQuests.filter(id => typeof id === 'string')
+          : [],
+        wishlist: Array.isArray(data.userProgress.wishlist)
+          ? data.userProgress.wishlist.filter(isValidWishlistItem)
+          : [],
+        sessionHistory: data.userProgress.sessionHistory || [],
+        presets: Array.isArray(data.userProgress.presets)
+          ? data.userProgress.presets.filter(isValidPreset)
+          : DEFAULT_PRESETS,
+        routines: Array.isArray(data.userProgress.routines)
+          ? data.userProgress.routines.filter(isValidRoutine)
+          : [],
+        plannedBlocks: Array.isArray(data.userProgress.plannedBlocks)
+          ? data.userProgress.plannedBlocks.filter(isValidPlannedBlock)
+          : []
       },
       architecture: {
         placedComponents: data.architecture?.placedComponents || [],
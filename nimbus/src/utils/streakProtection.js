@@ -0,0 +1,212 @@
+/**
+ * Streak Protection Utilities
+ *
+ * Keeps a streak alive through planned time off: rest days (e.g. weekends)
+ * never break it, and streak freezes - earned every 7 streak days or bought
+ * with credits - are used up automatically to cover missed days.
+ *
+ * **Validates: Requirements 37.1, 37.2, 37.3, 37.4, 37.5**
+ */
+
+import { getDayKey, getActiveDays } from './sessionHistory';
+
+// Most freezes a user can hold at once
+export const MAX_STREAK_FREEZES = 3;
+
+// Credits to buy one freeze
+export const STREAK_FREEZE_COST = 100;
+
+// A freeze is earned each time the streak reaches a multiple of this
+export const FREEZE_EARN_INTERVAL = 7;
+
+// Frozen days older than the streak lookback no longer matter
+const FROZEN_DAYS_LIMIT = 100;
+
+/**
+ * Short weekday labels, indexed like Date.getDay() (0 = Sunday)
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Validate a rest day list.
+ * At least one day of the week must stay a focus day.
+ *
+ * @param {Array} restDays - Weekday numbers (0 = Sunday)
+ * @returns {boolean}
+ */
+export function isValidRestDays(restDays) {
+  return Array.isArray(restDays)
+    && restDays.length < 7
+    && new Set(restDays).size === restDays.length
+    && restDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+/**
+ * Toggle a weekday in the rest day list.
+ *
+ * @param {Array} restDays - Current rest days
+ * @param {number} weekday - Weekday to toggle (0 = Sunday)
+ * @returns {Array} Sorted rest days (unchanged if every day would become a rest day)
+ *
+ * **Validates: Requirements 37.3**
+ */
+export function toggleRestDay(restDays, weekday) {
+  const next = restDays.includes(weekday)
+    ? restDays.filter(day => day !== weekday)
+    : [...restDays, weekday].sort((a, b) => a - b);
+  return isValidRestDays(next) ? next : restDays;
+}
+
+/**
+ * Find the days missed since the last day with a completed session.
+ * Today, rest days and already frozen days are not missed.
+ *
+ * @param {Array} sessions - Session history
+ * @param {Object} options - { restDays, frozenDays }
+ * @param {Date} now - Current time
+ * @returns {string[]} Missed day keys, most recent first (empty when there is no streak to protect)
+ */
+export function findMissedDays(sessions, { restDays = [], frozenDays = [] } = {}, now = new Date()) {
+  const activeDays = getActiveDays(sessions);
+  if (activeDays.size === 0) return [];
+  
+  const frozen = new Set(frozenDays);
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const missed = [];
+  
+  for (let i = 1; i < 365; i++) {
+    day.setDate(day.getDate() - 1);
+    const key = getDayKey(day);
+    if (activeDays.has(key)) return missed;
+    if (!restDays.includes(day.getDay()) && !frozen.has(key)) {
+      missed.push(key);
+    }
+  }
+  return [];
+}
+
+/**
+ * Decide which missed days to cover with freezes.
+ * Freezes are only used when they can save the whole streak, and a freeze
+ * only covers a day that ended after it was acquired - a streak that was
+ * already broken can't be revived with freezes bought later.
+ *
+ * @param {Array} sessions - Session history
+ * @param {Object} options - { restDays, frozenDays, freezeTimes }
+ * @param {Date} now - Current time
+ * @returns {string[]} Day keys to freeze (empty when nothing is missed or too much is)
+ *
+ * **Validates: Requirements 37.2**
+ */
+export function planFreezeUse(sessions, { restDays = [], frozenDays = [], freezeTimes = [] } = {}, now = new Date()) {
+  const missed = findMissedDays(sessions, { restDays, frozenDays }, now);
+  if (missed.length === 0 || missed.length > freezeTimes.length) return [];
+  
+  // The oldest freezes cover the oldest days; a freeze that fits an earlier
+  // day fits every later one too, so this finds a match whenever one exists
+  const times = [...freezeTimes].sort((a, b) => a - b);
+  const covered = [...missed].reverse().every((key, i) => {
+    const dayEnd = new Date(`${key}T00:00`);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    return times[i] < dayEnd.getTime();
+  });
+  return covered ? missed : [];
+}
+
+/**
+ * Normalize the acquisition times of the freezes held (e.g. from a cloud save
+ * or a backup file). Older saves only have a count: their freezes count as
+ * acquired now, so they can't cover days that were already missed.
+ *
+ * @param {*} times - Stored acquisition times (Unix ms)
+ * @param {number} count - Freezes held
+ * @param {number} now - Current time (Unix ms)
+ * @returns {number[]} One time per freeze held, oldest first
+ *
+ * **Validates: Requirements 37.2**
+ */
+export function normalizeFreezeTimes(times, count, now = Date.now()) {
+  const sorted = Array.isArray(times)
+    ? times.filter(t => typeof t === 'number' && Number.isFinite(t)).sort((a, b) => a - b)
+    : [];
+  // Keep the newest `count` times (slice(-0) would keep them all)
+  const valid = sorted.slice(Math.max(0, sorted.length - count));
+  return [...valid, ...Array(count - valid.length).fill(now)];
+}
+
+/**
+ * Add newly frozen days, keeping the list short.
+ *
+ * @param {string[]} frozenDays - Days already frozen
+ * @param {string[]} days - Days to freeze
+ * @returns {string[]} Sorted frozen days
+ */
+export function addFrozenDays(frozenDays, days) {
+  return [...new Set([...frozenDays, ...days])].sort().slice(-FROZEN_DAYS_LIMIT);
+}
+
+/**
+ * Check whether a streak change earns a freeze.
+ *
+ * @param {number} previousStreak - Streak before the change
+ * @param {number} streak - Streak after the change
+ * @param {number} freezes - Freezes currently held
+ * @returns {boolean} True when the streak just grew to a multiple of FREEZE_EARN_INTERVAL
+ *
+ * **Validates: Requirements 37.1**
+ */
+export function shouldEarnStreakFreeze(previousStreak, streak, freezes) {
+  return streak > previousStreak
+    && streak % FREEZE_EARN_INTERVAL === 0
+    && freezes < MAX_STREAK_FREEZES;
+}
+
+/**
+ * Check whether a freeze can be bought.
+ *
+ * @param {number} credits - Current credit balance
+ * @param {number} freezes - Freezes currently held
+ * @returns {Object} { canBuy, message }
+ *
+ * **Validates: Requirements 37.1**
+ */
+export function canBuyStreakFreeze(credits, freezes) {
+  if (freezes >= MAX_STREAK_FREEZES) {
+    return { canBuy: false, message: `You can hold up to ${MAX_STREAK_FREEZES} freezes` };
+  }
+  if (credits < STREAK_FREEZE_COST) {
+    return { canBuy: false, message: `Need ${STREAK_FREEZE_COST - credits} more credits` };
+  }
+  return { canBuy: true, message: null };
+}
+
+/**
+ * Count the rest days and frozen days since the last day with a completed session.
+ *
+ * @param {Array} sessions - Session history
+ * @param {Object} options - { restDays, frozenDays }
+ * @param {Date} now - Current time
+ * @returns {Object} { restDays, frozenDays } - counts of protected days away
+ *
+ * **Validates: Requirements 37.4**
+ */
+export function countProtectedDaysAway(sessions, { restDays = [], frozenDays = [] } = {}, now = new Date()) {
+  const activeDays = getActiveDays(sessions);
+  const counts = { restDays: 0, frozenDays: 0 };
+  if (activeDays.size === 0) return counts;
+  
+  const frozen = new Set(frozenDays);
+  const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  
+  for (let i = 1; i < 365; i++) {
+    day.setDate(day.getDate() - 1);
+    const key = getDayKey(day);
+    if (activeDays.has(key)) break;
+    if (restDays.includes(day.getDay())) {
+      counts.restDays++;
+    } else if (frozen.has(key)) {
+      counts.frozenDays++;
+    }
+  }
+  return counts;
+}
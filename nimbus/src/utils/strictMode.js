@@ -0,0 +1,135 @@
+/**
+ * Strict Mode Utilities
+ * 
+ * Implements opt-in strict focus mode: time spent away from Nimbus (tab hidden
+ * or window unfocused) during a focus session is tracked, recorded on the
+ * session, and handled by the configured policy.
+ * 
+ * **Validates: Requirements 31.1, 31.2, 31.3, 31.4, 31.5**
+ */
+
+/**
+ * What happens when the user leaves during a strict session
+ */
+export const STRICT_POLICIES = {
+  WARN: 'warn', // Kiro warns on return
+  REDUCE_BONUS: 'reduce', // Completion bonus shrinks with time away
+  AUTO_ABANDON: 'abandon', // Session is abandoned once away time passes the threshold
+};
+
+export const STRICT_POLICY_LABELS = {
+  [STRICT_POLICIES.WARN]: 'Warn me',
+  [STRICT_POLICIES.REDUCE_BONUS]: 'Reduce bonus',
+  [STRICT_POLICIES.AUTO_ABANDON]: 'Abandon session',
+};
+
+// Auto-abandon threshold bounds (minutes of total away time)
+export const MIN_AWAY_THRESHOLD_MINUTES = 1;
+export const MAX_AWAY_THRESHOLD_MINUTES = 30;
+export const DEFAULT_AWAY_THRESHOLD_MINUTES = 5;
+
+// Share of the session spent away at which the completion bonus is lost entirely
+export const BONUS_FORFEIT_AWAY_SHARE = 0.1;
+
+// Away stints shorter than this don't trigger a warning (still recorded)
+export const AWAY_WARNING_MIN_SECONDS = 5;
+
+/**
+ * Check whether a policy id is known.
+ * 
+ * @param {string} policy - Policy id
+ * @returns {boolean}
+ */
+export function isValidStrictPolicy(policy) {
+  return Object.values(STRICT_POLICIES).includes(policy);
+}
+
+/**
+ * Clamp an auto-abandon threshold to the allowed range.
+ * 
+ * @param {number} minutes - Requested threshold
+ * @returns {number} - Threshold in whole minutes
+ */
+export function clampAwayThreshold(minutes) {
+  const value = Math.round(Number(minutes));
+  if (Number.isNaN(value)) return DEFAULT_AWAY_THRESHOLD_MINUTES;
+  return Math.max(MIN_AWAY_THRESHOLD_MINUTES, Math.min(MAX_AWAY_THRESHOLD_MINUTES, value));
+}
+
+/**
+ * Build the strict settings captured when a focus session starts.
+ * 
+ * @param {Object} sessionSettings - { strictMode, strictPolicy, awayThresholdMinutes }
+ * @returns {Object|null} - { policy, awayThreshold (seconds) } or null when strict mode is off
+ * 
+ * **Validates: Requirements 31.1, 31.5**
+ */
+export function getStrictSessionRules(sessionSettings) {
+  if (!sessionSettings?.strictMode) return null;
+  return {
+    policy: isValidStrictPolicy(sessionSettings.strictPolicy)
+      ? sessionSettings.strictPolicy
+      : STRICT_POLICIES.WARN,
+    awayThreshold: clampAwayThreshold(sessionSettings.awayThresholdMinutes) * 60,
+  };
+}
+
+/**
+ * Total time away during the session, including a stint still in progress.
+ * 
+ * @param {Object} state - Timer state with awayTime and awaySince
+ * @param {number} now - Current timestamp
+ * @returns {number} - Seconds away
+ * 
+ * **Validates: Requirements 31.1**
+ */
+export function getAwaySeconds(state, now = Date.now()) {
+  const ongoing = state.awaySince ? (now - state.awaySince) / 1000 : 0;
+  return Math.floor((state.awayTime || 0) + Math.max(0, ongoing));
+}
+
+/**
+ * Check whether a strict session should be abandoned for time away.
+ * 
+ * @param {Object} state - Timer state
+ * @param {number} now - Current timestamp
+ * @returns {boolean}
+ * 
+ * **Validates: Requirements 31.4**
+ */
+export function shouldAutoAbandon(state, now = Date.now()) {
+  const rules = state.strict;
+  if (!rules || rules.policy !== STRICT_POLICIES.AUTO_ABANDON) return false;
+  return getAwaySeconds(state, now) >= rules.awayThreshold;
+}
+
+/**
+ * Share of the completion bonus kept after time away.
+ * Falls linearly to 0 once BONUS_FORFEIT_AWAY_SHARE of the session was spent away.
+ * 
+ * @param {number} awayTime - Seconds away
+ * @param {number} duration - Session length in seconds
+ * @returns {number} - Multiplier between 0 and 1
+ * 
+ * **Validates: Requirements 31.3**
+ */
+export function getCompletionBonusMultiplier(awayTime, duration) {
+  if (!awayTime || awayTime <= 0 || !duration) return 1;
+  const awayShare = awayTime / duration;
+  return Math.max(0, 1 - awayShare / BONUS_FORFEIT_AWAY_SHARE);
+}
+
+/**
+ * Close the away stint in progress (on return or pause).
+ * 
+ * @param {Object} state - Timer state
+ * @param {number} now - Current timestamp
+ * @returns {Object} - { awayTime, awaySince: null }
+ */
+export function endAwayStint(state, now = Date.now()) {
+  const stint = state.awaySince ? Math.max(0, (now - state.awaySince) / 1000) : 0;
+  return {
+    awayTime: (state.awayTime || 0) + stint,
+    awaySince: null
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Cross-Tab Timer Coordination Utility
+ * Ensures only one tab owns the running session; other tabs mirror it
+ * 
+ * Ownership is a Web Lock held for the lifetime of the session, so it is
+ * released automatically if the owning tab closes or crashes. Live state and
+ * control commands travel over a BroadcastChannel.
+ * 
+ * Requirements: 23.1, 23.2, 23.3, 23.4, 31.1
+ */
+
+const CHANNEL_NAME = 'nimbus-timer';
+const OWNER_LOCK_NAME = 'nimbus-timer-owner';
+
+/**
+ * Unique id for this tab (new on every page load)
+ */
+export const TAB_ID = crypto.randomUUID();
+
+/**
+ * Message types exchanged between tabs
+ */
+export const TAB_MESSAGES = {
+  STATE: 'state', // Owner -> all: current timer and cycle state
+  SYNC_REQUEST: 'sync_request', // New tab -> owner: please send STATE
+  COMMAND: 'command', // Mirror -> owner: pause/resume/stop/skip
+  SESSION_RECORDED: 'session_recorded', // Owner -> all: session and credits granted once
+  PRESENCE: 'presence', // Any tab -> all: whether the user is looking at this tab (strict mode)
+};
+
+/**
+ * Open the timer channel
+ * Falls back to a no-op channel when BroadcastChannel is unavailable
+ * @param {Function} onMessage - Called with (type, payload) for messages from other tabs
+ * @returns {Object} { post(type, payload), close() }
+ */
+export function openTabChannel(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') {
+    return { post: () => {}, close: () => {} };
+  }
+  
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    const { type, payload, senderId } = event.data || {};
+    if (!type || senderId === TAB_ID) return;
+    onMessage(type, payload);
+  };
+  
+  return {
+    post: (type, payload) => channel.postMessage({ type, payload, senderId: TAB_ID }),
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Check whether the Web Locks API is available
+ * @returns {boolean}
+ */
+export function supportsTabOwnership() {
+  return typeof navigator !== 'undefined' && !!navigator.locks;
+}
+
+/**
+ * Request ownership of the running session
+ * Without Web Locks every tab is treated as its own owner (legacy behaviour)
+ * @param {Object} options
+ * @param {boolean} options.wait - Queue until the current owner releases (default: only if free)
+ * @param {AbortSignal} options.signal - Cancels a queued request
+ * @returns {Promise<Function|null>} Release function, or null if not acquired
+ */
+export function requestTabOwnership({ wait = false, signal } = {}) {
+  if (!supportsTabOwnership()) {
+    return Promise.resolve(wait ? null : () => {});
+  }
+  
+  return new Promise((resolve) => {
+    const options = wait ? { signal } : { ifAvailable: true };
+    
+    navigator.locks.request(OWNER_LOCK_NAME, options, (lock) => {
+      if (!lock) {
+        resolve(null);
+        return undefined;
+      }
+      // Hold the lock until the returned release function is called
+      return new Promise((release) => resolve(release));
+    }).catch(() => resolve(null)); // Aborted
+  });
+}
+
+/**
+ * Check whether another tab currently owns a session
+ * @returns {Promise<boolean>}
+ */
+export async function isTabOwnershipHeld() {
+  if (!supportsTabOwnership() || !navigator.locks.query) {
+    return false;
+  }
+  
+  try {
+    const snapshot = await navigator.locks.query();
+    return snapshot.held.some((lock) => lock.name === OWNER_LOCK_NAME);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Timer Clock Utility
+ * Drives the countdown from a Web Worker, falling back to main-thread timers
+ * where workers are unavailable
+ * 
+ * Requirements: 24.1, 24.2, 24.3, 29.1
+ */
+
+/**
+ * Create a clock that ticks once per second and fires at an absolute end time
+ * @param {Object} handlers
+ * @param {Function} handlers.onTick - Called with the seconds remaining
+ * @param {Function} handlers.onComplete - Called once when the end time is reached
+ * @returns {Object} { start(endTime, overtimeLimit), stop(), terminate() }
+ *   overtimeLimit (seconds) keeps counting past zero and moves the alarm back by that much
+ */
+export function createTimerClock({ onTick, onComplete }) {
+  if (typeof Worker !== 'undefined') {
+    try {
+      const worker = new Worker(new URL('../workers/timerWorker.js', import.meta.url), { type: 'module' });
+      
+      worker.onmessage = (event) => {
+        const { type, timeRemaining } = event.data || {};
+        if (type === 'tick') onTick(timeRemaining);
+        if (type === 'complete') onComplete();
+      };
+      
+      return {
+        start: (endTime, overtimeLimit = 0) => worker.postMessage({ type: 'start', endTime, overtimeLimit }),
+        stop: () => worker.postMessage({ type: 'stop' }),
+        terminate: () => worker.terminate(),
+      };
+    } catch (error) {
+      console.warn('Timer worker unavailable, using main thread:', error.message);
+    }
+  }
+  
+  // Main-thread fallback (subject to background-tab throttling)
+  let tickInterval = null;
+  let completionTimeout = null;
+  
+  const stop = () => {
+    clearInterval(tickInterval);
+    clearTimeout(completionTimeout);
+    tickInterval = null;
+    completionTimeout = null;
+  };
+  
+  const start = (endTime, overtimeLimit = 0) => {
+    stop();
+    const floor = overtimeLimit > 0 ? -overtimeLimit : 0;
+    tickInterval = setInterval(() => {
+      onTick(Math.max(floor, Math.ceil((endTime - Date.now()) / 1000)));
+    }, 1000);
+    completionTimeout = setTimeout(() => {
+      stop();
+      onTick(floor);
+      onComplete();
+    }, Math.max(0, endTime + overtimeLimit * 1000 - Date.now()));
+  };
+  
+  return { start, stop, terminate: stop };
+}
@@ -0,0 +1,56 @@
+/**
+ * Timer Event Emitter
+ * Central publish/subscribe hub for timer milestones. The timer publishes
+ * events; notifications, audio cues and other side effects subscribe to them.
+ * 
+ * Requirements: 25.1
+ */
+
+/**
+ * Timer milestone events
+ */
+export const TIMER_EVENTS = {
+  SESSION_COMPLETE: 'session_complete',
+  FINAL_MINUTE: 'final_minute',
+  BREAK_OVER: 'break_over',
+  OVERTIME_START: 'overtime_start',
+  PLAN_BLOCK_DUE: 'plan_block_due',
+};
+
+const listeners = new Map();
+
+/**
+ * Subscribe to a timer event
+ * @param {string} event - One of TIMER_EVENTS
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeTimerEvent(event, handler) {
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+  listeners.get(event).add(handler);
+  
+  return () => {
+    listeners.get(event)?.delete(handler);
+  };
+}
+
+/**
+ * Publish a timer event to all subscribers
+ * A failing subscriber never interrupts the timer or other subscribers
+ * @param {string} event - One of TIMER_EVENTS
+ * @param {Object} payload - Event data
+ */
+export function publishTimerEvent(event, payload = {}) {
+  const handlers = listeners.get(event);
+  if (!handlers) return;
+  
+  handlers.forEach((handler) => {
+    try {
+      handler(payload);
+    } catch (error) {
+      console.warn(`Timer event handler for ${event} failed:`, error.message);
+    }
+  });
+}
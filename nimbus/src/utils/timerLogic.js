@@ -16,16 +16,123 @@ export const PRESET_DURATIONS = [
   { label: "Ultra Deep", minutes: 90, seconds: 5400 }
 ];
 
+/**
+ * Timer phases for Pomodoro cycle mode
+ */
+export const TIMER_PHASES = {
+  FOCUS: 'focus',
+  SHORT_BREAK: 'short_break',
+  LONG_BREAK: 'long_break'
+};
+
+/**
+ * Default break lengths and round count for cycle mode
+ */
+export const DEFAULT_CYCLE_SETTINGS = {
+  shortBreakDuration: 5 * 60, // seconds
+  longBreakDuration: 15 * 60, // seconds
+  roundsBeforeLongBreak: 4
+};
+
+// Longest break (minutes) and most focus rounds before a long break
+export const MAX_BREAK_MINUTES = 60;
+export const MAX_CYCLE_ROUNDS = 10;
+
+/**
+ * Clamp cycle settings to the allowed ranges: breaks of 1 to
+ * MAX_BREAK_MINUTES whole minutes and 1 to MAX_CYCLE_ROUNDS rounds.
+ * Missing or non-numeric values fall back to the defaults.
+ * 
+ * @param {Object} settings - Cycle settings (possibly partial or from storage)
+ * @returns {Object} Valid cycle settings
+ * 
+ * **Validates: Requirements 21.3**
+ */
+export function clampCycleSettings(settings = {}) {
+  const clamp = (value, fallback, max) => {
+    const number = Number.isFinite(value) ? Math.round(value) : fallback;
+    return Math.max(1, Math.min(max, number));
+  };
+
+  return {
+    shortBreakDuration: clamp(
+      settings.shortBreakDuration / 60, DEFAULT_CYCLE_SETTINGS.shortBreakDuration / 60, MAX_BREAK_MINUTES
+    ) * 60,
+    longBreakDuration: clamp(
+      settings.longBreakDuration / 60, DEFAULT_CYCLE_SETTINGS.longBreakDuration / 60, MAX_BREAK_MINUTES
+    ) * 60,
+    roundsBeforeLongBreak: clamp(
+      settings.roundsBeforeLongBreak, DEFAULT_CYCLE_SETTINGS.roundsBeforeLongBreak, MAX_CYCLE_ROUNDS
+    )
+  };
+}
+
+/**
+ * Check if a phase is a break (short or long).
+ * 
+ * @param {string} phase - Timer phase
+ * @returns {boolean} True if the phase is a break
+ */
+export function isBreakPhase(phase) {
+  return phase === TIMER_PHASES.SHORT_BREAK || phase === TIMER_PHASES.LONG_BREAK;
+}
+
+/**
+ * Determine the phase that follows the one that just finished.
+ * After a focus round comes a short break, or a long break once
+ * roundsBeforeLongBreak focus rounds have been completed.
+ * After any break comes another focus round.
+ * 
+ * @param {string} finishedPhase - Phase that just ended
+ * @param {number} completedRounds - Focus rounds completed so far (including the one just finished)
+ * @param {Object} settings - Cycle settings
+ * @param {number} focusDuration - Focus length in seconds
+ * @returns {Object} { phase, duration }
+ * 
+ * **Validates: Requirements 21.1, 21.2**
+ */
+export function getNextCyclePhase(finishedPhase, completedRounds, settings, focusDuration) {
+  if (isBreakPhase(finishedPhase)) {
+    return { phase: TIMER_PHASES.FOCUS, duration: focusDuration };
+  }
+  
+  const rounds = Math.max(1, settings.roundsBeforeLongBreak);
+  if (completedRounds > 0 && completedRounds % rounds === 0) {
+    return { phase: TIMER_PHASES.LONG_BREAK, duration: settings.longBreakDuration };
+  }
+  
+  return { phase: TIMER_PHASES.SHORT_BREAK, duration: settings.shortBreakDuration };
+}
+
+/**
+ * Get the display label for a timer phase.
+ * 
+ * @param {string} phase - Timer phase
+ * @returns {string} Human-readable label
+ */
+export function getPhaseLabel(phase) {
+  switch (phase) {
+    case TIMER_PHASES.SHORT_BREAK:
+      return 'Short break';
+    case TIMER_PHASES.LONG_BREAK:
+      return 'Long break';
+    case TIMER_PHASES.FOCUS:
+    default:
+      return 'Focus time';
+  }
+}
+
 /**
  * Start a new timer with the given duration.
  * Returns initial timer state with startTime timestamp.
  * 
  * @param {number} duration - Duration in seconds
+ * @param {string} phase - Timer phase (defaults to focus)
  * @returns {Object} Initial timer state
  * 
- * **Validates: Requirements 1.1**
+ * **Validates: Requirements 1.1, 21.4**
  */
-export function startTimer(duration) {
+export function startTimer(duration, phase = TIMER_PHASES.FOCUS) {
   return {
     isActive: true,
     isPaused: false,
@@ -34,7 +141,8 @@ export function startTimer(duration) {
     startTime: Date.now(),
     pauseCount: 0,
     pausedAt: null,
-    totalPausedTime: 0
+    totalPausedTime: 0,
+    phase
   };
 }
 
@@ -162,13 +270,126 @@ export function correctDrift(state) {
   if (drift > 2) {
     return {
       ...state,
-      timeRemaining: Math.max(0, Math.floor(expectedRemaining))
+      timeRemaining: Math.max(-getOvertimeLimit(state), Math.floor(expectedRemaining))
     };
   }
   
   return state;
 }
 
+/**
+ * Longest overtime a flow-mode session can run before it is finalized
+ * automatically, in seconds.
+ */
+export const MAX_OVERTIME = 60 * 60; // 60 minutes
+
+/**
+ * How far past zero the timer may count, in seconds.
+ * Only a focus session that has rolled into overtime counts past zero.
+ * 
+ * @param {Object} state - Current timer state
+ * @returns {number} Overtime limit in seconds (0 when not in overtime)
+ * 
+ * **Validates: Requirements 29.1, 29.4**
+ */
+export function getOvertimeLimit(state) {
+  return state.overtime ? MAX_OVERTIME : 0;
+}
+
+/**
+ * Seconds counted past the planned duration.
+ * During overtime timeRemaining goes negative, so overtime is its magnitude.
+ * 
+ * @param {Object} state - Current timer state
+ * @returns {number} Overtime in seconds
+ * 
+ * **Validates: Requirements 29.1, 29.3**
+ */
+export function getOvertime(state) {
+  if (!state.overtime) return 0;
+  return Math.min(MAX_OVERTIME, Math.max(0, -state.timeRemaining));
+}
+
+/**
+ * Get the wall-clock timestamp at which a running timer ends.
+ * Paused time pushes the end back; a paused or idle timer has no end yet.
+ * 
+ * @param {Object} state - Current timer state
+ * @returns {number|null} End timestamp in ms, or null if not running
+ * 
+ * **Validates: Requirements 24.1**
+ */
+export function getEndTimestamp(state) {
+  if (!state.isActive || state.isPaused || !state.startTime) {
+    return null;
+  }
+  return state.startTime + (state.totalPausedTime || 0) + state.totalDuration * 1000;
+}
+
+/**
+ * How long the tab may stay closed past a session's end and still have it
+ * count as completed. Beyond this the session is abandoned at the last checkpoint.
+ */
+export const MAX_RECOVERY_GAP = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Recover a timer restored from a local checkpoint after a reload or crash.
+ * Uses correctDrift to fast-forward timeRemaining over the time the tab was closed.
+ * A flow-mode focus session that passed zero resumes in overtime instead of completing.
+ * 
+ * @param {Object} checkpointState - Timer state as last checkpointed
+ * @param {number} savedAt - Timestamp of the checkpoint
+ * @param {number} now - Current timestamp (defaults to Date.now())
+ * @returns {Object} { outcome: 'resume' | 'complete' | 'abandon', state }
+ * 
+ * **Validates: Requirements 22.2, 22.3, 22.4, 29.4**
+ */
+export function recoverTimer(checkpointState, savedAt, now = Date.now()) {
+  const recovered = correctDrift(checkpointState);
+  
+  if (recovered.isPaused || recovered.timeRemaining > 0) {
+    return { outcome: 'resume', state: recovered };
+  }
+  
+  const focusedAtCheckpoint = (savedAt - checkpointState.startTime - (checkpointState.totalPausedTime || 0)) / 1000;
+  const inFlow = checkpointState.flowMode && !isBreakPhase(checkpointState.phase);
+  
+  // Session ended while the tab was closed
+  if (now - savedAt <= MAX_RECOVERY_GAP) {
+    if (!inFlow) {
+      return { outcome: 'complete', state: { ...recovered, timeRemaining: 0 } };
+    }
+    
+    // Flow mode keeps counting past zero until stopped or capped (Requirements 29.1, 29.4)
+    const overtime = correctDrift({ ...checkpointState, overtime: true });
+    return {
+      outcome: getOvertime(overtime) < MAX_OVERTIME ? 'resume' : 'complete',
+      state: overtime
+    };
+  }
+  
+  // Gone too long while in overtime - finalize with the overtime reached at the last checkpoint
+  if (inFlow && focusedAtCheckpoint >= checkpointState.totalDuration) {
+    return {
+      outcome: 'complete',
+      state: {
+        ...checkpointState,
+        overtime: true,
+        timeRemaining: Math.max(-MAX_OVERTIME, checkpointState.totalDuration - Math.floor(focusedAtCheckpoint))
+      }
+    };
+  }
+  
+  // Gone too long - keep the progress made up to the last checkpoint
+  return {
+    outcome: 'abandon',
+    state: {
+      ...checkpointState,
+      timeRemaining: Math.max(0, checkpointState.totalDuration - Math.floor(focusedAtCheckpoint))
+    }
+  };
+}
+
 /**
  * Calculate progress percentage for the progress ring.
  * Returns percentage of elapsed time (0-100).
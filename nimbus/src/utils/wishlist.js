@@ -0,0 +1,147 @@
+/**
+ * Wishlist Utilities
+ *
+ * Prices the components and upgrade tiers the user is saving for and
+ * estimates how many focus sessions it will take to afford them, from the
+ * average credits earned per session.
+ *
+ * Wishlist items are { componentId, tier, addedAt }: tier is null for buying
+ * another instance of the component, or the upgrade tier being saved for.
+ *
+ * **Validates: Requirements 45.1, 45.2, 45.3**
+ */
+
+import { getComponentById } from '../data/components';
+import { getPurchaseCost } from './shopLogic';
+import { calculateStatistics } from './sessionHistory';
+
+// Most items pinned at once
+export const WISHLIST_LIMIT = 8;
+
+// localStorage key for affordable announcements already made
+const ANNOUNCED_WISHLIST_KEY = 'nimbus-announced-wishlist';
+
+/**
+ * Get the id of a wishlist item (one pin per component or upgrade tier).
+ *
+ * @param {string} componentId - Component ID
+ * @param {number|null} tier - Upgrade tier, or null for the component itself
+ * @returns {string} Item id (e.g. "ec2" or "ec2-t4")
+ */
+export function getWishlistItemId(componentId, tier = null) {
+  return tier ? `${componentId}-t${tier}` : componentId;
+}
+
+/**
+ * Price one wishlist item.
+ *
+ * @param {Object} item - Wishlist item
+ * @param {Object} ownedComponents - Owned component counts
+ * @returns {Object|null} The item with { id, component, label, cost } added, or null for
+ *   unknown components/tiers
+ *
+ * **Validates: Requirements 45.1**
+ */
+export function getWishlistItemDetails(item, ownedComponents) {
+  const component = getComponentById(item.componentId);
+  if (!component) return null;
+  
+  const id = getWishlistItemId(item.componentId, item.tier);
+  if (!item.tier) {
+    return { ...item, id, component, label: component.name, cost: getPurchaseCost(component, ownedComponents) };
+  }
+  
+  const tier = component.upgradeTree.find(t => t.tier === item.tier);
+  if (!tier) return null;
+  return { ...item, id, component, label: `${component.name}: ${tier.name}`, cost: tier.cost };
+}
+
+/**
+ * Summarize the wishlist: each item's price, progress toward the combined
+ * cost and an ETA in focus sessions.
+ *
+ * @param {Array} wishlist - Wishlist items
+ * @param {Object} userProgress - state.userProgress
+ * @returns {Object} { items, totalCost, progress, remaining, averageCredits, sessionsToGo }
+ *   - items also carry affordable (this item alone is within the balance);
+ *   sessionsToGo is null until a session has earned credits
+ *
+ * **Validates: Requirements 45.1, 45.2**
+ */
+export function getWishlistSummary(wishlist, userProgress) {
+  const { credits, ownedComponents, sessionHistory } = userProgress;
+  const items = wishlist
+    .map(item => getWishlistItemDetails(item, ownedComponents))
+    .filter(Boolean)
+    .map(details => ({ ...details, affordable: credits >= details.cost }));
+  
+  const totalCost = items.reduce((sum, item) => sum + item.cost, 0);
+  const remaining = Math.max(0, totalCost - credits);
+  
+  const { totalSessions, totalCreditsEarned } = calculateStatistics(sessionHistory || []);
+  const averageCredits = totalSessions > 0 ? totalCreditsEarned / totalSessions : 0;
+  
+  return {
+    items,
+    totalCost,
+    progress: totalCost > 0 ? Math.min(1, credits / totalCost) : 0,
+    remaining,
+    averageCredits,
+    sessionsToGo: averageCredits > 0 ? Math.ceil(remaining / averageCredits) : null
+  };
+}
+
+/**
+ * Drop the pins a purchase has fulfilled: the component itself when a unit
+ * is bought, or every pinned tier up to the one an instance was upgraded to.
+ *
+ * @param {Array} wishlist - Wishlist items
+ * @param {string} componentId - Component ID bought or upgraded
+ * @param {number|null} tier - Tier upgraded to, or null for a bought unit
+ * @returns {Array} The remaining wishlist items
+ *
+ * **Validates: Requirements 45.1**
+ */
+export function removeFulfilledItems(wishlist, componentId, tier = null) {
+  return wishlist.filter(item => {
+    if (item.componentId !== componentId) return true;
+    return tier === null ? item.tier !== null : !item.tier || item.tier > tier;
+  });
+}
+
+/**
+ * Validate a wishlist item (e.g. from a cloud save or a backup file).
+ *
+ * @param {*} item - Value to check
+ * @returns {boolean}
+ */
+export function isValidWishlistItem(item) {
+  return !!item
+    && typeof item === 'object'
+    && typeof item.componentId === 'string'
+    && (item.tier === null || Number.isInteger(item.tier))
+    && typeof item.addedAt === 'number';
+}
+
+/**
+ * Claim the affordable announcement for a pinned item so only one open tab
+ * shows it. Each pin is announced once.
+ *
+ * @param {Object} item - Wishlist item
+ * @returns {boolean} True if this tab should announce it
+ *
+ * **Validates: Requirements 45.3**
+ */
+export function claimWishlistAnnouncement(item) {
+  const key = `${getWishlistItemId(item.componentId, item.tier)}:${item.addedAt}`;
+  try {
+    const announced = JSON.parse(localStorage.getItem(ANNOUNCED_WISHLIST_KEY) || '[]');
+    if (announced.includes(key)) return false;
+    
+    // Only recent pins matter - keep the list short
+    localStorage.setItem(ANNOUNCED_WISHLIST_KEY, JSON.stringify([...announced, key].slice(-50)));
+    return true;
+  } catch {
+    return true;
+  }
+}
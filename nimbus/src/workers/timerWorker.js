@@ -0,0 +1,65 @@
+/**
+ * Timer Worker
+ * Runs the session countdown off the main thread so background-tab throttling
+ * cannot delay completion. Completion is scheduled from the absolute end
+ * timestamp rather than by counting ticks.
+ * 
+ * Messages in:  { type: 'start', endTime, overtimeLimit } | { type: 'stop' }
+ * Messages out: { type: 'tick', timeRemaining } | { type: 'complete' }
+ * 
+ * With an overtime limit the countdown continues past zero (negative
+ * timeRemaining) and completes that many seconds after the end time.
+ * 
+ * Requirements: 24.1, 24.2, 29.1
+ */
+
+const TICK_INTERVAL = 1000;
+
+let tickInterval = null;
+let completionTimeout = null;
+
+// Lowest value the countdown reaches (plain 0 rather than -0 without overtime)
+function countdownFloor(overtimeLimit) {
+  return overtimeLimit > 0 ? -overtimeLimit : 0;
+}
+
+function remainingSeconds(endTime, overtimeLimit) {
+  return Math.max(countdownFloor(overtimeLimit), Math.ceil((endTime - Date.now()) / 1000));
+}
+
+function stop() {
+  clearInterval(tickInterval);
+  clearTimeout(completionTimeout);
+  tickInterval = null;
+  completionTimeout = null;
+}
+
+function start(endTime, overtimeLimit = 0) {
+  stop();
+  
+  tickInterval = setInterval(() => {
+    self.postMessage({ type: 'tick', timeRemaining: remainingSeconds(endTime, overtimeLimit) });
+  }, TICK_INTERVAL);
+  
+  // Wall-clock alarm - fires at the real end time even if ticks were delayed
+  completionTimeout = setTimeout(() => {
+    stop();
+    self.postMessage({ type: 'tick', timeRemaining: countdownFloor(overtimeLimit) });
+    self.postMessage({ type: 'complete' });
+  }, Math.max(0, endTime + overtimeLimit * 1000 - Date.now()));
+}
+
+self.onmessage = (event) => {
+  const { type, endTime, overtimeLimit } = event.data || {};
+  
+  switch (type) {
+    case 'start':
+      start(endTime, overtimeLimit);
+      break;
+    case 'stop':
+      stop();
+      break;
+    default:
+      break;
+  }
+};